@@ -0,0 +1,122 @@
+// Minimal REST backend for VITE_STORAGE=rest (demos and tests).
+// Keeps the tables in a JSON file and speaks the protocol described in src/storage/rest.js.
+//
+//   node scripts/json-server.mjs [file] [port]
+//   VITE_STORAGE=rest VITE_REST_URL=http://localhost:8787 npm run dev
+
+import { createServer } from "node:http";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+
+import {
+  applyOpsToTables,
+  deleteSnapshotRows,
+  emptyTables,
+  historyRows,
+  listWorkspaceRows,
+  snapshotRows,
+  updateWorkspaceRow,
+} from "../src/storage/rowStore.js";
+
+const file = process.argv[2] ?? "calendar-data.json";
+const port = Number(process.argv[3] ?? 8787);
+
+let db = existsSync(file) ? JSON.parse(readFileSync(file, "utf8")) : { revision: 0, tables: emptyTables() };
+db.tables = { ...emptyTables(), ...db.tables };
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, PATCH, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (e) {
+        reject(e);
+      }
+    });
+    req.on("error", reject);
+  });
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  const path = url.pathname;
+  try {
+    if (req.method === "OPTIONS") return send(res, 204);
+    // the audit trail and snapshots are only read through /history and /snapshots
+    if (req.method === "GET" && path === "/tables") {
+      return send(res, 200, { ...db, tables: { ...db.tables, audit_log: [], snapshots: [] } });
+    }
+    if (req.method === "GET" && path === "/history") {
+      const q = url.searchParams;
+      const entries = historyRows(db.tables, q.get("workspace_id") ?? "default", {
+        eventId: q.get("event_id"),
+        kidId: q.get("kid_id"),
+      });
+      return send(res, 200, { entries });
+    }
+    if (req.method === "GET" && path === "/snapshots") {
+      const snapshots = snapshotRows(db.tables, url.searchParams.get("workspace_id") ?? "default");
+      return send(res, 200, { snapshots });
+    }
+    // snapshots don't bump the revision: they aren't part of the calendar others see
+    if (req.method === "POST" && path === "/snapshots") {
+      const { row } = await readBody(req);
+      if (!row?.id || !row?.workspace_id) return send(res, 400, { error: "row with id and workspace_id is required" });
+      db.tables.snapshots.push(row);
+      writeFileSync(file, JSON.stringify(db, null, 2));
+      return send(res, 200, {});
+    }
+    if (req.method === "POST" && path === "/snapshots/delete") {
+      const { workspace_id = "default", ids = [] } = await readBody(req);
+      deleteSnapshotRows(db.tables, workspace_id, ids);
+      writeFileSync(file, JSON.stringify(db, null, 2));
+      return send(res, 200, {});
+    }
+    if (req.method === "GET" && path === "/revision") return send(res, 200, { revision: db.revision });
+    if (req.method === "GET" && path === "/workspaces") return send(res, 200, { workspaces: listWorkspaceRows(db.tables) });
+    if (req.method === "POST" && path === "/workspaces") {
+      const { id, name } = await readBody(req);
+      if (!id || !name) return send(res, 400, { error: "id and name are required" });
+      const workspaces = listWorkspaceRows(db.tables);
+      if (workspaces.some((w) => w.id === id)) return send(res, 409, { error: "workspace exists" });
+      db.tables.workspaces = [...workspaces, { id, name, created_at: new Date().toISOString(), settings: {}, settings_version: 1 }];
+      db.revision += 1;
+      writeFileSync(file, JSON.stringify(db, null, 2));
+      return send(res, 200, { workspaces: db.tables.workspaces });
+    }
+    if (req.method === "PATCH" && path.startsWith("/workspaces/")) {
+      const id = decodeURIComponent(path.slice("/workspaces/".length));
+      const { settings = {}, version = 1 } = await readBody(req);
+      const next = updateWorkspaceRow(db.tables, id, settings, version);
+      if (next === false) return send(res, 404, { error: "unknown workspace" });
+      if (next === null) return send(res, 409, { error: "settings changed meanwhile" });
+      db.revision += 1;
+      writeFileSync(file, JSON.stringify(db, null, 2));
+      return send(res, 200, { workspaces: db.tables.workspaces });
+    }
+    if (req.method === "POST" && path === "/ops") {
+      const { ops = [], versions = { kids: {}, events: {} } } = await readBody(req);
+      // work on a copy so a failing op leaves the file untouched
+      const tables = structuredClone(db.tables);
+      const out = applyOpsToTables(tables, ops, versions);
+      db = { revision: db.revision + 1, tables };
+      writeFileSync(file, JSON.stringify(db, null, 2));
+      return send(res, 200, { revision: db.revision, ...out });
+    }
+    return send(res, 404, { error: "not found" });
+  } catch (e) {
+    return send(res, 400, { error: String(e?.message ?? e), code: e?.code });
+  }
+}).listen(port, () => {
+  console.log(`kids-calendar JSON server on http://localhost:${port} (${file})`);
+});
@@ -1,6 +1,43 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-
-import { createClient } from "@supabase/supabase-js";
+import FullCalendar from "@fullcalendar/react";
+import interactionPlugin from "@fullcalendar/interaction";
+import timeGridPlugin from "@fullcalendar/timegrid";
+
+import { auditEntries, withAudit } from "./audit.js";
+import { applyImport, createBackup, readBackup } from "./backup.js";
+import { ROLE_LABELS, isPermissionDenied, permissionsFor } from "./auth.js";
+import { mergeStates, resolveConflicts } from "./merge.js";
+import * as localCache from "./localCache.js";
+import { addTagToCategory, checkIntegrity, removeDanglingParticipant, setEventDates, suggestedEnd } from "./integrity.js";
+import { diffState, predictVersions } from "./persistence.js";
+import {
+  expandEvent,
+  expandEvents,
+  moveOccurrence,
+  normalizeRecurrence,
+  occurrenceAt,
+  pruneExceptions,
+  restoreOccurrence,
+  setOccurrenceStatus,
+  skipOccurrence,
+} from "./recurrence.js";
+import { layoutMonth } from "./monthLayout.js";
+import { SCHEMA_VERSION, loadPayload } from "./schema.js";
+import { isStale, normalizeStatuses, recordStatus, statusFromLegacy, statusInfo, statusSince } from "./statuses.js";
+import { draftParticipants, eventDraft, normalizeTemplates } from "./templates.js";
+import { addParticipants, enforceCapacity, fillSeats, moveOnWaitlist, normalizeCapacity, seatedCount, waitlistOf } from "./capacity.js";
+import { scheduleConflicts, sessionClashes } from "./overlaps.js";
+import { createStorage, isNetworkError, loadChanged } from "./storage/index.js";
+import {
+  SNAPSHOT_INTERVAL_MS,
+  autoSnapshotsToPrune,
+  createSnapshot,
+  restoreSnapshotState,
+  sameAsSnapshot,
+  snapshotDiff,
+  snapshotState,
+} from "./snapshots.js";
+import { DAY_MS, expiredTrash, purgeTrashItem, restoreTrashItem, trashEvent, trashKid, trashTag } from "./trash.js";
 
 /**
  * Kids Calendar (Month Grid) - dependency-free.
@@ -11,15 +48,26 @@ import { createClient } from "@supabase/supabase-js";
  * 4) Event detail shows ⚠️ if there are new kids with matchScore > 1 not yet suggested/assigned.
  */
 
-// ---- Supabase (minimal persistence) ----
-// Stores only app data (tagCatalog, kids, events) into table: public.app_state (id = "default").
-// This is intentionally minimal to avoid touching existing UI/business logic.
-const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
-const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
-const supabase =
-  SUPABASE_URL && SUPABASE_ANON_KEY
-    ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY)
-    : null;
+// ---- Storage (normalized persistence) ----
+// Stores app data (tagCatalog, kids, events) as one row per record through a storage adapter
+// (Supabase, localStorage or REST; see src/storage). Only changed records are written on each auto-save.
+const storage = createStorage();
+
+// Undo steps kept per workspace session
+const UNDO_LIMIT = 100;
+
+// How far ahead the List View lists recurring events when it has no end date
+const LIST_HORIZON_DAYS = 365;
+
+// Per-workspace settings (workspaces.settings) with their defaults.
+function workspaceSettings(workspace) {
+  const settings = { trashRetentionDays: 30, ...(workspace?.settings ?? {}) };
+  return {
+    ...settings,
+    eventTemplates: normalizeTemplates(settings.eventTemplates),
+    statuses: normalizeStatuses(settings.statuses),
+  };
+}
 
 // ------------------ tiny utils ------------------
 const pad2 = (n) => String(n).padStart(2, "0");
@@ -82,6 +130,32 @@ function intersectionCount(a = [], bSet) {
   for (const t of a) if (bSet.has(t)) c++;
   return c;
 }
+// Checks new event dates (forms and drag-and-drop); returns the message to show, or null.
+function eventDatesError(start, end, recurrence = null) {
+  if (start >= end) return "วัน/เวลาเริ่มต้องก่อนวัน/เวลาจบ";
+  if (recurrence?.until && recurrence.until < ymd(start)) return "วันสิ้นสุดการซ้ำต้องไม่ก่อนวันที่เริ่ม";
+  return null;
+}
+// All-day events run from midnight of their first day to midnight after their last day.
+function allDayRange(startDate, endDate) {
+  return { start: combineDateTime(startDate, "00:00"), end: addDays(combineDateTime(endDate, "00:00"), 1) };
+}
+// The last day an event covers (an all-day event ends at the midnight after it).
+const lastDay = (ev) => (ev.allDay ? addDays(ev.end, -1) : ev.end);
+// "2025-11-03 09:00 – 2025-11-03 12:00", or just the dates of an all-day event.
+function whenLabel(ev) {
+  if (!ev.allDay) return `${ymd(ev.start)} ${hm(ev.start)} – ${ymd(ev.end)} ${hm(ev.end)}`;
+  const last = lastDay(ev);
+  return sameDay(ev.start, last) ? `${ymd(ev.start)} (ทั้งวัน)` : `${ymd(ev.start)} – ${ymd(last)} (ทั้งวัน)`;
+}
+
+// Kids double-booked against `ev` (src/overlaps.js): Map kidId -> overlapping sessions of
+// other events. Only `occurrence` when given; a whole series up to the List View horizon.
+function clashesFor(events, ev, occurrence = null) {
+  const sessions = occurrence ? [occurrence] : expandEvent(ev, null, addDays(atStartOfDay(new Date()), LIST_HORIZON_DAYS));
+  return sessions.length > 0 ? sessionClashes(events, sessions) : new Map();
+}
+const clashTitle = (sessions) => `ชนเวลากับ:\n${sessions.map((o) => `• ${o.title} (${whenLabel(o)})`).join("\n")}`;
 
 // ------------------ UI bits ------------------
 function Modal({ title, onClose, children, width = 840, zIndex = 999 }) {
@@ -157,25 +231,70 @@ function TagPill({ text }) {
   );
 }
 
-function StatusChip({ label, status, onClick }) {
-  const bg = status === 0 ? "#fff3bf" : status === 1 ? "#d0ebff" : "#d3f9d8";
-  const bd = status === 0 ? "#ffe066" : status === 1 ? "#74c0fc" : "#69db7c";
+// Filled seats / capacity of an event (src/capacity.js), with the waitlist length when there is one.
+function CapacityBadge({ ev }) {
+  const filled = seatedCount(ev);
+  const waiting = waitlistOf(ev).length;
+  const full = filled >= ev.capacity;
   return (
-    <button
-      onClick={onClick}
-      title="กดเพื่อวนสถานะ: เหลือง→ฟ้า→เขียว"
+    <span
+      title={`รับ ${ev.capacity} คน • มีที่นั่งแล้ว ${filled} คน${waiting > 0 ? ` • สำรอง ${waiting} คน` : ""}`}
       style={{
-        border: `1px solid ${bd}`,
-        background: bg,
-        padding: "6px 10px",
+        flexShrink: 0,
+        alignSelf: "center",
+        background: full ? "#ffe3e3" : "#fff",
+        border: `1px solid ${full ? "#ffa8a8" : "#ddd"}`,
+        borderRadius: 999,
+        padding: "0 6px",
+        fontSize: 11,
+        fontWeight: 800,
+        whiteSpace: "nowrap",
+      }}
+    >
+      {filled}/{ev.capacity}
+      {waiting > 0 ? ` +${waiting}` : ""}
+    </span>
+  );
+}
+
+// A participant with their status; `statuses` is the workspace's list (src/statuses.js).
+// With onChange the status is picked from a dropdown, otherwise it is only shown.
+function StatusChip({ label, status, statuses, onChange }) {
+  const info = statusInfo(statuses, status);
+  return (
+    <span
+      title={info.label}
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: 6,
+        border: "1px solid rgba(0, 0, 0, 0.15)",
+        background: info.color,
+        padding: onChange ? "3px 4px 3px 10px" : "6px 10px",
         borderRadius: 999,
-        cursor: "pointer",
         fontSize: 13,
         whiteSpace: "nowrap",
       }}
     >
       {label}
-    </button>
+      {onChange ? (
+        <select
+          value={status}
+          onChange={(e) => onChange(e.target.value)}
+          style={{ border: "none", background: "rgba(255, 255, 255, 0.6)", borderRadius: 999, padding: "3px 6px", fontSize: 12, cursor: "pointer" }}
+        >
+          {info.unknown ? <option value={status}>{info.label}</option> : null}
+          {statuses.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.label}
+              {s.terminal ? " ✓" : ""}
+            </option>
+          ))}
+        </select>
+      ) : (
+        <span style={{ fontSize: 12, opacity: 0.7 }}>{info.label}</span>
+      )}
+    </span>
   );
 }
 
@@ -197,6 +316,150 @@ function IconButton({ children, title, onClick, danger = false }) {
   );
 }
 
+// ------------------ recurrence ------------------
+const WEEKDAY_SHORT = ["อา", "จ", "อ", "พ", "พฤ", "ศ", "ส"]; // Date#getDay order
+const WEEKDAY_FULL = ["อาทิตย์", "จันทร์", "อังคาร", "พุธ", "พฤหัสบดี", "ศุกร์", "เสาร์"];
+const FREQ_UNITS = { daily: "วัน", weekly: "สัปดาห์", monthly: "เดือน" };
+
+// Form draft of a recurrence rule (src/recurrence.js); freq "" = one-off event.
+const NO_RECURRENCE = { freq: "", interval: 1, weekdays: [], monthlyBy: "date", ends: "never", until: "", count: 10 };
+
+function recurrenceDraft(rule) {
+  if (!rule) return NO_RECURRENCE;
+  return {
+    freq: rule.freq,
+    interval: rule.interval,
+    weekdays: rule.weekdays ?? [],
+    monthlyBy: rule.monthlyBy ?? "date",
+    ends: rule.until ? "until" : rule.count ? "count" : "never",
+    until: rule.until ?? "",
+    count: rule.count ?? 10,
+  };
+}
+
+// The rule for a draft: null for a one-off event, undefined when the draft is invalid.
+function recurrenceFromDraft(draft) {
+  if (!draft.freq) return null;
+  return (
+    normalizeRecurrence({
+      freq: draft.freq,
+      interval: Number(draft.interval),
+      weekdays: draft.freq === "weekly" ? draft.weekdays : undefined,
+      monthlyBy: draft.freq === "monthly" ? draft.monthlyBy : undefined,
+      until: draft.ends === "until" ? draft.until : undefined,
+      count: draft.ends === "count" ? Number(draft.count) : undefined,
+    }) ?? undefined
+  );
+}
+
+// e.g. "ทุก 2 สัปดาห์ (จ, พ) ถึง 2025-12-31"; `start` is the series' first start.
+function describeRecurrence(rule, start) {
+  const unit = FREQ_UNITS[rule.freq];
+  let out = rule.interval > 1 ? `ทุก ${rule.interval} ${unit}` : `ทุก${unit}`;
+  if (rule.freq === "weekly" && (rule.weekdays || start)) {
+    out += ` (${(rule.weekdays ?? [start.getDay()]).map((d) => WEEKDAY_SHORT[d]).join(", ")})`;
+  }
+  if (rule.freq === "monthly" && start) {
+    out += rule.monthlyBy === "weekday" ? ` วัน${WEEKDAY_FULL[start.getDay()]}ที่ ${Math.ceil(start.getDate() / 7)}` : ` วันที่ ${start.getDate()}`;
+  }
+  if (rule.until) out += ` ถึง ${rule.until}`;
+  if (rule.count) out += ` • ${rule.count} ครั้ง`;
+  return out;
+}
+
+// One occurrence's override (event.exceptions[key]) in words.
+function describeException(exc) {
+  if (exc.skip) return "ข้าม";
+  const parts = [];
+  if (exc.start != null) parts.push(`ย้ายไป ${ymd(new Date(exc.start))} ${hm(new Date(exc.start))}`);
+  if (exc.statuses) parts.push(`สถานะเฉพาะครั้ง ${Object.keys(exc.statuses).length} คน`);
+  return parts.join(", ");
+}
+
+function RecurrenceFields({ draft, setDraft, startDate }) {
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const start = startDate ? combineDateTime(startDate, "00:00") : null;
+  const weekdays = draft.weekdays.length > 0 ? draft.weekdays : start ? [start.getDay()] : [];
+  const toggleWeekday = (d) => set({ weekdays: weekdays.includes(d) ? weekdays.filter((x) => x !== d) : [...weekdays, d] });
+  const field = { padding: 10, borderRadius: 12, border: "1px solid #ddd" };
+  const caption = { fontSize: 12, opacity: 0.7 };
+
+  return (
+    <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end" }}>
+      <label style={{ display: "grid", gap: 4 }}>
+        <span style={caption}>ทำซ้ำ</span>
+        <select value={draft.freq} onChange={(e) => set({ freq: e.target.value })} style={field}>
+          <option value="">ไม่ซ้ำ</option>
+          <option value="daily">ทุกวัน</option>
+          <option value="weekly">ทุกสัปดาห์</option>
+          <option value="monthly">ทุกเดือน</option>
+        </select>
+      </label>
+
+      {draft.freq ? (
+        <>
+          <label style={{ display: "grid", gap: 4 }}>
+            <span style={caption}>ทุก ๆ ({FREQ_UNITS[draft.freq]})</span>
+            <input type="number" min={1} value={draft.interval} onChange={(e) => set({ interval: e.target.value })} style={{ ...field, width: 70 }} />
+          </label>
+
+          {draft.freq === "weekly" ? (
+            <div style={{ display: "grid", gap: 4 }}>
+              <span style={caption}>วัน</span>
+              <div style={{ display: "flex", gap: 4 }}>
+                {[1, 2, 3, 4, 5, 6, 0].map((d) => (
+                  <button
+                    key={d}
+                    type="button"
+                    onClick={() => toggleWeekday(d)}
+                    style={{
+                      padding: "8px 8px",
+                      borderRadius: 10,
+                      border: weekdays.includes(d) ? "2px solid #1a73e8" : "1px solid #ddd",
+                      background: weekdays.includes(d) ? "#e7f5ff" : "#fff",
+                      cursor: "pointer",
+                      fontWeight: 800,
+                    }}
+                  >
+                    {WEEKDAY_SHORT[d]}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ) : null}
+
+          {draft.freq === "monthly" && start ? (
+            <label style={{ display: "grid", gap: 4 }}>
+              <span style={caption}>ของทุกเดือน</span>
+              <select value={draft.monthlyBy} onChange={(e) => set({ monthlyBy: e.target.value })} style={field}>
+                <option value="date">วันที่ {start.getDate()}</option>
+                <option value="weekday">
+                  วัน{WEEKDAY_FULL[start.getDay()]}ที่ {Math.ceil(start.getDate() / 7)}
+                </option>
+              </select>
+            </label>
+          ) : null}
+
+          <label style={{ display: "grid", gap: 4 }}>
+            <span style={caption}>สิ้นสุด</span>
+            <select value={draft.ends} onChange={(e) => set({ ends: e.target.value })} style={field}>
+              <option value="never">ไม่มีกำหนด</option>
+              <option value="until">ถึงวันที่</option>
+              <option value="count">ครบจำนวนครั้ง</option>
+            </select>
+          </label>
+          {draft.ends === "until" ? (
+            <input type="date" value={draft.until} onChange={(e) => set({ until: e.target.value })} style={field} />
+          ) : null}
+          {draft.ends === "count" ? (
+            <input type="number" min={1} value={draft.count} onChange={(e) => set({ count: e.target.value })} style={{ ...field, width: 80 }} />
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
+
 /**
  * Tag picker with:
  * - selection (multi)
@@ -487,8 +750,304 @@ function TagPickerModal({
   );
 }
 
+/**
+ * Shown after a save merged concurrent edits and some fields were changed on both sides.
+ * Each row picks "mine" (default, already applied) or "theirs".
+ */
+function ConflictDialog({ conflicts, kidById, eventById, statuses, onResolve }) {
+  const [choices, setChoices] = useState({});
+
+  const fieldLabel = {
+    name: "ชื่อ",
+    group_id: "group_id",
+    createdAt: "วันที่เพิ่ม",
+    title: "ชื่อกิจกรรม",
+    start: "วัน/เวลาเริ่ม",
+    end: "วัน/เวลาจบ",
+    allDay: "ทั้งวัน",
+    signupUrl: "ลิงก์สมัคร",
+    capacity: "จำนวนที่รับ",
+    suggestedAt: "วันที่ Suggest",
+    recurrence: "การทำซ้ำ",
+    exception: "การแก้ไขเฉพาะครั้ง",
+    status: "สถานะ",
+    waitlisted: "รายการสำรอง",
+    note: "Note",
+    __exists: "ลบ / แก้ไข",
+  };
+
+  const describe = (c) => {
+    const kidName = (id) => kidById.get(id)?.name ?? c.local?.name ?? c.remote?.name ?? id;
+    if (c.entity === "kid") return `เด็ก: ${kidName(c.id)}`;
+    if (c.entity === "event") return `กิจกรรม: ${eventById.get(c.id)?.title ?? c.local?.title ?? c.remote?.title ?? c.id}`;
+    const evTitle = eventById.get(c.eventId)?.title ?? c.eventId;
+    if (c.entity === "participant") return `ผู้เข้าร่วม ${kidName(c.id)} ในกิจกรรม: ${evTitle}`;
+    if (c.entity === "occurrence") return `ครั้งวันที่ ${c.id} ของกิจกรรม: ${evTitle}`;
+    return `Note ของ ${kidName(c.id)} ในกิจกรรม: ${evTitle}`;
+  };
+
+  const show = (c, v) => {
+    if (c.field === "__exists") return v ? "แก้ไขไว้" : "ลบแล้ว";
+    if (c.field === "allDay" && v === undefined) return "ระบุเวลา";
+    if (c.field === "capacity" && v === undefined) return "ไม่จำกัด";
+    if (c.field === "waitlisted") return v ? "อยู่ในรายการสำรอง" : "มีที่นั่ง";
+    if (v === undefined || v === null || v === "") return "(ว่าง)";
+    if (v instanceof Date) return `${ymd(v)} ${hm(v)}`;
+    if (c.field === "status") return statusInfo(statuses, v).label;
+    if (c.field === "allDay") return v ? "ทั้งวัน" : "ระบุเวลา";
+    if (c.field === "recurrence") return describeRecurrence(v, eventById.get(c.id)?.start);
+    if (c.field === "exception") return describeException(v);
+    return String(v);
+  };
+
+  const choiceButton = (c, side, label) => {
+    const active = (choices[c.key] ?? "local") === side;
+    return (
+      <button
+        onClick={() => setChoices((prev) => ({ ...prev, [c.key]: side }))}
+        style={{
+          flex: 1,
+          textAlign: "left",
+          padding: "8px 10px",
+          borderRadius: 12,
+          border: active ? "2px solid #1a73e8" : "1px solid #ddd",
+          background: active ? "#e7f5ff" : "#fff",
+          cursor: "pointer",
+        }}
+      >
+        <div style={{ fontSize: 11, opacity: 0.7 }}>{label}</div>
+        <div style={{ fontWeight: 800 }}>{show(c, side === "local" ? c.local : c.remote)}</div>
+      </button>
+    );
+  };
+
+  return (
+    <Modal title="มีการแก้ไขชนกับคนอื่น" onClose={() => onResolve(choices)} width={760} zIndex={3000}>
+      <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 12 }}>
+        การแก้ไขที่ไม่ทับกันถูกรวมให้อัตโนมัติแล้ว • รายการด้านล่างถูกแก้ทั้งสองฝั่ง กรุณาเลือกค่าที่จะเก็บ
+      </div>
+      <div style={{ display: "grid", gap: 10 }}>
+        {conflicts.map((c) => (
+          <div key={c.key} style={{ padding: 10, borderRadius: 12, border: "1px solid #eee" }}>
+            <div style={{ fontWeight: 900 }}>{describe(c)}</div>
+            <div style={{ fontSize: 12, opacity: 0.7, marginTop: 2 }}>{fieldLabel[c.field] ?? c.field}</div>
+            <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
+              {choiceButton(c, "local", "ของฉัน")}
+              {choiceButton(c, "remote", "ของคนอื่น")}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div style={{ marginTop: 14, display: "flex", justifyContent: "flex-end" }}>
+        <button
+          onClick={() => onResolve(choices)}
+          style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer" }}
+        >
+          ใช้ค่าที่เลือก
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/**
+ * Audit trail of one event (`eventId`) or one kid (`kidId`), newest first.
+ * `loadHistory(filter)` resolves to { entries, offline }.
+ */
+function HistoryList({ loadHistory, eventId, kidId, kidById, eventById, statuses }) {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadHistory({ eventId, kidId }).then((r) => !cancelled && setResult(r));
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [eventId, kidId]);
+
+  if (!result) return <div style={{ opacity: 0.7 }}>กำลังโหลด…</div>;
+
+  const kidName = (id, e) => kidById.get(id)?.name ?? e?.before?.name ?? e?.after?.name ?? "(เด็กถูกลบแล้ว)";
+  const eventTitle = (id, e) => eventById.get(id)?.title ?? e?.before?.title ?? e?.after?.title ?? "(กิจกรรมถูกลบแล้ว)";
+  // entries written before status ids hold 0 / 1 / 2
+  const statusLabel = (v) => statusInfo(statuses, statusFromLegacy(v)).label;
+  const when = (v, allDay) => (v ? (allDay ? ymd(new Date(v)) : `${ymd(new Date(v))} ${hm(new Date(v))}`) : "(ว่าง)");
+  const text = (v) => (v === undefined || v === null || v === "" ? "(ว่าง)" : `“${v}”`);
+  const tagChanges = (a = [], b = []) => {
+    const added = b.filter((t) => !a.includes(t)).map((t) => `+${t}`);
+    const removed = a.filter((t) => !b.includes(t)).map((t) => `−${t}`);
+    return [...added, ...removed].join(" ");
+  };
+
+  // One line per changed field.
+  const fieldChanges = (before, after) => {
+    const out = [];
+    if (before.name !== after.name) out.push(`ชื่อ: ${text(before.name)} → ${text(after.name)}`);
+    if (before.group_id !== after.group_id) out.push(`group_id: ${text(before.group_id)} → ${text(after.group_id)}`);
+    if (before.title !== after.title) out.push(`ชื่อกิจกรรม: ${text(before.title)} → ${text(after.title)}`);
+    if (before.start !== after.start) out.push(`เริ่ม: ${when(before.start, before.allDay)} → ${when(after.start, after.allDay)}`);
+    if (before.end !== after.end) out.push(`จบ: ${when(before.end, before.allDay)} → ${when(after.end, after.allDay)}`);
+    if (Boolean(before.allDay) !== Boolean(after.allDay)) out.push(after.allDay ? "เปลี่ยนเป็นกิจกรรมทั้งวัน" : "เปลี่ยนเป็นกิจกรรมระบุเวลา");
+    if (before.signupUrl !== after.signupUrl) out.push(`ลิงก์สมัคร: ${text(before.signupUrl)} → ${text(after.signupUrl)}`);
+    if (before.capacity !== after.capacity) out.push(`จำนวนที่รับ: ${before.capacity ?? "ไม่จำกัด"} → ${after.capacity ?? "ไม่จำกัด"}`);
+    const tags = tagChanges(before.tags, after.tags);
+    if (tags) out.push(`Tag: ${tags}`);
+    const repeat = (rec) => (rec.recurrence ? describeRecurrence(rec.recurrence, rec.start ? new Date(rec.start) : null) : "ไม่ซ้ำ");
+    if (repeat(before) !== repeat(after)) out.push(`ทำซ้ำ: ${repeat(before)} → ${repeat(after)}`);
+    const beforeExc = before.exceptions ?? {};
+    const afterExc = after.exceptions ?? {};
+    for (const key of new Set([...Object.keys(beforeExc), ...Object.keys(afterExc)])) {
+      if (JSON.stringify(beforeExc[key]) === JSON.stringify(afterExc[key])) continue;
+      const exc = (x) => (x ? describeException(x) : "ตามปกติ");
+      out.push(`ครั้งวันที่ ${key}: ${exc(beforeExc[key])} → ${exc(afterExc[key])}`);
+    }
+    return out;
+  };
+
+  const describe = (e) => {
+    const { before, after, action } = e;
+    // In a kid's history, say which event a participation/note belongs to.
+    const where = kidId && e.event_id ? `${eventTitle(e.event_id)}: ` : "";
+    switch (e.entity) {
+      case "kid":
+        if (action === "insert") return [`เพิ่มเด็ก ${text(after.name)}`];
+        if (action === "delete") return [`ลบเด็ก ${text(before.name)}`];
+        return fieldChanges(before, after);
+      case "event":
+        if (action === "insert") return [`สร้างกิจกรรม ${text(after.title)}`];
+        if (action === "delete") return [`ลบกิจกรรม ${text(before.title)}`];
+        return fieldChanges(before, after);
+      case "participant":
+        if (action === "insert") return [`${where}มอบหมาย ${kidName(e.kid_id)} (${statusLabel(after.status)}${after.waitlisted ? ", รายการสำรอง" : ""})`];
+        if (action === "delete") return [`${where}เอา ${kidName(e.kid_id)} ออกจากกิจกรรม`];
+        return [
+          ...(before.status !== after.status ? [`${where}สถานะ ${kidName(e.kid_id)}: ${statusLabel(before.status)} → ${statusLabel(after.status)}`] : []),
+          ...(Boolean(before.waitlisted) !== Boolean(after.waitlisted)
+            ? [`${where}${kidName(e.kid_id)} ${after.waitlisted ? "ย้ายไปรายการสำรอง" : "ได้ที่นั่งจากรายการสำรอง"}`]
+            : []),
+        ];
+      case "note":
+        return [`${where}Note ของ ${kidName(e.kid_id)}: ${text(before?.note)} → ${text(after?.note)}`];
+      default:
+        return [`${e.entity} ${e.record_key ?? ""}: ${action}`];
+    }
+  };
+
+  return (
+    <div>
+      {result.offline ? (
+        <div style={{ fontSize: 12, color: "#d9480f", marginBottom: 8 }}>⚠️ offline — แสดงเฉพาะรายการที่ยังไม่ได้ส่งจากเครื่องนี้</div>
+      ) : null}
+      {result.entries.length === 0 ? (
+        <div style={{ opacity: 0.7 }}>(ยังไม่มีประวัติการแก้ไข)</div>
+      ) : (
+        <div style={{ display: "grid", gap: 8, maxHeight: "60vh", overflowY: "auto" }}>
+          {result.entries.map((e) => (
+            <div key={e.id} style={{ padding: 10, borderRadius: 12, border: "1px solid #eee", background: "#fff" }}>
+              <div style={{ display: "flex", gap: 8, fontSize: 12, opacity: 0.75 }}>
+                <span>{when(e.at)}</span>
+                <span style={{ fontWeight: 800 }}>{e.actor || "เครื่องนี้"}</span>
+                {e.pending ? <span>⏳ ยังไม่ได้ส่ง</span> : null}
+              </div>
+              {describe(e).map((line) => (
+                <div key={line} style={{ marginTop: 4, fontSize: 13 }}>
+                  {line}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Adds quarantined records (see src/schema.js) to the list, or replaces it, without duplicates.
+function mergeQuarantine(prev, list, replace) {
+  const key = (q) => `${q.kind}:${q.id}:${q.reason}`;
+  const out = replace ? [] : [...prev];
+  const seen = new Set(out.map(key));
+  for (const q of list) {
+    if (!seen.has(key(q))) {
+      seen.add(key(q));
+      out.push(q);
+    }
+  }
+  return replace || out.length !== prev.length ? out : prev;
+}
+
+const diffIsEmpty = (diff) => Object.values(diff).every((list) => list.length === 0);
+
+// Counts from snapshots.snapshotDiff() as chips; hovering a chip lists the names.
+function ChangeSummary({ diff }) {
+  const part = (label, added, removed, changed = []) => {
+    if (added.length + removed.length + changed.length === 0) return null;
+    const text = [added.length ? `+${added.length}` : "", removed.length ? `−${removed.length}` : "", changed.length ? `แก้ ${changed.length}` : ""]
+      .filter(Boolean)
+      .join(" ");
+    const names = [...added.map((n) => `+ ${n}`), ...removed.map((n) => `− ${n}`), ...changed.map((n) => `~ ${n}`)];
+    return (
+      <span key={label} title={names.join("\n")} style={{ padding: "2px 8px", borderRadius: 999, border: "1px solid #eee", background: "#fafafa" }}>
+        {label} {text}
+      </span>
+    );
+  };
+  return (
+    <>
+      {part("เด็ก", diff.kidsAdded, diff.kidsRemoved, diff.kidsChanged)}
+      {part("กิจกรรม", diff.eventsAdded, diff.eventsRemoved, diff.eventsChanged)}
+      {part("Tag", diff.tagsAdded, diff.tagsRemoved)}
+    </>
+  );
+}
+
 // ------------------ Calendar (month grid) ------------------
-function MonthCalendar({ cursor, setCursor, events, onPickDay, onOpenEvent, attentionById, onOpenListView, onOpenDayListView }) {
+// Bars shown per week row before the rest of a day collapses into "+N more"
+const MONTH_LANES = 4;
+
+const CALENDAR_VIEWS = [
+  ["month", "เดือน"],
+  ["week", "สัปดาห์"],
+  ["day", "วัน"],
+];
+
+function ViewSwitcher({ view, onChange }) {
+  return (
+    <div style={{ display: "flex" }}>
+      {CALENDAR_VIEWS.map(([key, label], i) => (
+        <button
+          key={key}
+          onClick={() => onChange(key)}
+          style={{
+            padding: "8px 10px",
+            border: "1px solid #ddd",
+            borderLeft: i === 0 ? "1px solid #ddd" : "none",
+            borderRadius: i === 0 ? "12px 0 0 12px" : i === CALENDAR_VIEWS.length - 1 ? "0 12px 12px 0" : 0,
+            background: view === key ? "#e7f5ff" : "#fff",
+            fontWeight: view === key ? 900 : 400,
+            cursor: "pointer",
+          }}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function MonthCalendar({
+  cursor,
+  setCursor,
+  events,
+  onPickDay,
+  onOpenEvent,
+  attentionById,
+  onOpenListView,
+  onOpenDayListView,
+  onChangeView,
+  onMoveEvent,
+}) {
   const monthStart = startOfMonth(cursor);
   const gridStart = startOfWeekMonday(monthStart);
 
@@ -498,24 +1057,12 @@ function MonthCalendar({ cursor, setCursor, events, onPickDay, onOpenEvent, atte
     return arr;
   }, [gridStart]);
 
-  const eventsByDay = useMemo(() => {
-    const m = new Map();
-    for (const ev of events) {
-      const s = atStartOfDay(ev.start);
-      const e = atStartOfDay(ev.end);
-      // include all days touched by the event
-      for (let d = new Date(s); d <= e; d = addDays(d, 1)) {
-        const key = ymd(d);
-        if (!m.has(key)) m.set(key, []);
-        m.get(key).push(ev);
-      }
-    }
-    for (const [k, list] of m.entries()) {
-      list.sort((a, b) => a.start - b.start);
-      m.set(k, list);
-    }
-    return m;
-  }, [events]);
+  const gridTime = gridStart.getTime();
+  const weeks = useMemo(
+    // recurring events contribute their occurrences that touch the grid
+    () => layoutMonth(expandEvents(events, new Date(gridTime), addDays(new Date(gridTime), 42)), new Date(gridTime), MONTH_LANES),
+    [events, gridTime]
+  );
 
   const monthLabel = useMemo(() => {
     const y = cursor.getFullYear();
@@ -528,6 +1075,59 @@ function MonthCalendar({ cursor, setCursor, events, onPickDay, onOpenEvent, atte
   const goToday = () => setCursor(startOfMonth(new Date()));
   const dow = ["จ", "อ", "พ", "พฤ", "ศ", "ส", "อา"];
 
+  // Drag and drop (only when onMoveEvent is given): a bar moves its event by whole days;
+  // the ⇤ / ⇥ grips move just the start or the end to the drop day. Times of day are kept.
+  const dragRef = useRef(null); // { ev, mode: "move" | "start" | "end", fromDay }
+  const [dropKey, setDropKey] = useState(null);
+
+  // The day under the pointer in a week row (bars span several days).
+  const dayAt = (e) => {
+    const row = e.currentTarget.closest("[data-week]");
+    const rect = row.getBoundingClientRect();
+    const col = Math.min(6, Math.max(0, Math.floor(((e.clientX - rect.left) / rect.width) * 7)));
+    return days[Number(row.dataset.week) * 7 + col];
+  };
+
+  const startDrag = (e, ev, mode) => {
+    e.stopPropagation();
+    dragRef.current = { ev, mode, fromDay: dayAt(e) };
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", ev.title);
+  };
+  const endDrag = () => {
+    dragRef.current = null;
+    setDropKey(null);
+  };
+  const dropOn = (day) => {
+    const drag = dragRef.current;
+    endDrag();
+    if (!drag) return;
+    const { ev, mode, fromDay } = drag;
+    const onDay = (time) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), time.getHours(), time.getMinutes());
+    let start = ev.start;
+    let end = ev.end;
+    if (mode === "move") {
+      const days = Math.round((day - fromDay) / DAY_MS);
+      start = addDays(ev.start, days);
+      end = addDays(ev.end, days);
+    } else if (mode === "start") start = onDay(ev.start);
+    else end = ev.allDay ? addDays(day, 1) : onDay(ev.end);
+    if (start.getTime() === ev.start.getTime() && end.getTime() === ev.end.getTime()) return;
+    onMoveEvent(ev.id, ev.occurrenceKey, start, end);
+  };
+  const grip = (ev, mode) => (
+    <span
+      draggable
+      onDragStart={(e) => startDrag(e, ev, mode)}
+      onDragEnd={endDrag}
+      onClick={(e) => e.stopPropagation()}
+      title={mode === "start" ? "ลากไปวันอื่นเพื่อเปลี่ยนวันเริ่ม" : "ลากไปวันอื่นเพื่อเปลี่ยนวันจบ"}
+      style={{ cursor: "ew-resize", opacity: 0.5, padding: "0 2px" }}
+    >
+      {mode === "start" ? "⇤" : "⇥"}
+    </span>
+  );
+
   return (
     <div
       style={{
@@ -547,6 +1147,7 @@ function MonthCalendar({ cursor, setCursor, events, onPickDay, onOpenEvent, atte
         }}
       >
         <div style={{ fontWeight: 900, fontSize: 16, flex: 1 }}>Calendar {monthLabel}</div>
+        <ViewSwitcher view="month" onChange={onChangeView} />
         <button onClick={goPrev} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
           ◀
         </button>
@@ -569,78 +1170,71 @@ function MonthCalendar({ cursor, setCursor, events, onPickDay, onOpenEvent, atte
         ))}
       </div>
 
-      <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)" }}>
-        {days.map((d) => {
-          const inMonth = d.getMonth() === cursor.getMonth();
-          const key = ymd(d);
-          const list = eventsByDay.get(key) ?? [];
-          const isToday = sameDay(d, new Date());
-
-          return (
-            <div
-              key={key}
-              style={{
-                minHeight: 110,
-                borderRight: "1px solid #f0f0f0",
-                borderBottom: "1px solid #f0f0f0",
-                padding: 8,
-                background: inMonth ? "#fff" : "#fafafa",
-              }}
-              onDoubleClick={() => onPickDay(d)}
-            >
-              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+      {/* One grid per week row: day cells span every line, date numbers sit on the first
+          line, then one line per lane of bars, then the "+N more" links. */}
+      {weeks.map((week, w) => {
+        const rows = ["auto", ...Array(week.lanes).fill("auto"), "auto", "1fr"].join(" ");
+        const moreRow = week.lanes + 2;
+        return (
+          <div
+            key={w}
+            data-week={w}
+            style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gridTemplateRows: rows, minHeight: 110 }}
+            onDragOver={(e) => {
+              if (!dragRef.current) return;
+              e.preventDefault();
+              const key = ymd(dayAt(e));
+              if (dropKey !== key) setDropKey(key);
+            }}
+            onDrop={(e) => {
+              e.preventDefault();
+              dropOn(dayAt(e));
+            }}
+          >
+            {days.slice(w * 7, w * 7 + 7).map((d, c) => {
+              const inMonth = d.getMonth() === cursor.getMonth();
+              const key = ymd(d);
+              const isToday = sameDay(d, new Date());
+              return [
                 <div
-                  onClick={() => onPickDay(d)}
+                  key={`cell-${key}`}
+                  onDoubleClick={() => onPickDay(d)}
                   style={{
-                    fontWeight: 900,
-                    width: 28,
-                    height: 28,
-                    display: "grid",
-                    placeItems: "center",
-                    borderRadius: 999,
-                    border: isToday ? "2px solid #1a73e8" : "1px solid transparent",
-                    cursor: "pointer",
+                    gridColumn: c + 1,
+                    gridRow: "1 / -1",
+                    borderRight: "1px solid #f0f0f0",
+                    borderBottom: "1px solid #f0f0f0",
+                    background: dropKey === key ? "#e7f5ff" : inMonth ? "#fff" : "#fafafa",
                   }}
-                  title="คลิกเพื่อเตรียมสร้างกิจกรรมในวันนี้"
-                >
-                  {d.getDate()}
-                </div>
-                {!inMonth ? <div style={{ fontSize: 11, opacity: 0.5 }}>({d.getMonth() + 1})</div> : null}
-              </div>
-
-              <div style={{ marginTop: 6, display: "grid", gap: 6 }}>
-                {list.slice(0, 4).map((ev) => {
-                  const unassigned = (ev.participants?.length ?? 0) === 0;
-                  const needsAttention = ((attentionById?.[ev.id] ?? 0) > 0);
-                  const isStart = sameDay(d, ev.start);
-                  const timeLabel = isStart ? hm(ev.start) : "↔";
-                  return (
-                    <button
-                      key={`${ev.id}-${key}`}
-                      onClick={() => onOpenEvent(ev.id)}
-                      style={{
-                        textAlign: "left",
-                        border: "1px solid #eee",
-                        background: needsAttention ? "#fff4e6" : "#e7f5ff",
-                        padding: "6px 8px",
-                        borderRadius: 12,
-                        cursor: "pointer",
-                        fontSize: 12,
-                        lineHeight: "16px",
-                      }}
-                      title="คลิกเพื่อดูรายละเอียดกิจกรรม"
-                    >
-                      <div style={{ fontWeight: 900 }}>
-                        {needsAttention ? "⚠️ " : ""}
-                        {timeLabel} {ev.title}
-                      </div>
-                    </button>
-                  );
-                })}
-                {list.length > 4 ? (
+                />,
+                <div key={`date-${key}`} style={{ gridColumn: c + 1, gridRow: 1, padding: "8px 8px 4px", display: "flex", alignItems: "center", gap: 8, position: "relative" }}>
+                  <div
+                    onClick={() => onPickDay(d)}
+                    style={{
+                      fontWeight: 900,
+                      width: 28,
+                      height: 28,
+                      display: "grid",
+                      placeItems: "center",
+                      borderRadius: 999,
+                      border: isToday ? "2px solid #1a73e8" : "1px solid transparent",
+                      cursor: "pointer",
+                    }}
+                    title="คลิกเพื่อเตรียมสร้างกิจกรรมในวันนี้"
+                  >
+                    {d.getDate()}
+                  </div>
+                  {!inMonth ? <div style={{ fontSize: 11, opacity: 0.5 }}>({d.getMonth() + 1})</div> : null}
+                </div>,
+                week.hidden[c] > 0 ? (
                   <button
+                    key={`more-${key}`}
                     onClick={() => onOpenDayListView?.(d)}
                     style={{
+                      gridColumn: c + 1,
+                      gridRow: moreRow,
+                      justifySelf: "start",
+                      margin: "0 8px 6px",
                       textAlign: "left",
                       border: "none",
                       background: "transparent",
@@ -648,34 +1242,182 @@ function MonthCalendar({ cursor, setCursor, events, onPickDay, onOpenEvent, atte
                       cursor: "pointer",
                       fontSize: 11,
                       opacity: 0.65,
+                      position: "relative",
                     }}
-                    title="ดูกิจกรรมทั้งหมดของวันนี้"
+                    title="ดูกิจกรรมทั้งหมดของวันนี้ใน List View"
                   >
-                    + {list.length - 4} more
+                    + {week.hidden[c]} more
                   </button>
-                ) : null}
-              </div>
-            </div>
-          );
-        })}
-      </div>
+                ) : null,
+              ];
+            })}
+
+            {week.segments.map(({ ev, col, span, lane, isStart, isEnd }) => {
+              const needsAttention = (attentionById?.[ev.id] ?? 0) > 0;
+              const timeLabel = !isStart ? "↔" : ev.allDay ? "" : hm(ev.start);
+              return (
+                // a div: Firefox doesn't start drags from <button>
+                <div
+                  key={`${ev.id}-${ev.occurrenceKey ?? ""}`}
+                  role="button"
+                  onClick={() => onOpenEvent(ev.id, ev.occurrenceKey)}
+                  draggable={Boolean(onMoveEvent)}
+                  onDragStart={(e) => startDrag(e, ev, "move")}
+                  onDragEnd={endDrag}
+                  style={{
+                    gridColumn: `${col + 1} / span ${span}`,
+                    gridRow: lane + 2,
+                    position: "relative",
+                    display: "flex",
+                    gap: 2,
+                    minWidth: 0,
+                    margin: `0 ${isEnd ? 8 : 0}px 6px ${isStart ? 8 : 0}px`,
+                    textAlign: "left",
+                    border: "1px solid #eee",
+                    background: needsAttention ? "#fff4e6" : "#e7f5ff",
+                    padding: "6px 8px",
+                    borderRadius: `${isStart ? 12 : 0}px ${isEnd ? 12 : 0}px ${isEnd ? 12 : 0}px ${isStart ? 12 : 0}px`,
+                    cursor: "pointer",
+                    fontSize: 12,
+                    lineHeight: "16px",
+                  }}
+                  title={onMoveEvent ? "คลิกเพื่อดูรายละเอียด • ลากไปวันอื่นเพื่อย้าย" : "คลิกเพื่อดูรายละเอียดกิจกรรม"}
+                >
+                  {onMoveEvent && isStart ? grip(ev, "start") : null}
+                  <div style={{ fontWeight: 900, flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: span > 1 ? "nowrap" : "normal" }}>
+                    {needsAttention ? "⚠️ " : ""}
+                    {ev.recurrence ? "🔁 " : ""}
+                    {timeLabel ? `${timeLabel} ` : ""}
+                    {ev.title}
+                  </div>
+                  {ev.capacity && isStart ? <CapacityBadge ev={ev} /> : null}
+                  {onMoveEvent && isEnd ? grip(ev, "end") : null}
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
 
       <div style={{ padding: 10, fontSize: 12, opacity: 0.7, borderTop: "1px solid #eee" }}>
         Tips: คลิกเลขวันเพื่อเติมวันที่ในฟอร์ม • ดับเบิลคลิกช่องวันเพื่อสร้างกิจกรรมเร็ว ๆ • คลิกกิจกรรมเพื่อดูรายละเอียด
+        {onMoveEvent ? " • ลากกิจกรรมไปวันอื่นเพื่อย้าย • ลาก ⇤ / ⇥ เพื่อเปลี่ยนวันเริ่ม / วันจบ" : ""}
       </div>
     </div>
   );
 }
 
-// ------------------ App ------------------
-export default function App() {
-  // Tag Library
-  const [tagCatalog, setTagCatalog] = useState({
-    มหาวิทยาลัย: ["วิศวะ", "บริหาร", "สถาปัตย์", "แพทย์"],
-    จังหวัด: ["กรุงเทพ", "เชียงใหม่", "ขอนแก่น"],
-    รูปแบบ: ["online", "onsite"],
-    งบประมาณ: ["เงินน้อย", "เงินมาก"],
-  });
+// ------------------ Calendar (week / day time grid) ------------------
+// FullCalendar's time grid, driven by our own header so it navigates like the month grid.
+// `cursor` is any day of the week (or the day) shown.
+function TimeGridCalendar({ view, cursor, setCursor, events, onOpenEvent, attentionById, onOpenListView, onChangeView, onMoveEvent }) {
+  const days = view === "week" ? 7 : 1;
+  const rangeTime = (view === "week" ? startOfWeekMonday(cursor) : atStartOfDay(cursor)).getTime();
+
+  const calendarEvents = useMemo(() => {
+    const from = new Date(rangeTime);
+    return expandEvents(events, from, addDays(from, days)).map((ev) => {
+      const needsAttention = (attentionById?.[ev.id] ?? 0) > 0;
+      return {
+        id: `${ev.id}/${ev.occurrenceKey ?? ""}`,
+        title: `${needsAttention ? "⚠️ " : ""}${ev.recurrence ? "🔁 " : ""}${ev.title}`,
+        start: ev.start,
+        end: ev.end,
+        allDay: Boolean(ev.allDay),
+        backgroundColor: needsAttention ? "#fff4e6" : "#e7f5ff",
+        borderColor: needsAttention ? "#ffd8a8" : "#a5d8ff",
+        textColor: "#222",
+        extendedProps: { eventId: ev.id, occurrenceKey: ev.occurrenceKey },
+      };
+    });
+  }, [events, attentionById, rangeTime, days]);
+
+  const rangeStart = new Date(rangeTime);
+  const label =
+    view === "week"
+      ? `${ymd(rangeStart)} – ${ymd(addDays(rangeStart, 6))}`
+      : `${ymd(rangeStart)} (${WEEKDAY_FULL[rangeStart.getDay()]})`;
+  const goPrev = () => setCursor((c) => addDays(c, -days));
+  const goNext = () => setCursor((c) => addDays(c, days));
+  const goToday = () => setCursor(atStartOfDay(new Date()));
+  const timeFormat = { hour: "2-digit", minute: "2-digit", hour12: false };
+  // Dragged / resized events snap back: the new dates arrive through `events` once saved.
+  // Dragging between the all-day row and the hours is not a move (the form switches that).
+  const moveTo = (info) => {
+    const { eventId, occurrenceKey } = info.event.extendedProps;
+    const { start, end, allDay } = info.event;
+    info.revert();
+    if (info.oldEvent.allDay !== allDay) return;
+    onMoveEvent(eventId, occurrenceKey, start, end);
+  };
+
+  return (
+    <div style={{ border: "1px solid #eee", borderRadius: 16, background: "#fff", overflow: "hidden" }}>
+      <div style={{ padding: 12, borderBottom: "1px solid #eee", display: "flex", gap: 8, alignItems: "center" }}>
+        <div style={{ fontWeight: 900, fontSize: 16, flex: 1 }}>Calendar {label}</div>
+        <ViewSwitcher view={view} onChange={onChangeView} />
+        <button onClick={goPrev} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+          ◀
+        </button>
+        <button onClick={goToday} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+          วันนี้
+        </button>
+        <button onClick={goNext} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+          ▶
+        </button>
+        <button onClick={() => onOpenListView?.()} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+          List View
+        </button>
+      </div>
+
+      <div style={{ padding: 8 }}>
+        {/* Remounted when the range changes instead of steering FullCalendar's own navigation */}
+        <FullCalendar
+          key={`${view}-${rangeTime}`}
+          plugins={[timeGridPlugin, interactionPlugin]}
+          initialView={view === "week" ? "timeGridWeek" : "timeGridDay"}
+          initialDate={rangeStart}
+          headerToolbar={false}
+          firstDay={1}
+          allDayText="ทั้งวัน"
+          nowIndicator
+          height={640}
+          scrollTime="08:00:00"
+          slotLabelFormat={timeFormat}
+          eventTimeFormat={timeFormat}
+          dayHeaderContent={(arg) => `${WEEKDAY_SHORT[arg.date.getDay()]} ${arg.date.getDate()}/${arg.date.getMonth() + 1}`}
+          events={calendarEvents}
+          eventClick={(info) => onOpenEvent(info.event.extendedProps.eventId, info.event.extendedProps.occurrenceKey)}
+          editable={Boolean(onMoveEvent)}
+          eventDrop={moveTo}
+          eventResize={moveTo}
+        />
+      </div>
+    </div>
+  );
+}
+
+// ------------------ Calendar of one workspace ------------------
+// Remounted (via `key`) when the workspace or the signed-in user changes, so every piece of
+// state below belongs to exactly one workspace and user.
+function CalendarApp({ workspaceId, workspaces, onSwitchWorkspace, onWorkspacesChanged, role, user, onSignOut }) {
+  // What this user's role may do; the server enforces the same rules with RLS.
+  const can = permissionsFor(role);
+  // Recorded as who deleted something or took a snapshot.
+  const actorName = user?.email ?? "";
+
+  // Tag Library. New workspaces start from a built-in catalog, saved by the first user
+  // allowed to edit the library; other roles would only have the server reject it.
+  const [tagCatalog, setTagCatalog] = useState(() =>
+    can.editLibrary
+      ? {
+          มหาวิทยาลัย: ["วิศวะ", "บริหาร", "สถาปัตย์", "แพทย์"],
+          จังหวัด: ["กรุงเทพ", "เชียงใหม่", "ขอนแก่น"],
+          รูปแบบ: ["online", "onsite"],
+          งบประมาณ: ["เงินน้อย", "เงินมาก"],
+        }
+      : {}
+  );
 
   // Kids
   const [kids, setKids] = useState([]);
@@ -705,6 +1447,11 @@ export default function App() {
   // { id, title, start: Date, end: Date, tags: string[], participants: [{kidId,status}] }
   const [events, setEvents] = useState([]);
 
+  const eventById = useMemo(() => new Map(events.map((e) => [e.id, e])), [events]);
+
+  // Trash: deleted kids/events/tags with everything needed to restore them (see src/trash.js)
+  const [trash, setTrash] = useState([]);
+
   // List View (modal)
   const [openListView, setOpenListView] = useState(false);
   const [listFilterTags, setListFilterTags] = useState([]);
@@ -712,122 +1459,784 @@ export default function App() {
   const [listSearch, setListSearch] = useState("");
   const [listFromDate, setListFromDate] = useState("");
   const [listToDate, setListToDate] = useState("");
-
-  // ---- Supabase persistence (load once, then auto-save on data changes) ----
+  // "" = off, "*" = any non-terminal status, otherwise one status id (see isStale in src/statuses.js)
+  const [listStaleStatus, setListStaleStatus] = useState("");
+  const [listStaleDays, setListStaleDays] = useState("14");
+  const [listShowConflicts, setListShowConflicts] = useState(false);
+
+  // ---- Persistence: IndexedDB cache + outbox, replayed to the storage adapter when reachable ----
+  // Records that failed the schema check on load (see src/schema.js): kept out of the state.
+  const [quarantine, setQuarantine] = useState([]);
+  const [openQuarantine, setOpenQuarantine] = useState(false);
+  const store = useMemo(() => {
+    const raw = storage.workspace(workspaceId);
+    // Loaded state goes through the same schema check as cached blobs; a full load replaces
+    // the quarantine list, a partial one adds to it.
+    const checked = (replace) => (remote) => {
+      const { state, quarantined } = loadPayload({ ...remote.state, schemaVersion: SCHEMA_VERSION });
+      setQuarantine((prev) => mergeQuarantine(prev, quarantined, replace));
+      return { ...remote, state };
+    };
+    return {
+      ...raw,
+      load: () => raw.load().then(checked(true)),
+      loadChanged: raw.loadChanged && ((changes, synced) => raw.loadChanged(changes, synced).then(checked(false))),
+    };
+  }, [workspaceId]);
+  // Per user, so a user who signs in on this browser never replays the previous one's edits
+  // (the server would reject their audit entries anyway).
+  const legacyScope = `${storage.name}:${workspaceId}`;
+  const cacheScope = user?.id ? `${legacyScope}:${user.id}` : legacyScope;
   const hydratedRef = useRef(false);
   const saveTimerRef = useRef(null);
-  const [appVersion, setAppVersion] = useState(null);
-  const appVersionRef = useRef(null);
+  // Last state known to match the server, and the per-record versions it was read at.
+  const syncedRef = useRef({ tagCatalog: {}, kids: [], events: [], trash: [] });
+  const versionsRef = useRef({ kids: {}, events: {} });
+  // State/versions the server will reach once the outbox is drained (new ops diff against this).
+  const queuedRef = useRef({ tagCatalog: {}, kids: [], events: [], trash: [] });
+  const queuedVersionsRef = useRef({ kids: {}, events: {} });
+  // Latest local data, for merges that finish after the user kept typing.
+  const dataRef = useRef({ tagCatalog, kids, events, trash });
+  // Last state set through setData(): seeing it again in render means "not a user edit".
+  const externalDataRef = useRef(null);
+  // Conflicts from the last merge; auto-save waits until the user resolves them.
+  const [mergeConflicts, setMergeConflicts] = useState(null);
+  // { pending: number, offline: boolean } for the header indicator
+  const [syncStatus, setSyncStatus] = useState({ pending: 0, offline: false });
+  // Saves and incoming live changes run one at a time so synced state/versions stay consistent.
+  const syncQueueRef = useRef(Promise.resolve());
+  const runSerialized = (task) => {
+    syncQueueRef.current = syncQueueRef.current.then(task).catch((e) => console.error("Storage sync failed:", e));
+    return syncQueueRef.current;
+  };
 
-  // Load saved state from Supabase on first mount (if configured)
   useEffect(() => {
-    let cancelled = false;
+    dataRef.current = { tagCatalog, kids, events, trash };
+  }, [tagCatalog, kids, events, trash]);
+
+  // Replaces app data from outside the user's own edits (server, cache, merges, undo/redo).
+  const setData = (state) => {
+    const next = { ...state, events: reviveEvents(state.events), trash: state.trash ?? [] };
+    dataRef.current = next;
+    externalDataRef.current = next;
+    setTagCatalog(next.tagCatalog);
+    setKids(next.kids);
+    setEvents(next.events);
+    setTrash(next.trash);
+  };
 
-    const hydrate = async () => {
-      if (!supabase) {
-        hydratedRef.current = true;
-        return;
-      }
+  const snapshotNow = () => ({
+    storage: storage.name,
+    schemaVersion: SCHEMA_VERSION,
+    data: dataRef.current,
+    synced: syncedRef.current,
+    versions: versionsRef.current,
+    queuedVersions: queuedVersionsRef.current,
+  });
 
-      const { data, error } = await supabase
-        .from("app_state")
-        .select("data,version")
-        .eq("id", "default")
-        .maybeSingle();
-
-      if (!cancelled) {
-        if (!error) {
-          const remoteVersion = typeof data?.version === "number" ? data.version : 0;
-          appVersionRef.current = remoteVersion;
-          setAppVersion(remoteVersion);
-
-          if (data?.data) {
-            const payload = data.data;
-            if (payload.tagCatalog) setTagCatalog(payload.tagCatalog);
-            if (Array.isArray(payload.kids)) setKids(payload.kids);
-            if (Array.isArray(payload.events)) setEvents(reviveEvents(payload.events));
-          } else {
-            // No row yet — create default state once so future updates can use optimistic locking.
-            await supabase.from("app_state").insert([
-              { id: "default", data: { tagCatalog: {}, kids: [], events: [] }, version: 0, updated_at: new Date().toISOString() },
-            ]);
-            appVersionRef.current = 0;
-            setAppVersion(0);
-          }
-        }
-        hydratedRef.current = true;
-      }
-    };
+  // Server state replaces our merge base; nothing is queued on top of it any more.
+  const resetToRemote = (remote) => {
+    syncedRef.current = remote.state;
+    versionsRef.current = remote.versions;
+    queuedRef.current = remote.state;
+    queuedVersionsRef.current = remote.versions;
+  };
 
-    hydrate();
+  const applyRemoteState = (remote) => {
+    resetToRemote(remote);
+    // Keep the built-in starter catalog until the server has one of its own (only roles that
+    // can save it have one).
+    const tagCatalogNext =
+      Object.keys(remote.state.tagCatalog).length > 0 || !can.editLibrary
+        ? remote.state.tagCatalog
+        : dataRef.current.tagCatalog;
+    setData({ ...remote.state, tagCatalog: tagCatalogNext });
+  };
 
-    return () => {
-      cancelled = true;
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  // Three-way merge: `base` is the server state our local edits were made against.
+  const mergeRemoteState = (base, remote) => {
+    const { merged, conflicts } = mergeStates(base, dataRef.current, remote.state);
+    resetToRemote(remote);
+    setData(merged);
+    if (conflicts.length > 0) setMergeConflicts(conflicts);
+  };
 
-  // Auto-save whenever core app data changes
+  const resolveMergeConflicts = (choices) => {
+    if (!mergeConflicts) return;
+    setData(resolveConflicts(dataRef.current, mergeConflicts, choices));
+    setMergeConflicts(null);
+  };
+
+  const refreshPending = async () => {
+    const pending = await localCache.countOutbox(cacheScope).catch(() => 0);
+    setSyncStatus((prev) => ({ ...prev, pending }));
+    return pending;
+  };
+
+  // Replays the outbox in order. Stops (keeping the rest) on network errors; on a version
+  // conflict drops the failed op and everything queued after it, then merges, which re-queues
+  // whatever local edits remain. Any other error means the server refused the op, which would
+  // fail the same way on every retry. Ops that went through keep their audit entries (queued
+  // right after them, see withAudit). Must run inside runSerialized().
+  const flushOutbox = async () => {
+    const entries = await localCache.readOutbox(cacheScope);
+    let current = null;
+    try {
+      for (const entry of entries) {
+        current = entry;
+        const { versions, conflicts } = await store.save([entry.op], versionsRef.current);
+        versionsRef.current = versions;
+        if (conflicts.length > 0) {
+          // Someone else changed some of the same records first: merge their version with ours
+          // instead of dropping our edits. The merged result is saved by the next auto-save run.
+          await localCache.removeOutboxFrom(cacheScope, entry.seq);
+          mergeRemoteState(syncedRef.current, await store.load());
+          await localCache.commitLocal(cacheScope, snapshotNow());
+          setSyncStatus({ pending: 0, offline: false });
+          return;
+        }
+        await localCache.removeOutboxEntry(entry.seq);
+      }
+      if (entries.length > 0) {
+        syncedRef.current = queuedRef.current;
+        await localCache.commitLocal(cacheScope, snapshotNow());
+      }
+      setSyncStatus({ pending: 0, offline: false });
+    } catch (e) {
+      console.error("Storage save failed:", e);
+      if (isNetworkError(e)) {
+        // Offline: keep the remaining ops and retry later.
+        const pending = await refreshPending();
+        setSyncStatus({ pending, offline: true });
+        return;
+      }
+      // The server refused the write (no permission for this role, invalid data, …): drop our
+      // queued edits instead of retrying them forever, and tell the user why.
+      const remote = await store.load();
+      await localCache.removeOutboxFrom(cacheScope, current?.seq ?? 0);
+      applyRemoteState(remote);
+      await localCache.commitLocal(cacheScope, snapshotNow());
+      setSyncStatus({ pending: 0, offline: false });
+      alert(
+        isPermissionDenied(e)
+          ? "ไม่มีสิทธิ์บันทึกการแก้ไขนี้ — โหลดข้อมูลล่าสุดจากเซิร์ฟเวอร์แล้ว"
+          : `เซิร์ฟเวอร์ไม่รับการแก้ไขนี้ (${e?.message ?? e}) — โหลดข้อมูลล่าสุดจากเซิร์ฟเวอร์แล้ว`
+      );
+    }
+  };
+
+  // Audit entries from the server plus those still waiting in our outbox.
+  const loadHistory = async ({ eventId, kidId }) => {
+    const wanted = (r) => (!eventId || r.event_id === eventId) && (!kidId || r.kid_id === kidId);
+    const outbox = await localCache.readOutbox(cacheScope).catch(() => []);
+    const queued = outbox
+      .filter((entry) => entry.op.table === "audit_log")
+      .flatMap((entry) => entry.op.rows)
+      .filter(wanted)
+      .map((r) => ({ ...r, pending: true }));
+    let saved = [];
+    let offline = false;
+    try {
+      saved = await store.loadHistory({ eventId, kidId });
+    } catch (e) {
+      console.error("Load history failed:", e);
+      offline = true;
+    }
+    const seen = new Set(saved.map((r) => r.id));
+    const entries = [...queued.filter((r) => !seen.has(r.id)), ...saved];
+    entries.sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+    return { entries, offline };
+  };
+
+  // Cached snapshots from older app versions are migrated; one from a newer version throws
+  // (SchemaVersionError) and is ignored like a missing cache.
+  const upgradeCached = (snapshot) => {
+    const data = loadPayload({ ...snapshot.data, schemaVersion: snapshot.schemaVersion });
+    const synced = loadPayload({ ...snapshot.synced, schemaVersion: snapshot.schemaVersion });
+    setQuarantine((prev) => mergeQuarantine(prev, data.quarantined, true));
+    // A catalog this role can't save (e.g. the starter one cached by an older version) would
+    // only be queued and rejected.
+    const local = can.editLibrary ? data.state : { ...data.state, tagCatalog: synced.state.tagCatalog };
+    return { ...snapshot, data: local, synced: synced.state };
+  };
+
+  // Load cached state instantly, then catch up with the storage backend
+  useEffect(() => {
+    let cancelled = false;
+
+    const hydrate = async () => {
+      // Caches from before scopes were per user: take them over if every queued edit is ours.
+      if (cacheScope !== legacyScope) {
+        const ours = (entries) =>
+          entries.every((entry) => entry.op.table !== "audit_log" || entry.op.rows.every((r) => r.actor_id === user.id));
+        await localCache.adoptScope(legacyScope, cacheScope, ours).catch(() => false);
+      }
+      const cached = await localCache
+        .readSnapshot(cacheScope)
+        .then((snapshot) => snapshot && upgradeCached(snapshot))
+        .catch((e) => {
+          console.error("Local cache unavailable:", e);
+          return null;
+        });
+      if (cancelled) return;
+      if (cached) {
+        syncedRef.current = cached.synced;
+        versionsRef.current = cached.versions;
+        queuedRef.current = cached.data;
+        queuedVersionsRef.current = cached.queuedVersions;
+        setData(cached.data);
+      }
+
+      await runSerialized(async () => {
+        await flushOutbox();
+        if (cancelled || (await refreshPending()) > 0) return;
+        try {
+          const remote = await store.load();
+          if (cancelled) return;
+          if (cached) mergeRemoteState(cached.synced, remote);
+          else applyRemoteState(remote);
+          await localCache.commitLocal(cacheScope, snapshotNow()).catch(() => {});
+        } catch (e) {
+          console.error("Storage load failed:", e);
+          setSyncStatus((prev) => ({ ...prev, offline: true }));
+        }
+      });
+      if (cancelled) return;
+      hydratedRef.current = true;
+      purgeExpiredTrash();
+    };
+
+    hydrate();
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Retry the outbox when the browser comes back online, and every 15s while ops are pending.
+  useEffect(() => {
+    if (!storage.remote) return;
+    const retry = () => runSerialized(flushOutbox);
+    const goOffline = () => setSyncStatus((prev) => ({ ...prev, offline: true }));
+    window.addEventListener("online", retry);
+    window.addEventListener("offline", goOffline);
+    const timer = syncStatus.pending > 0 ? setInterval(retry, 15000) : null;
+    return () => {
+      window.removeEventListener("online", retry);
+      window.removeEventListener("offline", goOffline);
+      if (timer) clearInterval(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncStatus.pending > 0]);
+
+  // Live sync: re-read records other clients changed and merge them into local state.
+  // Edit modals work on their own draft state, so open forms are not touched; unsaved
+  // local edits survive because the merge base is the last synced state.
+  useEffect(() => {
+    const unsubscribe = store.subscribe((changes) =>
+      runSerialized(async () => {
+        if (!hydratedRef.current) return;
+        // Our own queued ops must land first; if they can't, the merge waits for a later change.
+        await flushOutbox();
+        if ((await refreshPending()) > 0) return;
+        const remote = await loadChanged(store, changes, { state: syncedRef.current, versions: versionsRef.current });
+        mergeRemoteState(syncedRef.current, remote);
+      }),
+      { versions: () => versionsRef.current }
+    );
+
+    return unsubscribe;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Auto-save whenever core app data changes: cache locally, queue ops, then replay them.
   useEffect(() => {
     if (!hydratedRef.current) return;
-    if (!supabase) return;
+    if (mergeConflicts) return;
 
     if (saveTimerRef.current) clearTimeout(saveTimerRef.current);
 
-    saveTimerRef.current = setTimeout(async () => {
+    saveTimerRef.current = setTimeout(() => runSerialized(async () => {
+      const next = { tagCatalog, kids, events, trash };
+      // Per-record optimistic locking: each op carries the version it expects on the server.
+      let ops = diffState(queuedRef.current, next, queuedVersionsRef.current);
+      if (ops.length > 0) {
+        // Who changed what travels with the write ops, in the same outbox commit.
+        const entries = auditEntries(queuedRef.current, next, { id: user?.id ?? null, name: user?.email ?? "" });
+        ops = withAudit(ops, entries);
+        queuedRef.current = next;
+        queuedVersionsRef.current = predictVersions(queuedVersionsRef.current, ops);
+      }
       try {
-        const payload = { tagCatalog, kids, events };
-        const currentVersion = typeof appVersionRef.current === "number" ? appVersionRef.current : 0;
-        const nextVersion = currentVersion + 1;
-
-        // Optimistic locking: only update if the version hasn't changed since last load/save.
-        const { data: updatedRow, error: updateErr } = await supabase
-          .from("app_state")
-          .update({ data: payload, version: nextVersion, updated_at: new Date().toISOString() })
-          .eq("id", "default")
-          .eq("version", currentVersion)
-          .select("version,data")
-          .maybeSingle();
-
-        if (updateErr) throw updateErr;
-
-        if (!updatedRow) {
-          // Someone else saved first. Reload latest state and avoid overwriting silently.
-          const { data: latest, error: latestErr } = await supabase
-            .from("app_state")
-            .select("data,version")
-            .eq("id", "default")
-            .maybeSingle();
-
-          if (!latestErr && latest?.data) {
-            const p = latest.data;
-            if (p.tagCatalog) setTagCatalog(p.tagCatalog);
-            if (Array.isArray(p.kids)) setKids(p.kids);
-            if (Array.isArray(p.events)) setEvents(reviveEvents(p.events));
-            const v = typeof latest?.version === "number" ? latest.version : 0;
-            appVersionRef.current = v;
-            setAppVersion(v);
-          }
-
-          alert("มีการแก้ไขจากคนอื่นก่อนหน้า ระบบโหลดข้อมูลล่าสุดแล้ว (การแก้ไขของคุณรอบนี้ยังไม่ได้บันทึก).");
-          return;
-        }
-
-        appVersionRef.current = updatedRow.version;
-        setAppVersion(updatedRow.version);
+        await localCache.commitLocal(cacheScope, { ...snapshotNow(), data: next }, ops);
       } catch (e) {
-        // keep UI responsive even if save fails
-        console.error("Supabase save failed:", e);
+        console.error("Local cache save failed:", e);
       }
-    }, 300);
+      if (ops.length === 0) return;
+      await refreshPending();
+      await flushOutbox();
+    }), 300);
 
     return () => {
       if (saveTimerRef.current) clearTimeout(saveTimerRef.current);
     };
-  }, [tagCatalog, kids, events]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tagCatalog, kids, events, trash, mergeConflicts]);
+
+  // ---- Undo / redo ----
+  // Every user edit is kept as a { before, after } pair of whole states. Undo applies
+  // `before` on top of the current state with a three-way merge (base = `after`), so live
+  // changes from other staff that arrived since are kept; redo is the same in reverse.
+  // The result goes through the normal auto-save like any other edit.
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  const lastDataRef = useRef(null);
+  const [undoToast, setUndoToast] = useState(null); // { id, message, stale? }
+  // Which undo entry the toast is about: { toastId, entryId, open } (open = not bound yet)
+  const toastEntryRef = useRef(null);
+
+  useEffect(() => {
+    const now = { tagCatalog, kids, events, trash };
+    const prev = lastDataRef.current;
+    lastDataRef.current = now;
+    const ext = externalDataRef.current;
+    const external =
+      ext && ext.tagCatalog === tagCatalog && ext.kids === kids && ext.events === events && ext.trash === trash;
+    if (!prev || external || !hydratedRef.current) return;
+    const entry = { id: crypto.randomUUID(), before: prev, after: now };
+    undoStackRef.current = [...undoStackRef.current.slice(-(UNDO_LIMIT - 1)), entry];
+    redoStackRef.current = [];
+    // A toast shown along with this edit belongs to it.
+    if (toastEntryRef.current?.open) toastEntryRef.current = { ...toastEntryRef.current, entryId: entry.id, open: false };
+  }, [tagCatalog, kids, events, trash]);
+
+  const undo = () => {
+    const entry = undoStackRef.current.at(-1);
+    if (!entry || mergeConflicts) return;
+    undoStackRef.current = undoStackRef.current.slice(0, -1);
+    redoStackRef.current = [...redoStackRef.current, entry];
+    setData(mergeStates(entry.after, dataRef.current, entry.before).merged);
+    setUndoToast(null);
+  };
+
+  const redo = () => {
+    const entry = redoStackRef.current.at(-1);
+    if (!entry || mergeConflicts) return;
+    redoStackRef.current = redoStackRef.current.slice(0, -1);
+    undoStackRef.current = [...undoStackRef.current, entry];
+    setData(mergeStates(entry.before, dataRef.current, entry.after).merged);
+  };
+
+  // After destructive actions: a toast whose "Undo" reverts the edit made with it. It is called
+  // in the same handler as the edit, so the entry that edit pushes (in the effect above, which
+  // runs first) is the toast's; one pushed later never is.
+  const showUndoToast = (message) => {
+    const id = crypto.randomUUID();
+    toastEntryRef.current = { toastId: id, entryId: null, open: true };
+    setUndoToast({ id, message });
+  };
+
+  // Only while the toast's edit is still the latest: undo() would revert whatever came after it.
+  const undoFromToast = () => {
+    const bound = toastEntryRef.current;
+    const top = undoStackRef.current.at(-1);
+    if (bound?.toastId === undoToast?.id && bound.entryId && top?.id === bound.entryId) undo();
+    else setUndoToast({ ...undoToast, message: "มีการแก้ไขอื่นต่อจากนี้แล้ว — ย้อนทีละขั้นด้วย Ctrl+Z", stale: true });
+  };
+
+  useEffect(() => {
+    // no edit came with the toast: there is nothing for it to undo
+    if (toastEntryRef.current?.open) toastEntryRef.current = { ...toastEntryRef.current, open: false };
+    if (!undoToast) return;
+    const timer = setTimeout(() => setUndoToast(null), 8000);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); text fields keep their own undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const el = e.target;
+      if (el instanceof HTMLElement && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName))) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mergeConflicts]);
+
+  // ---------- trash ----------
+  const workspace = workspaces.find((w) => w.id === workspaceId) ?? null;
+  const settings = useMemo(() => workspaceSettings(workspace), [workspace]);
+  const retentionDays = settings.trashRetentionDays;
+  const [openTrash, setOpenTrash] = useState(false);
+  const [retentionDraft, setRetentionDraft] = useState("");
+
+  // User edits that span several slices (see trash.js); unchanged slices keep their identity.
+  const applyEdit = (fn) => {
+    const next = fn(dataRef.current);
+    setTagCatalog(next.tagCatalog);
+    setKids(next.kids);
+    setEvents(next.events);
+    setTrash(next.trash);
+  };
+
+  const restoreFromTrash = (itemId) => {
+    if (!can.deleteRecords) return;
+    applyEdit((state) => restoreTrashItem(state, itemId));
+  };
+
+  const deleteFromTrash = (item) => {
+    if (!can.deleteRecords) return;
+    if (!confirm(`ลบ "${item.label}" ถาวร?`)) return;
+    applyEdit((state) => purgeTrashItem(state, item.id));
+  };
+
+  // Expired items are dropped by whichever admin has the workspace open (RLS lets only admins
+  // delete from trash); on Supabase the server also purges them hourly (*_purge_trash.sql).
+  // Like a remote change, a purge is not on the undo stack.
+  const purgeExpiredTrash = () => {
+    if (!can.deleteRecords || !hydratedRef.current) return;
+    const state = dataRef.current;
+    const expired = new Set(expiredTrash(state.trash, retentionDays).map((t) => t.id));
+    if (expired.size === 0) return;
+    setData({ ...state, trash: state.trash.filter((t) => !expired.has(t.id)) });
+  };
+
+  useEffect(() => {
+    if (!can.deleteRecords) return;
+    const first = setTimeout(purgeExpiredTrash, 0);
+    const timer = setInterval(purgeExpiredTrash, 60 * 60 * 1000);
+    return () => {
+      clearTimeout(first);
+      clearInterval(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [can.deleteRecords, retentionDays]);
+
+  const saveTrashRetention = async () => {
+    if (!can.manageWorkspaces) return;
+    const days = Number(retentionDraft);
+    if (!Number.isInteger(days) || days < 1) return alert("กรุณาใส่จำนวนวันเป็นจำนวนเต็มตั้งแต่ 1");
+    if (await saveWorkspaceSettings(() => ({ trashRetentionDays: days }))) setRetentionDraft("");
+  };
+
+  // `update(settings)` returns the keys to change. Settings are saved against the
+  // settings_version they were read at; when another admin saved first, the update is
+  // re-applied to their settings, so both changes are kept.
+  const saveWorkspaceSettings = async (update) => {
+    try {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const fresh = (await storage.listWorkspaces()).find((w) => w.id === workspaceId);
+        if (!fresh) throw new Error(`unknown workspace: ${workspaceId}`);
+        const next = { ...(fresh.settings ?? {}), ...update(workspaceSettings(fresh)) };
+        if (await storage.updateWorkspace({ id: workspaceId, settings: next, version: fresh.settings_version ?? 1 })) {
+          await onWorkspacesChanged();
+          return true;
+        }
+      }
+      throw new Error("workspace settings keep changing");
+    } catch (e) {
+      console.error("Update workspace settings failed:", e);
+      // check_violation: the server found participants still using a status being removed
+      if (e?.code === "23514") {
+        await onWorkspacesChanged();
+        alert("ลบสถานะไม่ได้ เพราะยังมีผู้เข้าร่วมใช้สถานะนี้อยู่ (อาจมีคนเพิ่งตั้งค่า) — ลองใหม่หลังโหลดข้อมูลล่าสุด");
+      } else alert("บันทึกการตั้งค่าไม่สำเร็จ (ต้องเชื่อมต่ออินเทอร์เน็ต)");
+      return false;
+    }
+  };
+
+  const trashNewestFirst = useMemo(() => [...trash].sort((a, b) => b.deletedAt - a.deletedAt), [trash]);
+
+  // ---------- status pipeline (src/statuses.js) ----------
+  const [statusDraft, setStatusDraft] = useState(null); // the list being edited; null = closed
+
+  // How many participants (or per-session overrides) use each status id.
+  const statusUsage = useMemo(() => {
+    const out = {};
+    for (const ev of events) {
+      for (const p of ev.participants ?? []) out[p.status] = (out[p.status] ?? 0) + 1;
+      for (const exc of Object.values(ev.exceptions ?? {})) {
+        for (const status of Object.values(exc.statuses ?? {})) out[status] = (out[status] ?? 0) + 1;
+      }
+    }
+    return out;
+  }, [events]);
+
+  const editStatusDraft = (i, patch) => setStatusDraft((list) => list.map((st, j) => (j === i ? { ...st, ...patch } : st)));
+  const moveStatusDraft = (i, delta) =>
+    setStatusDraft((list) => {
+      const j = i + delta;
+      if (j < 0 || j >= list.length) return list;
+      const next = [...list];
+      [next[i], next[j]] = [next[j], next[i]];
+      return next;
+    });
+  const addStatusDraft = () =>
+    setStatusDraft((list) => [...list, { id: `s-${crypto.randomUUID().slice(0, 8)}`, label: "", color: "#e9ecef", terminal: false }]);
+
+  const saveStatuses = async () => {
+    if (!can.manageWorkspaces || !statusDraft) return;
+    const statuses = statusDraft.map((st) => ({ ...st, label: clampStr(st.label) }));
+    if (statuses.length === 0) return alert("ต้องมีอย่างน้อย 1 สถานะ");
+    if (statuses.some((st) => !st.label)) return alert("กรุณาใส่ชื่อสถานะให้ครบ");
+    if (await saveWorkspaceSettings(() => ({ statuses }))) setStatusDraft(null);
+  };
+
+  // ---------- snapshots ----------
+  const [openSnapshots, setOpenSnapshots] = useState(false);
+  const [snapshots, setSnapshots] = useState(null); // newest first; null while loading
+  const [snapshotsOffline, setSnapshotsOffline] = useState(false);
+  const [snapshotBusy, setSnapshotBusy] = useState(false);
+  const [checkpointLabel, setCheckpointLabel] = useState("");
+  const nextAutoSnapshotRef = useRef(0);
+
+  const refreshSnapshots = () =>
+    store.listSnapshots().then(
+      (list) => {
+        setSnapshots(list);
+        setSnapshotsOffline(false);
+      },
+      (e) => {
+        console.error("Loading snapshots failed:", e);
+        setSnapshots([]);
+        setSnapshotsOffline(true);
+      }
+    );
+
+  const openSnapshotList = () => {
+    setOpenSnapshots(true);
+    setSnapshots(null);
+    refreshSnapshots();
+  };
+
+  // Saves a snapshot of the current state and drops the oldest automatic ones.
+  const takeSnapshot = async (kind, label) => {
+    await store.saveSnapshot(createSnapshot(dataRef.current, { kind, label, takenBy: actorName }));
+    const prune = autoSnapshotsToPrune(await store.listSnapshots());
+    if (prune.length > 0) await store.deleteSnapshots(prune);
+  };
+
+  // Hourly, while the calendar has changed since the newest snapshot (whoever took it).
+  const autoSnapshot = async () => {
+    if (!can.editRecords || !hydratedRef.current || Date.now() < nextAutoSnapshotRef.current) return;
+    const state = dataRef.current;
+    if (state.kids.length === 0 && state.events.length === 0) return;
+    try {
+      const [latest] = await store.listSnapshots({ limit: 1 });
+      if (latest && Date.now() - latest.takenAt < SNAPSHOT_INTERVAL_MS) {
+        nextAutoSnapshotRef.current = latest.takenAt + SNAPSHOT_INTERVAL_MS;
+        return;
+      }
+      if (!latest || !sameAsSnapshot(latest, state)) await takeSnapshot("auto", "");
+      nextAutoSnapshotRef.current = Date.now() + SNAPSHOT_INTERVAL_MS;
+    } catch (e) {
+      console.error("Automatic snapshot failed:", e);
+    }
+  };
+
+  useEffect(() => {
+    if (!can.editRecords) return;
+    const timer = setInterval(autoSnapshot, 5 * 60 * 1000);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [can.editRecords]);
+
+  const takeCheckpoint = async () => {
+    if (!can.editRecords) return;
+    setSnapshotBusy(true);
+    try {
+      await takeSnapshot("manual", clampStr(checkpointLabel));
+      setCheckpointLabel("");
+      await refreshSnapshots();
+    } catch (e) {
+      console.error("Checkpoint failed:", e);
+      alert("บันทึก snapshot ไม่สำเร็จ (ต้องเชื่อมต่ออินเทอร์เน็ต)");
+    } finally {
+      setSnapshotBusy(false);
+    }
+  };
+
+  // Saves a checkpoint before a bulk change; false if it failed and the user chose to stop.
+  const checkpointBefore = async (label) => {
+    try {
+      await takeSnapshot("manual", label);
+      return true;
+    } catch (e) {
+      console.error("Checkpoint failed:", e);
+      return confirm("เก็บ snapshot ของข้อมูลปัจจุบันไม่สำเร็จ — ทำต่อโดยไม่มี snapshot?");
+    }
+  };
+
+  // Restoring is a normal (undoable) edit: autosave diffs it against the last synced state
+  // and the outbox saves it with the usual per-record version checks. Records the snapshot
+  // lacks go to the trash.
+  const restoreSnapshot = async (snapshot) => {
+    if (!can.deleteRecords || !can.editLibrary) return;
+    const taken = `${ymd(new Date(snapshot.takenAt))} ${hm(new Date(snapshot.takenAt))}`;
+    if (!confirm(`กู้คืนข้อมูลทั้งหมดเป็นของ ${taken}? (ข้อมูลปัจจุบันจะถูกเก็บเป็น snapshot ไว้ก่อน)`)) return;
+    setSnapshotBusy(true);
+    if (!(await checkpointBefore(`ก่อนกู้คืน ${taken}`))) {
+      setSnapshotBusy(false);
+      return;
+    }
+    applyEdit((state) => restoreSnapshotState(state, snapshot, actorName));
+    setSnapshotBusy(false);
+    setOpenSnapshots(false);
+    showUndoToast(`กู้คืนข้อมูลของ ${taken} แล้ว`);
+  };
+
+  const deleteSnapshot = async (snapshot) => {
+    if (!can.deleteRecords) return;
+    if (!confirm("ลบ snapshot นี้?")) return;
+    try {
+      await store.deleteSnapshots([snapshot.id]);
+      await refreshSnapshots();
+    } catch (e) {
+      console.error("Delete snapshot failed:", e);
+      alert("ลบ snapshot ไม่สำเร็จ (ต้องเชื่อมต่ออินเทอร์เน็ต)");
+    }
+  };
+
+  // What restoring each snapshot would change.
+  const snapshotDiffs = useMemo(() => {
+    const current = { tagCatalog, kids, events };
+    return new Map((snapshots ?? []).map((s) => [s.id, snapshotDiff(current, snapshotState(s))]));
+  }, [snapshots, tagCatalog, kids, events]);
+
+  // ---------- data check ----------
+  const [openDataCheck, setOpenDataCheck] = useState(false);
+  const [tagCategoryDrafts, setTagCategoryDrafts] = useState({}); // tag -> category
+  const [dateDrafts, setDateDrafts] = useState({}); // eventId -> { start, end } ("YYYY-MM-DDTHH:mm")
+
+  const integrityIssues = useMemo(
+    () => (openDataCheck ? checkIntegrity({ tagCatalog, kids, events }) : []),
+    [openDataCheck, tagCatalog, kids, events]
+  );
+  // Events held back on load because their dates don't parse (see src/schema.js).
+  const unparseableEvents = quarantine.filter((q) => q.kind === "event" && q.code === "bad-dates");
+
+  const fixIssue = (issue) => {
+    if (!can.editLibrary) return;
+    if (issue.type === "dangling-participant") {
+      applyEdit((state) => removeDanglingParticipant(state, issue.eventId, issue.kidId));
+    } else if (issue.type === "unknown-tag") {
+      const category = tagCategoryDrafts[issue.tag] ?? Object.keys(tagCatalog)[0];
+      if (!category) return alert("ยังไม่มีหมวดใน Tag Library");
+      applyEdit((state) => addTagToCategory(state, issue.tag, category));
+    } else if (issue.type === "bad-dates") {
+      const ev = eventById.get(issue.eventId);
+      if (ev) applyEdit((state) => setEventDates(state, ev.id, ev.start, suggestedEnd(ev.start)));
+    }
+  };
+
+  const removeAllDanglingParticipants = () => {
+    if (!can.editLibrary) return;
+    const dangling = integrityIssues.filter((i) => i.type === "dangling-participant");
+    applyEdit((state) => dangling.reduce((acc, i) => removeDanglingParticipant(acc, i.eventId, i.kidId), state));
+  };
+
+  // A quarantined event is still stored as it was. It goes into the sync base unchanged and
+  // into the state with the new dates, so auto-save writes a version-checked update of the
+  // existing row. This is not an undoable edit: undo would delete the row instead.
+  const fixUnparseableEvent = (q) => {
+    if (!can.editLibrary) return;
+    const draft = dateDrafts[q.id] ?? {};
+    const start = draft.start ? new Date(draft.start) : null;
+    const end = draft.end ? new Date(draft.end) : null;
+    if (!start || !end || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return alert("กรุณาใส่วันเริ่มและวันจบ");
+    if (end <= start) return alert("วันจบต้องหลังวันเริ่ม");
+    if (events.some((e) => e.id === q.id)) return;
+
+    const kidIds = new Set(kids.map((k) => k.id));
+    const record = {
+      ...q.record,
+      title: typeof q.record.title === "string" ? q.record.title : "",
+      tags: Array.isArray(q.record.tags) ? q.record.tags : [],
+      participants: (Array.isArray(q.record.participants) ? q.record.participants : []).filter(
+        (p) => p && kidIds.has(p.kidId) && typeof p.status === "string" && p.status
+      ),
+    };
+    const stored = { ...record, start: new Date(NaN), end: new Date(NaN) };
+    syncedRef.current = { ...syncedRef.current, events: [...syncedRef.current.events, stored] };
+    queuedRef.current = { ...queuedRef.current, events: [...queuedRef.current.events, stored] };
+    setData({ ...dataRef.current, events: [...dataRef.current.events, { ...record, start, end }] });
+    setQuarantine((prev) => prev.filter((x) => x !== q));
+  };
+
+  // ---------- export / import ----------
+  const [openBackup, setOpenBackup] = useState(false);
+  const [importFileName, setImportFileName] = useState("");
+  const [importResult, setImportResult] = useState(null); // { errors, data } from readBackup
+  const [importMode, setImportMode] = useState("merge"); // "merge" | "replace"
+  const [importBusy, setImportBusy] = useState(false);
+
+  const exportBackup = () => {
+    const doc = createBackup({ tagCatalog, kids, events }, workspace);
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `kids-calendar-${(workspace?.name ?? workspaceId).replace(/[^\p{L}\p{N}_-]+/gu, "_")}-${ymd(new Date())}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const pickImportFile = async (file) => {
+    setImportFileName(file?.name ?? "");
+    setImportResult(null);
+    if (!file) return;
+    let doc;
+    try {
+      doc = JSON.parse(await file.text());
+    } catch {
+      setImportResult({ errors: ["อ่านไฟล์ไม่ได้: ไม่ใช่ JSON"] });
+      return;
+    }
+    setImportResult(readBackup(doc, workspaceId));
+  };
+
+  const closeBackup = () => {
+    setOpenBackup(false);
+    setImportFileName("");
+    setImportResult(null);
+  };
+
+  // What the import would do to the current data.
+  const importPreview = useMemo(() => {
+    if (!importResult?.data) return null;
+    const current = { tagCatalog, kids, events, trash };
+    const { state, dropped } = applyImport(current, importResult.data, importMode);
+    return { diff: snapshotDiff(current, state), dropped };
+  }, [importResult, importMode, tagCatalog, kids, events, trash]);
+
+  // Written like any other edit (diffed, version-checked, undoable), after a checkpoint.
+  const confirmImport = async () => {
+    if (!can.deleteRecords || !can.editLibrary || !importResult?.data) return;
+    setImportBusy(true);
+    if (!(await checkpointBefore(`ก่อนนำเข้า ${importFileName}`))) {
+      setImportBusy(false);
+      return;
+    }
+    applyEdit((state) => applyImport(state, importResult.data, importMode).state);
+    setImportBusy(false);
+    closeBackup();
+    showUndoToast(`นำเข้า ${importFileName} แล้ว`);
+  };
 
   // Calendar cursor
   const [calCursor, setCalCursor] = useState(startOfMonth(new Date()));
+  const [calView, setCalView] = useState("month"); // "month" | "week" | "day"
+  const [dayCursor, setDayCursor] = useState(() => atStartOfDay(new Date())); // week / day views
 
   // Event create form (UPDATED: start/end date)
   const today = ymd(new Date());
@@ -836,14 +2245,25 @@ export default function App() {
   const [evEndDate, setEvEndDate] = useState(today);
   const [evStartTime, setEvStartTime] = useState("09:00");
   const [evEndTime, setEvEndTime] = useState("10:00");
+  const [evAllDay, setEvAllDay] = useState(false);
+  const [evCapacity, setEvCapacity] = useState(""); // "" = no limit
+  const [evKidIds, setEvKidIds] = useState([]); // participants copied from a duplicate / template
+  const [evTemplateId, setEvTemplateId] = useState("");
   const [evTags, setEvTags] = useState([]);
   const [openEvTagPicker, setOpenEvTagPicker] = useState(false);
   const [evSignupUrl, setEvSignupUrl] = useState("");
+  const [evRecurrence, setEvRecurrence] = useState(NO_RECURRENCE);
 
   // Modals
   const [openTagLibrary, setOpenTagLibrary] = useState(false);
 
   const [activeEventIdForDetail, setActiveEventIdForDetail] = useState(null);
+  const [detailTab, setDetailTab] = useState("info"); // "info" | "history"
+  const [activeOccurrenceKey, setActiveOccurrenceKey] = useState(null); // one session of a recurring event
+  const [occurrenceStatusScope, setOccurrenceStatusScope] = useState("occurrence"); // "occurrence" | "series"
+  const [moveDate, setMoveDate] = useState("");
+  const [moveTime, setMoveTime] = useState("");
+  const [historyKidId, setHistoryKidId] = useState(null);
 
   const [activeEventIdForSuggest, setActiveEventIdForSuggest] = useState(null);
   const [suggestSearch, setSuggestSearch] = useState("");
@@ -860,7 +2280,98 @@ export default function App() {
   const [editEndDate, setEditEndDate] = useState("");
   const [editStartTime, setEditStartTime] = useState("");
   const [editEndTime, setEditEndTime] = useState("");
+  const [editAllDay, setEditAllDay] = useState(false);
+  const [editCapacity, setEditCapacity] = useState("");
   const [editSignupUrl, setEditSignupUrl] = useState("");
+  const [editRecurrence, setEditRecurrence] = useState(NO_RECURRENCE);
+
+  // Workspaces
+  const [openNewWorkspace, setOpenNewWorkspace] = useState(false);
+  const [newWorkspaceName, setNewWorkspaceName] = useState("");
+  const [newWorkspaceCloneFrom, setNewWorkspaceCloneFrom] = useState(""); // "" = built-in starter catalog
+  const [openCopyKids, setOpenCopyKids] = useState(false);
+  const [copyTargetId, setCopyTargetId] = useState("");
+  const [copyKidSelection, setCopyKidSelection] = useState({}); // kidId -> bool
+  const [workspaceBusy, setWorkspaceBusy] = useState(false);
+
+  // ---------- workspaces ----------
+  const emptyData = { tagCatalog: {}, kids: [], events: [], trash: [] };
+  const noVersions = { kids: {}, events: {} };
+
+  const createWorkspace = async () => {
+    if (!can.manageWorkspaces) return;
+    const name = clampStr(newWorkspaceName);
+    if (!name) return alert("กรุณาใส่ชื่อ workspace");
+    if (workspaces.some((w) => w.name === name)) return alert("มี workspace ชื่อนี้แล้ว");
+
+    setWorkspaceBusy(true);
+    try {
+      const id = crypto.randomUUID();
+      await storage.createWorkspace({ id, name });
+      if (newWorkspaceCloneFrom) {
+        const catalog =
+          newWorkspaceCloneFrom === workspaceId
+            ? tagCatalog
+            : (await storage.workspace(newWorkspaceCloneFrom).load()).state.tagCatalog;
+        const ops = diffState(emptyData, { ...emptyData, tagCatalog: catalog }, noVersions);
+        await storage.workspace(id).save(ops, noVersions);
+      }
+      await onWorkspacesChanged();
+      setOpenNewWorkspace(false);
+      onSwitchWorkspace(id);
+    } catch (e) {
+      console.error("Create workspace failed:", e);
+      alert("สร้าง workspace ไม่สำเร็จ (ต้องเชื่อมต่ออินเทอร์เน็ต)");
+    } finally {
+      setWorkspaceBusy(false);
+    }
+  };
+
+  // Copies get new ids; kids with the same name + group_id already in the target are skipped.
+  // Tags the target catalog lacks are added under the same category they have here.
+  const copyKidsToWorkspace = async () => {
+    if (!can.manageWorkspaces) return;
+    const picked = kids.filter((k) => copyKidSelection[k.id]);
+    if (!copyTargetId || picked.length === 0) return;
+
+    setWorkspaceBusy(true);
+    try {
+      const target = storage.workspace(copyTargetId);
+      const remote = await target.load();
+      const kidKey = (k) => `${k.name}\u0000${k.group_id ?? ""}`;
+      const existing = new Set(remote.state.kids.map(kidKey));
+
+      const catalog = Object.fromEntries(Object.entries(remote.state.tagCatalog).map(([c, list]) => [c, [...list]]));
+      const known = new Set(Object.values(catalog).flat());
+      const categoryOf = (t) => Object.keys(tagCatalog).find((c) => (tagCatalog[c] ?? []).includes(t)) ?? "ทั่วไป";
+
+      const copies = [];
+      for (const kid of picked) {
+        if (existing.has(kidKey(kid))) continue;
+        copies.push({ ...kid, id: crypto.randomUUID(), createdAt: Date.now() });
+        for (const t of kid.tags ?? []) {
+          if (known.has(t)) continue;
+          const c = categoryOf(t);
+          catalog[c] = [...(catalog[c] ?? []), t];
+          known.add(t);
+        }
+      }
+
+      const next = { ...remote.state, tagCatalog: catalog, kids: [...remote.state.kids, ...copies] };
+      const { conflicts } = await target.save(diffState(remote.state, next, remote.versions), remote.versions);
+      if (conflicts.length > 0) throw new Error("target workspace changed during copy");
+
+      const targetName = workspaces.find((w) => w.id === copyTargetId)?.name ?? copyTargetId;
+      const skipped = picked.length - copies.length;
+      alert(`คัดลอก ${copies.length} คนไปยัง "${targetName}" แล้ว${skipped > 0 ? ` (ข้าม ${skipped} คนที่มีอยู่แล้ว)` : ""}`);
+      setOpenCopyKids(false);
+    } catch (e) {
+      console.error("Copy kids failed:", e);
+      alert("คัดลอกไม่สำเร็จ กรุณาลองใหม่อีกครั้ง");
+    } finally {
+      setWorkspaceBusy(false);
+    }
+  };
 
   // ---------- Tag rename/delete propagation ----------
   const renameTagEverywhere = (oldTag, newTag) => {
@@ -894,28 +2405,21 @@ export default function App() {
     const t = clampStr(tag);
     if (!t) return;
 
-    setTagCatalog((prev) => {
-      const next = {};
-      for (const [cat, list] of Object.entries(prev)) {
-        next[cat] = (list ?? []).filter((x) => x !== t);
-      }
-      return next;
-    });
+    applyEdit((state) => trashTag(state, t, { deletedBy: actorName }));
 
     const removeFrom = (arr) => (arr ?? []).filter((x) => x !== t);
 
-    setKids((prev) => prev.map((k) => ({ ...k, tags: removeFrom(k.tags) })));
-    setEvents((prev) => prev.map((e) => ({ ...e, tags: removeFrom(e.tags) })));
-
     setKidFilterTags((prev) => removeFrom(prev));
     setNewKidTags((prev) => removeFrom(prev));
     setEditKidTags((prev) => removeFrom(prev));
     setEvTags((prev) => removeFrom(prev));
     setEditEventTags((prev) => removeFrom(prev));
+    showUndoToast(`ลบ Tag "${t}" ออกจากทุกที่แล้ว (กู้คืนได้จากถังขยะ)`);
   };
 
   // Scoped rename/delete: only affects tagCatalog within a single category (does NOT propagate to kids/events).
   const renameTagInCategory = (category, oldTag, newTag) => {
+    if (!can.editLibrary) return;
     const cat = clampStr(category);
     const o = clampStr(oldTag);
     const n = clampStr(newTag);
@@ -928,18 +2432,17 @@ export default function App() {
   };
 
   const deleteTagInCategory = (category, tag) => {
+    if (!can.editLibrary) return;
     const cat = clampStr(category);
     const t = clampStr(tag);
     if (!cat || !t) return;
-    setTagCatalog((prev) => {
-      const list = prev[cat] ?? [];
-      const nextList = list.filter((x) => x !== t);
-      return { ...prev, [cat]: nextList };
-    });
+    applyEdit((state) => trashTag(state, t, { category: cat, deletedBy: actorName }));
+    showUndoToast(`ลบ Tag "${t}" แล้ว (กู้คืนได้จากถังขยะ)`);
   };
 
   // ---------- kids actions ----------
   const addKid = () => {
+    if (!can.editRecords) return;
     const name = clampStr(newKidName);
     if (!name) return;
     const id = crypto.randomUUID();
@@ -953,6 +2456,7 @@ export default function App() {
   };
 
   const renameKid = (kidId) => {
+    if (!can.editRecords) return;
     const kid = kidById.get(kidId);
     if (!kid) return;
     const next = prompt("แก้ชื่อเด็ก:", kid.name);
@@ -962,6 +2466,7 @@ export default function App() {
     setKids((prev) => prev.map((k) => (k.id === kidId ? { ...k, name: t } : k)));
   };
   const editKidGroupId = (kidId) => {
+    if (!can.editRecords) return;
     const kid = kidById.get(kidId);
     if (!kid) return;
     const current = kid.group_id ? String(kid.group_id) : "";
@@ -972,22 +2477,14 @@ export default function App() {
   };
 
   const deleteKid = (kidId) => {
+    if (!can.deleteRecords) return;
     const kid = kidById.get(kidId);
     if (!kid) return;
     if (!confirm(`ลบเด็ก "${kid.name}"? (จะเอาเด็กคนนี้ออกจากกิจกรรมทั้งหมดด้วย)`)) return;
 
-    setKids((prev) => prev.filter((k) => k.id !== kidId));
-    setVisible((prev) => {
-      const n = { ...prev };
-      delete n[kidId];
-      return n;
-    });
-    setEvents((prev) =>
-      prev.map((ev) => ({
-        ...ev,
-        participants: (ev.participants ?? []).filter((p) => p.kidId !== kidId),
-      }))
-    );
+    // `visible[kidId]` is left alone so an undo or restore brings the kid back as it was shown.
+    applyEdit((state) => trashKid(state, kidId, actorName));
+    showUndoToast(`ลบเด็ก "${kid.name}" แล้ว (กู้คืนได้จากถังขยะ)`);
   };
 
   const toggleVisible = (kidId) => setVisible((prev) => ({ ...prev, [kidId]: !prev[kidId] }));
@@ -1003,6 +2500,7 @@ export default function App() {
   };
 
   const openEditTagsForKid = (kidId) => {
+    if (!can.editRecords) return;
     const kid = kidById.get(kidId);
     if (!kid) return;
     setEditKidId(kidId);
@@ -1048,6 +2546,17 @@ export default function App() {
 
   const visibleEvents = useMemo(() => events.filter(eventIsVisible), [events, visibleKidIds]);
 
+  // ---------- calendar views ----------
+  // Week/day views open on today when it is in the month shown, else on the month's first day.
+  const changeCalView = (view) => {
+    if (view === "month") setCalCursor(startOfMonth(dayCursor));
+    else if (calView === "month") {
+      const today = atStartOfDay(new Date());
+      setDayCursor(sameDay(startOfMonth(today), calCursor) ? today : calCursor);
+    }
+    setCalView(view);
+  };
+
   // ---------- create event ----------
   const pickDay = (d) => {
     const ds = ymd(d);
@@ -1057,17 +2566,25 @@ export default function App() {
   };
 
   const createEvent = () => {
+    if (!can.editRecords) return;
     const t = clampStr(evTitle);
     if (!t) return alert("กรุณาใส่ชื่อกิจกรรม");
 
-    const start = combineDateTime(evStartDate, evStartTime);
-    const end = combineDateTime(evEndDate, evEndTime);
-    if (start >= end) return alert("วัน/เวลาเริ่มต้องก่อนวัน/เวลาจบ");
+    const { start, end } = evAllDay
+      ? allDayRange(evStartDate, evEndDate)
+      : { start: combineDateTime(evStartDate, evStartTime), end: combineDateTime(evEndDate, evEndTime) };
+    const recurrence = recurrenceFromDraft(evRecurrence);
+    if (recurrence === undefined) return alert("กรุณาตรวจรูปแบบการซ้ำ (จำนวนต้องเป็นเลขตั้งแต่ 1 และต้องเลือกวันสิ้นสุด)");
+    const datesError = eventDatesError(start, end, recurrence);
+    if (datesError) return alert(datesError);
+
+    const capacity = normalizeCapacity(evCapacity.trim());
+    if (evCapacity.trim() && !capacity) return alert("จำนวนที่รับต้องเป็นเลขจำนวนเต็มตั้งแต่ 1 (เว้นว่าง = ไม่จำกัด)");
 
     const rawLink = clampStr(evSignupUrl);
     const signupUrl = rawLink ? (rawLink.startsWith("http://") || rawLink.startsWith("https://") ? rawLink : `https://${rawLink}`) : "";
 
-    const ev = {
+    let ev = {
       id: crypto.randomUUID(),
       title: t,
       start,
@@ -1076,30 +2593,129 @@ export default function App() {
       signupUrl,
       participants: [],
     };
+    if (evAllDay) ev.allDay = true;
+    if (capacity) ev.capacity = capacity;
+    if (recurrence) ev.recurrence = recurrence;
+    const participants = draftParticipants({ kidIds: evKidIds }, kids.map((k) => k.id), settings.statuses[0].id);
+    ev = addParticipants(ev, participants.map((p) => recordStatus(p, p.status, actorName)));
 
     setEvents((prev) => [...prev, ev]);
     setEvTitle("");
     setEvSignupUrl("");
     setEvTags([]);
+    setEvRecurrence(NO_RECURRENCE);
+    setEvCapacity("");
+    setEvKidIds([]);
+    setEvTemplateId("");
 
     openSuggestForEvent(ev.id);
   };
 
-  const openEventDetail = (eventId) => setActiveEventIdForDetail(eventId);
+  // ---------- templates / duplicate (src/templates.js) ----------
+  // Fills the create form; the dates stay as picked, the end date keeps the draft's length.
+  const applyDraftToForm = (draft, startDate = evStartDate) => {
+    setEvTitle(draft.title);
+    setEvTags(draft.tags);
+    setEvSignupUrl(draft.signupUrl);
+    setEvAllDay(draft.allDay);
+    setEvStartTime(draft.startTime);
+    setEvEndTime(draft.endTime);
+    setEvStartDate(startDate);
+    setEvEndDate(ymd(addDays(combineDateTime(startDate, "00:00"), draft.days)));
+    setEvRecurrence(NO_RECURRENCE);
+    setEvCapacity(draft.capacity ? String(draft.capacity) : "");
+    setEvKidIds(draft.kidIds);
+  };
+
+  const pickTemplate = (templateId) => {
+    setEvTemplateId(templateId);
+    const template = settings.eventTemplates.find((t) => t.id === templateId);
+    if (template) applyDraftToForm(template);
+  };
+
+  const duplicateEvent = (eventId, withParticipants) => {
+    if (!can.editRecords) return;
+    const ev = events.find((e) => e.id === eventId);
+    if (!ev) return;
+    setActiveEventIdForDetail(null);
+    setEvTemplateId("");
+    applyDraftToForm(eventDraft(ev, { withParticipants }), ymd(ev.start));
+  };
+
+
+  // The form as it is now (title, tags, link, times, length, capacity, copied participants).
+  const saveFormAsTemplate = async () => {
+    if (!can.manageWorkspaces) return;
+    const title = clampStr(evTitle);
+    if (!title) return alert("กรุณาใส่ชื่อกิจกรรมก่อนบันทึกเป็นเทมเพลต");
+    const name = clampStr(prompt("ชื่อเทมเพลต:", title));
+    if (!name) return;
+    const start = combineDateTime(evStartDate, "00:00");
+    const days = Math.max(0, Math.round((combineDateTime(evEndDate, "00:00") - start) / DAY_MS));
+    const template = {
+      id: crypto.randomUUID(),
+      name,
+      title,
+      tags: evTags,
+      signupUrl: clampStr(evSignupUrl),
+      allDay: evAllDay,
+      startTime: evStartTime,
+      endTime: evEndTime,
+      days,
+      capacity: normalizeCapacity(evCapacity.trim()),
+      kidIds: evKidIds,
+    };
+    // Added to the templates as saved now, so one another admin just added isn't lost.
+    if (await saveWorkspaceSettings((fresh) => ({ eventTemplates: [...fresh.eventTemplates, template] }))) setEvTemplateId(template.id);
+  };
+
+  const deleteEventTemplate = async (templateId) => {
+    if (!can.manageWorkspaces) return;
+    const template = settings.eventTemplates.find((t) => t.id === templateId);
+    if (!template || !confirm(`ลบเทมเพลต "${template.name}"?`)) return;
+    if (await saveWorkspaceSettings((fresh) => ({ eventTemplates: fresh.eventTemplates.filter((t) => t.id !== templateId) }))) {
+      setEvTemplateId("");
+    }
+  };
+
+  // `occurrenceKey` picks one session of a recurring event (src/recurrence.js).
+  const openEventDetail = (eventId, occurrenceKey = null) => {
+    const ev = events.find((e) => e.id === eventId);
+    const occurrence = ev && occurrenceKey ? occurrenceAt(ev, occurrenceKey) : null;
+    setDetailTab("info");
+    setActiveEventIdForDetail(eventId);
+    setActiveOccurrenceKey(occurrence ? occurrenceKey : null);
+    setOccurrenceStatusScope("occurrence");
+    setDetailSelection({});
+    setMoveDate(occurrence ? ymd(occurrence.start) : "");
+    setMoveTime(occurrence ? hm(occurrence.start) : "");
+  };
 
   const activeEventForDetail = useMemo(
     () => events.find((e) => e.id === activeEventIdForDetail) ?? null,
     [events, activeEventIdForDetail]
   );
 
+  const activeOccurrence = useMemo(
+    () => (activeEventForDetail && activeOccurrenceKey ? occurrenceAt(activeEventForDetail, activeOccurrenceKey) : null),
+    [activeEventForDetail, activeOccurrenceKey]
+  );
+  // The detail modal shows the chosen session's time, and its statuses unless "ทุกครั้ง" is picked.
+  const detailShown = activeOccurrence ?? activeEventForDetail;
+  const perOccurrenceStatus = Boolean(activeOccurrence) && occurrenceStatusScope === "occurrence";
+
   const deleteEvent = (eventId) => {
+    if (!can.deleteRecords) return;
     if (!confirm("ลบกิจกรรมนี้?")) return;
-    setEvents((prev) => prev.filter((e) => e.id !== eventId));
+    const title = events.find((e) => e.id === eventId)?.title ?? "";
+    applyEdit((state) => trashEvent(state, eventId, actorName));
     if (activeEventIdForDetail === eventId) setActiveEventIdForDetail(null);
+    showUndoToast(`ลบกิจกรรม "${title}" แล้ว (กู้คืนได้จากถังขยะ)`);
   };
 
   // ---------- edit event tags ----------
   const openEditTagsForEvent = (eventId) => {
+    if (!can.editRecords) return;
     const ev = events.find((e) => e.id === eventId);
     if (!ev) return;
     setEditEventId(eventId);
@@ -1116,15 +2732,19 @@ export default function App() {
 
   // ---------- edit event info ----------
   const openEditInfoForEvent = (eventId) => {
+    if (!can.editRecords) return;
     const ev = events.find((e) => e.id === eventId);
     if (!ev) return;
     setEditInfoEventId(eventId);
     setEditTitle(ev.title ?? "");
     setEditStartDate(ymd(ev.start));
-    setEditEndDate(ymd(ev.end));
-    setEditStartTime(hm(ev.start));
-    setEditEndTime(hm(ev.end));
+    setEditEndDate(ymd(lastDay(ev)));
+    setEditStartTime(ev.allDay ? "09:00" : hm(ev.start));
+    setEditEndTime(ev.allDay ? "10:00" : hm(ev.end));
+    setEditAllDay(Boolean(ev.allDay));
+    setEditCapacity(ev.capacity ? String(ev.capacity) : "");
     setEditSignupUrl(ev.signupUrl ?? "");
+    setEditRecurrence(recurrenceDraft(ev.recurrence));
     setOpenEditEventInfo(true);
   };
   const saveEditEventInfo = () => {
@@ -1132,18 +2752,55 @@ export default function App() {
     const t = clampStr(editTitle);
     if (!t) return alert("กรุณาใส่ชื่อกิจกรรม");
 
-    const start = combineDateTime(editStartDate, editStartTime);
-    const end = combineDateTime(editEndDate, editEndTime);
-    if (start >= end) return alert("วัน/เวลาเริ่มต้องก่อนวัน/เวลาจบ");
+    const { start, end } = editAllDay
+      ? allDayRange(editStartDate, editEndDate)
+      : { start: combineDateTime(editStartDate, editStartTime), end: combineDateTime(editEndDate, editEndTime) };
+    const recurrence = recurrenceFromDraft(editRecurrence);
+    if (recurrence === undefined) return alert("กรุณาตรวจรูปแบบการซ้ำ (จำนวนต้องเป็นเลขตั้งแต่ 1 และต้องเลือกวันสิ้นสุด)");
+    const datesError = eventDatesError(start, end, recurrence);
+    if (datesError) return alert(datesError);
+
+    const capacity = normalizeCapacity(editCapacity.trim());
+    if (editCapacity.trim() && !capacity) return alert("จำนวนที่รับต้องเป็นเลขจำนวนเต็มตั้งแต่ 1 (เว้นว่าง = ไม่จำกัด)");
 
     const rawLink = clampStr(editSignupUrl);
     const signupUrl = rawLink ? (rawLink.startsWith("http://") || rawLink.startsWith("https://") ? rawLink : `https://${rawLink}`) : "";
 
-    setEvents((prev) =>
-      prev.map((e) => (e.id === editInfoEventId ? { ...e, title: t, start, end, signupUrl } : e))
-    );
+    // Overrides of sessions that the new rule / start no longer has are dropped.
+    // A raised (or removed) capacity seats kids from the waitlist; a lowered one moves the
+    // last seated kids onto it.
+    const update = (e) => {
+      const next = { ...e, title: t, start, end, allDay: true, signupUrl, capacity, recurrence };
+      if (!editAllDay) delete next.allDay;
+      if (!capacity) delete next.capacity;
+      if (!recurrence) delete next.recurrence;
+      return enforceCapacity(pruneExceptions(next));
+    };
+    const current = events.find((e) => e.id === editInfoEventId);
+    const { promoted, waitlisted } = current ? update(current) : { promoted: [], waitlisted: [] };
+    setEvents((prev) => prev.map((e) => (e.id === editInfoEventId ? update(e).event : e)));
     setOpenEditEventInfo(false);
     setEditInfoEventId(null);
+    const names = (ids) => ids.map((id) => kidById.get(id)?.name ?? "เด็ก").join(", ");
+    if (promoted.length > 0) showUndoToast(`${names(promoted)} ได้ที่นั่งจากรายการสำรอง`);
+    if (waitlisted.length > 0) showUndoToast(`${names(waitlisted)} ย้ายไปรายการสำรอง (ที่นั่งเต็ม)`);
+  };
+
+  // ---------- drag and drop (calendar) ----------
+  // Moves or resizes an event, or a single session of a recurring one, like saveEditEventInfo.
+  const moveEventDates = (eventId, occurrenceKey, start, end) => {
+    if (!can.editRecords) return;
+    const ev = events.find((e) => e.id === eventId);
+    if (!ev) return;
+    const datesError = eventDatesError(start, end, occurrenceKey ? null : ev.recurrence);
+    if (datesError) return alert(datesError);
+    setEvents((prev) =>
+      prev.map((e) => {
+        if (e.id !== eventId) return e;
+        return occurrenceKey ? moveOccurrence(e, occurrenceKey, start, end) : { ...e, start, end };
+      })
+    );
+    showUndoToast(`ย้าย "${ev.title}" เป็น ${whenLabel({ start, end, allDay: ev.allDay })} แล้ว`);
   };
 
   // ---------- suggest ----------
@@ -1153,6 +2810,7 @@ export default function App() {
   );
 
   const openSuggestForEvent = (eventId) => {
+    if (!can.editRecords) return;
     setActiveEventIdForSuggest(eventId);
     setSuggestSearch("");
     setSuggestSelection({});
@@ -1188,6 +2846,11 @@ export default function App() {
     return scored;
   }, [activeEventForSuggest, kids, suggestSearch, assignedKidIds]);
 
+  const suggestClashes = useMemo(
+    () => (activeEventForSuggest ? clashesFor(events, activeEventForSuggest) : new Map()),
+    [events, activeEventForSuggest]
+  );
+
 
   const newCandidateIdsForSuggest = useMemo(() => {
     const ev = activeEventForSuggest;
@@ -1223,38 +2886,192 @@ export default function App() {
     const existing = new Set((ev.participants ?? []).map((p) => p.kidId));
     const toAdd = picked
       .filter((id) => !existing.has(id))
-      .map((id) => ({ kidId: id, status: 0 }));
+      .map((id) => recordStatus({ kidId: id }, settings.statuses[0].id, actorName));
+    // kids over the event's capacity go onto its waitlist (src/capacity.js)
     setEvents((prev) =>
       prev.map((e) =>
         (e.id === ev.id
-          ? { ...e, suggestedAt: e.suggestedAt ?? Date.now(), participants: [...(e.participants ?? []), ...toAdd] }
+          ? addParticipants({ ...e, suggestedAt: e.suggestedAt ?? Date.now() }, toAdd)
           : e)
       )
     );
     setActiveEventIdForSuggest(null);
+    const waiting = waitlistOf(addParticipants(ev, toAdd)).length - waitlistOf(ev).length;
+    if (waiting > 0) showUndoToast(`เต็มแล้ว — ${waiting} คนอยู่ในรายการสำรองของ "${ev.title}"`);
   };
 
   // ---------- participants status & remove ----------
-  const cycleParticipantStatus = (eventId, kidId) => {
+  const setParticipantsStatus = (eventId, kidIds, status) => {
+    if (!can.editRecords) return;
+    const ids = new Set(kidIds);
     setEvents((prev) =>
       prev.map((e) => {
         if (e.id !== eventId) return e;
         const next = (e.participants ?? []).map((p) =>
-          p.kidId === kidId ? { ...p, status: (p.status + 1) % 3 } : p
+          ids.has(p.kidId) && p.status !== status ? recordStatus(p, status, actorName) : p
         );
         return { ...e, participants: next };
       })
     );
   };
 
+  const setParticipantStatus = (eventId, kidId, status) => setParticipantsStatus(eventId, [kidId], status);
+
+  // Removes kids from an event; waitlisted kids move up into the seats they free (src/capacity.js).
+  const removeParticipants = (eventId, kidIds, message) => {
+    const ids = new Set(kidIds);
+    const drop = (e) => fillSeats(pruneExceptions({ ...e, participants: (e.participants ?? []).filter((p) => !ids.has(p.kidId)) }));
+    const ev = events.find((e) => e.id === eventId);
+    const promoted = ev ? drop(ev).promoted : [];
+    setEvents((prev) => prev.map((e) => (e.id === eventId ? drop(e).event : e)));
+    const names = promoted.map((id) => kidById.get(id)?.name ?? "เด็ก").join(", ");
+    showUndoToast(promoted.length > 0 ? `${message} — ${names} ได้ที่นั่งจากรายการสำรอง` : message);
+  };
+
   const removeParticipant = (eventId, kidId) => {
+    if (!can.editRecords) return;
+    removeParticipants(eventId, [kidId], `เอา ${kidById.get(kidId)?.name ?? "เด็ก"} ออกจากกิจกรรมแล้ว`);
+  };
+
+  const moveWaitlisted = (eventId, kidId, delta) => {
+    if (!can.editRecords) return;
+    setEvents((prev) => prev.map((e) => (e.id === eventId ? moveOnWaitlist(e, kidId, delta) : e)));
+  };
+
+  // ---------- single sessions of recurring events ----------
+  const editActiveOccurrence = (fn) => {
+    if (!can.editRecords || !activeOccurrence) return;
+    setEvents((prev) => prev.map((e) => (e.id === activeEventIdForDetail ? fn(e, activeOccurrenceKey) : e)));
+  };
+
+  const skipActiveOccurrence = () => {
+    editActiveOccurrence(skipOccurrence);
+    showUndoToast(`ข้ามครั้งวันที่ ${activeOccurrenceKey} แล้ว`);
+  };
+
+  const restoreActiveOccurrence = () => editActiveOccurrence(restoreOccurrence);
+
+  const moveActiveOccurrence = () => {
+    const allDay = Boolean(activeEventForDetail.allDay);
+    if (!moveDate || (!allDay && !moveTime)) return;
+    const start = combineDateTime(moveDate, allDay ? "00:00" : moveTime);
+    const end = new Date(start.getTime() + (activeEventForDetail.end - activeEventForDetail.start));
+    editActiveOccurrence((e, key) => moveOccurrence(e, key, start, end));
+  };
+
+  const setActiveOccurrenceStatuses = (kidIds, status) => {
+    const ids = new Set(kidIds);
+    editActiveOccurrence((e, key) => {
+      const next = kidIds.reduce((acc, kidId) => setOccurrenceStatus(acc, key, kidId, status), e);
+      // the session's status lives in exceptions; the series participant keeps the record
+      return { ...next, participants: (next.participants ?? []).map((p) => (ids.has(p.kidId) ? recordStatus(p, status, actorName, { key }) : p)) };
+    });
+  };
+
+  const setActiveOccurrenceStatus = (kidId, status) => setActiveOccurrenceStatuses([kidId], status);
+
+  // ---------- bulk participant actions (event detail) ----------
+  // Each action is a single setEvents call, so one Undo reverts all of it.
+  const [detailSelection, setDetailSelection] = useState({}); // kidId -> bool
+  const selectedParticipantIds = (activeEventForDetail?.participants ?? []).map((p) => p.kidId).filter((id) => detailSelection[id]);
+
+  const bulkSetStatus = (status) => {
+    if (!can.editRecords || !status || selectedParticipantIds.length === 0) return;
+    if (perOccurrenceStatus) setActiveOccurrenceStatuses(selectedParticipantIds, status);
+    else setParticipantsStatus(activeEventForDetail.id, selectedParticipantIds, status);
+    showUndoToast(`ตั้งสถานะ "${statusInfo(settings.statuses, status).label}" ให้ ${selectedParticipantIds.length} คนแล้ว`);
+  };
+
+  const bulkRemoveParticipants = () => {
+    if (!can.editRecords || selectedParticipantIds.length === 0) return;
+    removeParticipants(activeEventForDetail.id, selectedParticipantIds, `เอาเด็ก ${selectedParticipantIds.length} คนออกจากกิจกรรมแล้ว`);
+    setDetailSelection({});
+  };
+
+  // Kids already in the target event keep their status there; the rest start at the first one.
+  const bulkCopyParticipants = (targetId) => {
+    const target = events.find((e) => e.id === targetId);
+    if (!can.editRecords || !target || selectedParticipantIds.length === 0) return;
+    const existing = new Set((target.participants ?? []).map((p) => p.kidId));
+    const toAdd = selectedParticipantIds
+      .filter((id) => !existing.has(id))
+      .map((id) => recordStatus({ kidId: id }, settings.statuses[0].id, actorName));
+    if (toAdd.length === 0) return alert(`เด็กที่เลือกอยู่ใน "${target.title}" แล้วทุกคน`);
+    setEvents((prev) => prev.map((e) => (e.id === targetId ? addParticipants(e, toAdd) : e)));
+    const skipped = selectedParticipantIds.length - toAdd.length;
+    const waiting = waitlistOf(addParticipants(target, toAdd)).length - waitlistOf(target).length;
+    showUndoToast(
+      `คัดลอก ${toAdd.length} คนไป "${target.title}" แล้ว${skipped > 0 ? ` (อยู่แล้ว ${skipped} คน)` : ""}${waiting > 0 ? ` — ${waiting} คนอยู่ในรายการสำรอง` : ""}`
+    );
+  };
+
+  // Appends the same line to each selected kid's note for this event.
+  const bulkAddNote = () => {
+    if (!can.editRecords || selectedParticipantIds.length === 0) return;
+    const note = clampStr(prompt(`Note สำหรับเด็ก ${selectedParticipantIds.length} คน (จะบันทึกไว้ในกิจกรรมนี้)`, "") ?? "");
+    if (!note) return;
     setEvents((prev) =>
-      prev.map((e) =>
-        e.id === eventId ? { ...e, participants: (e.participants ?? []).filter((p) => p.kidId !== kidId) } : e
-      )
+      prev.map((e) => {
+        if (e.id !== activeEventForDetail.id) return e;
+        const notes = { ...(e.suggestNotes ?? {}) };
+        for (const id of selectedParticipantIds) notes[id] = notes[id]?.trim() ? `${notes[id]} / ${note}` : note;
+        return { ...e, suggestNotes: notes };
+      })
     );
+    showUndoToast(`เพิ่ม note ให้ ${selectedParticipantIds.length} คนแล้ว`);
   };
 
+  // The detail modal's participants (with the chosen session's statuses); waitlisted ones get their `rank`.
+  const detailParticipants = (perOccurrenceStatus ? activeOccurrence : activeEventForDetail)?.participants ?? [];
+  const detailWaitlist = detailParticipants.filter((p) => p.waitlisted);
+  const detailClashes = useMemo(
+    () => (activeEventForDetail ? clashesFor(events, activeEventForDetail, activeOccurrence) : new Map()),
+    [events, activeEventForDetail, activeOccurrence]
+  );
+  const detailParticipantRow = (p, rank = 0) => (
+    <div key={p.kidId} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+      {can.editRecords ? (
+        <input
+          type="checkbox"
+          checked={Boolean(detailSelection[p.kidId])}
+          onChange={(e) => setDetailSelection((prev) => ({ ...prev, [p.kidId]: e.target.checked }))}
+          title="เลือก"
+        />
+      ) : null}
+      {rank ? <span style={{ fontSize: 12, fontWeight: 900, opacity: 0.7 }}>สำรอง #{rank}</span> : null}
+      <StatusChip
+        label={kidById.get(p.kidId)?.name ?? "(เด็กถูกลบแล้ว)"}
+        status={p.status}
+        statuses={settings.statuses}
+        onChange={
+          can.editRecords
+            ? (status) => (perOccurrenceStatus ? setActiveOccurrenceStatus(p.kidId, status) : setParticipantStatus(activeEventForDetail.id, p.kidId, status))
+            : undefined
+        }
+      />
+      {detailClashes.has(p.kidId) ? (
+        <span title={clashTitle(detailClashes.get(p.kidId))} style={{ fontSize: 11, fontWeight: 900, color: "#b42318", cursor: "help" }}>
+          ⚠️ ชนเวลา
+        </span>
+      ) : null}
+      {rank > 1 && can.editRecords ? (
+        <IconButton title="เลื่อนขึ้นในรายการสำรอง" onClick={() => moveWaitlisted(activeEventForDetail.id, p.kidId, -1)}>
+          ▲
+        </IconButton>
+      ) : null}
+      {rank > 0 && rank < detailWaitlist.length && can.editRecords ? (
+        <IconButton title="เลื่อนลงในรายการสำรอง" onClick={() => moveWaitlisted(activeEventForDetail.id, p.kidId, 1)}>
+          ▼
+        </IconButton>
+      ) : null}
+      {can.editRecords ? (
+        <IconButton title="เอาเด็กออกจากกิจกรรม" onClick={() => removeParticipant(activeEventForDetail.id, p.kidId)}>
+          ✖
+        </IconButton>
+      ) : null}
+    </div>
+  );
+
   // ---------- Event detail "new suggestions" banner ----------
   const detailNewMatches = useMemo(() => {
     const ev = activeEventForDetail;
@@ -1347,11 +3164,27 @@ export default function App() {
       return true;
     };
 
-    return (visibleEvents ?? [])
-      .filter((ev) => matchTags(ev) && matchQuery(ev) && matchDate(ev))
-      .slice()
-      .sort((a, b) => (a.start?.getTime?.() ?? 0) - (b.start?.getTime?.() ?? 0));
-  }, [visibleEvents, kidById, listFilterTags, listSearch, listFromDate, listToDate]);
+    const staleDays = Math.max(0, Number(listStaleDays) || 0);
+    const matchStale = (ev) => {
+      if (!listStaleStatus) return true;
+      const status = listStaleStatus === "*" ? "" : listStaleStatus;
+      return (ev.participants ?? []).some((p) => isStale(p, settings.statuses, { status, days: staleDays }));
+    };
+
+    // recurring events are listed once per occurrence in the date range
+    const horizon = toBound ?? addDays(atStartOfDay(new Date()), LIST_HORIZON_DAYS);
+    return expandEvents(visibleEvents ?? [], fromBound, horizon)
+      .filter((ev) => matchTags(ev) && matchQuery(ev) && matchDate(ev) && matchStale(ev))
+      .slice()
+      .sort((a, b) => (a.start?.getTime?.() ?? 0) - (b.start?.getTime?.() ?? 0) || Boolean(b.allDay) - Boolean(a.allDay));
+  }, [visibleEvents, kidById, listFilterTags, listSearch, listFromDate, listToDate, listStaleStatus, listStaleDays, settings.statuses]);
+
+  // Double bookings in the List View's date range (kid filter applied), see src/overlaps.js.
+  const listConflicts = useMemo(() => {
+    const from = listFromDate ? combineDateTime(listFromDate, "00:00") : null;
+    const to = listToDate ? combineDateTime(listToDate, "23:59") : addDays(atStartOfDay(new Date()), LIST_HORIZON_DAYS);
+    return scheduleConflicts(visibleEvents ?? [], from, to);
+  }, [visibleEvents, listFromDate, listToDate]);
 
   const listViewGrouped = useMemo(() => {
     const groups = new Map(); // ymd(dayStart) -> events[]
@@ -1364,7 +3197,8 @@ export default function App() {
       if (!rawStart || !rawEnd) continue;
 
       let dayStart = atStartOfDay(rawStart);
-      let dayEnd = atStartOfDay(rawEnd);
+      // the day of its last moment: an event ending at midnight is not listed on the next day
+      let dayEnd = atStartOfDay(new Date(Math.max(rawStart.getTime(), rawEnd.getTime() - 1)));
 
       if (filterStart && dayStart < filterStart) dayStart = new Date(filterStart);
       if (filterEnd && dayEnd > filterEnd) dayEnd = new Date(filterEnd);
@@ -1376,8 +3210,9 @@ export default function App() {
       }
     }
 
+    // all-day events first on each day, then by start
     for (const [k, arr] of groups) {
-      arr.sort((a, b) => (a.start?.getTime?.() ?? 0) - (b.start?.getTime?.() ?? 0));
+      arr.sort((a, b) => Boolean(b.allDay) - Boolean(a.allDay) || (a.start?.getTime?.() ?? 0) - (b.start?.getTime?.() ?? 0));
       groups.set(k, arr);
     }
 
@@ -1414,6 +3249,48 @@ export default function App() {
 
       {/* Sidebar */}
       <div style={{ width: 480, borderRight: "1px solid #ddd", padding: 16, overflow: "auto" }}>
+        {/* Workspace switcher */}
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 14, paddingBottom: 12, borderBottom: "1px solid #eee" }}>
+          <select
+            value={workspaceId}
+            onChange={(e) => onSwitchWorkspace(e.target.value)}
+            title="Workspace"
+            style={{ flex: 1, padding: 10, borderRadius: 12, border: "1px solid #ddd", background: "#fff", fontWeight: 800 }}
+          >
+            {workspaces.map((w) => (
+              <option key={w.id} value={w.id}>
+                {w.name}
+              </option>
+            ))}
+          </select>
+          {can.manageWorkspaces ? (
+            <>
+              <button
+                onClick={() => {
+                  setNewWorkspaceName("");
+                  setNewWorkspaceCloneFrom(workspaceId);
+                  setOpenNewWorkspace(true);
+                }}
+                style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}
+              >
+                + Workspace
+              </button>
+              <button
+                onClick={() => {
+                  setCopyTargetId(workspaces.find((w) => w.id !== workspaceId)?.id ?? "");
+                  setCopyKidSelection({});
+                  setOpenCopyKids(true);
+                }}
+                disabled={workspaces.length < 2}
+                title={workspaces.length < 2 ? "ต้องมีอย่างน้อย 2 workspace" : "คัดลอกเด็กที่เลือกไปยัง workspace อื่น"}
+                style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: workspaces.length < 2 ? "not-allowed" : "pointer", opacity: workspaces.length < 2 ? 0.6 : 1 }}
+              >
+                คัดลอกเด็ก…
+              </button>
+            </>
+          ) : null}
+        </div>
+
         <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
           <h3 style={{ margin: 0, flex: 1 }}>เด็ก</h3>
           <button
@@ -1422,6 +3299,45 @@ export default function App() {
           >
             🏷️ Tag Library
           </button>
+          <button
+            onClick={() => setOpenTrash(true)}
+            title="ของที่ถูกลบ (กู้คืนได้)"
+            style={{ border: "1px solid #eee", background: "#fff", padding: "8px 10px", borderRadius: 12, cursor: "pointer" }}
+          >
+            🗑️ {trash.length}
+          </button>
+          <button
+            onClick={openSnapshotList}
+            title="Snapshots (ย้อนข้อมูลทั้งปฏิทิน)"
+            style={{ border: "1px solid #eee", background: "#fff", padding: "8px 10px", borderRadius: 12, cursor: "pointer" }}
+          >
+            📸
+          </button>
+          <button
+            onClick={() => setOpenBackup(true)}
+            title="Export / Import (ไฟล์ JSON)"
+            style={{ border: "1px solid #eee", background: "#fff", padding: "8px 10px", borderRadius: 12, cursor: "pointer" }}
+          >
+            💾
+          </button>
+          {can.manageWorkspaces ? (
+            <button
+              onClick={() => setStatusDraft(settings.statuses)}
+              title="สถานะผู้เข้าร่วม (ลำดับ สี ชื่อ)"
+              style={{ border: "1px solid #eee", background: "#fff", padding: "8px 10px", borderRadius: 12, cursor: "pointer" }}
+            >
+              🚦
+            </button>
+          ) : null}
+          {can.editLibrary ? (
+            <button
+              onClick={() => setOpenDataCheck(true)}
+              title="ตรวจข้อมูล (Check data)"
+              style={{ border: "1px solid #eee", background: "#fff", padding: "8px 10px", borderRadius: 12, cursor: "pointer" }}
+            >
+              🩺
+            </button>
+          ) : null}
         </div>
 
         <div style={{ marginTop: 12 }}>
@@ -1469,47 +3385,49 @@ export default function App() {
           ) : null}
         </div>
 
-        <div style={{ marginTop: 14, display: "grid", gap: 8 }}>
-          <input
-            placeholder="ชื่อเด็ก..."
-            value={newKidName}
-            onChange={(e) => setNewKidName(e.target.value)}
-            onKeyDown={(e) => (e.key === "Enter" ? addKid() : null)}
-            style={{ width: "100%", padding: 10, borderRadius: 12, border: "1px solid #ddd" }}
-          />
+        {can.editRecords ? (
+          <div style={{ marginTop: 14, display: "grid", gap: 8 }}>
+            <input
+              placeholder="ชื่อเด็ก..."
+              value={newKidName}
+              onChange={(e) => setNewKidName(e.target.value)}
+              onKeyDown={(e) => (e.key === "Enter" ? addKid() : null)}
+              style={{ width: "100%", padding: 10, borderRadius: 12, border: "1px solid #ddd" }}
+            />
 
-          <input
-            placeholder="group_id (Line group id)..."
-            value={newKidGroupId}
-            onChange={(e) => setNewKidGroupId(e.target.value)}
-            onKeyDown={(e) => (e.key === "Enter" ? addKid() : null)}
-            style={{ width: "100%", padding: 10, borderRadius: 12, border: "1px solid #ddd" }}
-          />
+            <input
+              placeholder="group_id (Line group id)..."
+              value={newKidGroupId}
+              onChange={(e) => setNewKidGroupId(e.target.value)}
+              onKeyDown={(e) => (e.key === "Enter" ? addKid() : null)}
+              style={{ width: "100%", padding: 10, borderRadius: 12, border: "1px solid #ddd" }}
+            />
+
+            <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <button
+                onClick={() => setOpenNewKidTagPicker(true)}
+                style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}
+              >
+                เลือก Tag เด็ก…
+              </button>
+
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", flex: 1 }}>
+                {newKidTags.length === 0 ? (
+                  <span style={{ fontSize: 12, opacity: 0.65 }}>(ยังไม่เลือกแท็ก)</span>
+                ) : (
+                  newKidTags.map((t) => <TagPill key={t} text={t} />)
+                )}
+              </div>
+            </div>
 
-          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
             <button
-              onClick={() => setOpenNewKidTagPicker(true)}
-              style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}
+              onClick={addKid}
+              style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer", width: 130 }}
             >
-              เลือก Tag เด็ก…
+              + เพิ่มเด็ก
             </button>
-
-            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", flex: 1 }}>
-              {newKidTags.length === 0 ? (
-                <span style={{ fontSize: 12, opacity: 0.65 }}>(ยังไม่เลือกแท็ก)</span>
-              ) : (
-                newKidTags.map((t) => <TagPill key={t} text={t} />)
-              )}
-            </div>
           </div>
-
-          <button
-            onClick={addKid}
-            style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer", width: 130 }}
-          >
-            + เพิ่มเด็ก
-          </button>
-        </div>
+        ) : null}
 
         <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
           <button onClick={showAll} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
@@ -1534,34 +3452,45 @@ export default function App() {
                     <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
                       group_id: {kid.group_id ? kid.group_id : "-"}
                     </span>
-                    <button
-                      onClick={() => editKidGroupId(kid.id)}
-                      style={{
-                        padding: "2px 6px",
-                        borderRadius: 8,
-                        border: "1px solid #ddd",
-                        background: "#fff",
-                        cursor: "pointer",
-                        fontSize: 12,
-                        lineHeight: "16px",
-                        opacity: 0.9,
-                      }}
-                    >
-                      edit
-                    </button>
+                    {can.editRecords ? (
+                      <button
+                        onClick={() => editKidGroupId(kid.id)}
+                        style={{
+                          padding: "2px 6px",
+                          borderRadius: 8,
+                          border: "1px solid #ddd",
+                          background: "#fff",
+                          cursor: "pointer",
+                          fontSize: 12,
+                          lineHeight: "16px",
+                          opacity: 0.9,
+                        }}
+                      >
+                        edit
+                      </button>
+                    ) : null}
                   </div>
                 </div>
 
                 <div style={{ display: "flex", gap: 6 }}>
-                  <IconButton title="แก้ชื่อ" onClick={() => renameKid(kid.id)}>
-                    ✏️
-                  </IconButton>
-                  <IconButton title="แก้ tag เด็ก" onClick={() => openEditTagsForKid(kid.id)}>
-                    🏷️
-                  </IconButton>
-                  <IconButton title="ลบเด็ก" onClick={() => deleteKid(kid.id)} danger>
-                    🗑️
+                  {can.editRecords ? (
+                    <>
+                      <IconButton title="แก้ชื่อ" onClick={() => renameKid(kid.id)}>
+                        ✏️
+                      </IconButton>
+                      <IconButton title="แก้ tag เด็ก" onClick={() => openEditTagsForKid(kid.id)}>
+                        🏷️
+                      </IconButton>
+                    </>
+                  ) : null}
+                  <IconButton title="ประวัติการแก้ไข" onClick={() => setHistoryKidId(kid.id)}>
+                    🕘
                   </IconButton>
+                  {can.deleteRecords ? (
+                    <IconButton title="ลบเด็ก" onClick={() => deleteKid(kid.id)} danger>
+                      🗑️
+                    </IconButton>
+                  ) : null}
                 </div>
               </div>
 
@@ -1578,75 +3507,214 @@ export default function App() {
       <div style={{ flex: 1, padding: 16, overflow: "auto", background: "#fafafa" }}>
         <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
           <h2 style={{ margin: 0, flex: 1 }}>Calendar</h2>
+          {can.editRecords ? (
+            <div style={{ display: "flex", gap: 4 }}>
+              <button
+                onClick={undo}
+                title="Undo (Ctrl+Z)"
+                style={{ padding: "6px 8px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}
+              >
+                ↶ Undo
+              </button>
+              <button
+                onClick={redo}
+                title="Redo (Ctrl+Shift+Z)"
+                style={{ padding: "6px 8px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}
+              >
+                ↷ Redo
+              </button>
+            </div>
+          ) : null}
+          <div
+            title={storage.remote ? `สถานะการบันทึกข้อมูล (${storage.name})` : "บันทึกไว้ในเบราว์เซอร์นี้เท่านั้น (local storage)"}
+            style={{
+              fontSize: 12,
+              fontWeight: 800,
+              padding: "4px 10px",
+              borderRadius: 999,
+              border: `1px solid ${syncStatus.offline ? "#ffa8a8" : syncStatus.pending > 0 ? "#ffe066" : "#b2f2bb"}`,
+              background: syncStatus.offline ? "#fff5f5" : syncStatus.pending > 0 ? "#fff9db" : "#ebfbee",
+              whiteSpace: "nowrap",
+            }}
+          >
+            {syncStatus.offline
+              ? `⚠️ offline${syncStatus.pending > 0 ? ` (pending ${syncStatus.pending} changes)` : ""}`
+              : syncStatus.pending > 0
+                ? `⏳ pending ${syncStatus.pending} changes`
+                : storage.remote
+                  ? "✓ saved"
+                  : "✓ saved (เครื่องนี้)"}
+          </div>
+          {quarantine.length > 0 ? (
+            <button
+              onClick={() => setOpenQuarantine(true)}
+              title="ข้อมูลบางรายการมีรูปแบบไม่ถูกต้อง จึงไม่ได้แสดง"
+              style={{ fontSize: 12, fontWeight: 800, padding: "4px 10px", borderRadius: 999, border: "1px solid #ffa8a8", background: "#fff5f5", cursor: "pointer", whiteSpace: "nowrap" }}
+            >
+              ⚠️ ข้อมูลเสีย {quarantine.length}
+            </button>
+          ) : null}
+          {user ? (
+            <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, whiteSpace: "nowrap" }}>
+              <span title={user.email} style={{ fontWeight: 800 }}>
+                👤 {user.email} · {ROLE_LABELS[role] ?? role}
+              </span>
+              <button
+                onClick={onSignOut}
+                style={{ padding: "6px 8px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}
+              >
+                ออกจากระบบ
+              </button>
+            </div>
+          ) : null}
           <div style={{ fontSize: 12, opacity: 0.7 }}>
             กรองกิจกรรมตามเด็กที่เปิดการมองเห็นไว้ (กิจกรรมที่ยังไม่มอบหมายจะแสดงเสมอ)
           </div>
         </div>
 
         {/* Create Event */}
-        <div style={{ padding: 12, border: "1px solid #eee", borderRadius: 16, background: "#fff", margin: "14px 0 16px", maxWidth: 1120 }}>
-          <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-            <div style={{ fontWeight: 900, fontSize: 16, flex: 1 }}>สร้างกิจกรรมใหม่</div>
-            <button onClick={() => setOpenEvTagPicker(true)} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
-              เลือก Tag กิจกรรม…
-            </button>
-          </div>
+        {can.editRecords ? (
+          <div style={{ padding: 12, border: "1px solid #eee", borderRadius: 16, background: "#fff", margin: "14px 0 16px", maxWidth: 1120 }}>
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+              <div style={{ fontWeight: 900, fontSize: 16, flex: 1 }}>สร้างกิจกรรมใหม่</div>
+              <select value={evTemplateId} onChange={(e) => pickTemplate(e.target.value)} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd" }}>
+                <option value="">{settings.eventTemplates.length === 0 ? "(ยังไม่มีเทมเพลต)" : "ใช้เทมเพลต…"}</option>
+                {settings.eventTemplates.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.name}
+                  </option>
+                ))}
+              </select>
+              {can.manageWorkspaces && evTemplateId ? (
+                <IconButton title="ลบเทมเพลตนี้" danger onClick={() => deleteEventTemplate(evTemplateId)}>
+                  🗑
+                </IconButton>
+              ) : null}
+              {can.manageWorkspaces ? (
+                <button onClick={saveFormAsTemplate} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                  💾 บันทึกเป็นเทมเพลต
+                </button>
+              ) : null}
+              <button onClick={() => setOpenEvTagPicker(true)} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                เลือก Tag กิจกรรม…
+              </button>
+            </div>
 
-          <div style={{ marginTop: 10, display: "flex", gap: 10, flexWrap: "wrap" }}>
-            <input placeholder="ชื่อกิจกรรม…" value={evTitle} onChange={(e) => setEvTitle(e.target.value)} style={{ padding: 10, minWidth: 260, flex: 1, borderRadius: 12, border: "1px solid #ddd" }} />
+            <div style={{ marginTop: 10, display: "flex", gap: 10, flexWrap: "wrap" }}>
+              <input placeholder="ชื่อกิจกรรม…" value={evTitle} onChange={(e) => setEvTitle(e.target.value)} style={{ padding: 10, minWidth: 260, flex: 1, borderRadius: 12, border: "1px solid #ddd" }} />
 
-            <input placeholder="ลิงก์สมัคร (ถ้ามี)…" value={evSignupUrl} onChange={(e) => setEvSignupUrl(e.target.value)} style={{ padding: 10, minWidth: 220, flex: 1, borderRadius: 12, border: "1px solid #ddd" }} />
+              <input placeholder="ลิงก์สมัคร (ถ้ามี)…" value={evSignupUrl} onChange={(e) => setEvSignupUrl(e.target.value)} style={{ padding: 10, minWidth: 220, flex: 1, borderRadius: 12, border: "1px solid #ddd" }} />
 
-            <label style={{ display: "grid", gap: 4 }}>
-              <span style={{ fontSize: 12, opacity: 0.7 }}>วันที่เริ่ม</span>
-              <input type="date" value={evStartDate} onChange={(e) => setEvStartDate(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
-            </label>
+              <label style={{ display: "grid", gap: 4 }}>
+                <span style={{ fontSize: 12, opacity: 0.7 }}>วันที่เริ่ม</span>
+                <input type="date" value={evStartDate} onChange={(e) => setEvStartDate(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
+              </label>
 
-            <label style={{ display: "grid", gap: 4 }}>
-              <span style={{ fontSize: 12, opacity: 0.7 }}>เวลาเริ่ม</span>
-              <input type="time" value={evStartTime} onChange={(e) => setEvStartTime(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
-            </label>
+              {evAllDay ? null : (
+                <label style={{ display: "grid", gap: 4 }}>
+                  <span style={{ fontSize: 12, opacity: 0.7 }}>เวลาเริ่ม</span>
+                  <input type="time" value={evStartTime} onChange={(e) => setEvStartTime(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
+                </label>
+              )}
 
-            <label style={{ display: "grid", gap: 4 }}>
-              <span style={{ fontSize: 12, opacity: 0.7 }}>วันที่จบ</span>
-              <input type="date" value={evEndDate} onChange={(e) => setEvEndDate(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
-            </label>
+              <label style={{ display: "grid", gap: 4 }}>
+                <span style={{ fontSize: 12, opacity: 0.7 }}>วันที่จบ</span>
+                <input type="date" value={evEndDate} onChange={(e) => setEvEndDate(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
+              </label>
 
-            <label style={{ display: "grid", gap: 4 }}>
-              <span style={{ fontSize: 12, opacity: 0.7 }}>เวลาจบ</span>
-              <input type="time" value={evEndTime} onChange={(e) => setEvEndTime(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
-            </label>
+              {evAllDay ? null : (
+                <label style={{ display: "grid", gap: 4 }}>
+                  <span style={{ fontSize: 12, opacity: 0.7 }}>เวลาจบ</span>
+                  <input type="time" value={evEndTime} onChange={(e) => setEvEndTime(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
+                </label>
+              )}
 
-            <button onClick={createEvent} style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer" }}>
-              + สร้าง
-            </button>
-          </div>
+              <label style={{ display: "flex", gap: 6, alignItems: "center", alignSelf: "end", padding: "10px 0", fontSize: 13 }}>
+                <input type="checkbox" checked={evAllDay} onChange={(e) => setEvAllDay(e.target.checked)} />
+                ทั้งวัน
+              </label>
+
+              <label style={{ display: "grid", gap: 4 }}>
+                <span style={{ fontSize: 12, opacity: 0.7 }}>รับ (คน)</span>
+                <input
+                  type="number"
+                  min={1}
+                  placeholder="ไม่จำกัด"
+                  value={evCapacity}
+                  onChange={(e) => setEvCapacity(e.target.value)}
+                  style={{ padding: 10, width: 90, borderRadius: 12, border: "1px solid #ddd" }}
+                />
+              </label>
+
+              <button onClick={createEvent} style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer" }}>
+                + สร้าง
+              </button>
+            </div>
+
+            <div style={{ marginTop: 10 }}>
+              <RecurrenceFields draft={evRecurrence} setDraft={setEvRecurrence} startDate={evStartDate} />
+            </div>
 
-          <div style={{ marginTop: 10, display: "flex", gap: 6, flexWrap: "wrap" }}>
-            {evTags.length === 0 ? <span style={{ fontSize: 12, opacity: 0.65 }}>(ยังไม่เลือกแท็ก)</span> : null}
-            {evTags.map((t) => <TagPill key={t} text={t} />)}
+            <div style={{ marginTop: 10, display: "flex", gap: 6, flexWrap: "wrap" }}>
+              {evTags.length === 0 ? <span style={{ fontSize: 12, opacity: 0.65 }}>(ยังไม่เลือกแท็ก)</span> : null}
+              {evTags.map((t) => <TagPill key={t} text={t} />)}
+            </div>
+
+            {evKidIds.length > 0 ? (
+              <div style={{ marginTop: 10, display: "flex", gap: 8, alignItems: "center", fontSize: 12 }}>
+                <span style={{ opacity: 0.75 }}>
+                  จะเพิ่มผู้เข้าร่วม {evKidIds.length} คน (สถานะเริ่มต้น):{" "}
+                  {evKidIds
+                    .slice(0, 8)
+                    .map((id) => kidById.get(id)?.name ?? "(เด็กถูกลบแล้ว)")
+                    .join(", ")}
+                  {evKidIds.length > 8 ? " …" : ""}
+                </span>
+                <IconButton title="ไม่เพิ่มผู้เข้าร่วม" onClick={() => setEvKidIds([])}>
+                  ✕
+                </IconButton>
+              </div>
+            ) : null}
           </div>
-        </div>
+        ) : (
+          <div style={{ margin: "14px 0 16px", fontSize: 12, opacity: 0.7 }}>บัญชีนี้ดูได้อย่างเดียว (Viewer)</div>
+        )}
 
-        {/* Month Calendar */}
+        {/* Calendar: month grid or week / day time grid */}
         <div style={{ maxWidth: 1120 }}>
-          <MonthCalendar
-            cursor={calCursor}
-            setCursor={setCalCursor}
-            events={visibleEvents}
-            onPickDay={pickDay}
-            onOpenEvent={openEventDetail}
-            attentionById={attentionById}
-            onOpenListView={() => setOpenListView(true)}
-            onOpenDayListView={openListViewForDay}
-          />
+          {calView === "month" ? (
+            <MonthCalendar
+              cursor={calCursor}
+              setCursor={setCalCursor}
+              events={visibleEvents}
+              onPickDay={pickDay}
+              onOpenEvent={openEventDetail}
+              attentionById={attentionById}
+              onOpenListView={() => setOpenListView(true)}
+              onOpenDayListView={openListViewForDay}
+              onChangeView={changeCalView}
+              onMoveEvent={can.editRecords ? moveEventDates : undefined}
+            />
+          ) : (
+            <TimeGridCalendar
+              view={calView}
+              cursor={dayCursor}
+              setCursor={setDayCursor}
+              events={visibleEvents}
+              onOpenEvent={openEventDetail}
+              attentionById={attentionById}
+              onOpenListView={() => setOpenListView(true)}
+              onChangeView={changeCalView}
+              onMoveEvent={can.editRecords ? moveEventDates : undefined}
+            />
+          )}
         </div>
       </div>
 
       {/* Tag Library modal */}
       <TagPickerModal
         open={openTagLibrary}
-        title="Tag Library (เพิ่มหมวด / เพิ่มแท็ก / แก้ชื่อ / ลบ)"
+        title={can.editLibrary ? "Tag Library (เพิ่มหมวด / เพิ่มแท็ก / แก้ชื่อ / ลบ)" : "Tag Library (ดูอย่างเดียว — แก้ไขได้เฉพาะ admin)"}
         tagCatalog={tagCatalog}
         setTagCatalog={setTagCatalog}
         selectedTags={null}
@@ -1654,7 +3722,7 @@ export default function App() {
         onCancel={() => setOpenTagLibrary(false)}
         onSave={() => setOpenTagLibrary(false)}
         saveLabel="ปิด"
-        allowEditLibrary={true}
+        allowEditLibrary={can.editLibrary}
         onRenameTag={renameTagInCategory}
         onDeleteTag={deleteTagInCategory}
       />
@@ -1757,22 +3825,52 @@ export default function App() {
                 <input type="date" value={editStartDate} onChange={(e) => setEditStartDate(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
               </label>
 
-              <label style={{ display: "grid", gap: 6, flex: 1, minWidth: 160 }}>
-                <div style={{ fontWeight: 900 }}>เวลาเริ่ม</div>
-                <input type="time" value={editStartTime} onChange={(e) => setEditStartTime(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
-              </label>
+              {editAllDay ? null : (
+                <label style={{ display: "grid", gap: 6, flex: 1, minWidth: 160 }}>
+                  <div style={{ fontWeight: 900 }}>เวลาเริ่ม</div>
+                  <input type="time" value={editStartTime} onChange={(e) => setEditStartTime(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
+                </label>
+              )}
 
               <label style={{ display: "grid", gap: 6, flex: 1, minWidth: 220 }}>
                 <div style={{ fontWeight: 900 }}>วันที่จบ</div>
                 <input type="date" value={editEndDate} onChange={(e) => setEditEndDate(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
               </label>
 
-              <label style={{ display: "grid", gap: 6, flex: 1, minWidth: 160 }}>
-                <div style={{ fontWeight: 900 }}>เวลาจบ</div>
-                <input type="time" value={editEndTime} onChange={(e) => setEditEndTime(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
-              </label>
+              {editAllDay ? null : (
+                <label style={{ display: "grid", gap: 6, flex: 1, minWidth: 160 }}>
+                  <div style={{ fontWeight: 900 }}>เวลาจบ</div>
+                  <input type="time" value={editEndTime} onChange={(e) => setEditEndTime(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
+                </label>
+              )}
             </div>
 
+            <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <input type="checkbox" checked={editAllDay} onChange={(e) => setEditAllDay(e.target.checked)} />
+              <span style={{ fontWeight: 900 }}>ทั้งวัน</span>
+              <span style={{ fontSize: 12, opacity: 0.7 }}>(ไม่ระบุเวลา เช่น วันเปิดบ้าน หรือช่วงรับสมัคร)</span>
+            </label>
+
+            <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <span style={{ fontWeight: 900 }}>รับ</span>
+              <input
+                type="number"
+                min={1}
+                placeholder="ไม่จำกัด"
+                value={editCapacity}
+                onChange={(e) => setEditCapacity(e.target.value)}
+                style={{ padding: 10, width: 100, borderRadius: 12, border: "1px solid #ddd" }}
+              />
+              <span style={{ fontSize: 12, opacity: 0.7 }}>คน (เกินจากนี้จะอยู่ในรายการสำรอง; เว้นว่าง = ไม่จำกัด)</span>
+            </label>
+
+            <RecurrenceFields draft={editRecurrence} setDraft={setEditRecurrence} startDate={editStartDate} />
+            {editRecurrence.freq ? (
+              <div style={{ fontSize: 12, opacity: 0.7 }}>
+                วัน/เวลาด้านบนคือครั้งแรก ครั้งต่อ ๆ ไปใช้เวลาและความยาวเดียวกัน (แก้เฉพาะครั้งได้จากรายละเอียดกิจกรรม)
+              </div>
+            ) : null}
+
             <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 6 }}>
               <button onClick={() => setOpenEditEventInfo(false)} style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
                 ยกเลิก
@@ -1843,6 +3941,11 @@ export default function App() {
                               <span style={{ marginLeft: 6, fontSize: 11, fontWeight: 900, color: "#b42318" }}>NEW</span>
                             ) : null}{" "}
                             <span style={{ fontWeight: 400, opacity: 0.6 }}>(match {score})</span>
+                            {suggestClashes.has(kid.id) ? (
+                              <span title={clashTitle(suggestClashes.get(kid.id))} style={{ marginLeft: 6, fontSize: 11, fontWeight: 900, color: "#b42318" }}>
+                                ⚠️ ชนเวลา {suggestClashes.get(kid.id).length}
+                              </span>
+                            ) : null}
                           </div>
                           <button
                             type="button"
@@ -1879,7 +3982,12 @@ export default function App() {
                 </div>
               )}
 
-              <div style={{ marginTop: 14, display: "flex", justifyContent: "flex-end", gap: 8 }}>
+              <div style={{ marginTop: 14, display: "flex", justifyContent: "flex-end", alignItems: "center", gap: 8 }}>
+                {activeEventForSuggest.capacity ? (
+                  <span style={{ fontSize: 12, opacity: 0.8, marginRight: "auto" }}>
+                    ที่นั่ง <CapacityBadge ev={activeEventForSuggest} /> — เด็กที่เกินจำนวนที่รับจะเข้ารายการสำรอง
+                  </span>
+                ) : null}
                 <button onClick={() => setActiveEventIdForSuggest(null)} style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
                   ยกเลิก
                 </button>
@@ -1935,6 +4043,35 @@ export default function App() {
               <span style={{ fontSize: 12, opacity: 0.7 }}>ถึงวันที่</span>
               <input type="date" value={listToDate} onChange={(e) => setListToDate(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }} />
             </label>
+            <label style={{ display: "grid", gap: 4 }}>
+              <span style={{ fontSize: 12, opacity: 0.7 }}>ค้างสถานะ</span>
+              <span style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                <select value={listStaleStatus} onChange={(e) => setListStaleStatus(e.target.value)} style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }}>
+                  <option value="">(ไม่กรอง)</option>
+                  <option value="*">ทุกสถานะที่ยังไม่สิ้นสุด</option>
+                  {settings.statuses
+                    .filter((st) => !st.terminal)
+                    .map((st) => (
+                      <option key={st.id} value={st.id}>
+                        {st.label}
+                      </option>
+                    ))}
+                </select>
+                {listStaleStatus ? (
+                  <>
+                    <span style={{ fontSize: 12 }}>เกิน</span>
+                    <input
+                      type="number"
+                      min={0}
+                      value={listStaleDays}
+                      onChange={(e) => setListStaleDays(e.target.value)}
+                      style={{ width: 64, padding: 10, borderRadius: 12, border: "1px solid #ddd" }}
+                    />
+                    <span style={{ fontSize: 12 }}>วัน</span>
+                  </>
+                ) : null}
+              </span>
+            </label>
 
             <input
               value={listSearch}
@@ -1942,8 +4079,52 @@ export default function App() {
               placeholder="ค้นหา keyword (ชื่อกิจกรรม / tag / เด็ก / note)…"
               style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd", width: 360, maxWidth: "100%" }}
             />
+
+            <button
+              onClick={() => setListShowConflicts((v) => !v)}
+              style={{
+                padding: "8px 10px",
+                borderRadius: 12,
+                border: listShowConflicts ? "2px solid #b42318" : "1px solid #ddd",
+                background: listConflicts.length > 0 ? "#fff1f1" : "#fff",
+                cursor: "pointer",
+              }}
+            >
+              ⚠️ ตารางชนกัน ({listConflicts.length})
+            </button>
           </div>
 
+          {listShowConflicts ? (
+            <div style={{ marginTop: 14, padding: 12, border: "1px solid #ffc9c9", borderRadius: 14, background: "#fff" }}>
+              <div style={{ fontWeight: 900 }}>เด็กที่ถูกมอบหมายกิจกรรมเวลาชนกัน (ตามช่วงวันที่ที่เลือก)</div>
+              {listConflicts.length === 0 ? (
+                <div style={{ marginTop: 8, opacity: 0.7, fontSize: 13 }}>(ไม่พบ)</div>
+              ) : (
+                <div style={{ marginTop: 8, display: "grid", gap: 6, fontSize: 13 }}>
+                  {listConflicts.map(({ kidId, a, b }) => (
+                    <div key={`${kidId}/${a.id}/${a.occurrenceKey ?? ""}/${b.id}/${b.occurrenceKey ?? ""}`} style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+                      <span style={{ fontWeight: 900 }}>{kidById.get(kidId)?.name ?? "(เด็กถูกลบแล้ว)"}</span>
+                      {[a, b].map((o, i) => (
+                        <span key={i} style={{ display: "contents" }}>
+                          {i > 0 ? <span style={{ opacity: 0.6 }}>↔</span> : null}
+                          <button
+                            onClick={() => {
+                              setOpenListView(false);
+                              openEventDetail(o.id, o.occurrenceKey);
+                            }}
+                            style={{ padding: "4px 8px", borderRadius: 10, border: "1px solid #eee", background: "#fafafa", cursor: "pointer", fontSize: 12 }}
+                          >
+                            {o.title} <span style={{ opacity: 0.7 }}>({whenLabel(o)})</span>
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ) : null}
+
           <div style={{ marginTop: 14, maxHeight: "70vh", overflowY: "auto" }}>
             {listViewGrouped.length === 0 ? (
               <div style={{ opacity: 0.7 }}>(ไม่พบกิจกรรม)</div>
@@ -1959,11 +4140,14 @@ export default function App() {
                         const notes = ev.suggestNotes ?? {};
                         const noteKidIds = Object.keys(notes);
                         return (
-                          <div key={ev.id} style={{ padding: 12, borderRadius: 14, border: "1px solid #eee", background: "#fff" }}>
+                          <div key={`${ev.id}/${ev.occurrenceKey ?? ""}`} style={{ padding: 12, borderRadius: 14, border: "1px solid #eee", background: "#fff" }}>
                             <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-                              <div style={{ fontWeight: 900, fontSize: 15, flex: 1, minWidth: 240 }}>{ev.title}</div>
+                              <div style={{ fontWeight: 900, fontSize: 15, flex: 1, minWidth: 240 }}>
+                                {ev.recurrence ? "🔁 " : ""}
+                                {ev.title}
+                              </div>
                               <div style={{ fontSize: 12, opacity: 0.75, display: "flex", alignItems: "center", gap: 8 }}>
-                                <span>{ymd(ev.start)} {hm(ev.start)} – {ymd(ev.end)} {hm(ev.end)}</span>
+                                <span>{whenLabel(ev)}</span>
                                 {ev.signupUrl ? (
                                   <a href={ev.signupUrl} target="_blank" rel="noreferrer" title="เปิดลิงก์สมัคร" style={{ textDecoration: "none", fontSize: 16 }}>
                                     🔗
@@ -1973,7 +4157,7 @@ export default function App() {
                               <button
                                 onClick={() => {
                                   setOpenListView(false);
-                                  openEventDetail(ev.id);
+                                  openEventDetail(ev.id, ev.occurrenceKey);
                                 }}
                                 style={{ padding: "6px 8px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer", fontSize: 12 }}
                               >
@@ -1996,15 +4180,18 @@ export default function App() {
                                 ) : (
                                   (ev.participants ?? []).map((p) => {
                                     const name = kidById.get(p.kidId)?.name ?? "(เด็กถูกลบแล้ว)";
-                                    const status = p.status ?? 0;
-                                    const bg = status === 0 ? "#fff3bf" : status === 1 ? "#d0ebff" : "#d3f9d8";
-                                    const bd = status === 0 ? "#ffe066" : status === 1 ? "#74c0fc" : "#69db7c";
+                                    const status = statusInfo(settings.statuses, p.status);
+                                    const since = statusSince(p);
+                                    const stale =
+                                      listStaleStatus !== "" &&
+                                      isStale(p, settings.statuses, { status: listStaleStatus === "*" ? "" : listStaleStatus, days: Math.max(0, Number(listStaleDays) || 0) });
                                     return (
                                       <span
                                         key={p.kidId}
+                                        title={since === null ? status.label : `${status.label} ตั้งแต่ ${ymd(new Date(since))}`}
                                         style={{
-                                          border: `1px solid ${bd}`,
-                                          background: bg,
+                                          border: "1px solid rgba(0, 0, 0, 0.15)",
+                                          background: status.color,
                                           padding: "6px 10px",
                                           borderRadius: 999,
                                           fontSize: 13,
@@ -2012,6 +4199,7 @@ export default function App() {
                                         }}
                                       >
                                         {name}
+                                        {stale ? <span style={{ marginLeft: 6, fontSize: 11, opacity: 0.75 }}>⏳ ตั้งแต่ {ymd(new Date(since))}</span> : null}
                                       </span>
                                     );
                                   })
@@ -2049,93 +4237,1017 @@ export default function App() {
       {/* Event detail modal */}
       {activeEventForDetail ? (
         <Modal title={`กิจกรรม: ${activeEventForDetail.title}`} onClose={() => setActiveEventIdForDetail(null)} width={940}>
-          {(activeEventForDetail.participants ?? []).length === 0 ? (
-            <div style={{ padding: 12, borderRadius: 12, border: "1px solid #ffd8a8", background: "#fff4e6", color: "#d9480f", fontWeight: 900, marginBottom: 12 }}>
-              ⚠️ กิจกรรมนี้ยังไม่ได้มอบหมายให้ใคร — กรุณากด “Suggest” เพื่อมอบหมาย
-            </div>
-          ) : null}
+          <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+            {[
+              ["info", "รายละเอียด"],
+              ["history", "History"],
+            ].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setDetailTab(key)}
+                style={{
+                  padding: "8px 10px",
+                  borderRadius: 12,
+                  border: detailTab === key ? "2px solid #1a73e8" : "1px solid #ddd",
+                  background: detailTab === key ? "#e7f5ff" : "#fff",
+                  cursor: "pointer",
+                  fontWeight: 800,
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
 
-          {/* NEW warning for new matches */}
-          {detailNewMatches.length > 0 ? (
-            <div style={{ padding: 12, borderRadius: 12, border: "1px solid #ffe066", background: "#fff9db", color: "#664d03", fontWeight: 900, marginBottom: 12 }}>
-              ⚠️ มีน้องใหม่ที่ match &gt; 1 แต่ยังไม่ถูกมอบหมายในกิจกรรมนี้:{" "}
-              <span style={{ fontWeight: 700 }}>
-                {detailNewMatches.slice(0, 8).map((x) => x.kid.name).join(", ")}
-                {detailNewMatches.length > 8 ? " …" : ""}
-              </span>
+          {detailTab === "history" ? (
+            <HistoryList
+              key={activeEventForDetail.id}
+              loadHistory={loadHistory}
+              eventId={activeEventForDetail.id}
+              kidById={kidById}
+              eventById={eventById}
+              statuses={settings.statuses}
+            />
+          ) : (
+            <>
+            {(activeEventForDetail.participants ?? []).length === 0 ? (
+              <div style={{ padding: 12, borderRadius: 12, border: "1px solid #ffd8a8", background: "#fff4e6", color: "#d9480f", fontWeight: 900, marginBottom: 12 }}>
+                ⚠️ กิจกรรมนี้ยังไม่ได้มอบหมายให้ใคร — กรุณากด “Suggest” เพื่อมอบหมาย
+              </div>
+            ) : null}
+
+            {/* NEW warning for new matches */}
+            {detailNewMatches.length > 0 ? (
+              <div style={{ padding: 12, borderRadius: 12, border: "1px solid #ffe066", background: "#fff9db", color: "#664d03", fontWeight: 900, marginBottom: 12 }}>
+                ⚠️ มีน้องใหม่ที่ match &gt; 1 แต่ยังไม่ถูกมอบหมายในกิจกรรมนี้:{" "}
+                <span style={{ fontWeight: 700 }}>
+                  {detailNewMatches.slice(0, 8).map((x) => x.kid.name).join(", ")}
+                  {detailNewMatches.length > 8 ? " …" : ""}
+                </span>
+              </div>
+            ) : null}
+
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+              <div style={{ flex: 1, minWidth: 260 }}>
+                <div style={{ fontWeight: 900 }}>ช่วงเวลา</div>
+                <div style={{ marginTop: 4 }}>
+                  {whenLabel(detailShown)}
+                </div>
+                {activeEventForDetail.recurrence ? (
+                  <div style={{ marginTop: 4, fontSize: 12, opacity: 0.8 }}>
+                    🔁 {describeRecurrence(activeEventForDetail.recurrence, activeEventForDetail.start)} (เริ่ม {ymd(activeEventForDetail.start)})
+                  </div>
+                ) : null}
+
+                {activeEventForDetail.signupUrl ? (
+                  <div style={{ marginTop: 6 }}>
+                    <a href={activeEventForDetail.signupUrl} target="_blank" rel="noreferrer" title="เปิดลิงก์สมัคร" style={{ textDecoration: "none", fontSize: 18 }}>
+                      🔗
+                    </a>
+                  </div>
+                ) : null}
+
+                {can.editRecords ? (
+                  <div style={{ marginTop: 10, display: "flex", gap: 8, flexWrap: "wrap" }}>
+                    <button onClick={() => { setActiveEventIdForDetail(null); openEditInfoForEvent(activeEventForDetail.id); }} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                      ✏️ แก้ชื่อ/วัน/เวลา
+                    </button>
+                    <button onClick={() => { setActiveEventIdForDetail(null); openEditTagsForEvent(activeEventForDetail.id); }} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                      🏷️ แก้ Tag
+                    </button>
+                    <button onClick={() => { setActiveEventIdForDetail(null); openSuggestForEvent(activeEventForDetail.id); }} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                      Suggest
+                    </button>
+                    <button onClick={() => duplicateEvent(activeEventForDetail.id, false)} title="คัดลอกชื่อ, Tag, ลิงก์ และเวลาไปที่ฟอร์มสร้างกิจกรรม" style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                      📄 ทำสำเนา
+                    </button>
+                    {(activeEventForDetail.participants ?? []).length > 0 ? (
+                      <button onClick={() => duplicateEvent(activeEventForDetail.id, true)} title="ทำสำเนาพร้อมผู้เข้าร่วม (สถานะเริ่มใหม่)" style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                        📄 ทำสำเนา + ผู้เข้าร่วม
+                      </button>
+                    ) : null}
+                  </div>
+                ) : null}
+              </div>
+
+              <div style={{ flex: 2, minWidth: 320 }}>
+                <div style={{ fontWeight: 900 }}>Tags</div>
+                <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
+                  {(activeEventForDetail.tags ?? []).length === 0 ? <div style={{ opacity: 0.7 }}>(ไม่มี tag)</div> : null}
+                  {(activeEventForDetail.tags ?? []).map((t) => <TagPill key={t} text={t} />)}
+                </div>
+              </div>
             </div>
-          ) : null}
 
-          <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
-            <div style={{ flex: 1, minWidth: 260 }}>
-              <div style={{ fontWeight: 900 }}>ช่วงเวลา</div>
-              <div style={{ marginTop: 4 }}>
-                {ymd(activeEventForDetail.start)} {hm(activeEventForDetail.start)} – {ymd(activeEventForDetail.end)} {hm(activeEventForDetail.end)}
+            {activeOccurrence ? (
+              <div style={{ marginTop: 14, padding: 12, borderRadius: 12, border: "1px solid #eee", background: "#fafafa" }}>
+                <div style={{ fontWeight: 900 }}>
+                  ครั้งวันที่ {activeOccurrence.occurrenceKey}
+                  {activeOccurrence.skipped ? " — ข้ามแล้ว" : activeOccurrence.moved ? " — ย้ายเวลาแล้ว" : ""}
+                </div>
+                {can.editRecords ? (
+                  <div style={{ marginTop: 8, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                    {activeOccurrence.skipped ? null : (
+                      <>
+                        <button onClick={skipActiveOccurrence} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                          ⏭️ ข้ามครั้งนี้
+                        </button>
+                        <input type="date" value={moveDate} onChange={(e) => setMoveDate(e.target.value)} style={{ padding: 8, borderRadius: 12, border: "1px solid #ddd" }} />
+                        {activeEventForDetail.allDay ? null : (
+                          <input type="time" value={moveTime} onChange={(e) => setMoveTime(e.target.value)} style={{ padding: 8, borderRadius: 12, border: "1px solid #ddd" }} />
+                        )}
+                        <button onClick={moveActiveOccurrence} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                          ย้ายครั้งนี้
+                        </button>
+                      </>
+                    )}
+                    {activeEventForDetail.exceptions?.[activeOccurrence.occurrenceKey] ? (
+                      <button onClick={restoreActiveOccurrence} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                        ↩ คืนค่าตามปกติ
+                      </button>
+                    ) : null}
+                  </div>
+                ) : null}
+              </div>
+            ) : null}
+
+            <div style={{ marginTop: 14 }}>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <div style={{ fontWeight: 900 }}>{can.editRecords ? "ผู้เข้าร่วม (ติ๊กเพื่อเลือกหลายคน)" : "ผู้เข้าร่วม"}</div>
+                {activeEventForDetail.capacity ? (
+                  <span style={{ fontSize: 12 }}>
+                    ที่นั่ง <CapacityBadge ev={activeEventForDetail} />
+                  </span>
+                ) : null}
+                {activeOccurrence && can.editRecords ? (
+                  <div style={{ display: "flex", gap: 4, fontSize: 12 }}>
+                    {[
+                      ["occurrence", "เฉพาะครั้งนี้"],
+                      ["series", "ทุกครั้ง"],
+                    ].map(([key, label]) => (
+                      <button
+                        key={key}
+                        onClick={() => setOccurrenceStatusScope(key)}
+                        style={{
+                          padding: "4px 8px",
+                          borderRadius: 10,
+                          border: occurrenceStatusScope === key ? "2px solid #1a73e8" : "1px solid #ddd",
+                          background: occurrenceStatusScope === key ? "#e7f5ff" : "#fff",
+                          cursor: "pointer",
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                ) : null}
               </div>
 
-              {activeEventForDetail.signupUrl ? (
-                <div style={{ marginTop: 6 }}>
-                  <a href={activeEventForDetail.signupUrl} target="_blank" rel="noreferrer" title="เปิดลิงก์สมัคร" style={{ textDecoration: "none", fontSize: 18 }}>
-                    🔗
-                  </a>
+              {can.editRecords && (activeEventForDetail.participants ?? []).length > 0 ? (
+                <div style={{ marginTop: 10, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 12 }}>
+                  <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+                    <input
+                      type="checkbox"
+                      checked={selectedParticipantIds.length === activeEventForDetail.participants.length}
+                      onChange={(e) =>
+                        setDetailSelection(e.target.checked ? Object.fromEntries(activeEventForDetail.participants.map((p) => [p.kidId, true])) : {})
+                      }
+                    />
+                    เลือกทั้งหมด
+                  </label>
+                  {selectedParticipantIds.length > 0 ? (
+                    <>
+                      <span style={{ fontWeight: 900 }}>เลือก {selectedParticipantIds.length} คน:</span>
+                      <select value="" onChange={(e) => bulkSetStatus(e.target.value)} style={{ padding: "6px 8px", borderRadius: 10, border: "1px solid #ddd" }}>
+                        <option value="">{perOccurrenceStatus ? "ตั้งสถานะ (เฉพาะครั้งนี้)…" : "ตั้งสถานะ…"}</option>
+                        {settings.statuses.map((st) => (
+                          <option key={st.id} value={st.id}>
+                            {st.label}
+                          </option>
+                        ))}
+                      </select>
+                      <select value="" onChange={(e) => bulkCopyParticipants(e.target.value)} style={{ padding: "6px 8px", borderRadius: 10, border: "1px solid #ddd", maxWidth: 260 }}>
+                        <option value="">คัดลอกไปกิจกรรม…</option>
+                        {events
+                          .filter((e) => e.id !== activeEventForDetail.id)
+                          .sort((a, b) => a.start - b.start)
+                          .map((e) => (
+                            <option key={e.id} value={e.id}>
+                              {ymd(e.start)} {e.title}
+                            </option>
+                          ))}
+                      </select>
+                      <button onClick={bulkAddNote} style={{ padding: "6px 8px", borderRadius: 10, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                        📝 เพิ่ม note
+                      </button>
+                      <button onClick={bulkRemoveParticipants} style={{ padding: "6px 8px", borderRadius: 10, border: "1px solid #ffc9c9", background: "#fff", cursor: "pointer" }}>
+                        ✖ เอาออก
+                      </button>
+                    </>
+                  ) : null}
                 </div>
               ) : null}
 
               <div style={{ marginTop: 10, display: "flex", gap: 8, flexWrap: "wrap" }}>
-                <button onClick={() => { setActiveEventIdForDetail(null); openEditInfoForEvent(activeEventForDetail.id); }} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
-                  ✏️ แก้ชื่อ/วัน/เวลา
-                </button>
-                <button onClick={() => { setActiveEventIdForDetail(null); openEditTagsForEvent(activeEventForDetail.id); }} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
-                  🏷️ แก้ Tag
-                </button>
-                <button onClick={() => { setActiveEventIdForDetail(null); openSuggestForEvent(activeEventForDetail.id); }} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
-                  Suggest
+                {(activeEventForDetail.participants ?? []).length === 0 ? (
+                  <div style={{ opacity: 0.7 }}>(ยังไม่มีผู้เข้าร่วม)</div>
+                ) : (
+                  detailParticipants.filter((p) => !p.waitlisted).map((p) => detailParticipantRow(p))
+                )}
+              </div>
+
+              {detailWaitlist.length > 0 ? (
+                <div style={{ marginTop: 10 }}>
+                  <div style={{ fontWeight: 900, fontSize: 12 }}>รายการสำรอง (เลื่อนขึ้นอัตโนมัติเมื่อมีที่ว่าง)</div>
+                  <div style={{ marginTop: 6, display: "flex", gap: 8, flexWrap: "wrap" }}>{detailWaitlist.map((p, i) => detailParticipantRow(p, i + 1))}</div>
+                </div>
+              ) : null}
+
+              <div style={{ marginTop: 10, display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", fontSize: 12 }}>
+                <span style={{ opacity: 0.7 }}>สถานะ:</span>
+                {settings.statuses.map((st) => (
+                  <span key={st.id} style={{ background: st.color, border: "1px solid rgba(0, 0, 0, 0.1)", borderRadius: 999, padding: "2px 8px" }}>
+                    {st.label}
+                    {st.terminal ? " ✓" : ""}
+                  </span>
+                ))}
+                <span style={{ opacity: 0.6 }}>(✓ = สิ้นสุด)</span>
+              </div>
+
+              {(activeEventForDetail.participants ?? []).length > 0 ? (
+                <details style={{ marginTop: 10, fontSize: 12 }}>
+                  <summary style={{ cursor: "pointer", fontWeight: 900 }}>ไทม์ไลน์สถานะ</summary>
+                  <div style={{ marginTop: 8, display: "grid", gap: 8 }}>
+                    {activeEventForDetail.participants.map((p) => (
+                      <div key={p.kidId}>
+                        <div style={{ fontWeight: 900 }}>{kidById.get(p.kidId)?.name ?? "(เด็กถูกลบแล้ว)"}</div>
+                        {(p.history ?? []).length === 0 ? (
+                          <div style={{ opacity: 0.6 }}>(ไม่มีบันทึก — เพิ่มก่อนเริ่มเก็บประวัติสถานะ)</div>
+                        ) : (
+                          <div style={{ display: "grid", gap: 2, marginTop: 2 }}>
+                            {p.history.map((h, i) => {
+                              const st = statusInfo(settings.statuses, h.status);
+                              return (
+                                <div key={i} style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+                                  <span style={{ opacity: 0.7 }}>
+                                    {ymd(new Date(h.at))} {hm(new Date(h.at))}
+                                  </span>
+                                  <span style={{ background: st.color, border: "1px solid rgba(0, 0, 0, 0.1)", borderRadius: 999, padding: "1px 8px" }}>{st.label}</span>
+                                  {h.key ? <span style={{ opacity: 0.7 }}>(เฉพาะครั้งวันที่ {h.key})</span> : null}
+                                  {h.by ? <span style={{ opacity: 0.6 }}>โดย {h.by}</span> : null}
+                                </div>
+                              );
+                            })}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </details>
+              ) : null}
+            </div>
+
+            {can.deleteRecords ? (
+              <div style={{ marginTop: 16, display: "flex", justifyContent: "flex-end", gap: 8 }}>
+                <button onClick={() => deleteEvent(activeEventForDetail.id)} style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #eee", background: "#fff", cursor: "pointer" }}>
+                  ลบกิจกรรม
                 </button>
               </div>
+            ) : null}
+            </>
+          )}
+        </Modal>
+      ) : null}
+
+      {/* Kid history */}
+      {historyKidId ? (
+        <Modal title={`ประวัติการแก้ไข: ${kidById.get(historyKidId)?.name ?? ""}`} onClose={() => setHistoryKidId(null)} width={720}>
+          <HistoryList key={historyKidId} loadHistory={loadHistory} kidId={historyKidId} kidById={kidById} eventById={eventById} statuses={settings.statuses} />
+        </Modal>
+      ) : null}
+
+      {/* Check data */}
+      {openDataCheck ? (
+        <Modal title="ตรวจข้อมูล (Check data)" onClose={() => setOpenDataCheck(false)} width={860}>
+          {integrityIssues.length === 0 && unparseableEvents.length === 0 ? (
+            <div style={{ opacity: 0.7 }}>✓ ไม่พบปัญหา</div>
+          ) : (
+            <div style={{ display: "grid", gap: 8, maxHeight: "65vh", overflowY: "auto" }}>
+              {integrityIssues.some((i) => i.type === "dangling-participant") ? (
+                <div style={{ display: "flex", justifyContent: "flex-end" }}>
+                  <button
+                    onClick={removeAllDanglingParticipants}
+                    style={{ padding: "8px 10px", borderRadius: 10, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}
+                  >
+                    เอาเด็กที่ไม่มีอยู่แล้วออกจากทุกกิจกรรม
+                  </button>
+                </div>
+              ) : null}
+
+              {integrityIssues.map((issue) => {
+                const ev = issue.eventId ? eventById.get(issue.eventId) : null;
+                let title;
+                let detail;
+                let action;
+                if (issue.type === "dangling-participant") {
+                  title = `กิจกรรม "${ev?.title}" มีเด็กที่ไม่มีอยู่แล้ว`;
+                  detail = `kidId ${issue.kidId} ถูกลบไปแล้วแต่ยังอยู่ในรายชื่อ/Note ของกิจกรรมนี้`;
+                  action = "เอาออกจากกิจกรรม";
+                } else if (issue.type === "unknown-tag") {
+                  title = `Tag "${issue.tag}" ไม่อยู่ในหมวดใดของ Tag Library`;
+                  detail = `ใช้กับเด็ก ${issue.kidIds.length} คน และกิจกรรม ${issue.eventIds.length} รายการ (มักเกิดหลังแก้ชื่อ Tag ในหมวด) — เลือกหมวดที่จะเพิ่ม Tag นี้`;
+                  action = "เพิ่มเข้าหมวด";
+                } else {
+                  title = `กิจกรรม "${ev?.title}" จบก่อนหรือพร้อมเวลาเริ่ม`;
+                  detail = ev
+                    ? `เริ่ม ${ymd(ev.start)} ${hm(ev.start)} • จบ ${ymd(ev.end)} ${hm(ev.end)} — แก้เป็นจบ ${hm(suggestedEnd(ev.start))} (1 ชั่วโมง)`
+                    : "";
+                  action = "แก้เวลาจบ";
+                }
+                return (
+                  <div key={issue.id} style={{ display: "flex", gap: 10, alignItems: "center", padding: 10, borderRadius: 12, border: "1px solid #eee", background: "#fff" }}>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontWeight: 900 }}>{title}</div>
+                      <div style={{ fontSize: 12, opacity: 0.75 }}>{detail}</div>
+                    </div>
+                    {issue.type === "unknown-tag" ? (
+                      <select
+                        value={tagCategoryDrafts[issue.tag] ?? Object.keys(tagCatalog)[0] ?? ""}
+                        onChange={(e) => setTagCategoryDrafts((prev) => ({ ...prev, [issue.tag]: e.target.value }))}
+                        style={{ padding: 8, borderRadius: 10, border: "1px solid #ddd", background: "#fff" }}
+                      >
+                        {Object.keys(tagCatalog).map((c) => (
+                          <option key={c} value={c}>
+                            {c}
+                          </option>
+                        ))}
+                      </select>
+                    ) : null}
+                    <button
+                      onClick={() => fixIssue(issue)}
+                      style={{ padding: "8px 10px", borderRadius: 10, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer", whiteSpace: "nowrap" }}
+                    >
+                      {action}
+                    </button>
+                  </div>
+                );
+              })}
+
+              {unparseableEvents.map((q) => (
+                <div key={`q:${q.id}`} style={{ padding: 10, borderRadius: 12, border: "1px solid #ffa8a8", background: "#fff5f5" }}>
+                  <div style={{ fontWeight: 900 }}>กิจกรรม "{q.record?.title ?? q.id}" มีวันที่อ่านไม่ได้ (ไม่ได้แสดงในปฏิทิน)</div>
+                  <div style={{ fontSize: 12, opacity: 0.75 }}>
+                    ค่าที่เก็บไว้: เริ่ม {String(q.record?.start ?? "(ว่าง)")} • จบ {String(q.record?.end ?? "(ว่าง)")} — ใส่วันที่ใหม่เพื่อกลับมาแสดง
+                  </div>
+                  <div style={{ marginTop: 8, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    {["start", "end"].map((field) => (
+                      <input
+                        key={field}
+                        type="datetime-local"
+                        value={dateDrafts[q.id]?.[field] ?? ""}
+                        onChange={(e) => setDateDrafts((prev) => ({ ...prev, [q.id]: { ...prev[q.id], [field]: e.target.value } }))}
+                        style={{ padding: 8, borderRadius: 10, border: "1px solid #ddd" }}
+                      />
+                    ))}
+                    <button
+                      onClick={() => fixUnparseableEvent(q)}
+                      style={{ padding: "8px 10px", borderRadius: 10, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer" }}
+                    >
+                      ใช้วันที่นี้
+                    </button>
+                  </div>
+                </div>
+              ))}
             </div>
+          )}
+        </Modal>
+      ) : null}
 
-            <div style={{ flex: 2, minWidth: 320 }}>
-              <div style={{ fontWeight: 900 }}>Tags</div>
-              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
-                {(activeEventForDetail.tags ?? []).length === 0 ? <div style={{ opacity: 0.7 }}>(ไม่มี tag)</div> : null}
-                {(activeEventForDetail.tags ?? []).map((t) => <TagPill key={t} text={t} />)}
+      {/* Quarantined records */}
+      {openQuarantine ? (
+        <Modal title="ข้อมูลที่ถูกกักไว้" onClose={() => setOpenQuarantine(false)} width={760}>
+          <div style={{ fontSize: 13, opacity: 0.75 }}>
+            รายการเหล่านี้มีรูปแบบไม่ถูกต้อง จึงไม่ได้แสดงและไม่ถูกแก้ไขจากเครื่องนี้ (ข้อมูลในฐานข้อมูลยังอยู่เหมือนเดิม)
+          </div>
+          <div style={{ marginTop: 12, display: "grid", gap: 8, maxHeight: "60vh", overflowY: "auto" }}>
+            {quarantine.map((q, i) => (
+              <div key={i} style={{ padding: 10, borderRadius: 12, border: "1px solid #eee", background: "#fff" }}>
+                <div style={{ fontWeight: 900 }}>
+                  {q.kind} {q.id ?? "(ไม่มี id)"} — {q.reason}
+                </div>
+                <pre style={{ margin: "6px 0 0", fontSize: 11, whiteSpace: "pre-wrap", wordBreak: "break-all", opacity: 0.8 }}>
+                  {JSON.stringify(q.record, null, 2)}
+                </pre>
               </div>
+            ))}
+          </div>
+        </Modal>
+      ) : null}
+
+      {/* Status pipeline */}
+      {statusDraft ? (
+        <Modal title="สถานะผู้เข้าร่วม" onClose={() => setStatusDraft(null)} width={720}>
+          <div style={{ fontSize: 12, opacity: 0.75 }}>
+            เรียงตามขั้นตอน ผู้เข้าร่วมใหม่จะได้สถานะแรก • “สิ้นสุด” = ขั้นที่จบแล้วสำหรับน้องคนนั้น (เช่น ไม่ได้รับคัดเลือก, เข้าร่วมแล้ว)
+          </div>
+          <div style={{ marginTop: 12, display: "grid", gap: 8 }}>
+            {statusDraft.map((st, i) => {
+              const used = statusUsage[st.id] ?? 0;
+              return (
+                <div key={st.id} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <input type="color" value={st.color} onChange={(e) => editStatusDraft(i, { color: e.target.value })} title="สี" style={{ width: 40, height: 34, border: "none", background: "none" }} />
+                  <input
+                    value={st.label}
+                    onChange={(e) => editStatusDraft(i, { label: e.target.value })}
+                    placeholder="ชื่อสถานะ…"
+                    style={{ flex: 1, padding: 8, borderRadius: 10, border: "1px solid #ddd", background: st.color }}
+                  />
+                  <label style={{ display: "flex", gap: 4, alignItems: "center", fontSize: 13 }}>
+                    <input type="checkbox" checked={st.terminal} onChange={(e) => editStatusDraft(i, { terminal: e.target.checked })} />
+                    สิ้นสุด
+                  </label>
+                  <span style={{ width: 56, fontSize: 12, opacity: 0.6, textAlign: "right" }}>{used} คน</span>
+                  <IconButton title="เลื่อนขึ้น" onClick={() => moveStatusDraft(i, -1)}>
+                    ↑
+                  </IconButton>
+                  <IconButton title="เลื่อนลง" onClick={() => moveStatusDraft(i, 1)}>
+                    ↓
+                  </IconButton>
+                  <IconButton
+                    title={used > 0 ? "ยังมีผู้เข้าร่วมใช้สถานะนี้อยู่" : "ลบสถานะนี้"}
+                    danger
+                    onClick={() => (used > 0 ? alert(`ยังมีผู้เข้าร่วม ${used} คนใช้สถานะนี้ เปลี่ยนสถานะของพวกเขาก่อนลบ`) : setStatusDraft((list) => list.filter((_, j) => j !== i)))}
+                  >
+                    🗑
+                  </IconButton>
+                </div>
+              );
+            })}
+          </div>
+          <div style={{ marginTop: 12, display: "flex", gap: 8 }}>
+            <button onClick={addStatusDraft} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+              + เพิ่มสถานะ
+            </button>
+            <div style={{ flex: 1 }} />
+            <button onClick={() => setStatusDraft(null)} style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+              ยกเลิก
+            </button>
+            <button onClick={saveStatuses} style={{ padding: "8px 12px", borderRadius: 12, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer" }}>
+              บันทึก
+            </button>
+          </div>
+        </Modal>
+      ) : null}
+
+      {/* Trash */}
+      {openTrash ? (
+        <Modal title="ถังขยะ" onClose={() => setOpenTrash(false)} width={760}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 13 }}>
+            <div style={{ flex: 1, opacity: 0.75 }}>ของที่ลบจะถูกเก็บไว้ {retentionDays} วัน แล้วลบถาวรอัตโนมัติ</div>
+            {can.manageWorkspaces ? (
+              <>
+                <input
+                  type="number"
+                  min={1}
+                  value={retentionDraft}
+                  onChange={(e) => setRetentionDraft(e.target.value)}
+                  placeholder={String(retentionDays)}
+                  style={{ width: 80, padding: 8, borderRadius: 10, border: "1px solid #ddd" }}
+                />
+                <button
+                  onClick={saveTrashRetention}
+                  disabled={!retentionDraft}
+                  style={{ padding: "8px 10px", borderRadius: 10, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}
+                >
+                  ตั้งจำนวนวัน
+                </button>
+              </>
+            ) : null}
+          </div>
+
+          {trashNewestFirst.length === 0 ? (
+            <div style={{ marginTop: 12, opacity: 0.7 }}>(ถังขยะว่าง)</div>
+          ) : (
+            <div style={{ marginTop: 12, display: "grid", gap: 8, maxHeight: "60vh", overflowY: "auto" }}>
+              {trashNewestFirst.map((item) => {
+                const { payload } = item;
+                const daysLeft = Math.max(0, Math.ceil((item.deletedAt + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+                const detail =
+                  item.kind === "kid"
+                    ? `เด็ก • อยู่ใน ${payload.participations.length} กิจกรรม`
+                    : item.kind === "event"
+                      ? `กิจกรรม • ${ymd(new Date(payload.event.start))} • เด็ก ${payload.event.participants?.length ?? 0} คน`
+                      : `Tag • หมวด ${payload.categories.map((c) => c.category).join(", ") || "-"} • เด็ก ${payload.kidIds.length} / กิจกรรม ${payload.eventIds.length}`;
+                return (
+                  <div key={item.id} style={{ display: "flex", gap: 10, alignItems: "center", padding: 10, borderRadius: 12, border: "1px solid #eee", background: "#fff" }}>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontWeight: 900 }}>{item.label}</div>
+                      <div style={{ fontSize: 12, opacity: 0.75 }}>{detail}</div>
+                      <div style={{ fontSize: 12, opacity: 0.6 }}>
+                        ลบเมื่อ {ymd(new Date(item.deletedAt))} {hm(new Date(item.deletedAt))}
+                        {item.deletedBy ? ` โดย ${item.deletedBy}` : ""} • เหลือ {daysLeft} วัน
+                      </div>
+                    </div>
+                    {can.deleteRecords ? (
+                      <>
+                        <button
+                          onClick={() => restoreFromTrash(item.id)}
+                          style={{ padding: "8px 10px", borderRadius: 10, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer" }}
+                        >
+                          กู้คืน
+                        </button>
+                        <IconButton title="ลบถาวร" danger onClick={() => deleteFromTrash(item)}>
+                          ลบถาวร
+                        </IconButton>
+                      </>
+                    ) : null}
+                  </div>
+                );
+              })}
             </div>
+          )}
+        </Modal>
+      ) : null}
+
+      {/* Snapshots */}
+      {openSnapshots ? (
+        <Modal title="Snapshots" onClose={() => setOpenSnapshots(false)} width={860}>
+          <div style={{ fontSize: 13, opacity: 0.75 }}>
+            ระบบเก็บ snapshot อัตโนมัติทุกชั่วโมงที่มีการแก้ไข • กู้คืนแล้วข้อมูลทั้งหมด (Tag Library / เด็ก / กิจกรรม) จะกลับไปเป็นของตอนนั้น
           </div>
 
-          <div style={{ marginTop: 14 }}>
-            <div style={{ fontWeight: 900 }}>ผู้เข้าร่วม (กดชื่อเพื่อวนสีสถานะ)</div>
+          {can.editRecords ? (
+            <div style={{ marginTop: 10, display: "flex", gap: 8 }}>
+              <input
+                value={checkpointLabel}
+                onChange={(e) => setCheckpointLabel(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && !snapshotBusy && takeCheckpoint()}
+                placeholder="ชื่อ checkpoint (ไม่บังคับ) เช่น ก่อนล้าง Tag"
+                style={{ flex: 1, padding: 10, borderRadius: 12, border: "1px solid #ddd" }}
+              />
+              <button
+                onClick={takeCheckpoint}
+                disabled={snapshotBusy}
+                style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer", opacity: snapshotBusy ? 0.6 : 1 }}
+              >
+                📸 บันทึก checkpoint
+              </button>
+            </div>
+          ) : null}
 
-            <div style={{ marginTop: 10, display: "flex", gap: 8, flexWrap: "wrap" }}>
-              {(activeEventForDetail.participants ?? []).length === 0 ? (
-                <div style={{ opacity: 0.7 }}>(ยังไม่มีผู้เข้าร่วม)</div>
-              ) : (
-                activeEventForDetail.participants.map((p) => {
-                  const name = kidById.get(p.kidId)?.name ?? "(เด็กถูกลบแล้ว)";
-                  return (
-                    <div key={p.kidId} style={{ display: "flex", alignItems: "center", gap: 6 }}>
-                      <StatusChip label={name} status={p.status} onClick={() => cycleParticipantStatus(activeEventForDetail.id, p.kidId)} />
-                      <IconButton title="เอาเด็กออกจากกิจกรรม" onClick={() => removeParticipant(activeEventForDetail.id, p.kidId)}>
-                        ✖
+          {snapshots === null ? (
+            <div style={{ marginTop: 12, opacity: 0.7 }}>กำลังโหลด…</div>
+          ) : snapshotsOffline ? (
+            <div style={{ marginTop: 12, color: "#d9480f" }}>⚠️ โหลด snapshot ไม่ได้ (ต้องเชื่อมต่ออินเทอร์เน็ต)</div>
+          ) : snapshots.length === 0 ? (
+            <div style={{ marginTop: 12, opacity: 0.7 }}>(ยังไม่มี snapshot)</div>
+          ) : (
+            <div style={{ marginTop: 12, display: "grid", gap: 8, maxHeight: "60vh", overflowY: "auto" }}>
+              {snapshots.map((snap) => {
+                const d = snapshotDiffs.get(snap.id);
+                const unchanged = !d || diffIsEmpty(d);
+                return (
+                  <div key={snap.id} style={{ display: "flex", gap: 10, alignItems: "center", padding: 10, borderRadius: 12, border: "1px solid #eee", background: "#fff" }}>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontWeight: 900 }}>
+                        {ymd(new Date(snap.takenAt))} {hm(new Date(snap.takenAt))}{" "}
+                        <span style={{ fontWeight: 600, opacity: 0.7 }}>
+                          {snap.kind === "auto" ? "อัตโนมัติ" : `📌 ${snap.label || "checkpoint"}`}
+                        </span>
+                      </div>
+                      <div style={{ fontSize: 12, opacity: 0.6 }}>
+                        เด็ก {snap.data.kids?.length ?? 0} • กิจกรรม {snap.data.events?.length ?? 0}
+                        {snap.takenBy ? ` • โดย ${snap.takenBy}` : ""}
+                      </div>
+                      <div style={{ marginTop: 6, display: "flex", gap: 6, flexWrap: "wrap", fontSize: 12 }}>
+                        {unchanged ? (
+                          <span style={{ opacity: 0.6 }}>(เหมือนข้อมูลปัจจุบัน)</span>
+                        ) : (
+                          <>
+                            <span style={{ opacity: 0.6 }}>ถ้ากู้คืน:</span>
+                            <ChangeSummary diff={d} />
+                          </>
+                        )}
+                      </div>
+                    </div>
+                    {can.deleteRecords && can.editLibrary ? (
+                      <button
+                        onClick={() => restoreSnapshot(snap)}
+                        disabled={snapshotBusy || unchanged}
+                        style={{ padding: "8px 10px", borderRadius: 10, border: "1px solid #ddd", background: "#fff", cursor: "pointer", opacity: snapshotBusy || unchanged ? 0.5 : 1 }}
+                      >
+                        กู้คืน
+                      </button>
+                    ) : null}
+                    {can.deleteRecords ? (
+                      <IconButton title="ลบ snapshot" danger onClick={() => deleteSnapshot(snap)}>
+                        🗑️
                       </IconButton>
+                    ) : null}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </Modal>
+      ) : null}
+
+      {/* Export / import */}
+      {openBackup ? (
+        <Modal title="Export / Import" onClose={closeBackup} width={760}>
+          <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+            <div style={{ flex: 1, fontSize: 13, opacity: 0.75 }}>
+              ดาวน์โหลด Tag Library, เด็ก และกิจกรรมทั้งหมด (รวมเด็กที่มอบหมายและ Note) ของ workspace นี้เป็นไฟล์ JSON
+            </div>
+            <button
+              onClick={exportBackup}
+              style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer" }}
+            >
+              ⬇️ Export
+            </button>
+          </div>
+
+          {can.deleteRecords && can.editLibrary ? (
+            <div style={{ marginTop: 16, paddingTop: 12, borderTop: "1px solid #eee", display: "grid", gap: 10 }}>
+              <div style={{ fontWeight: 900 }}>Import</div>
+              <input type="file" accept="application/json,.json" onChange={(e) => pickImportFile(e.target.files?.[0] ?? null)} />
+              <div style={{ display: "flex", gap: 14, fontSize: 13 }}>
+                <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+                  <input type="radio" checked={importMode === "merge"} onChange={() => setImportMode("merge")} />
+                  รวมตาม id (ของที่ id ตรงกันจะถูกแทนที่ ที่เหลือเก็บไว้)
+                </label>
+                <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+                  <input type="radio" checked={importMode === "replace"} onChange={() => setImportMode("replace")} />
+                  แทนที่ทั้งหมด
+                </label>
+              </div>
+
+              {importResult?.errors.length > 0 ? (
+                <div style={{ padding: 10, borderRadius: 12, border: "1px solid #ffa8a8", background: "#fff5f5", fontSize: 13 }}>
+                  <div style={{ fontWeight: 900, color: "#c92a2a" }}>ไฟล์ไม่ถูกต้อง — ยังไม่ได้นำเข้าอะไร</div>
+                  <div style={{ marginTop: 6, display: "grid", gap: 2, maxHeight: 200, overflowY: "auto" }}>
+                    {importResult.errors.map((err) => (
+                      <div key={err}>{err}</div>
+                    ))}
+                  </div>
+                </div>
+              ) : null}
+
+              {importPreview ? (
+                <div style={{ padding: 10, borderRadius: 12, border: "1px solid #eee", background: "#fff", fontSize: 13 }}>
+                  <div style={{ fontWeight: 900 }}>ตัวอย่างการเปลี่ยนแปลง</div>
+                  <div style={{ marginTop: 6, display: "flex", gap: 6, flexWrap: "wrap", fontSize: 12 }}>
+                    {diffIsEmpty(importPreview.diff) ? (
+                      <span style={{ opacity: 0.6 }}>(เหมือนข้อมูลปัจจุบัน)</span>
+                    ) : (
+                      <ChangeSummary diff={importPreview.diff} />
+                    )}
+                  </div>
+                  {importPreview.dropped > 0 ? (
+                    <div style={{ marginTop: 6, color: "#d9480f" }}>
+                      ⚠️ ข้ามการมอบหมาย/Note {importPreview.dropped} รายการ เพราะไม่มีเด็กคนนั้น
                     </div>
-                  );
-                })
-              )}
+                  ) : null}
+                  <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 10 }}>
+                    <button
+                      onClick={confirmImport}
+                      disabled={importBusy || diffIsEmpty(importPreview.diff)}
+                      style={{
+                        padding: "10px 12px",
+                        borderRadius: 12,
+                        border: "1px solid #1a73e8",
+                        background: "#1a73e8",
+                        color: "#fff",
+                        cursor: "pointer",
+                        opacity: importBusy || diffIsEmpty(importPreview.diff) ? 0.6 : 1,
+                      }}
+                    >
+                      ยืนยันนำเข้า
+                    </button>
+                  </div>
+                </div>
+              ) : null}
             </div>
+          ) : null}
+        </Modal>
+      ) : null}
 
-            <div style={{ marginTop: 10, fontSize: 12, opacity: 0.7 }}>
-              สี: เหลือง=ยังไม่แจ้ง • ฟ้า=กำลังดำเนินการ • เขียว=แจ้งแล้ว
+      {/* New workspace */}
+      {openNewWorkspace ? (
+        <Modal title="สร้าง workspace ใหม่" onClose={() => setOpenNewWorkspace(false)} width={520}>
+          <div style={{ display: "grid", gap: 10 }}>
+            <label style={{ display: "grid", gap: 6 }}>
+              <div style={{ fontWeight: 900 }}>ชื่อ workspace</div>
+              <input
+                value={newWorkspaceName}
+                onChange={(e) => setNewWorkspaceName(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && createWorkspace()}
+                placeholder="เช่น สาขา 2 / ปีการศึกษา 2027"
+                style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }}
+              />
+            </label>
+            <label style={{ display: "grid", gap: 6 }}>
+              <div style={{ fontWeight: 900 }}>Tag Library เริ่มต้น</div>
+              <select
+                value={newWorkspaceCloneFrom}
+                onChange={(e) => setNewWorkspaceCloneFrom(e.target.value)}
+                style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd", background: "#fff" }}
+              >
+                {workspaces.map((w) => (
+                  <option key={w.id} value={w.id}>
+                    คัดลอกจาก: {w.name}
+                  </option>
+                ))}
+                <option value="">ชุดเริ่มต้นของระบบ</option>
+              </select>
+            </label>
+            <div style={{ fontSize: 12, opacity: 0.7 }}>คัดลอกเฉพาะหมวดและแท็ก (ไม่คัดลอกเด็กหรือกิจกรรม)</div>
+            <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 6 }}>
+              <button onClick={() => setOpenNewWorkspace(false)} style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+                ยกเลิก
+              </button>
+              <button
+                onClick={createWorkspace}
+                disabled={workspaceBusy}
+                style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer", opacity: workspaceBusy ? 0.6 : 1 }}
+              >
+                สร้าง
+              </button>
             </div>
           </div>
+        </Modal>
+      ) : null}
 
-          <div style={{ marginTop: 16, display: "flex", justifyContent: "flex-end", gap: 8 }}>
-            <button onClick={() => deleteEvent(activeEventForDetail.id)} style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #eee", background: "#fff", cursor: "pointer" }}>
-              ลบกิจกรรม
+      {/* Copy kids to another workspace */}
+      {openCopyKids ? (
+        <Modal title="คัดลอกเด็กไปยัง workspace อื่น" onClose={() => setOpenCopyKids(false)} width={640}>
+          <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+            <div style={{ fontWeight: 900 }}>ไปยัง</div>
+            <select
+              value={copyTargetId}
+              onChange={(e) => setCopyTargetId(e.target.value)}
+              style={{ flex: 1, padding: 10, borderRadius: 12, border: "1px solid #ddd", background: "#fff" }}
+            >
+              {workspaces
+                .filter((w) => w.id !== workspaceId)
+                .map((w) => (
+                  <option key={w.id} value={w.id}>
+                    {w.name}
+                  </option>
+                ))}
+            </select>
+            <button
+              onClick={() => setCopyKidSelection(Object.fromEntries(filteredKids.map((k) => [k.id, true])))}
+              style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}
+            >
+              เลือกทั้งหมด (ตามที่กรอง)
+            </button>
+            <button
+              onClick={() => setCopyKidSelection({})}
+              style={{ padding: "8px 10px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}
+            >
+              ล้างที่เลือก
+            </button>
+          </div>
+
+          <div style={{ marginTop: 12, display: "grid", gap: 6, maxHeight: "50vh", overflowY: "auto" }}>
+            {filteredKids.length === 0 ? <div style={{ opacity: 0.7 }}>(ไม่มีเด็ก)</div> : null}
+            {filteredKids.map((kid) => (
+              <label key={kid.id} style={{ display: "flex", alignItems: "center", gap: 10, padding: 8, borderRadius: 12, border: "1px solid #eee", cursor: "pointer" }}>
+                <input
+                  type="checkbox"
+                  checked={!!copyKidSelection[kid.id]}
+                  onChange={() => setCopyKidSelection((prev) => ({ ...prev, [kid.id]: !prev[kid.id] }))}
+                />
+                <div style={{ fontWeight: 900, flex: 1 }}>{kid.name}</div>
+                <div style={{ display: "flex", gap: 4, flexWrap: "wrap" }}>
+                  {(kid.tags ?? []).map((t) => <TagPill key={t} text={t} />)}
+                </div>
+              </label>
+            ))}
+          </div>
+
+          <div style={{ marginTop: 14, display: "flex", justifyContent: "flex-end", gap: 8 }}>
+            <button onClick={() => setOpenCopyKids(false)} style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #ddd", background: "#fff", cursor: "pointer" }}>
+              ยกเลิก
+            </button>
+            <button
+              onClick={copyKidsToWorkspace}
+              disabled={workspaceBusy}
+              style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer", opacity: workspaceBusy ? 0.6 : 1 }}
+            >
+              คัดลอก {Object.values(copyKidSelection).filter(Boolean).length} คน
             </button>
           </div>
         </Modal>
       ) : null}
+
+      {/* Undo toast */}
+      {undoToast ? (
+        <div
+          key={undoToast.id}
+          style={{
+            position: "fixed",
+            left: "50%",
+            bottom: 24,
+            transform: "translateX(-50%)",
+            zIndex: 2500,
+            display: "flex",
+            alignItems: "center",
+            gap: 12,
+            padding: "10px 14px",
+            borderRadius: 14,
+            background: "#212529",
+            color: "#fff",
+            boxShadow: "0 6px 24px rgba(0,0,0,0.2)",
+            fontSize: 13,
+          }}
+        >
+          <span>{undoToast.message}</span>
+          {undoToast.stale ? null : (
+            <button
+              onClick={undoFromToast}
+              style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #74c0fc", background: "transparent", color: "#74c0fc", cursor: "pointer", fontWeight: 800 }}
+            >
+              Undo
+            </button>
+          )}
+          <button
+            onClick={() => setUndoToast(null)}
+            title="ปิด"
+            style={{ padding: "6px 8px", borderRadius: 10, border: "none", background: "transparent", color: "#fff", cursor: "pointer" }}
+          >
+            ✕
+          </button>
+        </div>
+      ) : null}
+
+      {/* Merge conflicts */}
+      {mergeConflicts ? (
+        <ConflictDialog
+          conflicts={mergeConflicts}
+          kidById={kidById}
+          eventById={eventById}
+          statuses={settings.statuses}
+          onResolve={resolveMergeConflicts}
+        />
+      ) : null}
+    </div>
+  );
+}
+// ------------------ Sign-in ------------------
+function SignInScreen({ onSignIn }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await onSignIn(clampStr(email), password);
+    } catch (err) {
+      setError(err.message || "เข้าสู่ระบบไม่สำเร็จ");
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", alignItems: "center", justifyContent: "center", background: "#fafafa", fontFamily: "system-ui, -apple-system, Segoe UI, sans-serif" }}>
+      <form onSubmit={submit} style={{ width: 360, padding: 20, borderRadius: 16, border: "1px solid #eee", background: "#fff", display: "grid", gap: 10 }}>
+        <h2 style={{ margin: 0 }}>Kids Calendar</h2>
+        <div style={{ fontSize: 12, opacity: 0.7 }}>เข้าสู่ระบบด้วยบัญชีเจ้าหน้าที่</div>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="อีเมล"
+          autoComplete="username"
+          style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }}
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="รหัสผ่าน"
+          autoComplete="current-password"
+          style={{ padding: 10, borderRadius: 12, border: "1px solid #ddd" }}
+        />
+        {error ? <div style={{ fontSize: 12, color: "#c92a2a" }}>{error}</div> : null}
+        <button
+          type="submit"
+          disabled={busy || !email || !password}
+          style={{ padding: "10px 12px", borderRadius: 12, border: "1px solid #1a73e8", background: "#1a73e8", color: "#fff", cursor: "pointer", opacity: busy ? 0.6 : 1 }}
+        >
+          เข้าสู่ระบบ
+        </button>
+      </form>
     </div>
   );
-}
\ No newline at end of file
+}
+
+// ------------------ App ------------------
+const WORKSPACE_KEY = "kids-calendar:workspace";
+const WORKSPACES_CACHE_KEY = "kids-calendar:workspaces";
+
+function readCachedWorkspaces() {
+  try {
+    const list = JSON.parse(localStorage.getItem(WORKSPACES_CACHE_KEY) ?? "null");
+    if (Array.isArray(list) && list.length > 0) return list;
+  } catch {
+    // ignore a corrupt cache
+  }
+  return [{ id: "default", name: "Default" }];
+}
+
+// Resolves to the fresh list (also cached for offline starts), or null when unreachable.
+function fetchWorkspaces() {
+  return storage.listWorkspaces().then(
+    (list) => {
+      if (list.length === 0) return null;
+      localStorage.setItem(WORKSPACES_CACHE_KEY, JSON.stringify(list));
+      return list;
+    },
+    (e) => {
+      console.error("Load workspaces failed:", e);
+      return null;
+    }
+  );
+}
+
+// Last known role per user, so a signed-in session still opens offline.
+const roleCacheKey = (userId) => `kids-calendar:role:${userId}`;
+
+function loadRole(userId) {
+  return storage.auth.loadRole(userId).then(
+    (role) => {
+      localStorage.setItem(roleCacheKey(userId), role);
+      return role;
+    },
+    (e) => {
+      console.error("Load role failed:", e);
+      return localStorage.getItem(roleCacheKey(userId)) || "viewer";
+    }
+  );
+}
+
+export default function App() {
+  const auth = storage.auth;
+  // undefined while the stored session is being read; null when signed out
+  const [session, setSession] = useState(auth ? undefined : null);
+  const [roleInfo, setRoleInfo] = useState(null); // { userId, role }
+  const [workspaces, setWorkspaces] = useState(readCachedWorkspaces);
+  const [workspaceId, setWorkspaceId] = useState(() => localStorage.getItem(WORKSPACE_KEY) || "default");
+
+  const userId = session?.user?.id ?? null;
+  // Without an auth backend the only user is the local one, who may do everything.
+  const role = !auth ? "admin" : roleInfo?.userId === userId ? roleInfo.role : null;
+  const signedIn = !auth || !!userId;
+
+  useEffect(() => {
+    if (!auth) return;
+    return auth.subscribe(setSession);
+  }, [auth]);
+
+  useEffect(() => {
+    if (!auth || !userId) return;
+    loadRole(userId).then((r) => setRoleInfo({ userId, role: r }));
+  }, [auth, userId]);
+
+  const refreshWorkspaces = () => fetchWorkspaces().then((list) => list && setWorkspaces(list));
+
+  useEffect(() => {
+    if (!signedIn) return;
+    fetchWorkspaces().then((list) => list && setWorkspaces(list));
+  }, [signedIn]);
+
+  const switchWorkspace = (id) => {
+    localStorage.setItem(WORKSPACE_KEY, id);
+    setWorkspaceId(id);
+  };
+
+  const signOut = () => auth.signOut().catch((e) => alert(`ออกจากระบบไม่สำเร็จ: ${e.message}`));
+
+  if (auth && session === null) return <SignInScreen onSignIn={auth.signIn} />;
+  if (!role) return <div style={{ padding: 24, fontFamily: "system-ui, -apple-system, Segoe UI, sans-serif" }}>กำลังโหลด…</div>;
+
+  // The remembered workspace may be gone (or not in the cached list yet): still list it.
+  const listed = workspaces.some((w) => w.id === workspaceId)
+    ? workspaces
+    : [...workspaces, { id: workspaceId, name: workspaceId }];
+
+  return (
+    <CalendarApp
+      key={`${workspaceId}:${userId ?? ""}`}
+      workspaceId={workspaceId}
+      workspaces={listed}
+      onSwitchWorkspace={switchWorkspace}
+      onWorkspacesChanged={refreshWorkspaces}
+      role={role}
+      user={session?.user ?? null}
+      onSignOut={signOut}
+    />
+  );
+}
@@ -0,0 +1,152 @@
+// ---- Audit trail ----
+// Every saved change is also recorded as append-only audit entries: who, when, and the
+// record before/after. Entries are computed from the same two states as the write ops
+// (see persistence.diffState) and travel through the outbox with them, so offline edits
+// keep the time they were made at.
+//
+// Entry row (columns of public.audit_log):
+//   { id, entity, action, kid_id, event_id, record_key, before, after, actor_id, actor, at }
+//   entity  "kid" | "event" | "participant" | "note" | "category" | "tag"
+//   action  "insert" | "update" | "delete"
+//   before/after  plain JSON snapshot of the record (null when it didn't exist)
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const iso = (d) => (d instanceof Date && !Number.isNaN(d.getTime()) ? d.toISOString() : null);
+
+const kidRecord = (k) => ({ name: k.name ?? "", group_id: k.group_id ?? "", tags: k.tags ?? [] });
+
+const eventRecord = (ev) => ({
+  title: ev.title ?? "",
+  start: iso(ev.start),
+  end: iso(ev.end),
+  ...(ev.allDay ? { allDay: true } : {}),
+  tags: ev.tags ?? [],
+  signupUrl: ev.signupUrl ?? "",
+  ...(ev.capacity ? { capacity: ev.capacity } : {}),
+  ...(ev.recurrence ? { recurrence: ev.recurrence } : {}),
+  ...(ev.exceptions ? { exceptions: ev.exceptions } : {}),
+});
+
+const participantRecord = (p) => ({ status: p.status, ...(p.waitlisted ? { waitlisted: true } : {}) });
+
+const byId = (list) => new Map((list ?? []).map((x) => [x.id, x]));
+
+const actionOf = (before, after) => (before == null ? "insert" : after == null ? "delete" : "update");
+
+/**
+ * Audit entries for the change from `prev` to `next` (app states).
+ * `actor` is { id, name }: the signed-in user id (or null) and a display name.
+ */
+export function auditEntries(prev, next, actor, at = new Date()) {
+  const out = [];
+  const push = (entity, ids, before, after) => {
+    if (same(before, after)) return;
+    out.push({
+      id: crypto.randomUUID(),
+      entity,
+      action: actionOf(before, after),
+      kid_id: ids.kidId ?? null,
+      event_id: ids.eventId ?? null,
+      record_key: ids.key ?? null,
+      before: before ?? null,
+      after: after ?? null,
+      actor_id: actor?.id ?? null,
+      actor: actor?.name ?? "",
+      at: at.toISOString(),
+    });
+  };
+
+  // tag library
+  const prevCat = prev.tagCatalog ?? {};
+  const nextCat = next.tagCatalog ?? {};
+  for (const c of new Set([...Object.keys(prevCat), ...Object.keys(nextCat)])) {
+    const before = c in prevCat ? { name: c } : null;
+    const after = c in nextCat ? { name: c } : null;
+    push("category", { key: c }, before, after);
+    const prevTags = new Set(prevCat[c] ?? []);
+    const nextTags = new Set(nextCat[c] ?? []);
+    for (const t of new Set([...prevTags, ...nextTags])) {
+      push("tag", { key: `${c}/${t}` }, prevTags.has(t) ? { category: c, name: t } : null, nextTags.has(t) ? { category: c, name: t } : null);
+    }
+  }
+
+  // kids
+  const prevKids = byId(prev.kids);
+  const nextKids = byId(next.kids);
+  for (const id of new Set([...prevKids.keys(), ...nextKids.keys()])) {
+    const before = prevKids.has(id) ? kidRecord(prevKids.get(id)) : null;
+    const after = nextKids.has(id) ? kidRecord(nextKids.get(id)) : null;
+    push("kid", { kidId: id }, before, after);
+  }
+
+  // events, their participants and suggest notes
+  const prevEvents = byId(prev.events);
+  const nextEvents = byId(next.events);
+  for (const id of new Set([...prevEvents.keys(), ...nextEvents.keys()])) {
+    const a = prevEvents.get(id);
+    const b = nextEvents.get(id);
+    push("event", { eventId: id }, a ? eventRecord(a) : null, b ? eventRecord(b) : null);
+
+    // A deleted event takes its participants and notes with it; the event entry covers that.
+    if (!b) continue;
+    const prevParts = new Map((a?.participants ?? []).map((p) => [p.kidId, p]));
+    const nextParts = new Map((b.participants ?? []).map((p) => [p.kidId, p]));
+    for (const kidId of new Set([...prevParts.keys(), ...nextParts.keys()])) {
+      const before = prevParts.has(kidId) ? participantRecord(prevParts.get(kidId)) : null;
+      const after = nextParts.has(kidId) ? participantRecord(nextParts.get(kidId)) : null;
+      push("participant", { eventId: id, kidId }, before, after);
+    }
+    const prevNotes = a?.suggestNotes ?? {};
+    const nextNotes = b.suggestNotes ?? {};
+    for (const kidId of new Set([...Object.keys(prevNotes), ...Object.keys(nextNotes)])) {
+      const before = kidId in prevNotes ? { note: prevNotes[kidId] ?? "" } : null;
+      const after = kidId in nextNotes ? { note: nextNotes[kidId] ?? "" } : null;
+      push("note", { eventId: id, kidId }, before, after);
+    }
+  }
+
+  return out;
+}
+
+/** The write op that stores audit entries. */
+export function auditOp(entries) {
+  return { table: "audit_log", type: "append", rows: entries };
+}
+
+// Whether `entry` records (part of) the change made by the write op `op`.
+const recordsOp = (entry, op) => {
+  const rec = op.row ?? op.key ?? {};
+  switch (op.table) {
+    case "kids":
+      return entry.entity === "kid" && entry.kid_id === op.id;
+    case "events":
+      return entry.entity !== "kid" && entry.event_id === op.id;
+    case "tag_categories":
+      return entry.entity === "category" && entry.record_key === rec.name;
+    case "tags":
+      return entry.entity === "tag" && entry.record_key === `${rec.category}/${rec.name}`;
+    default:
+      return false;
+  }
+};
+
+/**
+ * `ops` with the audit entries of each op queued right after it. The outbox stops at the
+ * first op the server won't take; this way everything before it has its entries stored and
+ * nothing after it has. Entries no op accounts for (e.g. tags deleted with their category)
+ * go last.
+ */
+export function withAudit(ops, entries) {
+  let rest = entries;
+  const out = [];
+  for (const op of ops) {
+    out.push(op);
+    const own = rest.filter((e) => recordsOp(e, op));
+    if (own.length === 0) continue;
+    rest = rest.filter((e) => !own.includes(e));
+    out.push(auditOp(own));
+  }
+  if (rest.length > 0) out.push(auditOp(rest));
+  return out;
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from "vitest";
+
+import { auditEntries, withAudit } from "./audit.js";
+import { diffState, scopeOps } from "./persistence.js";
+import { applyOpsToTables, emptyTables } from "./storage/rowStore.js";
+
+const actor = { id: "u-1", name: "ครูเอ" };
+const at = new Date("2026-10-19T03:00:00Z");
+const kid = (id, extra = {}) => ({ id, name: id, tags: [], group_id: "", ...extra });
+const camp = (id, participants = [], extra = {}) => ({
+  id,
+  title: "ค่ายวิทย์",
+  start: new Date("2026-11-01T02:00:00Z"),
+  end: new Date("2026-11-01T05:00:00Z"),
+  tags: [],
+  signupUrl: "",
+  participants,
+  ...extra,
+});
+const state = (extra = {}) => ({ tagCatalog: {}, kids: [], events: [], trash: [], ...extra });
+
+const summary = (entries) => entries.map((e) => [e.entity, e.action, e.kid_id, e.event_id, e.record_key]);
+
+describe("auditEntries", () => {
+  it("records each changed record with its before and after", () => {
+    const prev = state({ kids: [kid("k-1"), kid("k-2")], events: [camp("e-1", [{ kidId: "k-1", status: "suggested" }])] });
+    const next = state({
+      kids: [kid("k-1", { name: "Ann" }), kid("k-3")],
+      events: [camp("e-1", [{ kidId: "k-1", status: "applied" }, { kidId: "k-3", status: "suggested" }], { suggestNotes: { "k-3": "ชอบวิทย์" } })],
+    });
+    const entries = auditEntries(prev, next, actor, at);
+    expect(summary(entries)).toEqual([
+      ["kid", "update", "k-1", null, null],
+      ["kid", "delete", "k-2", null, null],
+      ["kid", "insert", "k-3", null, null],
+      ["participant", "update", "k-1", "e-1", null],
+      ["participant", "insert", "k-3", "e-1", null],
+      ["note", "insert", "k-3", "e-1", null],
+    ]);
+    expect(entries[0]).toMatchObject({
+      before: { name: "k-1", group_id: "", tags: [] },
+      after: { name: "Ann", group_id: "", tags: [] },
+      actor_id: "u-1",
+      actor: "ครูเอ",
+      at: "2026-10-19T03:00:00.000Z",
+    });
+    expect(auditEntries(next, next, actor, at)).toEqual([]);
+  });
+
+  it("covers a deleted event's participants with the event entry", () => {
+    const prev = state({ events: [camp("e-1", [{ kidId: "k-1", status: "suggested" }], { suggestNotes: { "k-1": "x" } })] });
+    expect(summary(auditEntries(prev, state(), actor, at))).toEqual([["event", "delete", null, "e-1", null]]);
+  });
+});
+
+describe("withAudit", () => {
+  it("queues each op's entries right after it and unmatched ones last", () => {
+    const prev = state({ tagCatalog: { จังหวัด: ["ภูเก็ต"] }, kids: [kid("k-1")], events: [camp("e-1")] });
+    const next = state({
+      tagCatalog: { ระดับชั้น: ["ม.1"] },
+      kids: [kid("k-1", { name: "Ann" })],
+      events: [camp("e-1", [{ kidId: "k-1", status: "suggested" }])],
+    });
+    const ops = diffState(prev, next, { kids: { "k-1": 1 }, events: { "e-1": 1 } });
+    const queued = withAudit(ops, auditEntries(prev, next, actor, at));
+    expect(
+      queued.map((op) => (op.table === "audit_log" ? `audit ${op.rows.map((r) => r.record_key ?? r.entity).join(",")}` : `${op.table} ${op.type}`))
+    ).toEqual([
+      "tag_categories upsert",
+      "audit ระดับชั้น",
+      "tags upsert",
+      "audit ระดับชั้น/ม.1",
+      "tag_categories delete",
+      "audit จังหวัด",
+      "kids update",
+      "audit kid",
+      "events update",
+      "audit participant",
+      // the tag goes with its category: no op of its own
+      "audit จังหวัด/ภูเก็ต",
+    ]);
+  });
+
+  it("leaves the entries of applied ops stored when a later op conflicts", () => {
+    const tables = emptyTables();
+    const base = state({ kids: [kid("k-1")], events: [camp("e-1")] });
+    applyOpsToTables(tables, scopeOps(diffState(state(), base, { kids: {}, events: {} }), "ws-1"), { kids: {}, events: {} });
+    // someone else saved e-1 meanwhile
+    const theirs = state({ ...base, events: [camp("e-1", [], { title: "ค่ายคณิต" })] });
+    applyOpsToTables(tables, scopeOps(diffState(base, theirs, { kids: { "k-1": 1 }, events: { "e-1": 1 } }), "ws-1"), {
+      kids: { "k-1": 1 },
+      events: { "e-1": 1 },
+    });
+
+    const ours = state({ kids: [kid("k-1", { name: "Ann" })], events: [camp("e-1", [{ kidId: "k-1", status: "suggested" }])] });
+    const queued = withAudit(diffState(base, ours, { kids: { "k-1": 1 }, events: { "e-1": 1 } }), auditEntries(base, ours, actor, at));
+    // replay like the outbox: one op at a time, stop at the first conflict
+    let versions = { kids: { "k-1": 1 }, events: { "e-1": 1 } };
+    for (const op of queued) {
+      const out = applyOpsToTables(tables, scopeOps([op], "ws-1"), versions);
+      if (out.conflicts.length > 0) break;
+      versions = out.versions;
+    }
+    expect(tables.audit_log.map((r) => [r.entity, r.kid_id, r.event_id])).toEqual([["kid", "k-1", null]]);
+    expect(tables.kids[0]).toMatchObject({ name: "Ann", version: 2 });
+  });
+});
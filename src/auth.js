@@ -0,0 +1,59 @@
+// ---- Staff sign-in and roles ----
+// Roles (stored in public.staff_roles, enforced server-side by RLS; see
+// supabase/migrations/*_auth_roles.sql):
+//   admin        everything, incl. the Tag Library, deleting kids/events and workspaces
+//   coordinator  adds/edits kids and events, assigns kids, sets statuses, writes notes
+//   viewer       read-only
+// The UI only hides what the server would reject anyway.
+
+export const ROLES = ["admin", "coordinator", "viewer"];
+
+export const ROLE_LABELS = {
+  admin: "Admin",
+  coordinator: "Coordinator",
+  viewer: "Viewer (ดูอย่างเดียว)",
+};
+
+const PERMISSIONS = {
+  admin: { editRecords: true, deleteRecords: true, editLibrary: true, manageWorkspaces: true },
+  coordinator: { editRecords: true, deleteRecords: false, editLibrary: false, manageWorkspaces: false },
+  viewer: { editRecords: false, deleteRecords: false, editLibrary: false, manageWorkspaces: false },
+};
+
+/** { editRecords, deleteRecords, editLibrary, manageWorkspaces } for a role; unknown roles get viewer rights. */
+export function permissionsFor(role) {
+  return PERMISSIONS[role] ?? PERMISSIONS.viewer;
+}
+
+/** True for errors caused by a row-level security policy (write not allowed for this role). */
+export function isPermissionDenied(error) {
+  return error?.code === "42501";
+}
+
+/**
+ * Supabase Auth (email + password). Adapters without auth leave `storage.auth` null and
+ * the single local user acts as admin.
+ */
+export function createSupabaseAuth(client) {
+  return {
+    // Calls onSession(session | null) now and on every sign-in/out. Returns unsubscribe.
+    subscribe: (onSession) => {
+      const { data } = client.auth.onAuthStateChange((_event, session) => onSession(session));
+      return () => data.subscription.unsubscribe();
+    },
+    signIn: async (email, password) => {
+      const { error } = await client.auth.signInWithPassword({ email, password });
+      if (error) throw error;
+    },
+    signOut: async () => {
+      const { error } = await client.auth.signOut();
+      if (error) throw error;
+    },
+    // Staff without a staff_roles row can sign in but see nothing (RLS), so treat them as viewers.
+    loadRole: async (userId) => {
+      const { data, error } = await client.from("staff_roles").select("role").eq("user_id", userId).maybeSingle();
+      if (error) throw error;
+      return data?.role ?? "viewer";
+    },
+  };
+}
@@ -0,0 +1,245 @@
+// ---- JSON export / import ----
+// A backup file holds one workspace's tag catalog, kids and events (with participants and
+// suggest notes), so data can be moved or restored without the Supabase console:
+//
+//   { format: "kids-calendar", version: 2, exportedAt, workspace: { id, name },
+//     tagCatalog: { [category]: string[] },
+//     kids:   [{ id, name, tags, group_id, createdAt? }],
+//     events: [{ id, title, start, end, allDay?, tags, signupUrl, capacity?, suggestedAt?,
+//                participants: [{ kidId, status, history?, waitlisted? }], suggestNotes?: { [kidId]: note },
+//                recurrence?, exceptions? }] }   (see src/recurrence.js)
+//
+// Event dates are ISO strings; readBackup() revives them.
+// Record ids are unique across all workspaces, so a file exported from another workspace is
+// imported with new ids (withNewIds) rather than colliding with the rows it came from.
+// Version 1 files hold statuses as 0 / 1 / 2; they are mapped to status ids on import
+// (src/statuses.js).
+
+import { normalizeCapacity } from "./capacity.js";
+import { normalizeExceptions, normalizeRecurrence } from "./recurrence.js";
+import { upgradeEventStatuses } from "./statuses.js";
+
+export const BACKUP_FORMAT = "kids-calendar";
+export const BACKUP_VERSION = 2;
+
+export function createBackup(state, workspace) {
+  return JSON.parse(
+    JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      workspace: workspace ? { id: workspace.id, name: workspace.name } : null,
+      tagCatalog: state.tagCatalog ?? {},
+      kids: state.kids ?? [],
+      events: state.events ?? [],
+    })
+  );
+}
+
+// ------------------ schema ------------------
+// Field specs: "string" | "number" | "date" (parseable string) | "string[]" | "status",
+// optional when the name ends with "?".
+const KID_FIELDS = { id: "string", name: "string", "tags?": "string[]", "group_id?": "string", "createdAt?": "number" };
+const EVENT_FIELDS = {
+  id: "string",
+  title: "string",
+  start: "date",
+  end: "date",
+  "tags?": "string[]",
+  "signupUrl?": "string",
+  "suggestedAt?": "number",
+};
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isString = (v) => typeof v === "string";
+
+function checkValue(type, value) {
+  switch (type) {
+    case "string":
+      return isString(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "date":
+      return isString(value) && !Number.isNaN(new Date(value).getTime());
+    case "string[]":
+      return Array.isArray(value) && value.every(isString);
+    case "status": // a status id, or a version 1 number
+      return (isString(value) && value !== "") || (Number.isInteger(value) && value >= 0);
+    default:
+      return false;
+  }
+}
+
+function checkFields(fields, obj, path, errors) {
+  for (const [spec, type] of Object.entries(fields)) {
+    const optional = spec.endsWith("?");
+    const key = optional ? spec.slice(0, -1) : spec;
+    if (obj[key] === undefined || (optional && obj[key] === null)) {
+      if (!optional) errors.push(`${path}.${key}: ไม่มีข้อมูล`);
+    } else if (!checkValue(type, obj[key])) {
+      errors.push(`${path}.${key}: ต้องเป็น ${type}`);
+    }
+  }
+}
+
+const MAX_ERRORS = 50;
+
+/**
+ * Checks a parsed backup file. Returns { errors } (Thai messages with the JSON path, at most
+ * MAX_ERRORS) and, when there are none, `data`: { tagCatalog, kids, events } with event
+ * dates still as strings, and `workspaceId`: the workspace it was exported from (or null).
+ */
+export function validateBackup(doc) {
+  const errors = [];
+  if (!isObject(doc)) return { errors: ["ไฟล์ต้องเป็น JSON object"] };
+  if (doc.format !== BACKUP_FORMAT) return { errors: [`format ต้องเป็น "${BACKUP_FORMAT}"`] };
+  if (!Number.isInteger(doc.version) || doc.version < 1) return { errors: ["version ไม่ถูกต้อง"] };
+  if (doc.version > BACKUP_VERSION) {
+    return { errors: [`ไฟล์เป็น version ${doc.version} ซึ่งใหม่กว่าที่แอปนี้รองรับ (${BACKUP_VERSION})`] };
+  }
+
+  if (!isObject(doc.tagCatalog)) errors.push("tagCatalog: ต้องเป็น object");
+  else {
+    for (const [category, tags] of Object.entries(doc.tagCatalog)) {
+      if (!checkValue("string[]", tags)) errors.push(`tagCatalog["${category}"]: ต้องเป็น string[]`);
+    }
+  }
+
+  const checkList = (name, fields, extra) => {
+    if (!Array.isArray(doc[name])) return errors.push(`${name}: ต้องเป็น array`);
+    const seen = new Set();
+    doc[name].forEach((item, i) => {
+      const path = `${name}[${i}]`;
+      if (!isObject(item)) return errors.push(`${path}: ต้องเป็น object`);
+      checkFields(fields, item, path, errors);
+      if (isString(item.id)) {
+        if (seen.has(item.id)) errors.push(`${path}.id: ซ้ำกับรายการก่อนหน้า (${item.id})`);
+        seen.add(item.id);
+      }
+      extra?.(item, path);
+    });
+  };
+
+  checkList("kids", KID_FIELDS);
+  checkList("events", EVENT_FIELDS, (ev, path) => {
+    if (checkValue("date", ev.start) && checkValue("date", ev.end) && new Date(ev.end) <= new Date(ev.start)) {
+      errors.push(`${path}.end: ต้องหลังเวลาเริ่ม`);
+    }
+    if (ev.participants !== undefined) {
+      if (!Array.isArray(ev.participants)) errors.push(`${path}.participants: ต้องเป็น array`);
+      else {
+        ev.participants.forEach((p, j) => {
+          if (!isObject(p)) return errors.push(`${path}.participants[${j}]: ต้องเป็น object`);
+          checkFields({ kidId: "string", status: "status" }, p, `${path}.participants[${j}]`, errors);
+          if (p.history !== undefined && !Array.isArray(p.history)) errors.push(`${path}.participants[${j}].history: ต้องเป็น array`);
+          if (p.waitlisted !== undefined && typeof p.waitlisted !== "boolean") errors.push(`${path}.participants[${j}].waitlisted: ต้องเป็น true/false`);
+        });
+      }
+    }
+    if (ev.suggestNotes !== undefined && ev.suggestNotes !== null) {
+      if (!isObject(ev.suggestNotes) || !Object.values(ev.suggestNotes).every(isString)) {
+        errors.push(`${path}.suggestNotes: ต้องเป็น object ของข้อความ`);
+      }
+    }
+    if (ev.allDay !== undefined && typeof ev.allDay !== "boolean") errors.push(`${path}.allDay: ต้องเป็น true/false`);
+    if (ev.capacity != null && !normalizeCapacity(ev.capacity)) errors.push(`${path}.capacity: ต้องเป็นจำนวนเต็มบวก`);
+    if (ev.recurrence != null && !normalizeRecurrence(ev.recurrence)) errors.push(`${path}.recurrence: รูปแบบการซ้ำไม่ถูกต้อง`);
+    if (!normalizeExceptions(upgradeEventStatuses(ev).exceptions)) errors.push(`${path}.exceptions: ข้อมูลรายครั้งไม่ถูกต้อง`);
+  });
+
+  if (errors.length > 0) return { errors: errors.slice(0, MAX_ERRORS) };
+
+  return {
+    errors: [],
+    workspaceId: isObject(doc.workspace) && isString(doc.workspace.id) ? doc.workspace.id : null,
+    data: {
+      tagCatalog: doc.tagCatalog,
+      kids: doc.kids.map((k) => ({ tags: [], group_id: "", ...k })),
+      events: doc.events.map((ev) => upgradeEventStatuses({ tags: [], signupUrl: "", participants: [], ...ev })),
+    },
+  };
+}
+
+/**
+ * validateBackup() plus what the importer needs before applyImport(): event dates as Date
+ * objects, and new ids (withNewIds) when the file was exported from another workspace than
+ * `workspaceId`. Every event of an accepted file comes through; malformed ones reject the file.
+ */
+export function readBackup(doc, workspaceId) {
+  const result = validateBackup(doc);
+  if (!result.data) return result;
+  const data = result.workspaceId === workspaceId ? result.data : withNewIds(result.data);
+  const events = data.events.map((ev) => ({ ...ev, start: new Date(ev.start), end: new Date(ev.end) }));
+  return { ...result, data: { ...data, events } };
+}
+
+// ------------------ applying ------------------
+/**
+ * `data` with every kid and event under a new id from `newId`; participants, suggest notes
+ * and per-session statuses follow their kid. Used when the file comes from another workspace.
+ */
+export function withNewIds(data, newId = () => crypto.randomUUID()) {
+  const kidIds = new Map(data.kids.map((k) => [k.id, newId()]));
+  const kidId = (id) => kidIds.get(id) ?? id;
+  const rekey = (obj) => Object.fromEntries(Object.entries(obj).map(([id, v]) => [kidId(id), v]));
+  return {
+    ...data,
+    kids: data.kids.map((k) => ({ ...k, id: kidIds.get(k.id) })),
+    events: data.events.map((ev) => {
+      const next = { ...ev, id: newId(), participants: (ev.participants ?? []).map((p) => ({ ...p, kidId: kidId(p.kidId) })) };
+      if (ev.suggestNotes) next.suggestNotes = rekey(ev.suggestNotes);
+      if (ev.exceptions) {
+        next.exceptions = Object.fromEntries(
+          Object.entries(ev.exceptions).map(([key, exc]) => [key, exc.statuses ? { ...exc, statuses: rekey(exc.statuses) } : exc])
+        );
+      }
+      return next;
+    }),
+  };
+}
+
+/**
+ * The state after importing `data` (revived) into `state`.
+ *   "replace"  the file's tag catalog, kids and events replace the current ones
+ *   "merge"    records with the same id are overwritten, new ones are added, the rest stay;
+ *              the tag catalogs are united
+ * Participants and notes of kids that don't exist afterwards are dropped and counted in
+ * `dropped`. The trash is left alone.
+ */
+export function applyImport(state, data, mode) {
+  let tagCatalog;
+  let kids;
+  let events;
+  if (mode === "replace") {
+    ({ tagCatalog, kids, events } = data);
+  } else {
+    tagCatalog = { ...state.tagCatalog };
+    for (const [category, tags] of Object.entries(data.tagCatalog)) {
+      tagCatalog[category] = Array.from(new Set([...(tagCatalog[category] ?? []), ...tags]));
+    }
+    const mergeById = (current, incoming) => {
+      const byId = new Map(incoming.map((x) => [x.id, x]));
+      const kept = current.map((x) => byId.get(x.id) ?? x);
+      const known = new Set(current.map((x) => x.id));
+      return [...kept, ...incoming.filter((x) => !known.has(x.id))];
+    };
+    kids = mergeById(state.kids, data.kids);
+    events = mergeById(state.events, data.events);
+  }
+
+  const kidIds = new Set(kids.map((k) => k.id));
+  let dropped = 0;
+  events = events.map((ev) => {
+    const participants = (ev.participants ?? []).filter((p) => kidIds.has(p.kidId));
+    const notes = Object.entries(ev.suggestNotes ?? {}).filter(([kidId]) => kidIds.has(kidId));
+    const lost = (ev.participants ?? []).length - participants.length + Object.keys(ev.suggestNotes ?? {}).length - notes.length;
+    if (lost === 0) return ev;
+    dropped += lost;
+    const next = { ...ev, participants };
+    if (notes.length > 0) next.suggestNotes = Object.fromEntries(notes);
+    else delete next.suggestNotes;
+    return next;
+  });
+
+  return { state: { ...state, tagCatalog, kids, events }, dropped };
+}
@@ -0,0 +1,160 @@
+import { describe, expect, it } from "vitest";
+
+import { BACKUP_FORMAT, BACKUP_VERSION, applyImport, readBackup, validateBackup, withNewIds } from "./backup.js";
+
+const file = (extra = {}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: "2026-10-01T00:00:00.000Z",
+  workspace: { id: "ws-1", name: "ค่ายฤดูร้อน" },
+  tagCatalog: { ระดับชั้น: ["ม.1"] },
+  kids: [
+    { id: "k-1", name: "น้องเอ", tags: ["ม.1"], group_id: "" },
+    { id: "k-2", name: "น้องบี" },
+  ],
+  events: [
+    {
+      id: "e-1",
+      title: "ค่ายวิทย์",
+      start: "2026-11-01T02:00:00.000Z",
+      end: "2026-11-01T05:00:00.000Z",
+      tags: [],
+      signupUrl: "",
+      participants: [
+        { kidId: "k-1", status: "applied" },
+        { kidId: "k-2", status: "suggested" },
+      ],
+      suggestNotes: { "k-2": "สนใจ" },
+      recurrence: { freq: "weekly", interval: 1 },
+      exceptions: { "2026-11-08": { statuses: { "k-1": "attended" } } },
+    },
+  ],
+  ...extra,
+});
+
+describe("validateBackup", () => {
+  it("accepts a well-formed file and fills defaults", () => {
+    const { errors, data, workspaceId } = validateBackup(file());
+    expect(errors).toEqual([]);
+    expect(workspaceId).toBe("ws-1");
+    expect(data.kids[1]).toEqual({ id: "k-2", name: "น้องบี", tags: [], group_id: "" });
+    expect(data.events[0].start).toBe("2026-11-01T02:00:00.000Z");
+  });
+
+  it("rejects a missing, wrong or newer version", () => {
+    expect(validateBackup(file({ version: undefined })).errors).toEqual(["version ไม่ถูกต้อง"]);
+    expect(validateBackup(file({ version: "2" })).errors).toEqual(["version ไม่ถูกต้อง"]);
+    expect(validateBackup(file({ version: 0 })).errors).toEqual(["version ไม่ถูกต้อง"]);
+    expect(validateBackup(file({ version: BACKUP_VERSION + 1 })).errors[0]).toMatch(/ใหม่กว่า/);
+    expect(validateBackup(file({ format: "other" })).data).toBeUndefined();
+    expect(validateBackup([]).errors).toEqual(["ไฟล์ต้องเป็น JSON object"]);
+  });
+
+  it("rejects malformed kids and events with their JSON paths", () => {
+    const doc = file();
+    doc.kids.push({ id: "k-1", name: 5, tags: "ม.1" });
+    doc.events.push(
+      { id: "e-2", title: "ทัศนศึกษา", start: "not a date", end: "2026-11-02T05:00:00.000Z" },
+      { id: "e-3", title: "ย้อนเวลา", start: "2026-11-03T05:00:00.000Z", end: "2026-11-03T02:00:00.000Z", capacity: -1 },
+      { id: "e-4", title: "ค่าย", start: "2026-11-04T02:00:00.000Z", end: "2026-11-04T05:00:00.000Z", participants: [{ kidId: "k-1", status: "" }] },
+      "e-5"
+    );
+    const { errors, data } = validateBackup(doc);
+    expect(data).toBeUndefined();
+    expect(errors).toEqual([
+      "kids[2].name: ต้องเป็น string",
+      "kids[2].tags: ต้องเป็น string[]",
+      "kids[2].id: ซ้ำกับรายการก่อนหน้า (k-1)",
+      "events[1].start: ต้องเป็น date",
+      "events[2].end: ต้องหลังเวลาเริ่ม",
+      "events[2].capacity: ต้องเป็นจำนวนเต็มบวก",
+      "events[3].participants[0].status: ต้องเป็น status",
+      "events[4]: ต้องเป็น object",
+    ]);
+    expect(validateBackup(file({ events: {} })).errors).toEqual(["events: ต้องเป็น array"]);
+  });
+
+  it("maps version 1 numeric statuses onto status ids", () => {
+    const doc = file({ version: 1 });
+    doc.events[0].participants = [{ kidId: "k-1", status: 2 }];
+    doc.events[0].exceptions = { "2026-11-08": { statuses: { "k-1": 1 } } };
+    const { data } = validateBackup(doc);
+    expect(data.events[0].participants).toEqual([{ kidId: "k-1", status: "applied" }]);
+    expect(data.events[0].exceptions).toEqual({ "2026-11-08": { statuses: { "k-1": "informed" } } });
+  });
+});
+
+describe("readBackup", () => {
+  it("revives every event of an accepted file", () => {
+    const doc = file();
+    doc.events.push({ ...doc.events[0], id: "e-2", start: "2026-12-01", end: "2026-12-02", allDay: true });
+    const { data } = readBackup(doc, "ws-1");
+    expect(data.events.map((ev) => ev.id)).toEqual(["e-1", "e-2"]);
+    expect(data.events.every((ev) => ev.start instanceof Date && !Number.isNaN(ev.end.getTime()))).toBe(true);
+  });
+
+  it("rejects the file instead of dropping events that can't be revived", () => {
+    for (const events of [[{ ...file().events[0], end: "31/12/2026" }], [null], "e-1"]) {
+      const result = readBackup(file({ events }), "ws-1");
+      expect(result.data).toBeUndefined();
+      expect(result.errors.length).toBeGreaterThan(0);
+    }
+  });
+
+  it("gives a file from another workspace new ids and keeps its references", () => {
+    let n = 0;
+    const data = withNewIds(validateBackup(file()).data, () => `new-${++n}`);
+    expect(data.kids.map((k) => k.id)).toEqual(["new-1", "new-2"]);
+    const [ev] = data.events;
+    expect(ev.id).toBe("new-3");
+    expect(ev.participants.map((p) => p.kidId)).toEqual(["new-1", "new-2"]);
+    expect(ev.suggestNotes).toEqual({ "new-2": "สนใจ" });
+    expect(ev.exceptions).toEqual({ "2026-11-08": { statuses: { "new-1": "attended" } } });
+
+    expect(readBackup(file(), "ws-1").data.kids[0].id).toBe("k-1");
+    expect(readBackup(file(), "ws-2").data.kids[0].id).not.toBe("k-1");
+    expect(readBackup(file({ workspace: null }), "ws-1").data.kids[0].id).not.toBe("k-1");
+  });
+});
+
+describe("applyImport", () => {
+  const current = () => ({
+    tagCatalog: { ระดับชั้น: ["ม.2"], จังหวัด: ["ภูเก็ต"] },
+    kids: [
+      { id: "k-1", name: "เอ (เดิม)", tags: [], group_id: "" },
+      { id: "k-9", name: "น้องซี", tags: [], group_id: "" },
+    ],
+    events: [{ id: "e-9", title: "เดิม", participants: [{ kidId: "k-9", status: "suggested" }] }],
+    trash: [{ id: "t-1" }],
+  });
+
+  it("replaces everything but the trash", () => {
+    const { data } = readBackup(file(), "ws-1");
+    const { state, dropped } = applyImport(current(), data, "replace");
+    expect(dropped).toBe(0);
+    expect(state.tagCatalog).toEqual({ ระดับชั้น: ["ม.1"] });
+    expect(state.kids.map((k) => k.id)).toEqual(["k-1", "k-2"]);
+    expect(state.events.map((ev) => ev.id)).toEqual(["e-1"]);
+    expect(state.trash).toEqual([{ id: "t-1" }]);
+  });
+
+  it("merges by id: overwrites matches, adds new records, keeps the rest", () => {
+    const { data } = readBackup(file(), "ws-1");
+    const { state } = applyImport(current(), data, "merge");
+    expect(state.tagCatalog).toEqual({ ระดับชั้น: ["ม.2", "ม.1"], จังหวัด: ["ภูเก็ต"] });
+    expect(state.kids.map((k) => [k.id, k.name])).toEqual([
+      ["k-1", "น้องเอ"],
+      ["k-9", "น้องซี"],
+      ["k-2", "น้องบี"],
+    ]);
+    expect(state.events.map((ev) => ev.id)).toEqual(["e-9", "e-1"]);
+  });
+
+  it("drops participants and notes of kids that don't exist afterwards", () => {
+    const { data } = readBackup(file({ kids: [{ id: "k-1", name: "น้องเอ" }] }), "ws-1");
+    const { state, dropped } = applyImport({ ...current(), kids: [] }, data, "replace");
+    expect(dropped).toBe(2);
+    expect(state.events[0].participants.map((p) => p.kidId)).toEqual(["k-1"]);
+    expect(state.events[0]).not.toHaveProperty("suggestNotes");
+  });
+});
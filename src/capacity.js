@@ -0,0 +1,100 @@
+// ---- Capacity and waitlists ----
+// An event may take at most `capacity` participants (a positive integer; none = no limit).
+// Kids added beyond it get `waitlisted: true`, and their order in event.participants is their
+// rank on the waitlist. Every participant not on the waitlist has a seat, whatever their
+// status: terminal statuses include attended / no-show, so a status can't tell a free seat.
+// Staff free the seat of a kid who declined by removing them from the event. When seats
+// free up (someone is removed, the capacity is raised) fillSeats promotes the waitlist in
+// rank order; when there are too few (the capacity is lowered, a merge seated kids from two
+// devices) enforceCapacity moves the last seated kids onto it.
+
+/** A capacity as stored: a positive integer, or null for no limit. */
+export function normalizeCapacity(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/** How many participants have a seat. */
+export function seatedCount(ev) {
+  return (ev.participants ?? []).filter((p) => !p.waitlisted).length;
+}
+
+/** The waitlisted participants, first in line first. */
+export function waitlistOf(ev) {
+  return (ev.participants ?? []).filter((p) => p.waitlisted);
+}
+
+const freeSeats = (ev) => (ev.capacity ? Math.max(0, ev.capacity - seatedCount(ev)) : Infinity);
+
+const seated = (p) => {
+  const next = { ...p };
+  delete next.waitlisted;
+  return next;
+};
+
+/**
+ * Promotes waitlisted kids into the free seats: { event, promoted: kidIds }.
+ * The event is returned as is when nobody moves up.
+ */
+export function fillSeats(ev) {
+  let free = freeSeats(ev);
+  const promoted = [];
+  const participants = (ev.participants ?? []).map((p) => {
+    if (!p.waitlisted || free <= 0) return p;
+    free -= 1;
+    promoted.push(p.kidId);
+    return seated(p);
+  });
+  return { event: promoted.length > 0 ? { ...ev, participants } : ev, promoted };
+}
+
+/**
+ * Seats exactly as many kids as the capacity allows: { event, promoted, waitlisted: kidIds }.
+ * Needed when the capacity is lowered, or after a merge of two devices that each filled the
+ * last seats. The first `capacity` seated kids in rank order keep their seats, the others
+ * join the waitlist at their rank, and free seats go to the waitlist (see fillSeats).
+ */
+export function enforceCapacity(ev) {
+  let seats = ev.capacity ?? Infinity;
+  const waitlisted = [];
+  const participants = (ev.participants ?? []).map((p) => {
+    if (p.waitlisted) return p;
+    if (seats > 0) {
+      seats -= 1;
+      return p;
+    }
+    waitlisted.push(p.kidId);
+    return { ...p, waitlisted: true };
+  });
+  const { event, promoted } = fillSeats(waitlisted.length > 0 ? { ...ev, participants } : ev);
+  return { event, promoted, waitlisted };
+}
+
+/**
+ * The event with `participants` added at the end: seated while there are free seats,
+ * waitlisted after that. Kids already waiting keep their place ahead of them.
+ */
+export function addParticipants(ev, participants) {
+  const { event } = fillSeats(ev);
+  let free = freeSeats(event);
+  const added = participants.map((p) => {
+    if (free <= 0) return { ...p, waitlisted: true };
+    free -= 1;
+    return seated(p);
+  });
+  return { ...event, participants: [...(event.participants ?? []), ...added] };
+}
+
+/** Moves a waitlisted kid `delta` places towards the front (negative) or back of the line. */
+export function moveOnWaitlist(ev, kidId, delta) {
+  const list = ev.participants ?? [];
+  const slots = list.flatMap((p, i) => (p.waitlisted ? [i] : []));
+  const from = slots.findIndex((i) => list[i].kidId === kidId);
+  const to = from + delta;
+  if (from === -1 || to < 0 || to >= slots.length) return ev;
+  const participants = [...list];
+  participants[slots[from]] = list[slots[to]];
+  participants[slots[to]] = list[slots[from]];
+  return { ...ev, participants };
+}
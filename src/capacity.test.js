@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+
+import { addParticipants, fillSeats, moveOnWaitlist, normalizeCapacity, seatedCount, waitlistOf } from "./capacity.js";
+
+const camp = (participants, capacity = 2) => ({ id: "e-1", title: "ค่ายวิทย์", capacity, participants });
+const kid = (kidId, extra = {}) => ({ kidId, status: "suggested", ...extra });
+
+describe("capacity", () => {
+  it("accepts positive integers only", () => {
+    expect([3, "12", 0, -1, 1.5, "", null, "abc"].map(normalizeCapacity)).toEqual([3, 12, null, null, null, null, null, null]);
+  });
+
+  it("seats kids while there is room and waitlists the rest in order", () => {
+    const ev = addParticipants(camp([kid("k-1")]), [kid("k-2"), kid("k-3"), kid("k-4")]);
+    expect(seatedCount(ev)).toBe(2);
+    expect(waitlistOf(ev).map((p) => p.kidId)).toEqual(["k-3", "k-4"]);
+    expect(addParticipants({ ...ev, capacity: undefined }, [kid("k-5")]).participants.every((p) => !p.waitlisted)).toBe(true);
+  });
+
+  it("promotes the first in line when a seat frees up", () => {
+    const ev = camp([kid("k-2"), kid("k-3", { waitlisted: true }), kid("k-4", { waitlisted: true })]);
+    const { event, promoted } = fillSeats(ev);
+    expect(promoted).toEqual(["k-3"]);
+    expect(event.participants.map((p) => Boolean(p.waitlisted))).toEqual([false, false, true]);
+    expect(fillSeats(event).event).toBe(event);
+  });
+
+  it("reorders the waitlist without touching seated kids", () => {
+    const ev = camp([kid("k-1"), kid("k-2", { waitlisted: true }), kid("k-3"), kid("k-4", { waitlisted: true })]);
+    expect(moveOnWaitlist(ev, "k-4", -1).participants.map((p) => p.kidId)).toEqual(["k-1", "k-4", "k-3", "k-2"]);
+    expect(moveOnWaitlist(ev, "k-2", -1)).toBe(ev);
+  });
+});
@@ -0,0 +1,75 @@
+// ---- Data integrity checks ----
+// Finds problems the UI never cleans up on its own and offers fixes for them:
+//   "dangling-participant"  an event lists (or has a suggest note for) a kid that no longer exists
+//   "unknown-tag"           kids/events carry a tag that is in no Tag Library category
+//                           (e.g. after renameTagInCategory, which does not propagate)
+//   "bad-dates"             an event ends at or before its start
+// Events whose dates don't parse at all never reach the state: they are quarantined on
+// load (src/schema.js) and listed by the check screen from there.
+// Fixes take and return whole app states, like src/trash.js.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function checkIntegrity(state) {
+  const issues = [];
+  const kidIds = new Set(state.kids.map((k) => k.id));
+
+  for (const ev of state.events) {
+    const missing = new Set();
+    for (const p of ev.participants ?? []) if (!kidIds.has(p.kidId)) missing.add(p.kidId);
+    for (const kidId of Object.keys(ev.suggestNotes ?? {})) if (!kidIds.has(kidId)) missing.add(kidId);
+    for (const kidId of missing) {
+      issues.push({ id: `dangling-participant:${ev.id}:${kidId}`, type: "dangling-participant", eventId: ev.id, kidId });
+    }
+  }
+
+  const catalogTags = new Set(Object.values(state.tagCatalog).flat());
+  const unknown = new Map(); // tag -> { kidIds, eventIds }
+  const note = (tag, key, id) => {
+    if (catalogTags.has(tag)) return;
+    if (!unknown.has(tag)) unknown.set(tag, { kidIds: [], eventIds: [] });
+    unknown.get(tag)[key].push(id);
+  };
+  for (const k of state.kids) for (const t of k.tags ?? []) note(t, "kidIds", k.id);
+  for (const ev of state.events) for (const t of ev.tags ?? []) note(t, "eventIds", ev.id);
+  for (const [tag, where] of unknown) issues.push({ id: `unknown-tag:${tag}`, type: "unknown-tag", tag, ...where });
+
+  for (const ev of state.events) {
+    if (ev.end.getTime() <= ev.start.getTime()) issues.push({ id: `bad-dates:${ev.id}`, type: "bad-dates", eventId: ev.id });
+  }
+
+  return issues;
+}
+
+/** Removes a kid that no longer exists from an event's participants and suggest notes. */
+export function removeDanglingParticipant(state, eventId, kidId) {
+  return {
+    ...state,
+    events: state.events.map((ev) => {
+      if (ev.id !== eventId) return ev;
+      const next = { ...ev, participants: (ev.participants ?? []).filter((p) => p.kidId !== kidId) };
+      if (ev.suggestNotes && kidId in ev.suggestNotes) {
+        const notes = { ...ev.suggestNotes };
+        delete notes[kidId];
+        next.suggestNotes = notes;
+      }
+      return next;
+    }),
+  };
+}
+
+/** Adds `tag` to a Tag Library category (created if it doesn't exist). */
+export function addTagToCategory(state, tag, category) {
+  const list = state.tagCatalog[category] ?? [];
+  if (list.includes(tag)) return state;
+  return { ...state, tagCatalog: { ...state.tagCatalog, [category]: [...list, tag] } };
+}
+
+/** The suggested fix for an event that ends at or before its start: one hour long. */
+export function suggestedEnd(start) {
+  return new Date(start.getTime() + HOUR_MS);
+}
+
+export function setEventDates(state, eventId, start, end) {
+  return { ...state, events: state.events.map((ev) => (ev.id === eventId ? { ...ev, start, end } : ev)) };
+}
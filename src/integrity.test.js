@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+
+import { addTagToCategory, checkIntegrity, removeDanglingParticipant, setEventDates, suggestedEnd } from "./integrity.js";
+
+const at = (iso) => new Date(iso);
+
+const state = () => ({
+  tagCatalog: { มหาวิทยาลัย: ["วิศวะ"], รูปแบบ: ["online"] },
+  kids: [{ id: "k-1", name: "น้องเอ", tags: ["วิศวะ", "วิศวกรรม"], group_id: "" }],
+  events: [
+    {
+      id: "e-1",
+      title: "Open House",
+      start: at("2025-11-01T02:00:00Z"),
+      end: at("2025-11-01T01:00:00Z"),
+      tags: ["วิศวกรรม", "online"],
+      participants: [
+        { kidId: "k-1", status: 0 },
+        { kidId: "k-gone", status: 2 },
+      ],
+      suggestNotes: { "k-gone": "เคยสนใจ", "k-other": "" },
+    },
+  ],
+  trash: [],
+});
+
+describe("checkIntegrity", () => {
+  it("finds dangling participants, unknown tags and bad dates", () => {
+    const issues = checkIntegrity(state());
+    expect(issues.map((i) => i.id)).toEqual([
+      "dangling-participant:e-1:k-gone",
+      "dangling-participant:e-1:k-other",
+      "unknown-tag:วิศวกรรม",
+      "bad-dates:e-1",
+    ]);
+    expect(issues[2]).toMatchObject({ kidIds: ["k-1"], eventIds: ["e-1"] });
+  });
+
+  it("reports nothing once everything is fixed", () => {
+    let s = state();
+    s = removeDanglingParticipant(s, "e-1", "k-gone");
+    s = removeDanglingParticipant(s, "e-1", "k-other");
+    s = addTagToCategory(s, "วิศวกรรม", "มหาวิทยาลัย");
+    s = setEventDates(s, "e-1", s.events[0].start, suggestedEnd(s.events[0].start));
+    expect(checkIntegrity(s)).toEqual([]);
+    expect(s.events[0].participants).toEqual([{ kidId: "k-1", status: 0 }]);
+    expect(s.events[0].suggestNotes).toEqual({});
+    expect(s.tagCatalog.มหาวิทยาลัย).toEqual(["วิศวะ", "วิศวกรรม"]);
+    expect(s.events[0].end.toISOString()).toBe("2025-11-01T03:00:00.000Z");
+  });
+});
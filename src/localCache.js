@@ -0,0 +1,145 @@
+// ---- IndexedDB cache + outbox ----
+// `snapshot` holds the last local state so the app can render instantly on load (and keeps
+// data across refreshes when Supabase isn't configured). `outbox` is a durable, ordered log
+// of write ops (see persistence.diffState) still waiting to reach the server.
+// Both are kept per scope ("<storage>:<workspace>:<user id>", without the user id when the
+// backend has no accounts) so workspaces never mix and nobody replays someone else's edits.
+
+const DB_NAME = "kids-calendar";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("snapshot")) db.createObjectStore("snapshot");
+      const outbox = db.objectStoreNames.contains("outbox")
+        ? req.transaction.objectStore("outbox")
+        : db.createObjectStore("outbox", { keyPath: "seq", autoIncrement: true });
+      if (!outbox.indexNames.contains("scope")) outbox.createIndex("scope", "scope");
+
+      // v1 had a single unscoped snapshot/outbox: it belonged to the default workspace.
+      if (e.oldVersion === 1) {
+        const snapshots = req.transaction.objectStore("snapshot");
+        snapshots.get("current").onsuccess = (ev) => {
+          const cur = ev.target.result;
+          const scope = `${cur?.storage ?? "supabase"}:default`;
+          if (cur) {
+            snapshots.put(cur, scope);
+            snapshots.delete("current");
+          }
+          outbox.openCursor().onsuccess = (ce) => {
+            const cursor = ce.target.result;
+            if (!cursor) return;
+            cursor.update({ ...cursor.value, scope });
+            cursor.continue();
+          };
+        };
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // allow a later retry if opening failed (e.g. private mode)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+const done = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+const result = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+/**
+ * Snapshot shape: { data, synced, versions, queuedVersions }
+ *   data            current local state ({ tagCatalog, kids, events })
+ *   synced          last state confirmed by the server (merge base)
+ *   versions        server versions of `synced`
+ *   queuedVersions  versions the server will have once the outbox is drained
+ */
+export async function readSnapshot(scope) {
+  const db = await openDb();
+  const tx = db.transaction("snapshot", "readonly");
+  return (await result(tx.objectStore("snapshot").get(scope))) ?? null;
+}
+
+/** Appends `ops` to the scope's outbox and stores `snapshot`, atomically. */
+export async function commitLocal(scope, snapshot, ops = []) {
+  const db = await openDb();
+  const tx = db.transaction(["snapshot", "outbox"], "readwrite");
+  const outbox = tx.objectStore("outbox");
+  for (const op of ops) outbox.add({ scope, op, queuedAt: Date.now() });
+  tx.objectStore("snapshot").put(snapshot, scope);
+  await done(tx);
+}
+
+/** Outbox entries of a scope in write order: [{ seq, scope, op, queuedAt }] */
+export async function readOutbox(scope) {
+  const db = await openDb();
+  const tx = db.transaction("outbox", "readonly");
+  const entries = await result(tx.objectStore("outbox").index("scope").getAll(scope));
+  return entries.sort((a, b) => a.seq - b.seq);
+}
+
+export async function countOutbox(scope) {
+  const db = await openDb();
+  const tx = db.transaction("outbox", "readonly");
+  return result(tx.objectStore("outbox").index("scope").count(scope));
+}
+
+export async function removeOutboxEntry(seq) {
+  const db = await openDb();
+  const tx = db.transaction("outbox", "readwrite");
+  tx.objectStore("outbox").delete(seq);
+  await done(tx);
+}
+
+/** Drops outbox entry `seq` of a scope and every entry queued after it. */
+export async function removeOutboxFrom(scope, seq) {
+  const db = await openDb();
+  const tx = db.transaction("outbox", "readwrite");
+  const index = tx.objectStore("outbox").index("scope");
+  const keys = await result(index.getAllKeys(scope));
+  for (const key of keys) if (key >= seq) tx.objectStore("outbox").delete(key);
+  await done(tx);
+}
+
+/**
+ * Moves the snapshot and outbox of scope `from` to the empty scope `to`, if `accept(entries)`
+ * agrees to take its outbox entries. Returns whether anything moved.
+ */
+export async function adoptScope(from, to, accept) {
+  const db = await openDb();
+  const tx = db.transaction(["snapshot", "outbox"], "readwrite");
+  const snapshots = tx.objectStore("snapshot");
+  const outbox = tx.objectStore("outbox");
+  const snapshot = await result(snapshots.get(from));
+  const entries = await result(outbox.index("scope").getAll(from));
+  const taken = (await result(snapshots.get(to))) != null || (await result(outbox.index("scope").count(to))) > 0;
+  const moved = !taken && (snapshot != null || entries.length > 0) && accept(entries);
+  if (moved) {
+    if (snapshot != null) snapshots.put(snapshot, to);
+    snapshots.delete(from);
+    for (const entry of entries) outbox.put({ ...entry, scope: to });
+  }
+  await done(tx);
+  return moved;
+}
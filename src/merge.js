@@ -0,0 +1,290 @@
+// ---- Three-way merge of app state ----
+// Used when a save finds newer rows on the server: `base` is the state we last synced,
+// `local` is what this user has now, `remote` is what the server has now.
+// Changes made on only one side are applied automatically. When both sides changed the
+// same field (or one side edited what the other deleted) the local value is kept in
+// `merged` and a conflict is reported so the user can pick the remote value instead.
+
+import { enforceCapacity } from "./capacity.js";
+import { normalizeExceptions } from "./recurrence.js";
+import { normalizeHistory } from "./statuses.js";
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const KID_FIELDS = ["name", "group_id", "createdAt"];
+const EVENT_FIELDS = ["title", "start", "end", "allDay", "signupUrl", "capacity", "suggestedAt", "recurrence"];
+
+function mergeValue(b, l, r, onConflict) {
+  if (same(l, r)) return l;
+  if (same(b, l)) return r;
+  if (same(b, r)) return l;
+  onConflict();
+  return l;
+}
+
+// Set semantics: an item survives if both sides kept it, or if either side added it.
+function mergeSet(b = [], l = [], r = []) {
+  const inB = new Set(b);
+  const inL = new Set(l);
+  const inR = new Set(r);
+  const keep = (t) => (inB.has(t) ? inL.has(t) && inR.has(t) : inL.has(t) || inR.has(t));
+  const out = [];
+  for (const t of [...l, ...r]) if (keep(t) && !out.includes(t)) out.push(t);
+  return out;
+}
+
+// Status histories only grow: entries added on either side are kept, in time order.
+function mergeHistory(l = [], r = []) {
+  const entries = new Map([...l, ...r].map((h) => [JSON.stringify(h), h]));
+  return normalizeHistory([...entries.values()].sort((x, y) => x.at - y.at));
+}
+
+/**
+ * Merges keyed records (kids, events, participants, notes…).
+ * `mergeOne(b, l, r)` merges a record present on both sides; it is only called when
+ * both local and remote still have the record.
+ * `onConflict(kind, id, b, l, r)` is called for edit/delete races.
+ */
+function mergeKeyed(bList, lList, rList, keyOf, mergeOne, onConflict) {
+  const bMap = new Map(bList.map((x) => [keyOf(x), x]));
+  const lMap = new Map(lList.map((x) => [keyOf(x), x]));
+  const rMap = new Map(rList.map((x) => [keyOf(x), x]));
+
+  const out = [];
+  const pick = (id) => {
+    const b = bMap.get(id);
+    const l = lMap.get(id);
+    const r = rMap.get(id);
+
+    if (l && r) return mergeOne(b, l, r);
+    if (!b) return l ?? r; // added on one side only
+    if (!l && !r) return undefined; // deleted on both sides
+    if (!l) {
+      // deleted locally
+      if (same(b, r)) return undefined;
+      onConflict("deleted-local", id, b, l, r);
+      return undefined;
+    }
+    // deleted remotely
+    if (same(b, l)) return undefined;
+    onConflict("deleted-remote", id, b, l, r);
+    return l;
+  };
+
+  const seen = new Set();
+  for (const x of [...lList, ...rList]) {
+    const id = keyOf(x);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const v = pick(id);
+    if (v !== undefined) out.push(v);
+  }
+  return out;
+}
+
+/**
+ * Returns { merged, conflicts }.
+ * Each conflict: { key, entity, id, eventId?, field, local, remote }
+ *   entity: "kid" | "event" | "participant" | "note" | "occurrence" (id = occurrence key)
+ *   field:  a record field, or "__exists" for edit/delete races.
+ */
+export function mergeStates(base, local, remote) {
+  const conflicts = [];
+  const conflict = (c) => conflicts.push({ key: `${c.entity}:${c.eventId ?? ""}:${c.id}:${c.field}`, ...c });
+
+  // tag catalog: categories and the tags inside each category are sets
+  const bCat = base.tagCatalog ?? {};
+  const lCat = local.tagCatalog ?? {};
+  const rCat = remote.tagCatalog ?? {};
+  const categories = mergeSet(Object.keys(bCat), Object.keys(lCat), Object.keys(rCat));
+  const tagCatalog = {};
+  for (const c of categories) tagCatalog[c] = mergeSet(bCat[c], lCat[c], rCat[c]);
+
+  // kids
+  const kids = mergeKeyed(
+    base.kids ?? [],
+    local.kids ?? [],
+    remote.kids ?? [],
+    (k) => k.id,
+    (b, l, r) => {
+      const out = { ...l };
+      for (const f of KID_FIELDS) {
+        const v = mergeValue(b?.[f], l[f], r[f], () =>
+          conflict({ entity: "kid", id: l.id, field: f, local: l[f], remote: r[f] })
+        );
+        if (v === undefined) delete out[f];
+        else out[f] = v;
+      }
+      out.tags = mergeSet(b?.tags, l.tags, r.tags);
+      return out;
+    },
+    (kind, id, b, l, r) => conflict({ entity: "kid", id, field: "__exists", local: l, remote: r })
+  );
+
+  // events (+ participants / suggest notes)
+  const events = mergeKeyed(
+    base.events ?? [],
+    local.events ?? [],
+    remote.events ?? [],
+    (e) => e.id,
+    (b, l, r) => {
+      const out = { ...l };
+      for (const f of EVENT_FIELDS) {
+        const v = mergeValue(b?.[f], l[f], r[f], () =>
+          conflict({ entity: "event", id: l.id, field: f, local: l[f], remote: r[f] })
+        );
+        if (v === undefined) delete out[f];
+        else out[f] = v;
+      }
+      out.tags = mergeSet(b?.tags, l.tags, r.tags);
+
+      out.participants = mergeKeyed(
+        b?.participants ?? [],
+        l.participants ?? [],
+        r.participants ?? [],
+        (p) => p.kidId,
+        (bp, lp, rp) => {
+          const out = {
+            ...lp,
+            status: mergeValue(bp?.status, lp.status, rp.status, () =>
+              conflict({ entity: "participant", eventId: l.id, id: lp.kidId, field: "status", local: lp.status, remote: rp.status })
+            ),
+          };
+          const waitlisted = mergeValue(bp?.waitlisted, lp.waitlisted, rp.waitlisted, () =>
+            conflict({ entity: "participant", eventId: l.id, id: lp.kidId, field: "waitlisted", local: lp.waitlisted, remote: rp.waitlisted })
+          );
+          if (waitlisted) out.waitlisted = true;
+          else delete out.waitlisted;
+          const history = mergeHistory(lp.history, rp.history);
+          if (history.length > 0) out.history = history;
+          else delete out.history;
+          return out;
+        },
+        (kind, kidId, bp, lp, rp) =>
+          conflict({ entity: "participant", eventId: l.id, id: kidId, field: "__exists", local: lp, remote: rp })
+      );
+
+      const bNotes = b?.suggestNotes ?? {};
+      const lNotes = l.suggestNotes ?? {};
+      const rNotes = r.suggestNotes ?? {};
+      const notes = {};
+      for (const kidId of new Set([...Object.keys(lNotes), ...Object.keys(rNotes), ...Object.keys(bNotes)])) {
+        const v = mergeValue(bNotes[kidId], lNotes[kidId], rNotes[kidId], () =>
+          conflict({ entity: "note", eventId: l.id, id: kidId, field: "note", local: lNotes[kidId], remote: rNotes[kidId] })
+        );
+        if (v !== undefined) notes[kidId] = v;
+      }
+      if (Object.keys(notes).length > 0) out.suggestNotes = notes;
+      else delete out.suggestNotes;
+
+      // recurring events: the overrides of each occurrence merge on their own
+      const bExc = b?.exceptions ?? {};
+      const lExc = l.exceptions ?? {};
+      const rExc = r.exceptions ?? {};
+      const exceptions = {};
+      for (const key of new Set([...Object.keys(lExc), ...Object.keys(rExc), ...Object.keys(bExc)])) {
+        const v = mergeValue(bExc[key], lExc[key], rExc[key], () =>
+          conflict({ entity: "occurrence", eventId: l.id, id: key, field: "exception", local: lExc[key], remote: rExc[key] })
+        );
+        if (v !== undefined) exceptions[key] = v;
+      }
+      if (Object.keys(exceptions).length > 0) out.exceptions = normalizeExceptions(exceptions);
+      else delete out.exceptions;
+
+      // Seats taken on both sides may add up to more than the capacity.
+      return enforceCapacity(out).event;
+    },
+    (kind, id, b, l, r) => conflict({ entity: "event", id, field: "__exists", local: l, remote: r })
+  );
+
+  // trash items never change once written: a set keyed by id, without conflicts
+  const trash = mergeKeyed(
+    base.trash ?? [],
+    local.trash ?? [],
+    remote.trash ?? [],
+    (t) => t.id,
+    (b, l) => l,
+    () => {}
+  );
+
+  return { merged: { tagCatalog, kids, events, trash }, conflicts };
+}
+
+const upsertById = (list, item, keyOf) => {
+  const i = list.findIndex((x) => keyOf(x) === keyOf(item));
+  if (i === -1) return [...list, item];
+  return list.map((x, j) => (j === i ? item : x));
+};
+
+function takeRemote(state, c) {
+  if (c.entity === "kid") {
+    if (c.field === "__exists") {
+      const kids = c.remote
+        ? upsertById(state.kids, c.remote, (k) => k.id)
+        : state.kids.filter((k) => k.id !== c.id);
+      return { ...state, kids };
+    }
+    return {
+      ...state,
+      kids: state.kids.map((k) => (k.id === c.id ? { ...k, [c.field]: c.remote } : k)),
+    };
+  }
+
+  if (c.entity === "event" && c.field === "__exists") {
+    const events = c.remote
+      ? upsertById(state.events, c.remote, (e) => e.id)
+      : state.events.filter((e) => e.id !== c.id);
+    return { ...state, events };
+  }
+
+  const mapEvent = (eventId, fn) => ({
+    ...state,
+    events: state.events.map((e) => (e.id === eventId ? fn(e) : e)),
+  });
+
+  if (c.entity === "event") return mapEvent(c.id, (e) => ({ ...e, [c.field]: c.remote }));
+
+  if (c.entity === "participant") {
+    return mapEvent(c.eventId, (e) => {
+      const ps = e.participants ?? [];
+      if (c.field === "__exists") {
+        const participants = c.remote
+          ? upsertById(ps, c.remote, (p) => p.kidId)
+          : ps.filter((p) => p.kidId !== c.id);
+        return { ...e, participants };
+      }
+      return { ...e, participants: ps.map((p) => (p.kidId === c.id ? { ...p, [c.field]: c.remote } : p)) };
+    });
+  }
+
+  if (c.entity === "occurrence") {
+    return mapEvent(c.eventId, (e) => {
+      const exceptions = { ...(e.exceptions ?? {}) };
+      if (c.remote === undefined) delete exceptions[c.id];
+      else exceptions[c.id] = c.remote;
+      const out = { ...e, exceptions: normalizeExceptions(exceptions) };
+      if (Object.keys(out.exceptions).length === 0) delete out.exceptions;
+      return out;
+    });
+  }
+
+  // note
+  return mapEvent(c.eventId, (e) => {
+    const notes = { ...(e.suggestNotes ?? {}) };
+    if (c.remote === undefined) delete notes[c.id];
+    else notes[c.id] = c.remote;
+    return { ...e, suggestNotes: notes };
+  });
+}
+
+/**
+ * Applies the user's choices from the conflict dialog.
+ * `choices` maps conflict.key -> "local" | "remote" (missing = "local", already in `merged`).
+ */
+export function resolveConflicts(merged, conflicts, choices) {
+  let state = merged;
+  for (const c of conflicts) {
+    if (choices[c.key] === "remote") state = takeRemote(state, c);
+  }
+  return state;
+}
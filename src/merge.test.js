@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+
+import { mergeStates, resolveConflicts } from "./merge.js";
+
+const kid = (kidId, extra = {}) => ({ kidId, status: "suggested", ...extra });
+const child = (id, extra = {}) => ({ id, name: id, group_id: "", tags: [], ...extra });
+const camp = (participants, extra = {}) => ({ id: "e-1", title: "ค่ายวิทย์", tags: [], capacity: 2, participants, ...extra });
+const state = (events, kids = []) => ({ tagCatalog: {}, kids, events, trash: [] });
+
+const seating = (merged) => merged.events[0].participants.map((p) => [p.kidId, Boolean(p.waitlisted)]);
+
+describe("mergeStates", () => {
+  it("combines edits of different fields without conflicts", () => {
+    const base = state([camp([kid("k-1")])], [child("k-1")]);
+    const local = state([camp([kid("k-1")], { title: "ค่ายวิทย์ 2026" })], [child("k-1", { tags: ["ม.1"] })]);
+    const remote = state([camp([kid("k-1")], { signupUrl: "https://example.org" })], [child("k-1", { group_id: "g-2" })]);
+    const { merged, conflicts } = mergeStates(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(merged.events[0]).toMatchObject({ title: "ค่ายวิทย์ 2026", signupUrl: "https://example.org" });
+    expect(merged.kids[0]).toMatchObject({ group_id: "g-2", tags: ["ม.1"] });
+  });
+
+  it("keeps the local value of a field both sides changed and reports it", () => {
+    const base = state([camp([kid("k-1")])]);
+    const local = state([camp([kid("k-1", { status: "informed" })], { title: "ค่าย A" })]);
+    const remote = state([camp([kid("k-1", { status: "applied" })], { title: "ค่าย B" })]);
+    const { merged, conflicts } = mergeStates(base, local, remote);
+    expect(merged.events[0].title).toBe("ค่าย A");
+    expect(conflicts.map((c) => [c.entity, c.field, c.local, c.remote])).toEqual([
+      ["event", "title", "ค่าย A", "ค่าย B"],
+      ["participant", "status", "informed", "applied"],
+    ]);
+    const resolved = resolveConflicts(merged, conflicts, { [conflicts[0].key]: "remote" });
+    expect(resolved.events[0].title).toBe("ค่าย B");
+    expect(resolved.events[0].participants[0].status).toBe("informed");
+  });
+
+  it("reports a record deleted on one side and edited on the other", () => {
+    const base = state([camp([kid("k-1")])], [child("k-1")]);
+    const editedHere = mergeStates(base, state([camp([kid("k-1")], { title: "ค่าย A" })], [child("k-1")]), state([], [child("k-1")]));
+    expect(editedHere.merged.events.map((e) => e.id)).toEqual(["e-1"]);
+    expect(editedHere.conflicts.map((c) => [c.entity, c.field])).toEqual([["event", "__exists"]]);
+    expect(resolveConflicts(editedHere.merged, editedHere.conflicts, { [editedHere.conflicts[0].key]: "remote" }).events).toEqual([]);
+
+    const deletedHere = mergeStates(base, state(base.events, []), state(base.events, [child("k-1", { name: "Ann" })]));
+    expect(deletedHere.merged.kids).toEqual([]);
+    expect(deletedHere.conflicts.map((c) => [c.entity, c.id, c.field])).toEqual([["kid", "k-1", "__exists"]]);
+  });
+
+  it("merges participants added and removed on both sides", () => {
+    const base = state([camp([kid("k-1"), kid("k-2")], { capacity: undefined })]);
+    const local = state([camp([kid("k-1"), kid("k-3")], { capacity: undefined })]);
+    const remote = state([camp([kid("k-2"), kid("k-4")], { capacity: undefined })]);
+    const { merged, conflicts } = mergeStates(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(merged.events[0].participants.map((p) => p.kidId)).toEqual(["k-3", "k-4"]);
+  });
+});
+
+describe("mergeStates: capacity", () => {
+  it("waitlists the kids beyond the capacity when both sides filled the last seat", () => {
+    const base = state([camp([kid("k-1")])]);
+    const local = state([camp([kid("k-1"), kid("k-2")])]);
+    const remote = state([camp([kid("k-1"), kid("k-3")])]);
+    const { merged, conflicts } = mergeStates(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(seating(merged)).toEqual([
+      ["k-1", false],
+      ["k-2", false],
+      ["k-3", true],
+    ]);
+  });
+
+  it("applies a lowered or raised capacity from the other side in rank order", () => {
+    const base = state([camp([kid("k-1"), kid("k-2"), kid("k-3", { waitlisted: true })])]);
+    const local = state([camp([kid("k-1"), kid("k-2"), kid("k-3", { waitlisted: true }), kid("k-4", { waitlisted: true })])]);
+    const lowered = mergeStates(base, local, state([camp(base.events[0].participants, { capacity: 1 })])).merged;
+    expect(seating(lowered)).toEqual([
+      ["k-1", false],
+      ["k-2", true],
+      ["k-3", true],
+      ["k-4", true],
+    ]);
+    const raised = mergeStates(base, local, state([camp(base.events[0].participants, { capacity: 3 })])).merged;
+    expect(seating(raised)).toEqual([
+      ["k-1", false],
+      ["k-2", false],
+      ["k-3", false],
+      ["k-4", true],
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+// ---- Month grid layout ----
+// Places events on the month grid (6 week rows × 7 days, starting at `gridStart`) as bars:
+// one segment per week row an event touches, spanning its days in that row. Each segment
+// gets a lane (a line inside the week row) that no other segment of that row uses on the
+// same days. Lanes are handed out in a fixed order (earlier start first, all-day events before
+// timed ones, then longer events, then id), so a bar keeps its lane when the events around it change only later in that order.
+// Segments in lanes >= maxLanes are not shown; `hidden` counts them per day for "+N more".
+
+export const WEEK_ROWS = 6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+
+// Index of a date's day in the grid (negative / >= 42 when outside), DST-safe.
+const dayIndex = (gridStart, d) => Math.round((startOfDay(d) - gridStart) / DAY_MS);
+
+const laneOrder = (a, b) =>
+  a.start - b.start ||
+  Boolean(b.allDay) - Boolean(a.allDay) ||
+  b.end - b.start - (a.end - a.start) ||
+  String(a.id).localeCompare(String(b.id)) ||
+  String(a.occurrenceKey ?? "").localeCompare(String(b.occurrenceKey ?? ""));
+
+/**
+ * Returns one entry per week row: { segments: [{ ev, col, span, lane, isStart, isEnd }],
+ * lanes (shown lanes in use), hidden: [count per day] }.
+ * An event covers the days from its start to the day of its last moment, so one ending at
+ * midnight does not spill into the next day.
+ */
+export function layoutMonth(events, gridStart, maxLanes) {
+  const weeks = Array.from({ length: WEEK_ROWS }, () => ({ segments: [], lanes: 0, hidden: Array(7).fill(0) }));
+  const taken = weeks.map(() => []); // per week: lane -> [7 booleans]
+
+  for (const ev of events.slice().sort(laneOrder)) {
+    const first = dayIndex(gridStart, ev.start);
+    const last = Math.max(first, dayIndex(gridStart, new Date(ev.end.getTime() - 1)));
+    if (last < 0 || first >= WEEK_ROWS * 7) continue;
+
+    for (let w = Math.max(0, Math.floor(first / 7)); w <= Math.min(WEEK_ROWS - 1, Math.floor(last / 7)); w++) {
+      const from = Math.max(first, w * 7) - w * 7;
+      const to = Math.min(last, w * 7 + 6) - w * 7;
+      const lanes = taken[w];
+      let lane = 0;
+      while (lanes[lane] && lanes[lane].slice(from, to + 1).some(Boolean)) lane++;
+      if (!lanes[lane]) lanes[lane] = Array(7).fill(false);
+      for (let c = from; c <= to; c++) lanes[lane][c] = true;
+
+      const week = weeks[w];
+      if (lane >= maxLanes) {
+        for (let c = from; c <= to; c++) week.hidden[c]++;
+        continue;
+      }
+      week.lanes = Math.max(week.lanes, lane + 1);
+      week.segments.push({ ev, col: from, span: to - from + 1, lane, isStart: first === w * 7 + from, isEnd: last === w * 7 + to });
+    }
+  }
+  return weeks;
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+
+import { layoutMonth } from "./monthLayout.js";
+
+const at = (y, m, d, h = 0) => new Date(y, m - 1, d, h);
+// November 2025: the grid starts on Monday 2025-10-27
+const gridStart = at(2025, 10, 27);
+
+const event = (id, start, end) => ({ id, title: id, start, end });
+
+const summary = (week) => week.segments.map((s) => [s.ev.id, s.col, s.span, s.lane, s.isStart, s.isEnd]);
+
+describe("layoutMonth", () => {
+  it("splits multi-day events into one bar per week row", () => {
+    // Friday 2025-10-31 to Tuesday 2025-11-04
+    const weeks = layoutMonth([event("camp", at(2025, 10, 31, 9), at(2025, 11, 4, 16))], gridStart, 4);
+    expect(summary(weeks[0])).toEqual([["camp", 4, 3, 0, true, false]]);
+    expect(summary(weeks[1])).toEqual([["camp", 0, 2, 0, false, true]]);
+    expect(weeks[2].segments).toEqual([]);
+  });
+
+  it("gives overlapping events separate lanes and reuses free ones", () => {
+    const weeks = layoutMonth(
+      [
+        event("b", at(2025, 11, 4, 10), at(2025, 11, 4, 11)),
+        event("camp", at(2025, 11, 3, 9), at(2025, 11, 5, 16)),
+        event("c", at(2025, 11, 6, 9), at(2025, 11, 6, 10)),
+        event("a", at(2025, 11, 4, 8), at(2025, 11, 4, 9)),
+      ],
+      gridStart,
+      4
+    );
+    expect(summary(weeks[1])).toEqual([
+      ["camp", 0, 3, 0, true, true],
+      ["a", 1, 1, 1, true, true],
+      ["b", 1, 1, 2, true, true],
+      ["c", 3, 1, 0, true, true],
+    ]);
+    expect(weeks[1].lanes).toBe(3);
+  });
+
+  it("does not spill events that end at midnight into the next day", () => {
+    const weeks = layoutMonth([event("day", at(2025, 11, 3), at(2025, 11, 4))], gridStart, 4);
+    expect(summary(weeks[1])).toEqual([["day", 0, 1, 0, true, true]]);
+  });
+
+  it("counts what does not fit per day", () => {
+    const many = ["a", "b", "c"].map((id) => event(id, at(2025, 11, 3, 9), at(2025, 11, 4, 10)));
+    const weeks = layoutMonth(many, gridStart, 2);
+    expect(weeks[1].segments.map((s) => s.ev.id)).toEqual(["a", "b"]);
+    expect(weeks[1].hidden).toEqual([1, 1, 0, 0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,51 @@
+// ---- Schedule conflicts ----
+// A kid is double-booked when two events they take part in overlap in time. Times are
+// [start, end): an event ending at 10:00 and one starting at 10:00 don't clash. Recurring
+// events are compared session by session (expandEvents, src/recurrence.js); sessions of the
+// same series never clash with each other. Every participant counts, waitlisted ones too.
+
+import { expandEvents } from "./recurrence.js";
+
+export const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const inRange = (occ, from, to) => (!from || occ.end > from) && occ.start <= to;
+
+/**
+ * The sessions of other events that overlap any of `sessions` (all of one event), per kid:
+ * Map kidId -> [session, …] in start order. `sessions` must not be empty.
+ */
+export function sessionClashes(events, sessions) {
+  const eventId = sessions[0].id;
+  const from = new Date(Math.min(...sessions.map((s) => s.start)));
+  const to = new Date(Math.max(...sessions.map((s) => s.end)));
+  const others = events.filter((e) => e.id !== eventId && (e.participants ?? []).length > 0);
+  const out = new Map();
+  for (const occ of expandEvents(others, from, to).sort((a, b) => a.start - b.start)) {
+    if (!inRange(occ, from, to) || !sessions.some((s) => overlaps(s, occ))) continue;
+    for (const p of occ.participants) out.set(p.kidId, [...(out.get(p.kidId) ?? []), occ]);
+  }
+  return out;
+}
+
+/**
+ * Every double booking within [from, to] (from may be null): [{ kidId, a, b }] where `a` and
+ * `b` are overlapping sessions of two events the kid takes part in, `a` starting first.
+ * Sorted by when the clash starts.
+ */
+export function scheduleConflicts(events, from, to) {
+  const byKid = new Map();
+  for (const occ of expandEvents(events, from, to)) {
+    if (!inRange(occ, from, to)) continue;
+    for (const p of occ.participants ?? []) byKid.set(p.kidId, [...(byKid.get(p.kidId) ?? []), occ]);
+  }
+  const out = [];
+  for (const [kidId, list] of byKid) {
+    list.sort((x, y) => x.start - y.start);
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length && list[j].start < list[i].end; j++) {
+        if (list[j].id !== list[i].id) out.push({ kidId, a: list[i], b: list[j] });
+      }
+    }
+  }
+  return out.sort((x, y) => x.b.start - y.b.start);
+}
@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+
+import { scheduleConflicts, sessionClashes } from "./overlaps.js";
+
+const at = (y, m, d, h = 0, min = 0) => new Date(y, m - 1, d, h, min);
+
+const event = (id, start, end, kidIds, extra = {}) => ({
+  id,
+  title: id,
+  start,
+  end,
+  tags: [],
+  signupUrl: "",
+  participants: kidIds.map((kidId) => ({ kidId, status: "suggested" })),
+  ...extra,
+});
+
+// Saturday 2025-11-01
+const camp = event("camp", at(2025, 11, 1, 9), at(2025, 11, 1, 16), ["k-1", "k-2"]);
+const tutoring = event("tutoring", at(2025, 11, 1, 13), at(2025, 11, 1, 15), ["k-1"], { recurrence: { freq: "weekly", interval: 1 } });
+const afterCamp = event("after", at(2025, 11, 1, 16), at(2025, 11, 1, 18), ["k-2"]);
+
+describe("schedule conflicts", () => {
+  it("lists the kids of other events whose sessions overlap", () => {
+    const clashes = sessionClashes([camp, tutoring, afterCamp], [camp]);
+    expect([...clashes.keys()]).toEqual(["k-1"]);
+    expect(clashes.get("k-1").map((o) => [o.id, o.occurrenceKey])).toEqual([["tutoring", "2025-11-01"]]);
+  });
+
+  it("finds double bookings in a date range, session by session", () => {
+    const nextWeek = event("exam", at(2025, 11, 8, 14), at(2025, 11, 8, 17), ["k-1"]);
+    const found = scheduleConflicts([camp, tutoring, afterCamp, nextWeek], at(2025, 11, 1), at(2025, 11, 30));
+    expect(found.map(({ kidId, a, b }) => [kidId, a.id, b.id, b.start.getDate()])).toEqual([
+      ["k-1", "camp", "tutoring", 1],
+      ["k-1", "tutoring", "exam", 8],
+    ]);
+    expect(scheduleConflicts([camp, tutoring], at(2025, 11, 2), at(2025, 11, 7))).toEqual([]);
+  });
+});
@@ -0,0 +1,666 @@
+// ---- Normalized Supabase persistence ----
+// Maps app state ({ tagCatalog, kids, events, trash }) to the per-record tables created in
+// supabase/migrations and back. Saves are computed as a list of ops between the last
+// synced state and the current one, so only changed records are written.
+//
+// Kids and events carry a `version` column for optimistic locking. An event is the
+// unit of locking for its participants and suggest notes as well: any change to those
+// bumps the event row's version.
+
+import { normalizeCapacity } from "./capacity.js";
+import { normalizeExceptions, normalizeRecurrence, occurrenceKey } from "./recurrence.js";
+import { normalizeHistory, statusFromLegacy, upgradeEventStatuses } from "./statuses.js";
+
+const PAGE_SIZE = 1000;
+
+const iso = (d) => {
+  if (!(d instanceof Date)) return null;
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+};
+
+// All-day events keep only their dates: start_at / end_at hold them at UTC midnight (the end
+// is the day after the last one), so they read back as the same days in any time zone.
+const isoDate = (d) => (iso(d) ? `${occurrenceKey(d)}T00:00:00.000Z` : null);
+const localDate = (s) => {
+  const [y, m, d] = String(s).slice(0, 10).split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+// ------------------ row mapping ------------------
+export function kidToRow(kid) {
+  return {
+    id: kid.id,
+    name: kid.name ?? "",
+    group_id: kid.group_id ?? "",
+    tags: kid.tags ?? [],
+    created_at: kid.createdAt ?? null,
+  };
+}
+
+export function rowToKid(row) {
+  const kid = { id: row.id, name: row.name ?? "", tags: row.tags ?? [], group_id: row.group_id ?? "" };
+  if (row.created_at != null) kid.createdAt = Number(row.created_at);
+  return kid;
+}
+
+export function eventToRow(ev) {
+  return {
+    id: ev.id,
+    title: ev.title ?? "",
+    start_at: ev.allDay ? isoDate(ev.start) : iso(ev.start),
+    end_at: ev.allDay ? isoDate(ev.end) : iso(ev.end),
+    all_day: Boolean(ev.allDay),
+    tags: ev.tags ?? [],
+    signup_url: ev.signupUrl ?? "",
+    capacity: normalizeCapacity(ev.capacity),
+    suggested_at: ev.suggestedAt ?? null,
+    recurrence: normalizeRecurrence(ev.recurrence),
+    exceptions: normalizeExceptions(ev.exceptions) ?? {},
+  };
+}
+
+export function eventChildRows(ev) {
+  const participants = (ev.participants ?? []).map((p, i) => ({
+    event_id: ev.id,
+    kid_id: p.kidId,
+    status: p.status,
+    history: normalizeHistory(p.history),
+    waitlisted: Boolean(p.waitlisted),
+    position: i,
+  }));
+  const notes = Object.entries(ev.suggestNotes ?? {}).map(([kidId, note]) => ({
+    event_id: ev.id,
+    kid_id: kidId,
+    note: note ?? "",
+  }));
+  return { participants, notes };
+}
+
+export function rowToEvent(row, participantRows = [], noteRows = []) {
+  const ev = {
+    id: row.id,
+    title: row.title ?? "",
+    start: row.start_at ? new Date(row.start_at) : null,
+    end: row.end_at ? new Date(row.end_at) : null,
+    tags: row.tags ?? [],
+    signupUrl: row.signup_url ?? "",
+    participants: participantRows
+      .slice()
+      .sort((a, b) => a.position - b.position)
+      .map((p) => {
+        const participant = { kidId: p.kid_id, status: statusFromLegacy(p.status) };
+        const history = normalizeHistory(p.history);
+        if (history.length > 0) participant.history = history;
+        if (p.waitlisted) participant.waitlisted = true;
+        return participant;
+      }),
+  };
+  if (row.all_day) {
+    ev.allDay = true;
+    if (row.start_at) ev.start = localDate(row.start_at);
+    if (row.end_at) ev.end = localDate(row.end_at);
+  }
+  const capacity = normalizeCapacity(row.capacity);
+  if (capacity) ev.capacity = capacity;
+  if (row.suggested_at != null) ev.suggestedAt = Number(row.suggested_at);
+  const recurrence = normalizeRecurrence(row.recurrence);
+  if (recurrence) ev.recurrence = recurrence;
+  // rows written before status ids (local / REST stores) still hold numbers
+  const exceptions = normalizeExceptions(upgradeEventStatuses({ exceptions: row.exceptions }).exceptions);
+  if (exceptions && Object.keys(exceptions).length > 0) ev.exceptions = exceptions;
+  if (noteRows.length > 0) {
+    ev.suggestNotes = {};
+    for (const n of noteRows) ev.suggestNotes[n.kid_id] = n.note ?? "";
+  }
+  return ev;
+}
+
+// Trash items are immutable copies of what was deleted (see src/trash.js).
+export function trashToRow(item) {
+  return {
+    id: item.id,
+    kind: item.kind,
+    label: item.label ?? "",
+    payload: item.payload ?? {},
+    deleted_at: item.deletedAt,
+    deleted_by: item.deletedBy ?? "",
+  };
+}
+
+export function rowToTrash(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    label: row.label ?? "",
+    payload: row.payload ?? {},
+    deletedAt: Number(row.deleted_at),
+    deletedBy: row.deleted_by ?? "",
+  };
+}
+
+// Snapshots (src/snapshots.js) are stored outside the app state, one row each.
+export function snapshotToRow(snapshot) {
+  return {
+    id: snapshot.id,
+    kind: snapshot.kind,
+    label: snapshot.label ?? "",
+    taken_at: snapshot.takenAt,
+    taken_by: snapshot.takenBy ?? "",
+    data: snapshot.data,
+  };
+}
+
+export function rowToSnapshot(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    label: row.label ?? "",
+    takenAt: Number(row.taken_at),
+    takenBy: row.taken_by ?? "",
+    data: row.data ?? {},
+  };
+}
+
+function catalogRows(tagCatalog) {
+  const categories = [];
+  const tags = [];
+  Object.entries(tagCatalog ?? {}).forEach(([name, list], i) => {
+    categories.push({ name, position: i });
+    (list ?? []).forEach((t, j) => tags.push({ category: name, name: t, position: j }));
+  });
+  return { categories, tags };
+}
+
+// ------------------ load ------------------
+async function selectAll(client, table, orderBy, filter = (q) => q) {
+  const out = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let q = filter(client.from(table).select("*"));
+    for (const col of orderBy) q = q.order(col, { ascending: true });
+    const { data, error } = await q.range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    out.push(...(data ?? []));
+    if (!data || data.length < PAGE_SIZE) return out;
+  }
+}
+
+function assembleCatalog(categoryRows, tagRows) {
+  const tagCatalog = {};
+  for (const c of categoryRows) tagCatalog[c.name] = [];
+  for (const t of tagRows) {
+    if (!tagCatalog[t.category]) tagCatalog[t.category] = [];
+    tagCatalog[t.category].push(t.name);
+  }
+  return tagCatalog;
+}
+
+function assembleRecords(kidRows, eventRows, participantRows, noteRows) {
+  const groupByEvent = (rows) => {
+    const m = new Map();
+    for (const r of rows) {
+      if (!m.has(r.event_id)) m.set(r.event_id, []);
+      m.get(r.event_id).push(r);
+    }
+    return m;
+  };
+  const partsByEvent = groupByEvent(participantRows);
+  const notesByEvent = groupByEvent(noteRows);
+
+  const versions = { kids: {}, events: {} };
+  const kids = kidRows.map((r) => {
+    versions.kids[r.id] = r.version ?? 1;
+    return rowToKid(r);
+  });
+  const events = eventRows.map((r) => {
+    versions.events[r.id] = r.version ?? 1;
+    return rowToEvent(r, partsByEvent.get(r.id) ?? [], notesByEvent.get(r.id) ?? []);
+  });
+  return { kids, events, versions };
+}
+
+const byColumns = (cols) => (a, b) => {
+  for (const c of cols) {
+    const x = a[c] ?? "";
+    const y = b[c] ?? "";
+    if (x < y) return -1;
+    if (x > y) return 1;
+  }
+  return 0;
+};
+
+/**
+ * Assembles one workspace's app state from plain table rows ({ kids: [...], events: [...], ... }),
+ * in the same order the Supabase loader reads them. Used by storage adapters that keep
+ * rows themselves (local / REST). Rows written before workspaces existed count as "default".
+ */
+export function assembleState(tables, workspaceId) {
+  const rows = (name, order) =>
+    (tables[name] ?? [])
+      .filter((r) => (r.workspace_id ?? "default") === workspaceId)
+      .sort(byColumns(order));
+  const tagCatalog = assembleCatalog(rows("tag_categories", ["position", "name"]), rows("tags", ["category", "position", "name"]));
+  const { kids, events, versions } = assembleRecords(
+    rows("kids", ["created_at", "id"]),
+    rows("events", ["start_at", "id"]),
+    rows("event_participants", ["event_id", "position", "kid_id"]),
+    rows("suggest_notes", ["event_id", "kid_id"])
+  );
+  const trash = rows("trash", ["deleted_at", "id"]).map(rowToTrash);
+  return { state: { tagCatalog, kids, events, trash }, versions };
+}
+
+async function loadCatalog(client, workspaceId) {
+  const inWorkspace = (q) => q.eq("workspace_id", workspaceId);
+  const [categoryRows, tagRows] = await Promise.all([
+    selectAll(client, "tag_categories", ["position", "name"], inWorkspace),
+    selectAll(client, "tags", ["category", "position", "name"], inWorkspace),
+  ]);
+  return assembleCatalog(categoryRows, tagRows);
+}
+
+async function loadTrash(client, workspaceId) {
+  const rows = await selectAll(client, "trash", ["deleted_at", "id"], (q) => q.eq("workspace_id", workspaceId));
+  return rows.map(rowToTrash);
+}
+
+// Each filter narrows its query (e.g. to a set of ids); children are read for the same events.
+// Every query is also limited to the workspace.
+async function loadKidsAndEvents(client, workspaceId, { kidFilter, eventFilter, childFilter }) {
+  const scoped = (filter) => filter && ((q) => filter(q.eq("workspace_id", workspaceId)));
+  kidFilter = scoped(kidFilter);
+  eventFilter = scoped(eventFilter);
+  childFilter = scoped(childFilter);
+  const [kidRows, eventRows, participantRows, noteRows] = await Promise.all([
+    kidFilter ? selectAll(client, "kids", ["created_at", "id"], kidFilter) : [],
+    eventFilter ? selectAll(client, "events", ["start_at", "id"], eventFilter) : [],
+    eventFilter ? selectAll(client, "event_participants", ["event_id", "position", "kid_id"], childFilter) : [],
+    eventFilter ? selectAll(client, "suggest_notes", ["event_id", "kid_id"], childFilter) : [],
+  ]);
+  return assembleRecords(kidRows, eventRows, participantRows, noteRows);
+}
+
+/**
+ * Reads every table of one workspace and assembles app state.
+ * Returns { state: { tagCatalog, kids, events, trash }, versions: { kids: {id: v}, events: {id: v} } }.
+ */
+export async function loadState(client, workspaceId) {
+  const all = (q) => q;
+  const [tagCatalog, { kids, events, versions }, trash] = await Promise.all([
+    loadCatalog(client, workspaceId),
+    loadKidsAndEvents(client, workspaceId, { kidFilter: all, eventFilter: all, childFilter: all }),
+    loadTrash(client, workspaceId),
+  ]);
+  return { state: { tagCatalog, kids, events, trash }, versions };
+}
+
+/**
+ * Re-reads only the given records (used by live sync).
+ * Ids that no longer exist on the server come back in `missing`.
+ */
+export async function loadRecords(client, workspaceId, { kidIds = [], eventIds = [], catalog = false, trash = false }) {
+  const [tagCatalog, { kids, events, versions }, trashItems] = await Promise.all([
+    catalog ? loadCatalog(client, workspaceId) : null,
+    loadKidsAndEvents(client, workspaceId, {
+      kidFilter: kidIds.length > 0 ? (q) => q.in("id", kidIds) : null,
+      eventFilter: eventIds.length > 0 ? (q) => q.in("id", eventIds) : null,
+      childFilter: (q) => q.in("event_id", eventIds),
+    }),
+    trash ? loadTrash(client, workspaceId) : null,
+  ]);
+  const foundKids = new Set(kids.map((k) => k.id));
+  const foundEvents = new Set(events.map((e) => e.id));
+  return {
+    tagCatalog,
+    kids,
+    events,
+    trash: trashItems,
+    versions,
+    missing: {
+      kids: kidIds.filter((id) => !foundKids.has(id)),
+      events: eventIds.filter((id) => !foundEvents.has(id)),
+    },
+  };
+}
+
+/**
+ * Applies the result of loadRecords() to a full state + versions snapshot.
+ * Returns a new { state, versions }.
+ */
+export function patchState(state, versions, fresh) {
+  const patchList = (list, found, missing) => {
+    const byId = new Map(found.map((x) => [x.id, x]));
+    const gone = new Set(missing);
+    const out = [];
+    for (const x of list) {
+      if (gone.has(x.id)) continue;
+      if (byId.has(x.id)) {
+        out.push(byId.get(x.id));
+        byId.delete(x.id);
+      } else out.push(x);
+    }
+    return [...out, ...byId.values()];
+  };
+
+  const nextVersions = {
+    kids: { ...versions.kids, ...fresh.versions.kids },
+    events: { ...versions.events, ...fresh.versions.events },
+  };
+  for (const id of fresh.missing.kids) delete nextVersions.kids[id];
+  for (const id of fresh.missing.events) delete nextVersions.events[id];
+
+  return {
+    state: {
+      tagCatalog: fresh.tagCatalog ?? state.tagCatalog,
+      kids: patchList(state.kids, fresh.kids, fresh.missing.kids),
+      events: patchList(state.events, fresh.events, fresh.missing.events),
+      trash: fresh.trash ?? state.trash ?? [],
+    },
+    versions: nextVersions,
+  };
+}
+
+// ------------------ diff ------------------
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Computes the ops that turn `base` into `next`.
+ * `versions` holds the server versions `base` was loaded/saved at; they become the
+ * expected versions of update/delete ops.
+ */
+export function diffState(base, next, versions) {
+  const ops = [];
+
+  // tag catalog (no versions: categories and tags are plain sets with a position)
+  const prevCat = catalogRows(base.tagCatalog);
+  const nextCat = catalogRows(next.tagCatalog);
+  const prevCategories = new Map(prevCat.categories.map((c) => [c.name, c]));
+  const nextCategories = new Map(nextCat.categories.map((c) => [c.name, c]));
+  for (const c of nextCat.categories) {
+    if (!same(prevCategories.get(c.name), c)) ops.push({ table: "tag_categories", type: "upsert", row: c });
+  }
+  const tagKey = (t) => `${t.category}\u0000${t.name}`;
+  const prevTags = new Map(prevCat.tags.map((t) => [tagKey(t), t]));
+  const nextTags = new Map(nextCat.tags.map((t) => [tagKey(t), t]));
+  for (const t of nextCat.tags) {
+    if (!same(prevTags.get(tagKey(t)), t)) ops.push({ table: "tags", type: "upsert", row: t });
+  }
+  for (const t of prevCat.tags) {
+    if (!nextTags.has(tagKey(t)) && nextCategories.has(t.category)) {
+      ops.push({ table: "tags", type: "delete", key: { category: t.category, name: t.name } });
+    }
+  }
+  for (const c of prevCat.categories) {
+    if (!nextCategories.has(c.name)) ops.push({ table: "tag_categories", type: "delete", key: { name: c.name } });
+  }
+
+  // trash: new items are written before the deletes they record; removed ones (restored or
+  // purged) go last, after the records they bring back.
+  const prevTrash = new Set((base.trash ?? []).map((t) => t.id));
+  const nextTrash = new Set((next.trash ?? []).map((t) => t.id));
+  for (const t of next.trash ?? []) {
+    if (!prevTrash.has(t.id)) ops.push({ table: "trash", type: "upsert", row: trashToRow(t) });
+  }
+
+  // kids
+  const prevKids = new Map((base.kids ?? []).map((k) => [k.id, kidToRow(k)]));
+  const nextKidIds = new Set();
+  for (const k of next.kids ?? []) {
+    const row = kidToRow(k);
+    nextKidIds.add(k.id);
+    const prev = prevKids.get(k.id);
+    if (!prev) ops.push({ table: "kids", type: "insert", id: k.id, row });
+    else if (!same(prev, row)) {
+      ops.push({ table: "kids", type: "update", id: k.id, row, expectedVersion: versions.kids[k.id] ?? 1 });
+    }
+  }
+  for (const id of prevKids.keys()) {
+    if (!nextKidIds.has(id)) ops.push({ table: "kids", type: "delete", id, expectedVersion: versions.kids[id] ?? 1 });
+  }
+
+  // events (+ participants / suggest notes)
+  const prevEvents = new Map(
+    (base.events ?? []).map((ev) => [ev.id, { row: eventToRow(ev), ...eventChildRows(ev) }])
+  );
+  const nextEventIds = new Set();
+  for (const ev of next.events ?? []) {
+    const rec = { row: eventToRow(ev), ...eventChildRows(ev) };
+    nextEventIds.add(ev.id);
+    const prev = prevEvents.get(ev.id);
+    if (!prev) ops.push({ table: "events", type: "insert", id: ev.id, ...rec });
+    else if (!same(prev, rec)) {
+      const keep = (rows) => new Set(rows.map((r) => r.kid_id));
+      const keptParts = keep(rec.participants);
+      const keptNotes = keep(rec.notes);
+      ops.push({
+        table: "events",
+        type: "update",
+        id: ev.id,
+        ...rec,
+        removedParticipants: prev.participants.map((p) => p.kid_id).filter((id) => !keptParts.has(id)),
+        removedNotes: prev.notes.map((n) => n.kid_id).filter((id) => !keptNotes.has(id)),
+        expectedVersion: versions.events[ev.id] ?? 1,
+      });
+    }
+  }
+  for (const id of prevEvents.keys()) {
+    if (!nextEventIds.has(id)) ops.push({ table: "events", type: "delete", id, expectedVersion: versions.events[id] ?? 1 });
+  }
+
+  for (const id of prevTrash) {
+    if (!nextTrash.has(id)) ops.push({ table: "trash", type: "delete", key: { id } });
+  }
+
+  return ops;
+}
+
+// ------------------ save ------------------
+// An event row and its participants / suggest notes are written by one call to the
+// save_event function (supabase/migrations), so they commit or fail together. It returns
+// the event's new version, or null when the version check fails.
+async function saveEvent(client, op) {
+  const { data, error } = await client.rpc("save_event", {
+    p_event: op.row,
+    p_participants: op.participants,
+    p_notes: op.notes,
+    p_removed_participants: op.removedParticipants ?? [],
+    p_removed_notes: op.removedNotes ?? [],
+    p_expected_version: op.type === "insert" ? null : op.expectedVersion,
+  });
+  if (error) throw error;
+  return data ?? null;
+}
+
+// The row's version in the op's workspace; null when there is none (or it belongs to
+// another workspace: ids are unique across workspaces).
+async function currentVersion(client, table, op) {
+  const { data, error } = await client
+    .from(table)
+    .select("version")
+    .eq("id", op.id)
+    .eq("workspace_id", op.workspaceId)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.version ?? null;
+}
+
+// Row-level security makes an UPDATE / DELETE the role may not run match no rows instead of
+// failing, which looks just like a version conflict. A row still at the expected version
+// tells them apart: then the write was refused.
+async function checkRefused(client, table, op) {
+  if ((await currentVersion(client, table, op)) === op.expectedVersion) {
+    throw Object.assign(new Error(`permission denied for ${op.type} on ${table}`), { code: "42501" });
+  }
+}
+
+// Ops are replayed from the outbox until the server confirms them, so an op whose response
+// was lost runs twice: inserts and audit rows that already went through are skipped.
+async function applyOne(client, op, versions) {
+  const now = new Date().toISOString();
+
+  // append-only, never version-checked
+  if (op.table === "audit_log") {
+    const { error } = await client.from("audit_log").upsert(op.rows, { onConflict: "id", ignoreDuplicates: true });
+    if (error) throw error;
+    return true;
+  }
+
+  // unversioned tables: plain upsert / delete by key
+  if (op.table === "tag_categories" || op.table === "tags" || op.table === "trash") {
+    if (op.type === "upsert") {
+      const { error } = await client.from(op.table).upsert(op.row);
+      if (error) throw error;
+    } else {
+      let q = client.from(op.table).delete();
+      for (const [col, val] of Object.entries(op.key)) q = q.eq(col, val);
+      const { error } = await q;
+      if (error) throw error;
+    }
+    return true;
+  }
+
+  const { table, row } = op;
+
+  if (table === "events" && op.type !== "delete") {
+    const version = await saveEvent(client, op);
+    if (version === null) return false;
+    versions.events[op.id] = version;
+    return true;
+  }
+
+  if (op.type === "insert") {
+    const { data, error } = await client
+      .from(table)
+      .upsert({ ...row, version: 1, updated_at: now }, { onConflict: "id", ignoreDuplicates: true })
+      .select("version");
+    if (error) throw error;
+    // Already there: fine if untouched since (a replay), a conflict if edited meanwhile.
+    if (data.length === 0) {
+      const version = await currentVersion(client, table, op);
+      if (version === null) {
+        throw Object.assign(new Error(`${table} ${op.id} belongs to another workspace`), { code: "23505" });
+      }
+      if (version !== 1) return false;
+    }
+    versions[table][op.id] = 1;
+    return true;
+  }
+
+  if (op.type === "update") {
+    const nextVersion = op.expectedVersion + 1;
+    const { data, error } = await client
+      .from(table)
+      .update({ ...row, version: nextVersion, updated_at: now })
+      .eq("id", op.id)
+      .eq("workspace_id", op.workspaceId)
+      .eq("version", op.expectedVersion)
+      .select("version")
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      await checkRefused(client, table, op);
+      return false;
+    }
+    versions[table][op.id] = data.version;
+    return true;
+  }
+
+  // delete
+  const { data, error } = await client
+    .from(table)
+    .delete()
+    .eq("id", op.id)
+    .eq("workspace_id", op.workspaceId)
+    .eq("version", op.expectedVersion)
+    .select("id");
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    await checkRefused(client, table, op);
+    return false;
+  }
+  delete versions[table][op.id];
+  return true;
+}
+
+/**
+ * Writes ops in order. Version-checked ops that find a newer row are reported in
+ * `conflicts` and skipped; everything else is applied.
+ * Returns { versions, conflicts } where `versions` reflects the successful writes.
+ */
+export async function applyOps(client, ops, versions) {
+  const nextVersions = { kids: { ...versions.kids }, events: { ...versions.events } };
+  const conflicts = [];
+  for (const op of ops) {
+    const ok = await applyOne(client, op, nextVersions);
+    if (!ok) conflicts.push(op);
+  }
+  return { versions: nextVersions, conflicts };
+}
+
+/**
+ * Stamps ops with the workspace they belong to. diffState() works on plain app state;
+ * adapters call this right before writing. Kid and event ops also get `workspaceId`, which
+ * their version checks match on.
+ */
+export function scopeOps(ops, workspaceId) {
+  const stamp = (row) => ({ ...row, workspace_id: workspaceId });
+  return ops.map((op) => {
+    const out = { ...op };
+    if (op.table === "kids" || op.table === "events") out.workspaceId = workspaceId;
+    if (op.row) out.row = stamp(op.row);
+    if (op.key) out.key = stamp(op.key);
+    if (op.participants) out.participants = op.participants.map(stamp);
+    if (op.notes) out.notes = op.notes.map(stamp);
+    if (op.rows) out.rows = op.rows.map(stamp);
+    return out;
+  });
+}
+
+/** Versions the server will have after `ops` succeed (used to chain queued ops). */
+export function predictVersions(versions, ops) {
+  const next = { kids: { ...versions.kids }, events: { ...versions.events } };
+  for (const op of ops) {
+    if (op.table !== "kids" && op.table !== "events") continue;
+    if (op.type === "insert") next[op.table][op.id] = 1;
+    else if (op.type === "update") next[op.table][op.id] = op.expectedVersion + 1;
+    else delete next[op.table][op.id];
+  }
+  return next;
+}
+
+// ------------------ audit trail ------------------
+/**
+ * Audit entries (see src/audit.js) of one workspace, newest first. Pass `eventId` for an
+ * event's history or `kidId` for a kid's (including their participations and notes).
+ */
+export async function loadHistory(client, workspaceId, { eventId, kidId, limit = 200 } = {}) {
+  let q = client.from("audit_log").select("*").eq("workspace_id", workspaceId);
+  if (eventId) q = q.eq("event_id", eventId);
+  if (kidId) q = q.eq("kid_id", kidId);
+  const { data, error } = await q.order("at", { ascending: false }).limit(limit);
+  if (error) throw error;
+  return data ?? [];
+}
+
+// ------------------ snapshots ------------------
+/** Snapshots of one workspace, newest first. */
+export async function listSnapshots(client, workspaceId, { limit = 100 } = {}) {
+  const { data, error } = await client
+    .from("snapshots")
+    .select("*")
+    .eq("workspace_id", workspaceId)
+    .order("taken_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data ?? []).map(rowToSnapshot);
+}
+
+export async function saveSnapshot(client, workspaceId, snapshot) {
+  const { error } = await client.from("snapshots").insert({ ...snapshotToRow(snapshot), workspace_id: workspaceId });
+  if (error) throw error;
+}
+
+export async function deleteSnapshots(client, workspaceId, ids) {
+  if (ids.length === 0) return;
+  const { error } = await client.from("snapshots").delete().eq("workspace_id", workspaceId).in("id", ids);
+  if (error) throw error;
+}
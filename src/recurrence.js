@@ -0,0 +1,265 @@
+// ---- Recurring events ----
+// A recurring event is one event record (the series) with a `recurrence` rule. Its sessions
+// ("occurrences") are computed, never stored. Changes to a single session live in
+// `exceptions`, keyed by the local date the session would have had (its occurrence key):
+//
+//   recurrence  { freq: "daily" | "weekly" | "monthly", interval,
+//                 weekdays?   weekly: Date#getDay numbers (default: the start's weekday)
+//                 monthlyBy?  monthly: "date" (e.g. the 15th) or "weekday" (e.g. 2nd Tuesday)
+//                 until?: "YYYY-MM-DD" | count? }   neither = no end
+//   exceptions  { [occurrenceKey]: { skip?: true, start?: ms, end?: ms, statuses?: { [kidId]: status id } } }
+//
+// The event's own start/end is always the first occurrence; the others keep its time of day
+// and duration. Both objects are kept in a canonical key order (normalizeRecurrence /
+// normalizeExceptions) so records still compare equal after a round trip through jsonb,
+// which reorders keys. Exception helpers take and return single events.
+
+export const FREQS = ["daily", "weekly", "monthly"];
+
+const pad2 = (n) => String(n).padStart(2, "0");
+export const occurrenceKey = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+const KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isPositiveInt = (v) => Number.isInteger(v) && v >= 1;
+
+// Midnight after the given occurrence key (local time).
+function dayAfter(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d + 1);
+}
+
+/** The rule in canonical form, or null when there is none or it is malformed. */
+export function normalizeRecurrence(rule) {
+  if (!isObject(rule) || !FREQS.includes(rule.freq)) return null;
+  const interval = rule.interval ?? 1;
+  if (!isPositiveInt(interval)) return null;
+  const out = { freq: rule.freq, interval };
+  if (rule.freq === "weekly" && rule.weekdays != null) {
+    if (!Array.isArray(rule.weekdays) || !rule.weekdays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) return null;
+    if (rule.weekdays.length > 0) out.weekdays = Array.from(new Set(rule.weekdays)).sort((a, b) => a - b);
+  }
+  if (rule.freq === "monthly") {
+    const by = rule.monthlyBy ?? "date";
+    if (by !== "date" && by !== "weekday") return null;
+    out.monthlyBy = by;
+  }
+  if (rule.until != null && rule.count != null) return null;
+  if (rule.until != null) {
+    if (typeof rule.until !== "string" || !KEY_RE.test(rule.until)) return null;
+    out.until = rule.until;
+  }
+  if (rule.count != null) {
+    if (!isPositiveInt(rule.count)) return null;
+    out.count = rule.count;
+  }
+  return out;
+}
+
+/** Exceptions in canonical form ({} when there are none), or null when malformed. */
+export function normalizeExceptions(exceptions) {
+  if (exceptions == null) return {};
+  if (!isObject(exceptions)) return null;
+  const out = {};
+  for (const key of Object.keys(exceptions).sort()) {
+    const exc = exceptions[key];
+    if (!KEY_RE.test(key) || !isObject(exc)) return null;
+    const next = {};
+    if (exc.skip != null) {
+      if (exc.skip !== true) return null;
+      next.skip = true;
+    }
+    for (const field of ["start", "end"]) {
+      if (exc[field] == null) continue;
+      if (typeof exc[field] !== "number" || !Number.isFinite(exc[field])) return null;
+      next[field] = exc[field];
+    }
+    if ((next.start === undefined) !== (next.end === undefined)) return null;
+    if (exc.statuses != null) {
+      if (!isObject(exc.statuses) || !Object.values(exc.statuses).every((s) => typeof s === "string" && s !== "")) return null;
+      const kidIds = Object.keys(exc.statuses).sort();
+      if (kidIds.length > 0) next.statuses = Object.fromEntries(kidIds.map((id) => [id, exc.statuses[id]]));
+    }
+    if (Object.keys(next).length > 0) out[key] = next;
+  }
+  return out;
+}
+
+// Candidate starts after `first`, in order, without end conditions (endless).
+function* candidates(rule, first) {
+  const y = first.getFullYear();
+  const m = first.getMonth();
+  const d = first.getDate();
+  const at = (yy, mm, dd) => new Date(yy, mm, dd, first.getHours(), first.getMinutes(), first.getSeconds(), first.getMilliseconds());
+
+  if (rule.freq === "daily") {
+    for (let i = rule.interval; ; i += rule.interval) yield at(y, m, d + i);
+  }
+  if (rule.freq === "weekly") {
+    const weekdays = rule.weekdays ?? [first.getDay()];
+    const monday = d - ((first.getDay() + 6) % 7);
+    for (let w = 0; ; w += rule.interval) {
+      for (let i = 0; i < 7; i++) {
+        const day = at(y, m, monday + w * 7 + i);
+        if (day > first && weekdays.includes(day.getDay())) yield day;
+      }
+    }
+  }
+  // monthly: months where the date (or the nth weekday) doesn't exist are skipped
+  const nth = Math.ceil(d / 7);
+  for (let k = rule.interval; ; k += rule.interval) {
+    if (rule.monthlyBy === "weekday") {
+      const firstOfMonth = new Date(y, m + k, 1);
+      const date = 1 + ((first.getDay() - firstOfMonth.getDay() + 7) % 7) + (nth - 1) * 7;
+      const day = at(y, m + k, date);
+      if (day.getMonth() === firstOfMonth.getMonth()) yield day;
+    } else {
+      const day = at(y, m + k, d);
+      if (day.getDate() === d) yield day;
+    }
+  }
+}
+
+/** Original starts of a series' occurrences up to `through` (inclusive), skips included. */
+export function* occurrenceStarts(ev, through) {
+  const rule = ev.recurrence;
+  if (ev.start > through) return;
+  yield ev.start;
+  if (!rule) return;
+  const until = rule.until ? dayAfter(rule.until) : null;
+  let n = 1;
+  for (const start of candidates(rule, ev.start)) {
+    if (start > through || (until && start >= until) || (rule.count && n >= rule.count)) return;
+    n += 1;
+    yield start;
+  }
+}
+
+function buildOccurrence(ev, start, exc) {
+  const moved = exc?.start != null;
+  const statuses = exc?.statuses;
+  return {
+    ...ev,
+    start: moved ? new Date(exc.start) : start,
+    end: moved ? new Date(exc.end) : new Date(start.getTime() + (ev.end - ev.start)),
+    participants: statuses
+      ? (ev.participants ?? []).map((p) => (statuses[p.kidId] !== undefined ? { ...p, status: statuses[p.kidId] } : p))
+      : ev.participants,
+    occurrenceKey: occurrenceKey(start),
+    moved,
+  };
+}
+
+/**
+ * The occurrences of `ev` that overlap [from, to] (from may be null), skipped ones left
+ * out and moved ones at their new time. A non-recurring event is returned as it is.
+ */
+export function expandEvent(ev, from, to) {
+  if (!ev.recurrence) return [ev];
+  const exceptions = ev.exceptions ?? {};
+  // A session moved into the range can come from a date after it.
+  let through = to;
+  for (const [key, exc] of Object.entries(exceptions)) {
+    if (exc.start != null && dayAfter(key) > through) through = dayAfter(key);
+  }
+  const out = [];
+  for (const start of occurrenceStarts(ev, through)) {
+    const exc = exceptions[occurrenceKey(start)];
+    if (exc?.skip) continue;
+    const occ = buildOccurrence(ev, start, exc);
+    if ((from && occ.end < from) || occ.start > to) continue;
+    out.push(occ);
+  }
+  return out;
+}
+
+export function expandEvents(events, from, to) {
+  return events.flatMap((ev) => expandEvent(ev, from, to));
+}
+
+/** The occurrence with the given key (with `skipped` set), or null if the series has none. */
+export function occurrenceAt(ev, key) {
+  if (!ev.recurrence || !KEY_RE.test(key)) return null;
+  for (const start of occurrenceStarts(ev, dayAfter(key))) {
+    if (occurrenceKey(start) !== key) continue;
+    const exc = ev.exceptions?.[key];
+    return { ...buildOccurrence(ev, start, exc), skipped: Boolean(exc?.skip) };
+  }
+  return null;
+}
+
+function withException(ev, key, update) {
+  const exceptions = { ...(ev.exceptions ?? {}) };
+  const next = update({ ...(exceptions[key] ?? {}) });
+  if (next && Object.keys(next).length > 0) exceptions[key] = next;
+  else delete exceptions[key];
+  const out = { ...ev, exceptions: normalizeExceptions(exceptions) };
+  if (Object.keys(out.exceptions).length === 0) delete out.exceptions;
+  return out;
+}
+
+export function skipOccurrence(ev, key) {
+  return withException(ev, key, () => ({ skip: true }));
+}
+
+// Original start (ms) of the occurrence with the given key, or null.
+function originalStart(ev, key) {
+  for (const start of occurrenceStarts(ev, dayAfter(key))) if (occurrenceKey(start) === key) return start.getTime();
+  return null;
+}
+
+/** Moves one session; moving it back to its original time drops the override. */
+export function moveOccurrence(ev, key, start, end) {
+  const unchanged = start.getTime() === originalStart(ev, key) && end - start === ev.end - ev.start;
+  return withException(ev, key, (exc) => {
+    delete exc.skip;
+    delete exc.start;
+    delete exc.end;
+    if (!unchanged) {
+      exc.start = start.getTime();
+      exc.end = end.getTime();
+    }
+    return exc;
+  });
+}
+
+/** A participant status for one session; the series' own status drops the override. */
+export function setOccurrenceStatus(ev, key, kidId, status) {
+  const seriesStatus = (ev.participants ?? []).find((p) => p.kidId === kidId)?.status;
+  return withException(ev, key, (exc) => {
+    const statuses = { ...(exc.statuses ?? {}) };
+    if (status === seriesStatus) delete statuses[kidId];
+    else statuses[kidId] = status;
+    exc.statuses = statuses;
+    return exc;
+  });
+}
+
+/** Drops every override of one session (brings a skipped one back). */
+export function restoreOccurrence(ev, key) {
+  return withException(ev, key, () => null);
+}
+
+/**
+ * Drops exceptions that no longer belong to an occurrence (after the rule or the start
+ * changed) and status overrides of kids that left the event.
+ */
+export function pruneExceptions(ev) {
+  if (!ev.exceptions) return ev;
+  const out = { ...ev };
+  delete out.exceptions;
+  if (!ev.recurrence) return out;
+  const kidIds = new Set((ev.participants ?? []).map((p) => p.kidId));
+  let next = out;
+  for (const [key, exc] of Object.entries(ev.exceptions)) {
+    if (!occurrenceAt(out, key)) continue;
+    const statuses = Object.fromEntries(Object.entries(exc.statuses ?? {}).filter(([kidId]) => kidIds.has(kidId)));
+    next = withException(next, key, () => {
+      const kept = { ...exc };
+      delete kept.statuses;
+      if (Object.keys(statuses).length > 0) kept.statuses = statuses;
+      return kept;
+    });
+  }
+  return next;
+}
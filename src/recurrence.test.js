@@ -0,0 +1,129 @@
+import { describe, expect, it } from "vitest";
+
+import {
+  expandEvent,
+  moveOccurrence,
+  normalizeExceptions,
+  normalizeRecurrence,
+  occurrenceAt,
+  pruneExceptions,
+  restoreOccurrence,
+  setOccurrenceStatus,
+  skipOccurrence,
+} from "./recurrence.js";
+
+const at = (y, m, d, h = 0, min = 0) => new Date(y, m - 1, d, h, min);
+
+// Saturday 2025-11-01, 09:00-11:00
+const series = (recurrence, extra = {}) => ({
+  id: "e-1",
+  title: "ติวฟิสิกส์",
+  start: at(2025, 11, 1, 9),
+  end: at(2025, 11, 1, 11),
+  tags: [],
+  signupUrl: "",
+  participants: [
+    { kidId: "k-1", status: "suggested" },
+    { kidId: "k-2", status: "informed" },
+  ],
+  recurrence,
+  ...extra,
+});
+
+const keys = (occurrences) => occurrences.map((o) => o.occurrenceKey);
+
+describe("expandEvent", () => {
+  it("expands daily rules with an interval and a count", () => {
+    const ev = series({ freq: "daily", interval: 2, count: 3 });
+    expect(keys(expandEvent(ev, null, at(2026, 1, 1)))).toEqual(["2025-11-01", "2025-11-03", "2025-11-05"]);
+  });
+
+  it("expands weekly rules on chosen weekdays up to an end date", () => {
+    const ev = series({ freq: "weekly", interval: 1, weekdays: [2, 6], until: "2025-11-11" });
+    const out = expandEvent(ev, null, at(2026, 1, 1));
+    expect(keys(out)).toEqual(["2025-11-01", "2025-11-04", "2025-11-08", "2025-11-11"]);
+    expect(out[1].start).toEqual(at(2025, 11, 4, 9));
+    expect(out[1].end).toEqual(at(2025, 11, 4, 11));
+  });
+
+  it("expands monthly rules by date and by nth weekday", () => {
+    const byDate = series({ freq: "monthly", interval: 1, monthlyBy: "date", count: 3 }, { start: at(2026, 1, 31, 9), end: at(2026, 1, 31, 11) });
+    expect(keys(expandEvent(byDate, null, at(2027, 1, 1)))).toEqual(["2026-01-31", "2026-03-31", "2026-05-31"]);
+
+    // 1st Saturday of the month
+    const byWeekday = series({ freq: "monthly", interval: 1, monthlyBy: "weekday", count: 3 });
+    expect(keys(expandEvent(byWeekday, null, at(2027, 1, 1)))).toEqual(["2025-11-01", "2025-12-06", "2026-01-03"]);
+  });
+
+  it("only returns occurrences that overlap the range", () => {
+    const ev = series({ freq: "weekly", interval: 1 });
+    expect(keys(expandEvent(ev, at(2025, 11, 10), at(2025, 11, 23, 23, 59)))).toEqual(["2025-11-15", "2025-11-22"]);
+  });
+
+  it("returns non-recurring events unchanged", () => {
+    const ev = series(undefined);
+    expect(expandEvent(ev, at(2030, 1, 1), at(2030, 2, 1))).toEqual([ev]);
+  });
+});
+
+describe("exceptions", () => {
+  const weekly = () => series({ freq: "weekly", interval: 1, count: 4 });
+  const range = [null, at(2026, 1, 1)];
+
+  it("skips, moves and overrides statuses of single occurrences", () => {
+    let ev = weekly();
+    ev = skipOccurrence(ev, "2025-11-08");
+    ev = moveOccurrence(ev, "2025-11-15", at(2025, 11, 16, 13), at(2025, 11, 16, 15));
+    ev = setOccurrenceStatus(ev, "2025-11-22", "k-1", "applied");
+
+    const out = expandEvent(ev, ...range);
+    expect(keys(out)).toEqual(["2025-11-01", "2025-11-15", "2025-11-22"]);
+    expect(out[1]).toMatchObject({ start: at(2025, 11, 16, 13), end: at(2025, 11, 16, 15), moved: true });
+    expect(out[2].participants).toEqual([
+      { kidId: "k-1", status: "applied" },
+      { kidId: "k-2", status: "informed" },
+    ]);
+    expect(out[0].participants).toBe(ev.participants);
+    expect(occurrenceAt(ev, "2025-11-08")).toMatchObject({ skipped: true });
+  });
+
+  it("drops overrides that match the series again", () => {
+    let ev = weekly();
+    ev = setOccurrenceStatus(ev, "2025-11-08", "k-1", "applied");
+    ev = setOccurrenceStatus(ev, "2025-11-08", "k-1", "suggested");
+    ev = moveOccurrence(ev, "2025-11-15", at(2025, 11, 16, 9), at(2025, 11, 16, 11));
+    ev = moveOccurrence(ev, "2025-11-15", at(2025, 11, 15, 9), at(2025, 11, 15, 11));
+    expect(ev).not.toHaveProperty("exceptions");
+
+    ev = restoreOccurrence(skipOccurrence(ev, "2025-11-22"), "2025-11-22");
+    expect(ev).not.toHaveProperty("exceptions");
+  });
+
+  it("prunes exceptions that no longer belong to the series", () => {
+    let ev = weekly();
+    ev = skipOccurrence(ev, "2025-11-22");
+    ev = setOccurrenceStatus(ev, "2025-11-08", "k-2", "applied");
+    ev = { ...ev, recurrence: { freq: "weekly", interval: 1, count: 3 }, participants: [{ kidId: "k-1", status: "suggested" }] };
+    expect(pruneExceptions(ev)).not.toHaveProperty("exceptions");
+  });
+});
+
+describe("normalize", () => {
+  it("puts rules and exceptions in canonical key order", () => {
+    expect(JSON.stringify(normalizeRecurrence({ count: 5, weekdays: [6, 2, 2], interval: 1, freq: "weekly" }))).toBe(
+      JSON.stringify({ freq: "weekly", interval: 1, weekdays: [2, 6], count: 5 })
+    );
+    const exc = normalizeExceptions({ "2025-11-08": { statuses: { "k-2": "informed", "k-1": "applied" }, end: 2, start: 1 }, "2025-11-01": { skip: true } });
+    expect(JSON.stringify(exc)).toBe(
+      JSON.stringify({ "2025-11-01": { skip: true }, "2025-11-08": { start: 1, end: 2, statuses: { "k-1": "applied", "k-2": "informed" } } })
+    );
+  });
+
+  it("rejects malformed values", () => {
+    expect(normalizeRecurrence({ freq: "yearly", interval: 1 })).toBeNull();
+    expect(normalizeRecurrence({ freq: "daily", interval: 0 })).toBeNull();
+    expect(normalizeRecurrence({ freq: "daily", interval: 1, until: "2025-12-01", count: 3 })).toBeNull();
+    expect(normalizeExceptions({ "2025-11-01": { start: 1 } })).toBeNull();
+    expect(normalizeExceptions({ tomorrow: { skip: true } })).toBeNull();
+  });
+});
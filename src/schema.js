@@ -0,0 +1,171 @@
+// ---- Payload schema and migrations ----
+// A payload is the app data as one blob: { schemaVersion, tagCatalog, kids, events, trash }.
+// Blobs written by older versions of the app (the IndexedDB cache, legacy app_state data)
+// are upgraded on load by running MIGRATIONS[v] for every version v they are behind.
+// Records that still don't have the current shape afterwards are quarantined: they are
+// left out of the state (and reported) instead of crashing the render.
+//
+// Versions:
+//   0  no schemaVersion; fields were added over time and may be missing:
+//      kid.group_id / createdAt, event.signupUrl / suggestedAt / suggestNotes
+//   1  kids { id, name, tags, group_id, createdAt? }
+//      events { id, title, start, end, allDay?, tags, signupUrl, participants: [{ kidId, status }],
+//               suggestedAt?, suggestNotes?, recurrence?, exceptions? }
+//      (allDay: start / end are local midnights, end exclusive;
+//       recurrence / exceptions: see src/recurrence.js)
+//   2  participant statuses (and per-session overrides) are status ids instead of 0 / 1 / 2;
+//      participants may carry a status `history` (see src/statuses.js);
+//      events may have a `capacity`, participants beyond it are `waitlisted` (see src/capacity.js)
+
+import { normalizeExceptions, normalizeRecurrence } from "./recurrence.js";
+import { upgradeEventStatuses } from "./statuses.js";
+
+export const SCHEMA_VERSION = 2;
+
+export class SchemaVersionError extends Error {
+  constructor(version) {
+    super(`payload schemaVersion ${version} is newer than this app supports (${SCHEMA_VERSION})`);
+    this.name = "SchemaVersionError";
+    this.version = version;
+  }
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isString = (v) => typeof v === "string";
+const stringList = (v) => (Array.isArray(v) ? v.filter(isString) : []);
+
+// Legacy values that still mean something: numbers where strings belong, numeric strings.
+const asString = (v) => (isString(v) ? v : typeof v === "number" ? String(v) : "");
+const asNumber = (v) => (typeof v === "number" ? v : isString(v) && v.trim() !== "" && Number.isFinite(Number(v)) ? Number(v) : undefined);
+
+// MIGRATIONS[v] upgrades a payload from version v to v + 1. Never edit a released one:
+// add the next instead.
+const MIGRATIONS = [
+  // 0 -> 1: fill in the fields that older saves don't have
+  (payload) => ({
+    ...payload,
+    kids: (payload.kids ?? []).map((k) => {
+      if (!isObject(k)) return k;
+      const kid = { ...k, tags: stringList(k.tags), group_id: asString(k.group_id) };
+      const createdAt = asNumber(k.createdAt);
+      if (createdAt === undefined) delete kid.createdAt;
+      else kid.createdAt = createdAt;
+      return kid;
+    }),
+    events: (payload.events ?? []).map((ev) => {
+      if (!isObject(ev)) return ev;
+      const next = {
+        ...ev,
+        tags: stringList(ev.tags),
+        signupUrl: asString(ev.signupUrl),
+        participants: Array.isArray(ev.participants)
+          ? ev.participants.map((p) => (isObject(p) ? { ...p, status: asNumber(p.status) ?? 0 } : p))
+          : [],
+      };
+      const suggestedAt = asNumber(ev.suggestedAt);
+      if (suggestedAt === undefined) delete next.suggestedAt;
+      else next.suggestedAt = suggestedAt;
+      if (isObject(ev.suggestNotes)) {
+        next.suggestNotes = Object.fromEntries(Object.entries(ev.suggestNotes).map(([kidId, note]) => [kidId, asString(note)]));
+      } else delete next.suggestNotes;
+      return next;
+    }),
+  }),
+  // 1 -> 2: numeric statuses become status ids
+  (payload) => ({ ...payload, events: (payload.events ?? []).map(upgradeEventStatuses) }),
+];
+
+/** Runs the migrations a payload needs. Throws SchemaVersionError for newer payloads. */
+export function upgradePayload(payload) {
+  const from = payload?.schemaVersion ?? 0;
+  if (!Number.isInteger(from) || from < 0) throw new TypeError(`invalid schemaVersion: ${from}`);
+  if (from > SCHEMA_VERSION) throw new SchemaVersionError(from);
+  let out = { ...payload };
+  for (let v = from; v < SCHEMA_VERSION; v += 1) out = MIGRATIONS[v](out);
+  return { ...out, schemaVersion: SCHEMA_VERSION };
+}
+
+const toDate = (v) => (v instanceof Date ? v : isString(v) || typeof v === "number" ? new Date(v) : null);
+const validDate = (d) => d instanceof Date && !Number.isNaN(d.getTime());
+
+/**
+ * Splits a current-version payload into the state the app can render and the records that
+ * don't fit: { state: { tagCatalog, kids, events, trash }, quarantined: [{ kind, id, code, reason, record }] }
+ * (`code` is machine-readable, e.g. "bad-dates"; `reason` is the Thai explanation).
+ * Event dates are revived. Broken participant/note entries are dropped from their event
+ * and quarantined on their own.
+ */
+export function quarantineRecords(payload) {
+  const quarantined = [];
+  const hold = (kind, record, code, reason) =>
+    quarantined.push({ kind, id: isObject(record) && record.id != null ? String(record.id) : null, code, reason, record });
+
+  const tagCatalog = {};
+  if (payload.tagCatalog !== undefined && !isObject(payload.tagCatalog)) {
+    hold("tagCatalog", payload.tagCatalog, "bad-catalog", "Tag Library ไม่ใช่ object");
+  } else {
+    for (const [category, tags] of Object.entries(payload.tagCatalog ?? {})) {
+      if (Array.isArray(tags)) tagCatalog[category] = Array.from(new Set(tags.filter(isString)));
+      else hold("category", { id: category, tags }, "bad-category", `หมวด "${category}" ไม่ใช่รายการแท็ก`);
+    }
+  }
+
+  const kids = [];
+  const kidIds = new Set();
+  for (const k of Array.isArray(payload.kids) ? payload.kids : []) {
+    if (!isObject(k) || !isString(k.id) || !k.id) hold("kid", k, "no-id", "ไม่มี id");
+    else if (kidIds.has(k.id)) hold("kid", k, "duplicate-id", "id ซ้ำ");
+    else if (!isString(k.name)) hold("kid", k, "no-name", "ไม่มีชื่อ");
+    else {
+      kidIds.add(k.id);
+      kids.push(k);
+    }
+  }
+
+  const events = [];
+  const eventIds = new Set();
+  for (const ev of Array.isArray(payload.events) ? payload.events : []) {
+    if (!isObject(ev) || !isString(ev.id) || !ev.id) {
+      hold("event", ev, "no-id", "ไม่มี id");
+      continue;
+    }
+    if (eventIds.has(ev.id)) {
+      hold("event", ev, "duplicate-id", "id ซ้ำ");
+      continue;
+    }
+    const start = toDate(ev.start);
+    const end = toDate(ev.end);
+    if (!validDate(start) || !validDate(end)) {
+      hold("event", ev, "bad-dates", "วันเริ่ม/วันจบอ่านไม่ได้");
+      continue;
+    }
+    if ((ev.recurrence != null && !normalizeRecurrence(ev.recurrence)) || !normalizeExceptions(ev.exceptions)) {
+      hold("event", ev, "bad-recurrence", "รูปแบบการซ้ำของกิจกรรมไม่ถูกต้อง");
+      continue;
+    }
+    eventIds.add(ev.id);
+    const participants = [];
+    for (const p of ev.participants ?? []) {
+      if (isObject(p) && isString(p.kidId) && isString(p.status) && p.status && !participants.some((x) => x.kidId === p.kidId)) {
+        participants.push(p);
+      } else {
+        const entry = { id: `${ev.id}/${p?.kidId ?? "?"}`, eventId: ev.id, ...(isObject(p) ? p : { value: p }) };
+        hold("participant", entry, "bad-participant", "ข้อมูลเด็กในกิจกรรมไม่ถูกต้อง");
+      }
+    }
+    events.push({ ...ev, title: asString(ev.title), start, end, participants });
+  }
+
+  const trash = [];
+  for (const item of Array.isArray(payload.trash) ? payload.trash : []) {
+    if (isObject(item) && isString(item.id) && ["kid", "event", "tag"].includes(item.kind) && isObject(item.payload)) trash.push(item);
+    else hold("trash", item, "bad-trash", "รายการในถังขยะไม่ถูกต้อง");
+  }
+
+  return { state: { tagCatalog, kids, events, trash }, quarantined };
+}
+
+/** upgradePayload + quarantineRecords: what every loaded blob goes through. */
+export function loadPayload(payload) {
+  return quarantineRecords(upgradePayload(payload));
+}
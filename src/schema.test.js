@@ -0,0 +1,102 @@
+import { describe, expect, it } from "vitest";
+
+import baseline from "./__fixtures__/payload-v0-baseline.json";
+import mixed from "./__fixtures__/payload-v0-mixed.json";
+import v1 from "./__fixtures__/payload-v1.json";
+import current from "./__fixtures__/payload-v2.json";
+import { SCHEMA_VERSION, SchemaVersionError, loadPayload, quarantineRecords, upgradePayload } from "./schema.js";
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+describe("upgradePayload", () => {
+  it("fills the fields a baseline (v0) blob doesn't have", () => {
+    const out = upgradePayload(clone(baseline));
+    expect(out.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(out.kids[1]).toEqual({ id: "k-2", name: "น้องบี", tags: [], group_id: "" });
+    expect(out.events[0].participants).toEqual([
+      { kidId: "k-1", status: "applied" },
+      { kidId: "k-2", status: "suggested" },
+    ]);
+    expect(out.events[1]).toMatchObject({ tags: [], signupUrl: "", participants: [] });
+    expect(out.events[1]).not.toHaveProperty("suggestNotes");
+  });
+
+  it("converts legacy value types", () => {
+    const out = upgradePayload(clone(mixed));
+    expect(out.kids[0]).toMatchObject({ group_id: "1234567", createdAt: 1730419200000 });
+    expect(out.kids[1].tags).toEqual([]);
+    expect(out.events[0].participants[0]).toEqual({ kidId: "k-1", status: "informed" });
+    expect(out.events[0].suggestNotes).toEqual({ "k-1": "สนใจมาก", "k-2": "5" });
+    expect(out.events[3]).not.toHaveProperty("suggestNotes");
+  });
+
+  it("maps v1 numeric statuses onto status ids", () => {
+    const input = clone(v1);
+    input.events[0].recurrence = { freq: "weekly", interval: 1 };
+    input.events[0].exceptions = { "2025-11-08": { statuses: { "k-1": 2 } } };
+    const out = upgradePayload(input);
+    expect(out.events[0].participants).toEqual([{ kidId: "k-1", status: "informed" }]);
+    expect(out.events[0].exceptions).toEqual({ "2025-11-08": { statuses: { "k-1": "applied" } } });
+  });
+
+  it("leaves a current payload alone", () => {
+    expect(upgradePayload(clone(current))).toEqual(clone(current));
+  });
+
+  it("does not modify its input", () => {
+    const input = clone(baseline);
+    upgradePayload(input);
+    expect(input).toEqual(baseline);
+  });
+
+  it("refuses payloads from a newer app", () => {
+    expect(() => upgradePayload({ ...clone(current), schemaVersion: SCHEMA_VERSION + 1 })).toThrow(SchemaVersionError);
+  });
+});
+
+describe("quarantineRecords", () => {
+  it("keeps well-formed records and revives event dates", () => {
+    const { state, quarantined } = loadPayload(clone(baseline));
+    expect(quarantined).toEqual([]);
+    expect(state.kids.map((k) => k.id)).toEqual(["k-1", "k-2"]);
+    expect(state.events[0].start).toBeInstanceOf(Date);
+    expect(state.events[0].start.toISOString()).toBe("2025-11-01T02:00:00.000Z");
+    expect(state.trash).toEqual([]);
+  });
+
+  it("quarantines malformed records instead of throwing", () => {
+    const { state, quarantined } = loadPayload(clone(mixed));
+
+    expect(state.tagCatalog).toEqual({ มหาวิทยาลัย: ["วิศวะ", "แพทย์"] });
+    expect(state.kids.map((k) => k.name)).toEqual(["น้องเอ", "น้องบี"]);
+    expect(state.events.map((e) => e.id)).toEqual(["e-1", "e-4"]);
+    expect(state.events[0].participants).toEqual([{ kidId: "k-1", status: "informed" }]);
+    expect(state.events[1].participants).toEqual([]);
+
+    const summary = quarantined.map((q) => [q.kind, q.id]);
+    expect(summary).toEqual([
+      ["category", "งบประมาณ"],
+      ["kid", null],
+      ["kid", "k-1"],
+      ["kid", null],
+      ["participant", "e-1/?"],
+      ["participant", "e-1/k-1"],
+      ["event", "e-2"],
+      ["event", "e-3"],
+    ]);
+    expect(quarantined.every((q) => typeof q.reason === "string" && q.reason)).toBe(true);
+  });
+
+  it("quarantines unknown trash items", () => {
+    const { state, quarantined } = quarantineRecords(upgradePayload(clone(current)));
+    expect(state.trash.map((t) => t.id)).toEqual(["t-1"]);
+    expect(quarantined).toMatchObject([{ kind: "trash", id: "t-2" }]);
+  });
+
+  it("accepts states that already hold Date objects", () => {
+    const { state } = loadPayload(clone(baseline));
+    const again = loadPayload({ ...state, schemaVersion: SCHEMA_VERSION });
+    expect(again.quarantined).toEqual([]);
+    expect(again.state.events[0].start.getTime()).toBe(state.events[0].start.getTime());
+  });
+});
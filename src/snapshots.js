@@ -0,0 +1,112 @@
+// ---- Point-in-time snapshots ----
+// A snapshot is a full copy of one workspace's tagCatalog, kids and events (the trash is
+// not included). "auto" snapshots are taken periodically while someone edits; "manual"
+// ones are checkpoints staff take before risky work. Restoring a snapshot is an ordinary
+// edit: it is diffed against the current state and saved with the usual version checks.
+// Kids and events the snapshot doesn't have are moved to the trash, not dropped.
+//
+// Snapshot: { id, kind: "auto" | "manual", label, takenAt (epoch ms), takenBy, data }
+//   data  { tagCatalog, kids, events } as plain JSON: event dates as ISO strings and the
+//         catalog as [category, tags] pairs (jsonb doesn't keep object key order);
+//         snapshots taken before status ids hold 0 / 1 / 2 (mapped when restoring)
+
+import { upgradeEventStatuses } from "./statuses.js";
+import { trashEvent, trashKid } from "./trash.js";
+
+export const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+export const AUTO_SNAPSHOTS_KEPT = 48;
+
+const toJson = (state) =>
+  JSON.parse(
+    JSON.stringify({ tagCatalog: Object.entries(state.tagCatalog ?? {}), kids: state.kids ?? [], events: state.events ?? [] })
+  );
+
+// jsonb doesn't keep key order, so compare with sorted keys.
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.keys(value).sort().map((k) => [k, canonical(value[k])]));
+  }
+  return value;
+}
+const same = (a, b) => JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+
+export function createSnapshot(state, { kind = "manual", label = "", takenBy = "" } = {}) {
+  return { id: crypto.randomUUID(), kind, label, takenAt: Date.now(), takenBy, data: toJson(state) };
+}
+
+/** The snapshot's records as app state (event dates revived, statuses as ids). */
+export function snapshotState(snapshot) {
+  const { tagCatalog = [], kids = [], events = [] } = snapshot.data ?? {};
+  return {
+    tagCatalog: Object.fromEntries(tagCatalog),
+    kids,
+    events: events.map((ev) => ({
+      ...upgradeEventStatuses(ev),
+      start: ev.start ? new Date(ev.start) : ev.start,
+      end: ev.end ? new Date(ev.end) : ev.end,
+    })),
+  };
+}
+
+/**
+ * `state` with the snapshot's records. Kids and events the snapshot doesn't have go to the
+ * trash like a normal delete, so each can be brought back on its own. Events go first, so
+ * they keep their participants and the kids' trash items only hold what remains.
+ */
+export function restoreSnapshotState(state, snapshot, deletedBy) {
+  const restored = snapshotState(snapshot);
+  const kidIds = new Set(restored.kids.map((k) => k.id));
+  const eventIds = new Set(restored.events.map((e) => e.id));
+  let next = state;
+  for (const ev of state.events) if (!eventIds.has(ev.id)) next = trashEvent(next, ev.id, deletedBy);
+  for (const kid of state.kids) if (!kidIds.has(kid.id)) next = trashKid(next, kid.id, deletedBy);
+  return { ...next, ...restored };
+}
+
+/** True if `state` has the same records as the snapshot. */
+export function sameAsSnapshot(snapshot, state) {
+  return same(snapshot.data, toJson(state));
+}
+
+const byId = (list) => new Map((list ?? []).map((x) => [x.id, x]));
+
+/**
+ * What changes when going from state `from` to state `to`: names of kids and titles of
+ * events added/removed, titles of events whose details, participants or notes differ,
+ * and tags added to/removed from the library.
+ */
+export function snapshotDiff(from, to) {
+  const a = toJson(from);
+  const b = toJson(to);
+  const kidsA = byId(a.kids);
+  const kidsB = byId(b.kids);
+  const eventsA = byId(a.events);
+  const eventsB = byId(b.events);
+  const tags = (catalog) => new Set(catalog.flatMap(([c, list]) => (list ?? []).map((t) => `${c}/${t}`)));
+  const tagsA = tags(a.tagCatalog);
+  const tagsB = tags(b.tagCatalog);
+
+  return {
+    kidsAdded: b.kids.filter((k) => !kidsA.has(k.id)).map((k) => k.name),
+    kidsRemoved: a.kids.filter((k) => !kidsB.has(k.id)).map((k) => k.name),
+    kidsChanged: b.kids
+      .filter((k) => kidsA.has(k.id) && !same(kidsA.get(k.id), k))
+      .map((k) => k.name),
+    eventsAdded: b.events.filter((e) => !eventsA.has(e.id)).map((e) => e.title),
+    eventsRemoved: a.events.filter((e) => !eventsB.has(e.id)).map((e) => e.title),
+    eventsChanged: b.events
+      .filter((e) => eventsA.has(e.id) && !same(eventsA.get(e.id), e))
+      .map((e) => e.title),
+    tagsAdded: [...tagsB].filter((t) => !tagsA.has(t)),
+    tagsRemoved: [...tagsA].filter((t) => !tagsB.has(t)),
+  };
+}
+
+/** Ids of "auto" snapshots beyond the newest `keep` (snapshots newest first). */
+export function autoSnapshotsToPrune(snapshots, keep = AUTO_SNAPSHOTS_KEPT) {
+  return snapshots
+    .filter((s) => s.kind === "auto")
+    .slice(keep)
+    .map((s) => s.id);
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+
+import { autoSnapshotsToPrune, createSnapshot, restoreSnapshotState, sameAsSnapshot, snapshotDiff, snapshotState } from "./snapshots.js";
+import { restoreTrashItem } from "./trash.js";
+
+const kid = (id, extra = {}) => ({ id, name: id, tags: [], group_id: "", ...extra });
+const camp = (id, participants = [], extra = {}) => ({
+  id,
+  title: id,
+  start: new Date("2026-11-01T02:00:00Z"),
+  end: new Date("2026-11-01T05:00:00Z"),
+  tags: [],
+  participants,
+  ...extra,
+});
+const then = () => ({
+  tagCatalog: { ระดับชั้น: ["ม.1"] },
+  kids: [kid("k-1"), kid("k-2")],
+  events: [camp("e-1", [{ kidId: "k-1", status: "suggested" }]), camp("e-2")],
+  trash: [],
+});
+
+describe("snapshots", () => {
+  it("round-trips state through a snapshot", () => {
+    const snap = createSnapshot(then(), { kind: "auto", takenBy: "ครูเอ" });
+    const stored = JSON.parse(JSON.stringify(snap));
+    expect(sameAsSnapshot(stored, then())).toBe(true);
+    const { trash, ...records } = then();
+    expect(trash).toEqual([]);
+    expect(snapshotState(stored)).toEqual(records);
+  });
+
+  it("summarises what restoring would change", () => {
+    const now = {
+      tagCatalog: { ระดับชั้น: ["ม.1", "ม.2"] },
+      kids: [kid("k-1", { name: "Ann" }), kid("k-3")],
+      events: [camp("e-1", [{ kidId: "k-1", status: "applied" }]), camp("e-3")],
+    };
+    expect(snapshotDiff(now, snapshotState(createSnapshot(then())))).toEqual({
+      kidsAdded: ["k-2"],
+      kidsRemoved: ["k-3"],
+      kidsChanged: ["k-1"],
+      eventsAdded: ["e-2"],
+      eventsRemoved: ["e-3"],
+      eventsChanged: ["e-1"],
+      tagsAdded: [],
+      tagsRemoved: ["ระดับชั้น/ม.2"],
+    });
+    const same = snapshotDiff(then(), snapshotState(createSnapshot(then())));
+    expect(Object.values(same).every((list) => list.length === 0)).toBe(true);
+  });
+
+  it("moves records the snapshot lacks to the trash when restoring", () => {
+    const snap = createSnapshot(then());
+    const now = {
+      ...then(),
+      kids: [...then().kids, kid("k-3")],
+      events: [camp("e-1", [{ kidId: "k-1", status: "applied" }]), camp("e-3", [{ kidId: "k-3", status: "suggested" }])],
+    };
+    const restored = restoreSnapshotState(now, snap, "ครูเอ");
+    expect(restored.kids.map((k) => k.id)).toEqual(["k-1", "k-2"]);
+    expect(restored.events.map((e) => [e.id, e.participants])).toEqual([
+      ["e-1", [{ kidId: "k-1", status: "suggested" }]],
+      ["e-2", []],
+    ]);
+    expect(restored.trash.map((t) => [t.kind, t.label, t.deletedBy])).toEqual([
+      ["event", "e-3", "ครูเอ"],
+      ["kid", "k-3", "ครูเอ"],
+    ]);
+
+    // each one comes back on its own
+    const withKid = restoreTrashItem(restored, restored.trash[1].id);
+    const withBoth = restoreTrashItem(withKid, withKid.trash[0].id);
+    expect(withBoth.events.find((e) => e.id === "e-3").participants).toEqual([{ kidId: "k-3", status: "suggested" }]);
+  });
+
+  it("prunes auto snapshots beyond the newest ones kept", () => {
+    const list = [
+      { id: "s-1", kind: "auto" },
+      { id: "s-2", kind: "manual" },
+      { id: "s-3", kind: "auto" },
+      { id: "s-4", kind: "auto" },
+    ];
+    expect(autoSnapshotsToPrune(list, 2)).toEqual(["s-4"]);
+  });
+});
@@ -0,0 +1,126 @@
+// ---- Participant statuses ----
+// Each workspace defines its own status pipeline in workspaces.settings.statuses:
+//
+//   [{ id, label, color: "#rrggbb", terminal }]   (list order = pipeline order)
+//
+// A participant's `status` (and a per-session override in event.exceptions) is one of those
+// ids; new participants get the first one. `terminal` marks statuses where a kid's part in
+// the event is settled (rejected, attended…). Statuses used to be the numbers 0 / 1 / 2
+// (yellow / blue / green); statusFromLegacy maps them onto LEGACY_STATUS_IDS.
+//
+// Every status a participant is given is recorded in its `history`:
+//
+//   [{ status, at: ms, by: actor, key?: occurrence key }]   (oldest first)
+//
+// Entries with a `key` are statuses set for one session of a recurring event only.
+// Participants added before the history existed have none until their status next changes.
+
+export const DEFAULT_STATUSES = [
+  { id: "suggested", label: "แนะนำแล้ว", color: "#fff3bf", terminal: false },
+  { id: "informed", label: "แจ้งผู้ปกครองแล้ว", color: "#d0ebff", terminal: false },
+  { id: "applied", label: "สมัครแล้ว", color: "#e5dbff", terminal: false },
+  { id: "accepted", label: "ได้รับคัดเลือก", color: "#d3f9d8", terminal: false },
+  { id: "rejected", label: "ไม่ได้รับคัดเลือก", color: "#ffe3e3", terminal: true },
+  { id: "attended", label: "เข้าร่วมแล้ว", color: "#b2f2bb", terminal: true },
+  { id: "no-show", label: "ไม่มา", color: "#e9ecef", terminal: true },
+];
+
+// 0 = เหลือง (ยังไม่แจ้ง), 1 = ฟ้า (กำลังดำเนินการ), 2 = เขียว (แจ้งแล้ว)
+export const LEGACY_STATUS_IDS = ["suggested", "informed", "applied"];
+
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+const UNKNOWN_COLOR = "#e9ecef";
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isString = (v) => typeof v === "string";
+
+/**
+ * A status id for a value written by any version: ids pass through, legacy numbers (also as
+ * numeric strings, which old SQL imports produce) are mapped, anything else is the first one.
+ */
+export function statusFromLegacy(value) {
+  if (isString(value) && value !== "" && !/^\d+$/.test(value)) return value;
+  return LEGACY_STATUS_IDS[Number(value)] ?? LEGACY_STATUS_IDS[0];
+}
+
+/** An event with its participant statuses and per-session status overrides as ids. */
+export function upgradeEventStatuses(ev) {
+  if (!isObject(ev)) return ev;
+  const next = { ...ev };
+  if (Array.isArray(ev.participants)) {
+    next.participants = ev.participants.map((p) => (isObject(p) ? { ...p, status: statusFromLegacy(p.status) } : p));
+  }
+  if (isObject(ev.exceptions)) {
+    next.exceptions = Object.fromEntries(
+      Object.entries(ev.exceptions).map(([key, exc]) => {
+        if (!isObject(exc) || !isObject(exc.statuses)) return [key, exc];
+        const statuses = Object.fromEntries(Object.entries(exc.statuses).map(([kidId, s]) => [kidId, statusFromLegacy(s)]));
+        return [key, { ...exc, statuses }];
+      })
+    );
+  }
+  return next;
+}
+
+/** The workspace's status definitions; the defaults when none (or none usable) are set. */
+export function normalizeStatuses(list) {
+  if (!Array.isArray(list)) return DEFAULT_STATUSES;
+  const out = [];
+  for (const s of list) {
+    if (!isObject(s) || !isString(s.id) || !s.id || out.some((x) => x.id === s.id)) continue;
+    out.push({
+      id: s.id,
+      label: isString(s.label) && s.label.trim() ? s.label : s.id,
+      color: COLOR_RE.test(s.color) ? s.color : UNKNOWN_COLOR,
+      terminal: s.terminal === true,
+    });
+  }
+  return out.length > 0 ? out : DEFAULT_STATUSES;
+}
+
+/** The definition of a status id; ids the workspace no longer defines show as themselves. */
+export function statusInfo(statuses, id) {
+  return statuses.find((s) => s.id === id) ?? { id, label: String(id), color: UNKNOWN_COLOR, terminal: false, unknown: true };
+}
+
+/** A history list in canonical form (key order survives jsonb); malformed entries are dropped. */
+export function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter((h) => isObject(h) && isString(h.status) && h.status && Number.isFinite(h.at))
+    .map((h) => ({ status: h.status, at: h.at, by: isString(h.by) ? h.by : "", ...(isString(h.key) ? { key: h.key } : {}) }));
+}
+
+/**
+ * The participant after `by` gave it `status`: the status is set and the change recorded.
+ * With `key` only the history changes; the session's own status lives in event.exceptions.
+ */
+export function recordStatus(participant, status, by, { at = Date.now(), key } = {}) {
+  const entry = key ? { status, at, by: by ?? "", key } : { status, at, by: by ?? "" };
+  return {
+    ...participant,
+    status: key ? participant.status : status,
+    history: [...(participant.history ?? []), entry],
+  };
+}
+
+/** When the participant got its current status (ms), or null when that is not recorded. */
+export function statusSince(participant) {
+  const history = participant.history ?? [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].key) continue;
+    return history[i].status === participant.status ? history[i].at : null;
+  }
+  return null;
+}
+
+/**
+ * True when the participant has been waiting in a non-terminal status for more than `days`.
+ * `status` narrows it to one status id ("" = any non-terminal status).
+ */
+export function isStale(participant, statuses, { status = "", days }, now = Date.now()) {
+  if (status && participant.status !== status) return false;
+  if (statusInfo(statuses, participant.status).terminal) return false;
+  const since = statusSince(participant);
+  return since !== null && now - since > days * 24 * 60 * 60 * 1000;
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+
+import { DEFAULT_STATUSES, isStale, normalizeHistory, normalizeStatuses, recordStatus, statusFromLegacy, statusInfo, statusSince } from "./statuses.js";
+
+describe("statuses", () => {
+  it("maps legacy numbers onto status ids and keeps ids", () => {
+    expect([0, 1, 2, "2", undefined].map(statusFromLegacy)).toEqual(["suggested", "informed", "applied", "applied", "suggested"]);
+    expect(statusFromLegacy("no-show")).toBe("no-show");
+  });
+
+  it("falls back to the default pipeline and cleans up definitions", () => {
+    expect(normalizeStatuses(undefined)).toBe(DEFAULT_STATUSES);
+    expect(normalizeStatuses([{ id: "x" }, { id: "x", label: "ซ้ำ" }, { label: "ไม่มี id" }])).toEqual([
+      { id: "x", label: "x", color: "#e9ecef", terminal: false },
+    ]);
+  });
+
+  it("describes ids the workspace no longer defines", () => {
+    expect(statusInfo(DEFAULT_STATUSES, "gone")).toMatchObject({ id: "gone", label: "gone", unknown: true });
+  });
+});
+
+describe("status history", () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const applied = recordStatus(recordStatus({ kidId: "k-1" }, "suggested", "a@x", { at: 0 }), "applied", "b@x", { at: DAY });
+
+  it("records every status with time and actor; per-session ones keep the series status", () => {
+    const p = recordStatus(applied, "no-show", "a@x", { at: 2 * DAY, key: "2025-11-01" });
+    expect(p.status).toBe("applied");
+    expect(p.history).toEqual([
+      { status: "suggested", at: 0, by: "a@x" },
+      { status: "applied", at: DAY, by: "b@x" },
+      { status: "no-show", at: 2 * DAY, by: "a@x", key: "2025-11-01" },
+    ]);
+    expect(statusSince(p)).toBe(DAY);
+    expect(normalizeHistory([{ by: "a@x", at: 1, status: "x" }, { status: "y" }])).toEqual([{ status: "x", at: 1, by: "a@x" }]);
+  });
+
+  it("flags participants waiting too long in a non-terminal status", () => {
+    expect(isStale(applied, DEFAULT_STATUSES, { status: "applied", days: 14 }, 16 * DAY)).toBe(true);
+    expect(isStale(applied, DEFAULT_STATUSES, { status: "applied", days: 14 }, 10 * DAY)).toBe(false);
+    expect(isStale(applied, DEFAULT_STATUSES, { status: "informed", days: 14 }, 16 * DAY)).toBe(false);
+    expect(isStale({ ...applied, status: "rejected" }, DEFAULT_STATUSES, { days: 0 }, 16 * DAY)).toBe(false);
+    // no record of when the current status was set
+    expect(isStale({ kidId: "k-2", status: "applied" }, DEFAULT_STATUSES, { days: 0 }, 16 * DAY)).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+// ---- Storage adapters ----
+// Every adapter implements the same interface:
+//   name        "supabase" | "local" | "rest"
+//   remote      true if writes leave this browser (drives the offline indicator)
+//   auth        staff sign-in (see src/auth.js), or null when the backend has no accounts
+//   listWorkspaces()          -> Promise<[{ id, name, created_at, settings, settings_version }]>
+//   createWorkspace({ id, name }) -> Promise<void>
+//   updateWorkspace({ id, settings, version }) -> Promise<boolean>  (settings: see workspaceSettings()
+//                                in App.jsx; false when they are no longer at settings_version
+//                                `version`; throws code "23514" when dropping a status in use)
+//   workspace(id)             -> the data of one workspace:
+//     load()                  -> Promise<{ state, versions }>
+//     save(ops, versions)     -> Promise<{ versions, conflicts }>  (ops from persistence.diffState,
+//                                version-checked per record)
+//     subscribe(onChange, { versions }?) -> unsubscribe; onChange(changes) where `changes` is
+//                                { kidIds, eventIds, catalog, trash } or null for "reload everything";
+//                                versions() returns the { kids, events } versions the client has,
+//                                so adapters can leave out its own writes (src/sync.js)
+//     loadChanged?(changes, { state, versions }) -> Promise<{ state, versions }>  (optional)
+//     loadHistory({ eventId?, kidId? }) -> Promise<audit entries, newest first>  (src/audit.js)
+//     listSnapshots()         -> Promise<snapshots, newest first>  (src/snapshots.js)
+//     saveSnapshot(snapshot)  -> Promise<void>
+//     deleteSnapshots(ids)    -> Promise<void>
+// Failed calls throw (or reject with) the backend's error; isNetworkError() tells the ones
+// worth retrying from those the server refused.
+//
+// Chosen by VITE_STORAGE ("supabase" | "local" | "rest"); defaults to Supabase when its
+// env vars are set, otherwise local.
+
+import { supabase } from "../supabaseClient.js";
+import { createLocalStorage } from "./local.js";
+import { createRestStorage } from "./rest.js";
+import { createSupabaseStorage } from "./supabase.js";
+
+export function createStorage(env = import.meta.env) {
+  const kind = env.VITE_STORAGE || (supabase ? "supabase" : "local");
+
+  if (kind === "supabase") {
+    if (!supabase) throw new Error("VITE_STORAGE=supabase needs VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY");
+    return createSupabaseStorage(supabase);
+  }
+  if (kind === "rest") {
+    if (!env.VITE_REST_URL) throw new Error("VITE_STORAGE=rest needs VITE_REST_URL");
+    return createRestStorage({ baseUrl: env.VITE_REST_URL });
+  }
+  if (kind === "local") return createLocalStorage();
+
+  throw new Error(`Unknown VITE_STORAGE: ${kind}`);
+}
+
+/** Re-reads what changed in a workspace; adapters without partial reads reload everything. */
+export async function loadChanged(store, changes, synced) {
+  if (changes && store.loadChanged) return store.loadChanged(changes, synced);
+  return store.load();
+}
+
+/**
+ * True when the server couldn't be reached (offline, DNS, gateway down): the request may
+ * succeed later. Anything else was refused by the server and fails again on retry.
+ */
+export function isNetworkError(error) {
+  if (error instanceof TypeError) return true; // fetch() itself failed
+  if ([0, 502, 503, 504].includes(error?.status)) return true;
+  // supabase-js reports fetch failures as { message: "TypeError: Failed to fetch", code: "" }
+  return /^(TypeError|FetchError|AbortError):|failed to fetch|networkerror|load failed/i.test(error?.message ?? "");
+}
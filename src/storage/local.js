@@ -0,0 +1,72 @@
+import { assembleState, rowToSnapshot, scopeOps, snapshotToRow } from "../persistence.js";
+import {
+  applyOpsToTables,
+  deleteSnapshotRows,
+  emptyTables,
+  historyRows,
+  listWorkspaceRows,
+  snapshotRows,
+  updateWorkspaceRow,
+} from "./rowStore.js";
+
+// Rows kept in localStorage: no server needed (demos, single-device use).
+// Other tabs of the same browser are notified through the `storage` event.
+export function createLocalStorage({ key = "kids-calendar:tables" } = {}) {
+  const read = () => {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? { ...emptyTables(), ...JSON.parse(raw) } : emptyTables();
+    } catch {
+      return emptyTables();
+    }
+  };
+  const write = (tables) => localStorage.setItem(key, JSON.stringify(tables));
+
+  return {
+    name: "local",
+    remote: false,
+    auth: null,
+    listWorkspaces: async () => listWorkspaceRows(read()),
+    createWorkspace: async ({ id, name }) => {
+      const tables = read();
+      tables.workspaces = [...listWorkspaceRows(tables), { id, name, created_at: new Date().toISOString(), settings: {}, settings_version: 1 }];
+      write(tables);
+    },
+    updateWorkspace: async ({ id, settings, version }) => {
+      const tables = read();
+      const next = updateWorkspaceRow(tables, id, settings, version);
+      if (next === false) throw new Error(`unknown workspace: ${id}`);
+      if (next === null) return false;
+      write(tables);
+      return true;
+    },
+    workspace: (workspaceId) => ({
+      load: async () => assembleState(read(), workspaceId),
+      save: async (ops, versions) => {
+        const tables = read();
+        const out = applyOpsToTables(tables, scopeOps(ops, workspaceId), versions);
+        write(tables);
+        return out;
+      },
+      subscribe: (onChange) => {
+        const onStorage = (e) => {
+          if (e.key === key) onChange(null);
+        };
+        window.addEventListener("storage", onStorage);
+        return () => window.removeEventListener("storage", onStorage);
+      },
+      loadHistory: async (filter) => historyRows(read(), workspaceId, filter),
+      listSnapshots: async (options) => snapshotRows(read(), workspaceId, options).map(rowToSnapshot),
+      saveSnapshot: async (snapshot) => {
+        const tables = read();
+        tables.snapshots.push({ ...snapshotToRow(snapshot), workspace_id: workspaceId });
+        write(tables);
+      },
+      deleteSnapshots: async (ids) => {
+        const tables = read();
+        deleteSnapshotRows(tables, workspaceId, ids);
+        write(tables);
+      },
+    }),
+  };
+}
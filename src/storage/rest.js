@@ -0,0 +1,102 @@
+import { assembleState, rowToSnapshot, scopeOps, snapshotToRow } from "../persistence.js";
+
+/**
+ * Plain HTTP backend (e.g. scripts/json-server.mjs or a self-hosted service):
+ *   GET  {baseUrl}/workspaces  -> { workspaces: [{ id, name, created_at, settings, settings_version }] }
+ *   POST {baseUrl}/workspaces  { id, name } -> { workspaces }
+ *   PATCH {baseUrl}/workspaces/{id}  { settings, version } -> { workspaces }, 409 if the
+ *                                settings are no longer at `version` (settings_version)
+ *   GET  {baseUrl}/tables      -> { revision, tables: { kids: [...], events: [...], ... } }
+ *   POST {baseUrl}/ops         { ops, versions } -> { revision, versions, conflicts }
+ *   GET  {baseUrl}/revision    -> { revision }
+ *   GET  {baseUrl}/history?workspace_id=&event_id=&kid_id= -> { entries } (audit trail, newest first)
+ *   GET  {baseUrl}/snapshots?workspace_id= -> { snapshots } (rows, newest first)
+ *   POST {baseUrl}/snapshots   { row } -> {}
+ *   POST {baseUrl}/snapshots/delete { workspace_id, ids } -> {}
+ * Rows use the same columns as the Supabase tables (including workspace_id). Changes by
+ * others are found by polling the revision counter.
+ */
+export function createRestStorage({ baseUrl, pollMs = 5000 }) {
+  const root = baseUrl.replace(/\/+$/, "");
+  let revision = null;
+
+  const request = async (path, init) => {
+    const res = await fetch(`${root}${path}`, {
+      ...init,
+      headers: { "Content-Type": "application/json", ...(init?.headers ?? {}) },
+    });
+    if (!res.ok) {
+      // error bodies may carry the code of a refused write, e.g. { error, code: "23514" }
+      const body = await res.json().catch(() => ({}));
+      throw Object.assign(new Error(`${init?.method ?? "GET"} ${path} failed: ${res.status}`), { status: res.status, code: body?.code });
+    }
+    return res.json();
+  };
+
+  return {
+    name: "rest",
+    remote: true,
+    auth: null,
+    listWorkspaces: async () => (await request("/workspaces")).workspaces ?? [],
+    createWorkspace: async ({ id, name }) => {
+      await request("/workspaces", { method: "POST", body: JSON.stringify({ id, name }) });
+    },
+    updateWorkspace: async ({ id, settings, version }) => {
+      try {
+        await request(`/workspaces/${encodeURIComponent(id)}`, { method: "PATCH", body: JSON.stringify({ settings, version }) });
+        return true;
+      } catch (e) {
+        if (e.status === 409) return false;
+        throw e;
+      }
+    },
+    workspace: (workspaceId) => ({
+      load: async () => {
+        const body = await request("/tables");
+        revision = body.revision;
+        return assembleState(body.tables ?? {}, workspaceId);
+      },
+      save: async (ops, versions) => {
+        const body = await request("/ops", {
+          method: "POST",
+          body: JSON.stringify({ ops: scopeOps(ops, workspaceId), versions }),
+        });
+        // Each write bumps the revision by one. A bigger jump means someone else wrote since
+        // our last read: keep the old revision so the next poll reloads their changes.
+        if (revision !== null && body.revision === revision + 1) revision = body.revision;
+        return { versions: body.versions, conflicts: body.conflicts ?? [] };
+      },
+      subscribe: (onChange) => {
+        const timer = setInterval(async () => {
+          try {
+            const body = await request("/revision");
+            if (revision !== null && body.revision !== revision) {
+              revision = body.revision;
+              onChange(null);
+            }
+          } catch {
+            // offline: the outbox indicator already says so
+          }
+        }, pollMs);
+        return () => clearInterval(timer);
+      },
+      loadHistory: async ({ eventId, kidId } = {}) => {
+        const params = new URLSearchParams({ workspace_id: workspaceId });
+        if (eventId) params.set("event_id", eventId);
+        if (kidId) params.set("kid_id", kidId);
+        return (await request(`/history?${params}`)).entries ?? [];
+      },
+      listSnapshots: async () => {
+        const params = new URLSearchParams({ workspace_id: workspaceId });
+        return ((await request(`/snapshots?${params}`)).snapshots ?? []).map(rowToSnapshot);
+      },
+      saveSnapshot: async (snapshot) => {
+        const row = { ...snapshotToRow(snapshot), workspace_id: workspaceId };
+        await request("/snapshots", { method: "POST", body: JSON.stringify({ row }) });
+      },
+      deleteSnapshots: async (ids) => {
+        await request("/snapshots/delete", { method: "POST", body: JSON.stringify({ workspace_id: workspaceId, ids }) });
+      },
+    }),
+  };
+}
@@ -0,0 +1,76 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+import { createRestStorage } from "./rest.js";
+
+// A stubbed server: `revision` is bumped by the test to play other clients' writes.
+function fakeServer() {
+  const server = { revision: 1, requests: [] };
+  const json = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url, init) => {
+      const path = new URL(url).pathname;
+      server.requests.push(`${init?.method ?? "GET"} ${path}`);
+      if (path === "/tables") return json({ revision: server.revision, tables: {} });
+      if (path === "/revision") return json({ revision: server.revision });
+      if (path === "/ops") {
+        server.revision += 1;
+        return json({ revision: server.revision, versions: JSON.parse(init.body).versions, conflicts: [] });
+      }
+      if (path === "/workspaces/ws-1") return json({ error: "settings changed meanwhile" }, 409);
+      return json({ error: "not found", code: "PGRST" }, 404);
+    })
+  );
+  return server;
+}
+
+const noVersions = { kids: {}, events: {} };
+
+describe("createRestStorage", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it("doesn't report its own writes as changes", async () => {
+    vi.useFakeTimers();
+    fakeServer();
+    const ws = createRestStorage({ baseUrl: "http://api.test/", pollMs: 1000 }).workspace("ws-1");
+    const onChange = vi.fn();
+    ws.subscribe(onChange);
+    await ws.load();
+    await ws.save([], noVersions);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it("reloads when someone else wrote before its own save", async () => {
+    vi.useFakeTimers();
+    const server = fakeServer();
+    const ws = createRestStorage({ baseUrl: "http://api.test", pollMs: 1000 }).workspace("ws-1");
+    const onChange = vi.fn();
+    ws.subscribe(onChange);
+    await ws.load();
+
+    server.revision += 1; // another client's save
+    await ws.save([], noVersions);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith(null);
+
+    // caught up: nothing more until the next foreign write
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(onChange).toHaveBeenCalledTimes(1);
+    server.revision += 1;
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  it("maps a 409 on the settings to false and passes error codes on", async () => {
+    const server = fakeServer();
+    const store = createRestStorage({ baseUrl: "http://api.test" });
+    await expect(store.updateWorkspace({ id: "ws-1", settings: {}, version: 1 })).resolves.toBe(false);
+    await expect(store.listWorkspaces()).rejects.toMatchObject({ status: 404, code: "PGRST" });
+    expect(server.requests).toEqual(["PATCH /workspaces/ws-1", "GET /workspaces"]);
+  });
+});
@@ -0,0 +1,185 @@
+// ---- In-memory row store ----
+// Applies persistence ops to plain table rows with the same rules as the Supabase tables
+// (version checks on kids/events, cascade of participants/notes). Backs the local adapter
+// and the demo REST server (scripts/json-server.mjs).
+
+import { normalizeStatuses } from "../statuses.js";
+
+export const TABLES = [
+  "workspaces",
+  "tag_categories",
+  "tags",
+  "kids",
+  "events",
+  "event_participants",
+  "suggest_notes",
+  "trash",
+  "audit_log",
+  "snapshots",
+];
+
+export function emptyTables() {
+  return Object.fromEntries(TABLES.map((t) => [t, []]));
+}
+
+// rows written before workspaces existed
+const defaults = { workspace_id: "default" };
+const matches = (row, key) => Object.entries(key).every(([col, val]) => (row[col] ?? defaults[col]) === val);
+
+function upsertRow(list, row, keyCols) {
+  const key = Object.fromEntries(keyCols.map((c) => [c, row[c]]));
+  const i = list.findIndex((r) => matches(r, key));
+  if (i === -1) list.push(row);
+  else list[i] = { ...list[i], ...row };
+}
+
+function writeEventChildren(tables, op) {
+  for (const p of op.participants) upsertRow(tables.event_participants, p, ["event_id", "kid_id"]);
+  for (const n of op.notes) upsertRow(tables.suggest_notes, n, ["event_id", "kid_id"]);
+  const removedParts = new Set(op.removedParticipants ?? []);
+  const removedNotes = new Set(op.removedNotes ?? []);
+  tables.event_participants = tables.event_participants.filter(
+    (p) => !(p.event_id === op.id && removedParts.has(p.kid_id))
+  );
+  tables.suggest_notes = tables.suggest_notes.filter((n) => !(n.event_id === op.id && removedNotes.has(n.kid_id)));
+}
+
+function applyOne(tables, op, versions) {
+  const now = new Date().toISOString();
+
+  if (op.table === "audit_log") {
+    const seen = new Set(tables.audit_log.map((r) => r.id));
+    tables.audit_log.push(...op.rows.filter((r) => !seen.has(r.id)).map((r) => ({ ...r, recorded_at: now })));
+    return true;
+  }
+
+  if (op.table === "tag_categories") {
+    if (op.type === "upsert") upsertRow(tables.tag_categories, op.row, ["workspace_id", "name"]);
+    else {
+      const { workspace_id, name } = op.key;
+      tables.tag_categories = tables.tag_categories.filter((c) => !matches(c, op.key));
+      tables.tags = tables.tags.filter((t) => !matches(t, { workspace_id, category: name }));
+    }
+    return true;
+  }
+  if (op.table === "tags") {
+    if (op.type === "upsert") upsertRow(tables.tags, op.row, ["workspace_id", "category", "name"]);
+    else tables.tags = tables.tags.filter((t) => !matches(t, op.key));
+    return true;
+  }
+  if (op.table === "trash") {
+    if (op.type === "upsert") upsertRow(tables.trash, op.row, ["workspace_id", "id"]);
+    else tables.trash = tables.trash.filter((t) => !matches(t, op.key));
+    return true;
+  }
+
+  const { table } = op;
+  const list = tables[table];
+  const i = list.findIndex((r) => r.id === op.id);
+  // ids are unique across workspaces; a row of another workspace is never touched
+  const ours = i !== -1 && matches(list[i], { workspace_id: op.workspaceId });
+
+  if (op.type === "insert") {
+    if (i !== -1 && !ours) {
+      throw Object.assign(new Error(`${table} ${op.id} belongs to another workspace`), { code: "23505" });
+    }
+    // a replayed insert is fine while the row is untouched, a conflict once it was edited
+    if (i !== -1 && list[i].version !== 1) return false;
+    if (i === -1) list.push({ ...op.row, version: 1, updated_at: now });
+    if (table === "events") writeEventChildren(tables, op);
+    versions[table][op.id] = 1;
+    return true;
+  }
+
+  if (!ours || list[i].version !== op.expectedVersion) return false;
+
+  if (op.type === "update") {
+    list[i] = { ...list[i], ...op.row, version: op.expectedVersion + 1, updated_at: now };
+    if (table === "events") writeEventChildren(tables, op);
+    versions[table][op.id] = op.expectedVersion + 1;
+    return true;
+  }
+
+  list.splice(i, 1);
+  if (table === "events") {
+    tables.event_participants = tables.event_participants.filter((p) => p.event_id !== op.id);
+    tables.suggest_notes = tables.suggest_notes.filter((n) => n.event_id !== op.id);
+  }
+  delete versions[table][op.id];
+  return true;
+}
+
+/**
+ * Applies ops to `tables` in place. Same contract as persistence.applyOps():
+ * returns { versions, conflicts }.
+ */
+export function applyOpsToTables(tables, ops, versions) {
+  const nextVersions = { kids: { ...versions.kids }, events: { ...versions.events } };
+  const conflicts = [];
+  for (const op of ops) {
+    if (!applyOne(tables, op, nextVersions)) conflicts.push(op);
+  }
+  return { versions: nextVersions, conflicts };
+}
+
+/** Workspaces in creation order; an empty store still has the "default" workspace. */
+export function listWorkspaceRows(tables) {
+  const rows = tables.workspaces ?? [];
+  if (rows.some((w) => w.id === "default")) return rows;
+  return [{ id: "default", name: "Default", created_at: null, settings: {}, settings_version: 1 }, ...rows];
+}
+
+const statusIds = (settings) => normalizeStatuses(settings?.statuses).map((st) => st.id);
+
+// Statuses of a workspace's participants and per-session overrides.
+function statusesInUse(tables, workspaceId) {
+  const used = new Set();
+  for (const p of tables.event_participants) if (matches(p, { workspace_id: workspaceId })) used.add(p.status);
+  for (const ev of tables.events) {
+    if (!matches(ev, { workspace_id: workspaceId })) continue;
+    for (const exc of Object.values(ev.exceptions ?? {})) for (const st of Object.values(exc?.statuses ?? {})) used.add(st);
+  }
+  return used;
+}
+
+/**
+ * Replaces a workspace's settings like save_workspace_settings() (supabase/migrations): only
+ * while they are still at settings_version `version`, and never dropping a status in use
+ * (throws an error with code "23514"). Returns the new version, null if someone else saved
+ * first, or false if the workspace doesn't exist.
+ */
+export function updateWorkspaceRow(tables, id, settings, version) {
+  const rows = listWorkspaceRows(tables);
+  const row = rows.find((w) => w.id === id);
+  if (!row) return false;
+  const current = row.settings_version ?? 1;
+  if (current !== version) return null;
+  const kept = new Set(statusIds(settings));
+  const used = statusesInUse(tables, id);
+  const dropped = statusIds(row.settings).find((st) => !kept.has(st) && used.has(st));
+  if (dropped) throw Object.assign(new Error(`status "${dropped}" is still in use`), { code: "23514" });
+  tables.workspaces = rows.map((w) => (w.id === id ? { ...w, settings, settings_version: current + 1 } : w));
+  return current + 1;
+}
+
+/** Same filters and order as persistence.loadHistory(). */
+export function historyRows(tables, workspaceId, { eventId, kidId, limit = 200 } = {}) {
+  return (tables.audit_log ?? [])
+    .filter((r) => matches(r, { workspace_id: workspaceId }))
+    .filter((r) => (!eventId || r.event_id === eventId) && (!kidId || r.kid_id === kidId))
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
+
+/** Same order as persistence.listSnapshots(); rows, not snapshot objects. */
+export function snapshotRows(tables, workspaceId, { limit = 100 } = {}) {
+  return (tables.snapshots ?? [])
+    .filter((r) => matches(r, { workspace_id: workspaceId }))
+    .sort((a, b) => b.taken_at - a.taken_at)
+    .slice(0, limit);
+}
+
+export function deleteSnapshotRows(tables, workspaceId, ids) {
+  const gone = new Set(ids);
+  tables.snapshots = (tables.snapshots ?? []).filter((r) => !(matches(r, { workspace_id: workspaceId }) && gone.has(r.id)));
+}
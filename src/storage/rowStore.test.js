@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+
+import { assembleState, diffState, scopeOps } from "../persistence.js";
+import { applyOpsToTables, emptyTables, updateWorkspaceRow } from "./rowStore.js";
+
+const empty = { tagCatalog: {}, kids: [], events: [], trash: [] };
+const kid = (id, extra = {}) => ({ id, name: id, tags: [], group_id: "", ...extra });
+const camp = (id, participants = [], extra = {}) => ({
+  id,
+  title: "ค่ายวิทย์",
+  start: new Date("2026-11-01T09:00:00Z"),
+  end: new Date("2026-11-01T12:00:00Z"),
+  tags: [],
+  signupUrl: "",
+  participants,
+  ...extra,
+});
+
+// Writes the edit from `base` to `next` into workspace `ws` the way the local adapter does.
+const save = (tables, ws, base, next, versions = { kids: {}, events: {} }) =>
+  applyOpsToTables(tables, scopeOps(diffState(base, next, versions), ws), versions);
+
+describe("applyOpsToTables", () => {
+  it("inserts and updates kids and events with their participants and notes", () => {
+    const tables = emptyTables();
+    const first = { ...empty, kids: [kid("k-1")], events: [camp("e-1", [{ kidId: "k-1", status: "suggested" }], { suggestNotes: { "k-1": "ชอบวิทย์" } })] };
+    const inserted = save(tables, "ws-1", empty, first);
+    expect(inserted).toEqual({ versions: { kids: { "k-1": 1 }, events: { "e-1": 1 } }, conflicts: [] });
+
+    const second = { ...first, kids: [kid("k-1", { name: "Ann" })], events: [camp("e-1", [], { title: "ค่ายวิทย์ 2026" })] };
+    const updated = save(tables, "ws-1", first, second, inserted.versions);
+    expect(updated).toEqual({ versions: { kids: { "k-1": 2 }, events: { "e-1": 2 } }, conflicts: [] });
+
+    const { state, versions } = assembleState(tables, "ws-1");
+    expect(versions).toEqual(updated.versions);
+    expect(state.kids.map((k) => k.name)).toEqual(["Ann"]);
+    expect(state.events[0]).toMatchObject({ title: "ค่ายวิทย์ 2026", participants: [] });
+    expect(state.events[0].suggestNotes ?? {}).toEqual({});
+  });
+
+  it("reports a stale version as a conflict and leaves the row alone", () => {
+    const tables = emptyTables();
+    const first = { ...empty, kids: [kid("k-1")] };
+    save(tables, "ws-1", empty, first);
+    save(tables, "ws-1", first, { ...empty, kids: [kid("k-1", { name: "Ann" })] }, { kids: { "k-1": 1 }, events: {} });
+
+    const stale = save(tables, "ws-1", first, { ...empty, kids: [kid("k-1", { name: "Bob" })] }, { kids: { "k-1": 1 }, events: {} });
+    expect(stale.conflicts.map((op) => [op.table, op.type, op.id])).toEqual([["kids", "update", "k-1"]]);
+    expect(stale.versions.kids).toEqual({ "k-1": 1 });
+    expect(tables.kids).toMatchObject([{ id: "k-1", name: "Ann", version: 2 }]);
+
+    const staleDelete = save(tables, "ws-1", first, empty, { kids: { "k-1": 1 }, events: {} });
+    expect(staleDelete.conflicts).toHaveLength(1);
+    expect(tables.kids).toHaveLength(1);
+  });
+
+  it("skips a replayed insert while the row is untouched, and conflicts once it was edited", () => {
+    const tables = emptyTables();
+    const first = { ...empty, kids: [kid("k-1")] };
+    save(tables, "ws-1", empty, first);
+    expect(save(tables, "ws-1", empty, first).conflicts).toEqual([]);
+    expect(tables.kids).toHaveLength(1);
+
+    save(tables, "ws-1", first, { ...empty, kids: [kid("k-1", { name: "Ann" })] }, { kids: { "k-1": 1 }, events: {} });
+    expect(save(tables, "ws-1", empty, first).conflicts).toHaveLength(1);
+  });
+
+  it("keeps workspaces apart", () => {
+    const tables = emptyTables();
+    const mine = { ...empty, kids: [kid("k-1")], events: [camp("e-1", [{ kidId: "k-1", status: "suggested" }])] };
+    save(tables, "ws-1", empty, mine);
+
+    // the same ids in another workspace are refused instead of touching ws-1's rows
+    expect(() => save(tables, "ws-2", empty, { ...empty, kids: [kid("k-1")] })).toThrow(
+      expect.objectContaining({ code: "23505" })
+    );
+    expect(() => save(tables, "ws-2", empty, { ...empty, events: [camp("e-1")] })).toThrow(
+      expect.objectContaining({ code: "23505" })
+    );
+    const foreignUpdate = save(tables, "ws-2", mine, { ...mine, kids: [kid("k-1", { name: "Ann" })] }, { kids: { "k-1": 1 }, events: {} });
+    expect(foreignUpdate.conflicts).toHaveLength(1);
+    expect(save(tables, "ws-2", mine, { ...mine, kids: [] }, { kids: { "k-1": 1 }, events: {} }).conflicts).toHaveLength(1);
+
+    expect(assembleState(tables, "ws-2").state.kids).toEqual([]);
+    expect(assembleState(tables, "ws-1").state.kids.map((k) => k.name)).toEqual(["k-1"]);
+    expect(assembleState(tables, "ws-1").state.events[0].participants.map((p) => p.kidId)).toEqual(["k-1"]);
+  });
+});
+
+describe("updateWorkspaceRow", () => {
+  const statuses = (ids) => ids.map((id) => ({ id, label: id, color: "#888888" }));
+
+  it("saves settings against the current version only", () => {
+    const tables = emptyTables();
+    tables.workspaces = [{ id: "ws-1", name: "A", settings: {}, settings_version: 1 }];
+    expect(updateWorkspaceRow(tables, "ws-1", { trashRetentionDays: 7 }, 1)).toBe(2);
+    expect(updateWorkspaceRow(tables, "ws-1", { trashRetentionDays: 14 }, 1)).toBeNull();
+    expect(tables.workspaces.find((w) => w.id === "ws-1")).toMatchObject({ settings: { trashRetentionDays: 7 }, settings_version: 2 });
+    expect(updateWorkspaceRow(tables, "ws-9", {}, 1)).toBe(false);
+  });
+
+  it("refuses to drop a status the workspace's participants still use", () => {
+    const tables = emptyTables();
+    tables.workspaces = [
+      { id: "ws-1", name: "A", settings: { statuses: statuses(["suggested", "going", "done"]) }, settings_version: 1 },
+      { id: "ws-2", name: "B", settings: { statuses: statuses(["suggested", "going"]) }, settings_version: 1 },
+    ];
+    tables.event_participants = [{ event_id: "e-1", kid_id: "k-1", workspace_id: "ws-2", status: "going" }];
+    tables.events = [{ id: "e-2", workspace_id: "ws-1", version: 1, exceptions: { "2026-11-01": { statuses: { "k-2": "done" } } } }];
+
+    expect(() => updateWorkspaceRow(tables, "ws-1", { statuses: statuses(["suggested", "going"]) }, 1)).toThrow(
+      expect.objectContaining({ code: "23514" })
+    );
+    // "going" is only used in ws-2
+    expect(updateWorkspaceRow(tables, "ws-1", { statuses: statuses(["suggested", "done"]) }, 1)).toBe(2);
+    expect(() => updateWorkspaceRow(tables, "ws-2", { statuses: statuses(["suggested"]) }, 1)).toThrow(
+      expect.objectContaining({ code: "23514" })
+    );
+  });
+});
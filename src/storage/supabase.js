@@ -0,0 +1,53 @@
+import { createSupabaseAuth } from "../auth.js";
+import {
+  applyOps,
+  deleteSnapshots,
+  listSnapshots,
+  loadHistory,
+  loadRecords,
+  loadState,
+  patchState,
+  saveSnapshot,
+  scopeOps,
+} from "../persistence.js";
+import { subscribeToChanges } from "../sync.js";
+
+// Normalized Supabase tables (supabase/migrations) with Realtime for live updates.
+export function createSupabaseStorage(client) {
+  return {
+    name: "supabase",
+    remote: true,
+    auth: createSupabaseAuth(client),
+    listWorkspaces: async () => {
+      const { data, error } = await client.from("workspaces").select("id,name,created_at,settings,settings_version").order("created_at");
+      if (error) throw error;
+      return data ?? [];
+    },
+    createWorkspace: async ({ id, name }) => {
+      const { error } = await client.from("workspaces").insert({ id, name });
+      if (error) throw error;
+    },
+    // version-checked and status-checked on the server (save_workspace_settings)
+    updateWorkspace: async ({ id, settings, version }) => {
+      const { data, error } = await client.rpc("save_workspace_settings", {
+        p_id: id,
+        p_settings: settings,
+        p_expected_version: version,
+      });
+      if (error) throw error;
+      return data !== null;
+    },
+    workspace: (workspaceId) => ({
+      load: () => loadState(client, workspaceId),
+      save: (ops, versions) => applyOps(client, scopeOps(ops, workspaceId), versions),
+      subscribe: (onChange, options) => subscribeToChanges(client, workspaceId, onChange, options),
+      // Only re-reads the records named in `changes`.
+      loadChanged: async (changes, synced) =>
+        patchState(synced.state, synced.versions, await loadRecords(client, workspaceId, changes)),
+      loadHistory: (filter) => loadHistory(client, workspaceId, filter),
+      listSnapshots: (options) => listSnapshots(client, workspaceId, options),
+      saveSnapshot: (snapshot) => saveSnapshot(client, workspaceId, snapshot),
+      deleteSnapshots: (ids) => deleteSnapshots(client, workspaceId, ids),
+    }),
+  };
+}
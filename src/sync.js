@@ -0,0 +1,107 @@
+// ---- Live sync (Supabase Realtime) ----
+// Listens to postgres_changes on the calendar tables and reports which records changed.
+// Events are batched for a short moment because one save touches several tables
+// (an event row plus its participants and notes).
+//
+// `client` only needs `channel()` / `removeChannel()`, so a local Supabase stack
+// (`supabase start`) or any stand-in exposing the same surface can drive it.
+
+export const SYNC_TABLES = ["tag_categories", "tags", "kids", "events", "event_participants", "suggest_notes", "trash"];
+
+/**
+ * Reduces realtime payloads to the records that need re-reading:
+ * { kidIds: string[], eventIds: string[], catalog: boolean, trash: boolean }
+ *
+ * Rows of other workspaces are skipped. With `versions` (the { kids, events } versions this
+ * client already has) its own writes are skipped too: kid and event rows at a version we
+ * have, the participants and notes saved with such an event, and deletes of records we
+ * don't have (any more).
+ */
+export function collectChanges(payloads, { workspaceId = null, versions = null } = {}) {
+  const kidIds = new Set();
+  const eventIds = new Set();
+  let catalog = false;
+  let trash = false;
+
+  // DELETE payloads only carry the primary key in `old` (which includes workspace_id for
+  // the tag library and trash, but not for kids, events, participants and notes).
+  const rowOf = (p) => (p.eventType === "DELETE" ? p.old : p.new);
+  const inWorkspace = (row) => !workspaceId || row.workspace_id == null || row.workspace_id === workspaceId;
+  const rows = payloads.filter((p) => rowOf(p) && inWorkspace(rowOf(p)));
+
+  const seen = (table, row) => versions != null && row.version != null && row.version <= (versions[table]?.[row.id] ?? 0);
+  const have = (table, id) => versions == null || id in (versions[table] ?? {});
+  const ownEvents = new Set(
+    rows.filter((p) => p.table === "events" && p.eventType !== "DELETE" && seen("events", p.new)).map((p) => p.new.id)
+  );
+
+  for (const p of rows) {
+    const row = rowOf(p);
+    const deleted = p.eventType === "DELETE";
+    switch (p.table) {
+      case "tag_categories":
+      case "tags":
+        catalog = true;
+        break;
+      case "kids":
+        if (row.id && (deleted ? have("kids", row.id) : !seen("kids", row))) kidIds.add(row.id);
+        break;
+      case "events":
+        if (row.id && (deleted ? have("events", row.id) : !ownEvents.has(row.id))) eventIds.add(row.id);
+        break;
+      case "event_participants":
+      case "suggest_notes":
+        if (row.event_id && !ownEvents.has(row.event_id) && (!deleted || have("events", row.event_id))) {
+          eventIds.add(row.event_id);
+        }
+        break;
+      case "trash":
+        trash = true;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { kidIds: [...kidIds], eventIds: [...eventIds], catalog, trash };
+}
+
+/**
+ * Subscribes to every calendar table of one workspace. `onChanges(changes)` receives the
+ * output of collectChanges() once per batch that has anything to re-read. `versions()`
+ * returns the versions the client has when the batch is flushed (see collectChanges).
+ * Returns an unsubscribe function.
+ */
+export function subscribeToChanges(client, workspaceId, onChanges, { batchMs = 250, versions = () => null } = {}) {
+  let pending = [];
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const batch = pending;
+    pending = [];
+    const changes = collectChanges(batch, { workspaceId, versions: versions() });
+    if (changes.kidIds.length > 0 || changes.eventIds.length > 0 || changes.catalog || changes.trash) onChanges(changes);
+  };
+
+  const onPayload = (payload) => {
+    pending.push(payload);
+    if (!timer) timer = setTimeout(flush, batchMs);
+  };
+
+  const channel = client.channel(`kids-calendar-sync:${workspaceId}`);
+  const filter = `workspace_id=eq.${workspaceId}`;
+  for (const table of SYNC_TABLES) {
+    channel.on("postgres_changes", { event: "INSERT", schema: "public", table, filter }, onPayload);
+    channel.on("postgres_changes", { event: "UPDATE", schema: "public", table, filter }, onPayload);
+    // DELETE payloads can't be filtered (they only carry the primary key); collectChanges
+    // drops those of records we don't have.
+    channel.on("postgres_changes", { event: "DELETE", schema: "public", table }, onPayload);
+  }
+  channel.subscribe();
+
+  return () => {
+    if (timer) clearTimeout(timer);
+    client.removeChannel(channel);
+  };
+}
@@ -0,0 +1,112 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+import { collectChanges, subscribeToChanges } from "./sync.js";
+
+// postgres_changes payloads as Supabase Realtime delivers them
+const insert = (table, row) => ({ table, eventType: "INSERT", new: row, old: {} });
+const update = (table, row) => ({ table, eventType: "UPDATE", new: row, old: {} });
+const remove = (table, key) => ({ table, eventType: "DELETE", new: {}, old: key });
+
+const ws = (row) => ({ workspace_id: "ws-1", ...row });
+
+describe("collectChanges", () => {
+  it("reduces a batch to the records to re-read", () => {
+    const changes = collectChanges([
+      update("events", ws({ id: "e-1", version: 2 })),
+      insert("event_participants", ws({ event_id: "e-1", kid_id: "k-1" })),
+      insert("suggest_notes", ws({ event_id: "e-2", kid_id: "k-1" })),
+      update("kids", ws({ id: "k-1", version: 4 })),
+      remove("kids", { id: "k-2" }),
+      insert("tags", ws({ category: "จังหวัด", name: "ภูเก็ต" })),
+    ]);
+    expect(changes).toEqual({ kidIds: ["k-1", "k-2"], eventIds: ["e-1", "e-2"], catalog: true, trash: false });
+  });
+
+  it("ignores this client's own writes", () => {
+    const versions = { kids: { "k-1": 2 }, events: { "e-1": 3, "e-2": 1 } };
+    const changes = collectChanges(
+      [
+        // our save of e-1 (version 3) with its participants and notes
+        update("events", ws({ id: "e-1", version: 3 })),
+        update("event_participants", ws({ event_id: "e-1", kid_id: "k-1" })),
+        remove("suggest_notes", { event_id: "e-1", kid_id: "k-2" }),
+        update("kids", ws({ id: "k-1", version: 2 })),
+        // our delete of e-9: we no longer have it
+        remove("events", { id: "e-9" }),
+        remove("event_participants", { event_id: "e-9", kid_id: "k-1" }),
+        // someone else saved e-2 after us
+        update("events", ws({ id: "e-2", version: 2 })),
+        update("event_participants", ws({ event_id: "e-2", kid_id: "k-3" })),
+      ],
+      { workspaceId: "ws-1", versions }
+    );
+    expect(changes).toEqual({ kidIds: [], eventIds: ["e-2"], catalog: false, trash: false });
+  });
+
+  it("ignores changes in other workspaces", () => {
+    const changes = collectChanges(
+      [
+        insert("kids", { id: "k-7", version: 1, workspace_id: "ws-2" }),
+        insert("tag_categories", { name: "หมวด", workspace_id: "ws-2" }),
+        remove("trash", { id: "t-1", workspace_id: "ws-2" }),
+        // deletes of kids and events only carry the id: unknown ids belong elsewhere
+        remove("kids", { id: "k-8" }),
+        remove("events", { id: "e-8" }),
+      ],
+      { workspaceId: "ws-1", versions: { kids: {}, events: {} } }
+    );
+    expect(changes).toEqual({ kidIds: [], eventIds: [], catalog: false, trash: false });
+  });
+});
+
+describe("subscribeToChanges", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const fakeClient = () => {
+    const handlers = [];
+    const channel = {
+      on: (type, filter, handler) => {
+        handlers.push({ filter, handler });
+        return channel;
+      },
+      subscribe: () => channel,
+    };
+    return {
+      channel: () => channel,
+      removeChannel: vi.fn(),
+      // delivers a payload to the handlers registered for its table and event type
+      emit: (payload) => {
+        for (const { filter, handler } of handlers) {
+          if (filter.table === payload.table && filter.event === payload.eventType) handler(payload);
+        }
+      },
+    };
+  };
+
+  it("batches payloads and skips batches with nothing to re-read", () => {
+    vi.useFakeTimers();
+    const client = fakeClient();
+    const onChanges = vi.fn();
+    const versions = { kids: {}, events: { "e-1": 2 } };
+    const unsubscribe = subscribeToChanges(client, "ws-1", onChanges, { versions: () => versions });
+
+    client.emit(update("events", ws({ id: "e-1", version: 2 })));
+    client.emit(update("event_participants", ws({ event_id: "e-1", kid_id: "k-1" })));
+    vi.advanceTimersByTime(250);
+    expect(onChanges).not.toHaveBeenCalled();
+
+    client.emit(insert("kids", ws({ id: "k-1", version: 1 })));
+    client.emit(update("events", ws({ id: "e-1", version: 3 })));
+    client.emit(insert("kids", { id: "k-9", version: 1, workspace_id: "ws-2" }));
+    vi.advanceTimersByTime(100);
+    expect(onChanges).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(150);
+    expect(onChanges).toHaveBeenCalledTimes(1);
+    expect(onChanges).toHaveBeenCalledWith({ kidIds: ["k-1"], eventIds: ["e-1"], catalog: false, trash: false });
+
+    unsubscribe();
+    expect(client.removeChannel).toHaveBeenCalledTimes(1);
+  });
+});
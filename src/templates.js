@@ -0,0 +1,66 @@
+// ---- Event templates and duplicates ----
+// Both prefill the "สร้างกิจกรรมใหม่" form with a draft:
+//
+//   { title, tags, signupUrl, allDay, startTime: "HH:MM", endTime: "HH:MM", days, capacity, kidIds }
+//
+// `days` is how many days after its first day the event ends (the dates themselves are picked
+// in the form). `kidIds` are participants to add when the event is created; they always start
+// at the first status of the workspace's pipeline. Templates are drafts with an { id, name },
+// kept per workspace in workspaces.settings.eventTemplates.
+
+import { normalizeCapacity } from "./capacity.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const hm = (d) => `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+const TIME_RE = /^\d{2}:\d{2}$/;
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isString = (v) => typeof v === "string";
+const dayNumber = (d) => Math.round(new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime() / DAY_MS);
+
+/** The draft that copies an event: title, tags, link, times and (optionally) its participants. */
+export function eventDraft(ev, { withParticipants = false } = {}) {
+  // an all-day event ends at the midnight after its last day
+  const last = ev.allDay ? new Date(ev.end.getTime() - 1) : ev.end;
+  return {
+    title: ev.title ?? "",
+    tags: [...(ev.tags ?? [])],
+    signupUrl: ev.signupUrl ?? "",
+    allDay: Boolean(ev.allDay),
+    startTime: ev.allDay ? "09:00" : hm(ev.start),
+    endTime: ev.allDay ? "10:00" : hm(ev.end),
+    days: Math.max(0, dayNumber(last) - dayNumber(ev.start)),
+    capacity: normalizeCapacity(ev.capacity),
+    kidIds: withParticipants ? (ev.participants ?? []).map((p) => p.kidId) : [],
+  };
+}
+
+/** Well-formed templates from workspace settings; anything else is left out. */
+export function normalizeTemplates(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((t) => isObject(t) && isString(t.id) && isString(t.name) && isString(t.title))
+    .map((t) => ({
+      id: t.id,
+      name: t.name,
+      title: t.title,
+      tags: Array.isArray(t.tags) ? t.tags.filter(isString) : [],
+      signupUrl: isString(t.signupUrl) ? t.signupUrl : "",
+      allDay: t.allDay === true,
+      startTime: TIME_RE.test(t.startTime) ? t.startTime : "09:00",
+      endTime: TIME_RE.test(t.endTime) ? t.endTime : "10:00",
+      days: Number.isInteger(t.days) && t.days >= 0 ? t.days : 0,
+      capacity: normalizeCapacity(t.capacity),
+      kidIds: Array.isArray(t.kidIds) ? t.kidIds.filter(isString) : [],
+    }));
+}
+
+/** Participants for a new event made from a draft; kids that no longer exist are skipped. */
+export function draftParticipants(draft, kidIds, status) {
+  const exists = new Set(kidIds);
+  return Array.from(new Set(draft.kidIds ?? []))
+    .filter((id) => exists.has(id))
+    .map((kidId) => ({ kidId, status }));
+}
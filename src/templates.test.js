@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+
+import { draftParticipants, eventDraft, normalizeTemplates } from "./templates.js";
+
+const at = (y, m, d, h = 0, min = 0) => new Date(y, m - 1, d, h, min);
+
+const openHouse = {
+  id: "e-1",
+  title: "Open House วิศวะ",
+  start: at(2025, 11, 1, 9, 30),
+  end: at(2025, 11, 2, 16),
+  tags: ["วิศวะ", "onsite"],
+  signupUrl: "https://example.com/open-house",
+  participants: [
+    { kidId: "k-1", status: 2 },
+    { kidId: "k-2", status: 1 },
+  ],
+};
+
+describe("eventDraft", () => {
+  it("copies title, tags, link and times, with participants only when asked", () => {
+    expect(eventDraft(openHouse)).toEqual({
+      title: "Open House วิศวะ",
+      tags: ["วิศวะ", "onsite"],
+      signupUrl: "https://example.com/open-house",
+      allDay: false,
+      startTime: "09:30",
+      endTime: "16:00",
+      days: 1,
+      capacity: null,
+      kidIds: [],
+    });
+    expect(eventDraft(openHouse, { withParticipants: true }).kidIds).toEqual(["k-1", "k-2"]);
+  });
+
+  it("counts the days of an all-day event up to its last day", () => {
+    const ev = { ...openHouse, allDay: true, start: at(2025, 11, 1), end: at(2025, 11, 4) };
+    expect(eventDraft(ev)).toMatchObject({ allDay: true, days: 2 });
+  });
+});
+
+describe("templates", () => {
+  it("drops malformed templates and fills in defaults", () => {
+    const list = normalizeTemplates([{ id: "t-1", name: "Open House", title: "Open House", startTime: "9am", days: -1 }, { id: "t-2" }, null]);
+    expect(list).toEqual([
+      { id: "t-1", name: "Open House", title: "Open House", tags: [], signupUrl: "", allDay: false, startTime: "09:00", endTime: "10:00", days: 0, capacity: null, kidIds: [] },
+    ]);
+  });
+
+  it("adds participants at the first status, skipping deleted kids", () => {
+    expect(draftParticipants({ kidIds: ["k-1", "gone", "k-1"] }, ["k-1", "k-2"], "suggested")).toEqual([{ kidId: "k-1", status: "suggested" }]);
+  });
+});
@@ -0,0 +1,180 @@
+// ---- Trash (soft delete) ----
+// Deleting a kid, an event or a tag moves it into `state.trash` together with the links
+// it had: a kid keeps its participations and suggest notes, an event keeps its
+// participants and notes, a tag keeps its categories and the kids/events that had it.
+// Restoring puts back whatever still fits (links to records that are gone are skipped).
+// All functions take and return whole app states ({ tagCatalog, kids, events, trash }).
+// Items trashed before status ids existed hold numeric statuses; restoring maps them.
+
+import { statusFromLegacy, upgradeEventStatuses } from "./statuses.js";
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+function newItem(kind, label, payload, deletedBy) {
+  return { id: crypto.randomUUID(), kind, label, payload, deletedAt: Date.now(), deletedBy: deletedBy ?? "" };
+}
+
+const toDate = (v) => (v instanceof Date ? v : v ? new Date(v) : v);
+
+const insertAt = (list, item, position) => {
+  const i = Math.min(Math.max(position ?? list.length, 0), list.length);
+  return [...list.slice(0, i), item, ...list.slice(i)];
+};
+
+export function trashKid(state, kidId, deletedBy) {
+  const kid = state.kids.find((k) => k.id === kidId);
+  if (!kid) return state;
+
+  const participations = [];
+  const notes = [];
+  const events = state.events.map((ev) => {
+    const i = (ev.participants ?? []).findIndex((p) => p.kidId === kidId);
+    const hasNote = Object.prototype.hasOwnProperty.call(ev.suggestNotes ?? {}, kidId);
+    if (i === -1 && !hasNote) return ev;
+    const next = { ...ev };
+    if (i !== -1) {
+      const { status, history } = ev.participants[i];
+      participations.push({ eventId: ev.id, status, ...(history ? { history } : {}), position: i });
+      next.participants = ev.participants.filter((p) => p.kidId !== kidId);
+    }
+    if (hasNote) {
+      notes.push({ eventId: ev.id, note: ev.suggestNotes[kidId] });
+      const rest = { ...ev.suggestNotes };
+      delete rest[kidId];
+      next.suggestNotes = rest;
+    }
+    return next;
+  });
+
+  return {
+    ...state,
+    kids: state.kids.filter((k) => k.id !== kidId),
+    events,
+    trash: [...(state.trash ?? []), newItem("kid", kid.name, { kid, participations, notes }, deletedBy)],
+  };
+}
+
+export function trashEvent(state, eventId, deletedBy) {
+  const event = state.events.find((e) => e.id === eventId);
+  if (!event) return state;
+  return {
+    ...state,
+    events: state.events.filter((e) => e.id !== eventId),
+    trash: [...(state.trash ?? []), newItem("event", event.title, { event }, deletedBy)],
+  };
+}
+
+/**
+ * Deletes `tag` from the Tag Library. With a `category` only that category loses it and
+ * kids/events keep the tag; without one it is removed from every category, kid and event.
+ */
+export function trashTag(state, tag, { category = null, deletedBy } = {}) {
+  const categories = [];
+  const tagCatalog = {};
+  for (const [c, list] of Object.entries(state.tagCatalog)) {
+    const position = (list ?? []).indexOf(tag);
+    if (position !== -1 && (category === null || c === category)) {
+      categories.push({ category: c, position });
+      tagCatalog[c] = list.filter((t) => t !== tag);
+    } else tagCatalog[c] = list;
+  }
+
+  let { kids, events } = state;
+  const kidIds = [];
+  const eventIds = [];
+  if (category === null) {
+    const strip = (x, ids) => {
+      if (!(x.tags ?? []).includes(tag)) return x;
+      ids.push(x.id);
+      return { ...x, tags: x.tags.filter((t) => t !== tag) };
+    };
+    kids = kids.map((k) => strip(k, kidIds));
+    events = events.map((e) => strip(e, eventIds));
+  }
+  if (categories.length === 0 && kidIds.length === 0 && eventIds.length === 0) return state;
+
+  return {
+    ...state,
+    tagCatalog,
+    kids,
+    events,
+    trash: [...(state.trash ?? []), newItem("tag", tag, { tag, categories, kidIds, eventIds }, deletedBy)],
+  };
+}
+
+/** Puts a trash item back and removes it from the trash. */
+export function restoreTrashItem(state, itemId) {
+  const item = (state.trash ?? []).find((t) => t.id === itemId);
+  if (!item) return state;
+  const trash = state.trash.filter((t) => t.id !== itemId);
+  const { payload } = item;
+
+  if (item.kind === "kid") {
+    if (state.kids.some((k) => k.id === payload.kid.id)) return { ...state, trash };
+    const kidId = payload.kid.id;
+    const partsByEvent = new Map(payload.participations.map((p) => [p.eventId, p]));
+    const notesByEvent = new Map(payload.notes.map((n) => [n.eventId, n.note]));
+    const events = state.events.map((ev) => {
+      const part = partsByEvent.get(ev.id);
+      const hasNote = notesByEvent.has(ev.id);
+      if (!part && !hasNote) return ev;
+      const next = { ...ev };
+      const participants = ev.participants ?? [];
+      if (part && !participants.some((p) => p.kidId === kidId)) {
+        const participant = { kidId, status: statusFromLegacy(part.status), ...(part.history ? { history: part.history } : {}) };
+        next.participants = insertAt(participants, participant, part.position);
+      }
+      if (hasNote && !Object.prototype.hasOwnProperty.call(ev.suggestNotes ?? {}, kidId)) {
+        next.suggestNotes = { ...(ev.suggestNotes ?? {}), [kidId]: notesByEvent.get(ev.id) };
+      }
+      return next;
+    });
+    return { ...state, kids: [...state.kids, payload.kid], events, trash };
+  }
+
+  if (item.kind === "event") {
+    const ev = upgradeEventStatuses(payload.event);
+    if (state.events.some((e) => e.id === ev.id)) return { ...state, trash };
+    // kids deleted meanwhile stay out
+    const kidIds = new Set(state.kids.map((k) => k.id));
+    const notes = Object.fromEntries(Object.entries(ev.suggestNotes ?? {}).filter(([kidId]) => kidIds.has(kidId)));
+    const restored = {
+      ...ev,
+      start: toDate(ev.start),
+      end: toDate(ev.end),
+      participants: (ev.participants ?? []).filter((p) => kidIds.has(p.kidId)),
+    };
+    if (Object.keys(notes).length > 0) restored.suggestNotes = notes;
+    else delete restored.suggestNotes;
+    return { ...state, events: [...state.events, restored], trash };
+  }
+
+  // tag
+  const { tag } = payload;
+  const tagCatalog = { ...state.tagCatalog };
+  for (const { category, position } of payload.categories) {
+    const list = tagCatalog[category] ?? [];
+    if (!list.includes(tag)) tagCatalog[category] = insertAt(list, tag, position);
+  }
+  const addTag = (ids) => {
+    const set = new Set(ids);
+    return (x) => (set.has(x.id) && !(x.tags ?? []).includes(tag) ? { ...x, tags: [...(x.tags ?? []), tag] } : x);
+  };
+  return {
+    ...state,
+    tagCatalog,
+    kids: state.kids.map(addTag(payload.kidIds)),
+    events: state.events.map(addTag(payload.eventIds)),
+    trash,
+  };
+}
+
+/** Removes a trash item for good. */
+export function purgeTrashItem(state, itemId) {
+  return { ...state, trash: (state.trash ?? []).filter((t) => t.id !== itemId) };
+}
+
+/** Items older than the retention period, as of `now`. */
+export function expiredTrash(trash, retentionDays, now = Date.now()) {
+  return (trash ?? []).filter((t) => t.deletedAt < now - retentionDays * DAY_MS);
+}
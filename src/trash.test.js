@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+
+import { DAY_MS, expiredTrash, restoreTrashItem, trashEvent, trashKid, trashTag } from "./trash.js";
+
+const kid = (id, extra = {}) => ({ id, name: id, tags: [], group_id: "", ...extra });
+const camp = (id, participants, extra = {}) => ({
+  id,
+  title: id,
+  start: new Date("2026-11-01T02:00:00Z"),
+  end: new Date("2026-11-01T05:00:00Z"),
+  tags: [],
+  participants,
+  ...extra,
+});
+const history = [{ status: "applied", at: 1, by: "ครูเอ" }];
+const state = () => ({
+  tagCatalog: { ระดับชั้น: ["ม.1", "ม.2"] },
+  kids: [kid("k-1", { tags: ["ม.1"] }), kid("k-2")],
+  events: [
+    camp("e-1", [{ kidId: "k-2", status: "suggested" }, { kidId: "k-1", status: "applied", history }], {
+      suggestNotes: { "k-1": "ชอบวิทย์", "k-2": "สนใจ" },
+    }),
+    camp("e-2", [{ kidId: "k-1", status: "informed" }]),
+  ],
+  trash: [],
+});
+
+describe("trash", () => {
+  it("restores a kid with its participations and notes in their old places", () => {
+    const before = state();
+    const trashed = trashKid(before, "k-1", "ครูเอ");
+    expect(trashed.kids.map((k) => k.id)).toEqual(["k-2"]);
+    expect(trashed.events.map((ev) => ev.participants.map((p) => p.kidId))).toEqual([["k-2"], []]);
+    expect(trashed.events[0].suggestNotes).toEqual({ "k-2": "สนใจ" });
+    expect(trashed.trash).toMatchObject([{ kind: "kid", label: "k-1", deletedBy: "ครูเอ" }]);
+
+    const restored = restoreTrashItem(trashed, trashed.trash[0].id);
+    expect(restored.trash).toEqual([]);
+    expect(restored.kids.map((k) => k.id)).toEqual(["k-2", "k-1"]);
+    expect(restored.events).toEqual(before.events);
+  });
+
+  it("restores an event without the kids deleted meanwhile", () => {
+    const trashed = trashKid(trashEvent(state(), "e-1", "ครูเอ"), "k-2", "ครูเอ");
+    expect(trashed.events.map((ev) => ev.id)).toEqual(["e-2"]);
+
+    const restored = restoreTrashItem(trashed, trashed.trash[0].id);
+    const ev = restored.events.find((e) => e.id === "e-1");
+    expect(ev.participants).toEqual([{ kidId: "k-1", status: "applied", history }]);
+    expect(ev.suggestNotes).toEqual({ "k-1": "ชอบวิทย์" });
+    expect(ev.start).toBeInstanceOf(Date);
+
+    // k-2 was trashed while e-1 was gone, so restoring k-2 doesn't put it back into e-1
+    const both = restoreTrashItem(restored, restored.trash[0].id);
+    expect(both.kids.map((k) => k.id)).toEqual(["k-1", "k-2"]);
+    expect(both.events.find((e) => e.id === "e-1").participants.map((p) => p.kidId)).toEqual(["k-1"]);
+  });
+
+  it("revives a trashed event's dates and legacy statuses", () => {
+    const trashed = trashEvent(state(), "e-2", "ครูเอ");
+    const stored = JSON.parse(JSON.stringify(trashed));
+    stored.trash[0].payload.event.participants[0].status = 2;
+    const restored = restoreTrashItem(stored, stored.trash[0].id);
+    const ev = restored.events.find((e) => e.id === "e-2");
+    expect(ev.start).toEqual(new Date("2026-11-01T02:00:00Z"));
+    expect(ev.participants).toEqual([{ kidId: "k-1", status: "applied" }]);
+  });
+
+  it("doesn't restore over a record that exists again", () => {
+    const trashed = trashEvent(state(), "e-2", "ครูเอ");
+    const again = { ...trashed, events: [...trashed.events, camp("e-2", [])] };
+    const restored = restoreTrashItem(again, again.trash[0].id);
+    expect(restored.trash).toEqual([]);
+    expect(restored.events.find((e) => e.id === "e-2").participants).toEqual([]);
+  });
+
+  it("restores a tag into its categories and records", () => {
+    const trashed = trashTag(state(), "ม.1", { deletedBy: "ครูเอ" });
+    expect(trashed.tagCatalog).toEqual({ ระดับชั้น: ["ม.2"] });
+    expect(trashed.kids[0].tags).toEqual([]);
+    const restored = restoreTrashItem(trashed, trashed.trash[0].id);
+    expect(restored.tagCatalog).toEqual({ ระดับชั้น: ["ม.1", "ม.2"] });
+    expect(restored.kids[0].tags).toEqual(["ม.1"]);
+  });
+});
+
+describe("expiredTrash", () => {
+  it("returns the items older than the retention period", () => {
+    const now = Date.UTC(2026, 9, 19);
+    const item = (id, daysAgo) => ({ id, deletedAt: now - daysAgo * DAY_MS });
+    const trash = [item("t-1", 31), item("t-2", 30), item("t-3", 29), item("t-4", 7.5)];
+    expect(expiredTrash(trash, 30, now).map((t) => t.id)).toEqual(["t-1"]);
+    expect(expiredTrash(trash, 7, now).map((t) => t.id)).toEqual(["t-1", "t-2", "t-3", "t-4"]);
+    expect(expiredTrash(undefined, 30, now)).toEqual([]);
+  });
+});
@@ -0,0 +1,154 @@
+-- Normalized storage for the kids calendar.
+-- Replaces the single public.app_state jsonb row with one row per record so
+-- saves only touch what changed and two staff editing different kids no
+-- longer conflict.
+
+create table if not exists public.tag_categories (
+  name text primary key,
+  position integer not null default 0
+);
+
+create table if not exists public.tags (
+  category text not null references public.tag_categories (name) on update cascade on delete cascade,
+  name text not null,
+  position integer not null default 0,
+  primary key (category, name)
+);
+
+create table if not exists public.kids (
+  id text primary key,
+  name text not null,
+  group_id text not null default '',
+  tags text[] not null default '{}',
+  created_at bigint, -- ms since epoch (kid.createdAt), used by the "new kid" suggest badge
+  version integer not null default 1,
+  updated_at timestamptz not null default now()
+);
+
+-- start_at / end_at are nullable on purpose: legacy blobs may hold dates that do not parse.
+create table if not exists public.events (
+  id text primary key,
+  title text not null,
+  start_at timestamptz,
+  end_at timestamptz,
+  tags text[] not null default '{}',
+  signup_url text not null default '',
+  suggested_at bigint, -- ms since epoch (event.suggestedAt)
+  version integer not null default 1,
+  updated_at timestamptz not null default now()
+);
+
+-- kid_id has no foreign key: legacy data contains participants of kids that were deleted.
+create table if not exists public.event_participants (
+  event_id text not null references public.events (id) on delete cascade,
+  kid_id text not null,
+  status smallint not null default 0,
+  position integer not null default 0,
+  primary key (event_id, kid_id)
+);
+
+create table if not exists public.suggest_notes (
+  event_id text not null references public.events (id) on delete cascade,
+  kid_id text not null,
+  note text not null default '',
+  primary key (event_id, kid_id)
+);
+
+create index if not exists event_participants_kid_id_idx on public.event_participants (kid_id);
+
+-- ---- one-time migration from app_state.data ----
+-- Copies the legacy { tagCatalog, kids, events } blob into the tables above.
+-- Safe to run more than once: existing rows are left untouched.
+
+create or replace function public.try_timestamptz(value text)
+returns timestamptz
+language plpgsql
+immutable
+as $$
+begin
+  return value::timestamptz;
+exception when others then
+  return null;
+end;
+$$;
+
+create or replace function public.migrate_app_state(p_id text default 'default')
+returns void
+language plpgsql
+as $$
+declare
+  blob jsonb;
+begin
+  select data into blob from public.app_state where id = p_id;
+  if blob is null then
+    return;
+  end if;
+
+  insert into public.tag_categories (name, position)
+  select c.key, c.ord - 1
+  from jsonb_each(coalesce(blob -> 'tagCatalog', '{}'::jsonb)) with ordinality as c (key, value, ord)
+  on conflict do nothing;
+
+  insert into public.tags (category, name, position)
+  select c.key, t.value, t.ord - 1
+  from jsonb_each(coalesce(blob -> 'tagCatalog', '{}'::jsonb)) as c (key, value)
+  cross join lateral jsonb_array_elements_text(
+    case when jsonb_typeof(c.value) = 'array' then c.value else '[]'::jsonb end
+  ) with ordinality as t (value, ord)
+  on conflict do nothing;
+
+  insert into public.kids (id, name, group_id, tags, created_at)
+  select
+    k ->> 'id',
+    coalesce(k ->> 'name', ''),
+    coalesce(k ->> 'group_id', ''),
+    coalesce(array(select jsonb_array_elements_text(
+      case when jsonb_typeof(k -> 'tags') = 'array' then k -> 'tags' else '[]'::jsonb end
+    )), '{}'),
+    case when jsonb_typeof(k -> 'createdAt') = 'number' then (k ->> 'createdAt')::numeric::bigint end
+  from jsonb_array_elements(coalesce(blob -> 'kids', '[]'::jsonb)) as k
+  where k ->> 'id' is not null
+  on conflict do nothing;
+
+  insert into public.events (id, title, start_at, end_at, tags, signup_url, suggested_at)
+  select
+    e ->> 'id',
+    coalesce(e ->> 'title', ''),
+    public.try_timestamptz(e ->> 'start'),
+    public.try_timestamptz(e ->> 'end'),
+    coalesce(array(select jsonb_array_elements_text(
+      case when jsonb_typeof(e -> 'tags') = 'array' then e -> 'tags' else '[]'::jsonb end
+    )), '{}'),
+    coalesce(e ->> 'signupUrl', ''),
+    case when jsonb_typeof(e -> 'suggestedAt') = 'number' then (e ->> 'suggestedAt')::numeric::bigint end
+  from jsonb_array_elements(coalesce(blob -> 'events', '[]'::jsonb)) as e
+  where e ->> 'id' is not null
+  on conflict do nothing;
+
+  insert into public.event_participants (event_id, kid_id, status, position)
+  select e ->> 'id', p.value ->> 'kidId', coalesce((p.value ->> 'status')::smallint, 0), p.ord - 1
+  from jsonb_array_elements(coalesce(blob -> 'events', '[]'::jsonb)) as e
+  cross join lateral jsonb_array_elements(
+    case when jsonb_typeof(e -> 'participants') = 'array' then e -> 'participants' else '[]'::jsonb end
+  ) with ordinality as p (value, ord)
+  where e ->> 'id' is not null and p.value ->> 'kidId' is not null
+  on conflict do nothing;
+
+  insert into public.suggest_notes (event_id, kid_id, note)
+  select e ->> 'id', n.key, coalesce(n.value #>> '{}', '')
+  from jsonb_array_elements(coalesce(blob -> 'events', '[]'::jsonb)) as e
+  cross join lateral jsonb_each(
+    case when jsonb_typeof(e -> 'suggestNotes') = 'object' then e -> 'suggestNotes' else '{}'::jsonb end
+  ) as n (key, value)
+  where e ->> 'id' is not null
+  on conflict do nothing;
+end;
+$$;
+
+do $$
+begin
+  if to_regclass('public.app_state') is not null then
+    perform public.migrate_app_state('default');
+  end if;
+end;
+$$;
@@ -0,0 +1,9 @@
+-- Publish the calendar tables to Supabase Realtime so open clients see each other's edits.
+
+alter publication supabase_realtime add table
+  public.tag_categories,
+  public.tags,
+  public.kids,
+  public.events,
+  public.event_participants,
+  public.suggest_notes;
@@ -0,0 +1,120 @@
+-- Workspaces: each calendar (branch, school year, …) has its own kids, events and tag catalog.
+-- Existing rows move into the 'default' workspace, which matches the legacy app_state id.
+
+create table if not exists public.workspaces (
+  id text primary key,
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+insert into public.workspaces (id, name) values ('default', 'Default') on conflict do nothing;
+
+alter table public.tag_categories add column if not exists workspace_id text not null default 'default' references public.workspaces (id) on delete cascade;
+alter table public.tags add column if not exists workspace_id text not null default 'default';
+alter table public.kids add column if not exists workspace_id text not null default 'default' references public.workspaces (id) on delete cascade;
+alter table public.events add column if not exists workspace_id text not null default 'default' references public.workspaces (id) on delete cascade;
+alter table public.event_participants add column if not exists workspace_id text not null default 'default';
+alter table public.suggest_notes add column if not exists workspace_id text not null default 'default';
+
+-- Tag names are unique per workspace, not globally.
+alter table public.tags drop constraint if exists tags_category_fkey;
+alter table public.tags drop constraint if exists tags_pkey;
+alter table public.tag_categories drop constraint if exists tag_categories_pkey;
+alter table public.tag_categories add primary key (workspace_id, name);
+alter table public.tags add primary key (workspace_id, category, name);
+alter table public.tags
+  add constraint tags_category_fkey foreign key (workspace_id, category)
+  references public.tag_categories (workspace_id, name) on update cascade on delete cascade;
+
+-- New rows must say which workspace they belong to.
+alter table public.tag_categories alter column workspace_id drop default;
+alter table public.tags alter column workspace_id drop default;
+alter table public.kids alter column workspace_id drop default;
+alter table public.events alter column workspace_id drop default;
+alter table public.event_participants alter column workspace_id drop default;
+alter table public.suggest_notes alter column workspace_id drop default;
+
+create index if not exists kids_workspace_id_idx on public.kids (workspace_id);
+create index if not exists events_workspace_id_idx on public.events (workspace_id);
+create index if not exists event_participants_workspace_id_idx on public.event_participants (workspace_id);
+create index if not exists suggest_notes_workspace_id_idx on public.suggest_notes (workspace_id);
+
+-- The legacy copy now needs to know the target workspace.
+create or replace function public.migrate_app_state(p_id text default 'default')
+returns void
+language plpgsql
+as $$
+declare
+  blob jsonb;
+begin
+  select data into blob from public.app_state where id = p_id;
+  if blob is null then
+    return;
+  end if;
+
+  insert into public.workspaces (id, name) values (p_id, p_id) on conflict do nothing;
+
+  insert into public.tag_categories (workspace_id, name, position)
+  select p_id, c.key, c.ord - 1
+  from jsonb_each(coalesce(blob -> 'tagCatalog', '{}'::jsonb)) with ordinality as c (key, value, ord)
+  on conflict do nothing;
+
+  insert into public.tags (workspace_id, category, name, position)
+  select p_id, c.key, t.value, t.ord - 1
+  from jsonb_each(coalesce(blob -> 'tagCatalog', '{}'::jsonb)) as c (key, value)
+  cross join lateral jsonb_array_elements_text(
+    case when jsonb_typeof(c.value) = 'array' then c.value else '[]'::jsonb end
+  ) with ordinality as t (value, ord)
+  on conflict do nothing;
+
+  insert into public.kids (workspace_id, id, name, group_id, tags, created_at)
+  select
+    p_id,
+    k ->> 'id',
+    coalesce(k ->> 'name', ''),
+    coalesce(k ->> 'group_id', ''),
+    coalesce(array(select jsonb_array_elements_text(
+      case when jsonb_typeof(k -> 'tags') = 'array' then k -> 'tags' else '[]'::jsonb end
+    )), '{}'),
+    case when jsonb_typeof(k -> 'createdAt') = 'number' then (k ->> 'createdAt')::numeric::bigint end
+  from jsonb_array_elements(coalesce(blob -> 'kids', '[]'::jsonb)) as k
+  where k ->> 'id' is not null
+  on conflict do nothing;
+
+  insert into public.events (workspace_id, id, title, start_at, end_at, tags, signup_url, suggested_at)
+  select
+    p_id,
+    e ->> 'id',
+    coalesce(e ->> 'title', ''),
+    public.try_timestamptz(e ->> 'start'),
+    public.try_timestamptz(e ->> 'end'),
+    coalesce(array(select jsonb_array_elements_text(
+      case when jsonb_typeof(e -> 'tags') = 'array' then e -> 'tags' else '[]'::jsonb end
+    )), '{}'),
+    coalesce(e ->> 'signupUrl', ''),
+    case when jsonb_typeof(e -> 'suggestedAt') = 'number' then (e ->> 'suggestedAt')::numeric::bigint end
+  from jsonb_array_elements(coalesce(blob -> 'events', '[]'::jsonb)) as e
+  where e ->> 'id' is not null
+  on conflict do nothing;
+
+  insert into public.event_participants (workspace_id, event_id, kid_id, status, position)
+  select p_id, e ->> 'id', p.value ->> 'kidId', coalesce((p.value ->> 'status')::smallint, 0), p.ord - 1
+  from jsonb_array_elements(coalesce(blob -> 'events', '[]'::jsonb)) as e
+  cross join lateral jsonb_array_elements(
+    case when jsonb_typeof(e -> 'participants') = 'array' then e -> 'participants' else '[]'::jsonb end
+  ) with ordinality as p (value, ord)
+  where e ->> 'id' is not null and p.value ->> 'kidId' is not null
+  on conflict do nothing;
+
+  insert into public.suggest_notes (workspace_id, event_id, kid_id, note)
+  select p_id, e ->> 'id', n.key, coalesce(n.value #>> '{}', '')
+  from jsonb_array_elements(coalesce(blob -> 'events', '[]'::jsonb)) as e
+  cross join lateral jsonb_each(
+    case when jsonb_typeof(e -> 'suggestNotes') = 'object' then e -> 'suggestNotes' else '{}'::jsonb end
+  ) as n (key, value)
+  where e ->> 'id' is not null
+  on conflict do nothing;
+end;
+$$;
+
+alter publication supabase_realtime add table public.workspaces;
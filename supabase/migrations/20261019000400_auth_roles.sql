@@ -0,0 +1,85 @@
+-- Staff accounts (Supabase Auth) and roles, enforced with row-level security.
+--   admin        everything, incl. the tag library, deletes and workspaces
+--   coordinator  adds/edits kids and events, assigns kids, cycles statuses, writes notes
+--   viewer       read-only
+-- Signed-in users without a staff_roles row see nothing. Grant the first admin from the
+-- SQL editor:  insert into public.staff_roles (user_id, role) values ('<auth user id>', 'admin');
+
+create table if not exists public.staff_roles (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  role text not null check (role in ('admin', 'coordinator', 'viewer')),
+  created_at timestamptz not null default now()
+);
+
+-- security definer so policies can read staff_roles without recursing into its own policies.
+create or replace function public.has_role(p_min text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((
+    select case r.role when 'admin' then 3 when 'coordinator' then 2 when 'viewer' then 1 else 0 end
+    from public.staff_roles r
+    where r.user_id = auth.uid()
+  ), 0) >= case p_min when 'admin' then 3 when 'coordinator' then 2 else 1 end;
+$$;
+
+alter table public.staff_roles enable row level security;
+alter table public.workspaces enable row level security;
+alter table public.tag_categories enable row level security;
+alter table public.tags enable row level security;
+alter table public.kids enable row level security;
+alter table public.events enable row level security;
+alter table public.event_participants enable row level security;
+alter table public.suggest_notes enable row level security;
+
+-- staff_roles: everyone reads their own role, admins manage all of them.
+create policy staff_roles_select on public.staff_roles
+  for select to authenticated using (user_id = auth.uid() or public.has_role('admin'));
+create policy staff_roles_admin on public.staff_roles
+  for all to authenticated using (public.has_role('admin')) with check (public.has_role('admin'));
+
+-- Every staff role can read the calendar.
+create policy workspaces_select on public.workspaces for select to authenticated using (public.has_role('viewer'));
+create policy tag_categories_select on public.tag_categories for select to authenticated using (public.has_role('viewer'));
+create policy tags_select on public.tags for select to authenticated using (public.has_role('viewer'));
+create policy kids_select on public.kids for select to authenticated using (public.has_role('viewer'));
+create policy events_select on public.events for select to authenticated using (public.has_role('viewer'));
+create policy event_participants_select on public.event_participants for select to authenticated using (public.has_role('viewer'));
+create policy suggest_notes_select on public.suggest_notes for select to authenticated using (public.has_role('viewer'));
+
+-- Admin only: workspaces and the tag library.
+create policy workspaces_insert on public.workspaces for insert to authenticated with check (public.has_role('admin'));
+create policy workspaces_update on public.workspaces for update to authenticated using (public.has_role('admin'));
+create policy workspaces_delete on public.workspaces for delete to authenticated using (public.has_role('admin'));
+create policy tag_categories_write on public.tag_categories
+  for all to authenticated using (public.has_role('admin')) with check (public.has_role('admin'));
+create policy tags_write on public.tags
+  for all to authenticated using (public.has_role('admin')) with check (public.has_role('admin'));
+
+-- Kids and events: coordinators add and edit, only admins delete.
+create policy kids_insert on public.kids for insert to authenticated with check (public.has_role('coordinator'));
+create policy kids_update on public.kids for update to authenticated using (public.has_role('coordinator'));
+create policy kids_delete on public.kids for delete to authenticated using (public.has_role('admin'));
+create policy events_insert on public.events for insert to authenticated with check (public.has_role('coordinator'));
+create policy events_update on public.events for update to authenticated using (public.has_role('coordinator'));
+create policy events_delete on public.events for delete to authenticated using (public.has_role('admin'));
+
+-- Assignments, statuses and notes: coordinators, including removing a kid from an event.
+create policy event_participants_write on public.event_participants
+  for all to authenticated using (public.has_role('coordinator')) with check (public.has_role('coordinator'));
+create policy suggest_notes_write on public.suggest_notes
+  for all to authenticated using (public.has_role('coordinator')) with check (public.has_role('coordinator'));
+
+-- The legacy blob (if the project still has it) is only touched by admins.
+do $$
+begin
+  if to_regclass('public.app_state') is not null then
+    alter table public.app_state enable row level security;
+    create policy app_state_admin on public.app_state
+      for all to authenticated using (public.has_role('admin')) with check (public.has_role('admin'));
+  end if;
+end;
+$$;
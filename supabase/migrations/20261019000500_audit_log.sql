@@ -0,0 +1,46 @@
+-- Append-only audit trail: one row per changed record (see src/audit.js).
+-- `at` is when the change was made on the client (it may reach the server later from the
+-- offline outbox); `recorded_at` is when the server stored it.
+
+create table if not exists public.audit_log (
+  id uuid primary key,
+  -- no foreign key: the trail outlives deleted workspaces and records
+  workspace_id text not null,
+  entity text not null check (entity in ('kid', 'event', 'participant', 'note', 'category', 'tag')),
+  action text not null check (action in ('insert', 'update', 'delete')),
+  kid_id text,
+  event_id text,
+  record_key text,
+  before jsonb,
+  after jsonb,
+  actor_id uuid default auth.uid(),
+  actor text not null default '',
+  at timestamptz not null,
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_event_idx on public.audit_log (workspace_id, event_id, at desc);
+create index if not exists audit_log_kid_idx on public.audit_log (workspace_id, kid_id, at desc);
+
+-- Rows can be added, never changed or removed (not even by admins).
+create or replace function public.audit_log_immutable()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists audit_log_immutable on public.audit_log;
+create trigger audit_log_immutable
+  before update or delete on public.audit_log
+  for each row execute function public.audit_log_immutable();
+
+alter table public.audit_log enable row level security;
+
+create policy audit_log_select on public.audit_log
+  for select to authenticated using (public.has_role('viewer'));
+-- Anyone who may edit records may log their own changes, under their own user id.
+create policy audit_log_insert on public.audit_log
+  for insert to authenticated with check (public.has_role('coordinator') and actor_id = auth.uid());
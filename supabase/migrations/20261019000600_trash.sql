@@ -0,0 +1,27 @@
+-- Trash: deleted kids, events and tags are kept here (with the participant links, suggest
+-- notes and tag memberships they had) until restored or purged. Items never change once
+-- written; restore and purge delete them. How long they are kept is a workspace setting.
+
+alter table public.workspaces add column if not exists settings jsonb not null default '{}'::jsonb;
+
+create table if not exists public.trash (
+  workspace_id text not null references public.workspaces (id) on delete cascade,
+  id text not null,
+  kind text not null check (kind in ('kid', 'event', 'tag')),
+  label text not null default '',
+  payload jsonb not null default '{}'::jsonb,
+  deleted_at bigint not null, -- epoch ms, like kids.created_at
+  deleted_by text not null default '',
+  primary key (workspace_id, id)
+);
+
+create index if not exists trash_deleted_at_idx on public.trash (workspace_id, deleted_at);
+
+alter table public.trash enable row level security;
+
+-- Deleting, restoring and purging are admin actions, like the deletes themselves.
+create policy trash_select on public.trash for select to authenticated using (public.has_role('viewer'));
+create policy trash_write on public.trash
+  for all to authenticated using (public.has_role('admin')) with check (public.has_role('admin'));
+
+alter publication supabase_realtime add table public.trash;
@@ -0,0 +1,24 @@
+-- Point-in-time snapshots of a workspace (tag library, kids and events as one jsonb
+-- document, see src/snapshots.js). "auto" ones are taken hourly while staff edit and
+-- pruned by the app; "manual" ones are checkpoints kept until an admin deletes them.
+
+create table if not exists public.snapshots (
+  workspace_id text not null references public.workspaces (id) on delete cascade,
+  id text not null,
+  kind text not null check (kind in ('auto', 'manual')),
+  label text not null default '',
+  taken_at bigint not null, -- epoch ms
+  taken_by text not null default '',
+  data jsonb not null,
+  primary key (workspace_id, id)
+);
+
+create index if not exists snapshots_taken_at_idx on public.snapshots (workspace_id, taken_at desc);
+
+alter table public.snapshots enable row level security;
+
+create policy snapshots_select on public.snapshots for select to authenticated using (public.has_role('viewer'));
+create policy snapshots_insert on public.snapshots for insert to authenticated with check (public.has_role('coordinator'));
+-- Coordinators prune old automatic snapshots; only admins remove checkpoints.
+create policy snapshots_delete on public.snapshots
+  for delete to authenticated using (kind = 'auto' and public.has_role('coordinator') or public.has_role('admin'));
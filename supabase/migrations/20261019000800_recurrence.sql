@@ -0,0 +1,6 @@
+-- Recurring events: the rule and the per-occurrence overrides of a series (skipped dates,
+-- moved sessions, per-session participant statuses) live on the event row; occurrences are
+-- expanded by the app (src/recurrence.js). Both go through the event's version check.
+
+alter table public.events add column if not exists recurrence jsonb; -- null = one-off event
+alter table public.events add column if not exists exceptions jsonb not null default '{}'::jsonb; -- { [YYYY-MM-DD]: override }
@@ -0,0 +1,4 @@
+-- All-day events: start_at / end_at hold the dates at UTC midnight (end = the day after the
+-- last day), read back by the app as local dates (src/persistence.js).
+
+alter table public.events add column if not exists all_day boolean not null default false;
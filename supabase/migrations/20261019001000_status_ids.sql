@@ -0,0 +1,30 @@
+-- Participant statuses become ids from the workspace's status list (workspaces.settings.statuses,
+-- see src/statuses.js) instead of 0 / 1 / 2. The old numbers map to the first three default ids.
+-- migrate_app_state() still writes the old numbers (as text); the app maps them when loading.
+
+alter table public.event_participants alter column status drop default;
+alter table public.event_participants alter column status type text using (
+  case status when 1 then 'informed' when 2 then 'applied' else 'suggested' end
+);
+alter table public.event_participants alter column status set default 'suggested';
+
+-- per-session status overrides of recurring events: { [date]: { statuses: { [kidId]: 0 | 1 | 2 } } }
+update public.events e
+set exceptions = (
+  select jsonb_object_agg(
+    x.key,
+    case when jsonb_typeof(x.value -> 'statuses') = 'object' then
+      jsonb_set(x.value, '{statuses}', (
+        select coalesce(jsonb_object_agg(
+          s.key,
+          case when jsonb_typeof(s.value) = 'number' then
+            to_jsonb(case s.value::text when '1' then 'informed' when '2' then 'applied' else 'suggested' end)
+          else s.value end
+        ), '{}'::jsonb)
+        from jsonb_each(x.value -> 'statuses') as s (key, value)
+      ))
+    else x.value end
+  )
+  from jsonb_each(e.exceptions) as x (key, value)
+)
+where e.exceptions <> '{}'::jsonb;
@@ -0,0 +1,4 @@
+-- Status history of each participant: [{ status, at, by, key? }], oldest first
+-- (src/statuses.js). Rows written before it have none.
+
+alter table public.event_participants add column if not exists history jsonb not null default '[]'::jsonb;
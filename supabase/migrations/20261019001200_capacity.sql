@@ -0,0 +1,5 @@
+-- Event capacity and waitlists (src/capacity.js): null = no limit. Waitlisted participants
+-- are ranked by their position among the event's participants.
+
+alter table public.events add column if not exists capacity integer check (capacity is null or capacity > 0);
+alter table public.event_participants add column if not exists waitlisted boolean not null default false;
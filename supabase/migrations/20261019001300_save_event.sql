@@ -0,0 +1,105 @@
+-- Saves an event row together with its participants and suggest notes in one transaction,
+-- so a failed request never leaves an event without the children it was saved with.
+-- Runs as the caller (security invoker): the row-level security policies still apply.
+--
+-- p_expected_version null inserts the event at version 1 (inserting it again while it is
+-- still at version 1 only rewrites its children); otherwise the row is only updated when it
+-- is still at that version. Returns the event's new version, or null when the
+-- version check fails (someone else saved it first). Participants and notes are upserted
+-- before the removed ones are deleted, like the client used to do request by request.
+-- Event ids are unique across workspaces: an insert whose id is taken by an event of another
+-- workspace fails (unique_violation) instead of touching that event or its children.
+
+create or replace function public.save_event(
+  p_event jsonb,
+  p_participants jsonb default '[]'::jsonb,
+  p_notes jsonb default '[]'::jsonb,
+  p_removed_participants text[] default '{}',
+  p_removed_notes text[] default '{}',
+  p_expected_version integer default null
+)
+returns integer
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_id text := p_event ->> 'id';
+  v_workspace text := p_event ->> 'workspace_id';
+  v_version integer;
+begin
+  if p_expected_version is null then
+    insert into public.events (
+      id, workspace_id, title, start_at, end_at, all_day, tags, signup_url, capacity,
+      suggested_at, recurrence, exceptions, version, updated_at
+    )
+    select
+      e.id, e.workspace_id, e.title, e.start_at, e.end_at, coalesce(e.all_day, false),
+      coalesce(e.tags, '{}'), coalesce(e.signup_url, ''), e.capacity, e.suggested_at,
+      e.recurrence, coalesce(e.exceptions, '{}'::jsonb), 1, now()
+    from jsonb_populate_record(null::public.events, p_event) e
+    on conflict (id) do nothing
+    returning version into v_version;
+    if v_version is null then
+      -- A replay of an insert that already went through (e.g. its response was lost) is
+      -- not an error; a row that has been edited since is a conflict.
+      select version into v_version from public.events where id = v_id and workspace_id = v_workspace;
+      if not found then
+        raise exception 'event % belongs to another workspace', v_id using errcode = 'unique_violation';
+      end if;
+      if v_version is distinct from 1 then
+        return null;
+      end if;
+    end if;
+  else
+    update public.events t
+    set title = e.title,
+        start_at = e.start_at,
+        end_at = e.end_at,
+        all_day = coalesce(e.all_day, false),
+        tags = coalesce(e.tags, '{}'),
+        signup_url = coalesce(e.signup_url, ''),
+        capacity = e.capacity,
+        suggested_at = e.suggested_at,
+        recurrence = e.recurrence,
+        exceptions = coalesce(e.exceptions, '{}'::jsonb),
+        version = p_expected_version + 1,
+        updated_at = now()
+    from jsonb_populate_record(null::public.events, p_event) e
+    where t.id = v_id and t.workspace_id = v_workspace and t.version = p_expected_version
+    returning t.version into v_version;
+    if v_version is null then
+      -- Row-level security skips rows the caller may not update instead of failing: a row
+      -- still at the expected version means the update was refused, not outdated.
+      if exists (
+        select 1 from public.events where id = v_id and workspace_id = v_workspace and version = p_expected_version
+      ) then
+        raise exception 'permission denied for table events' using errcode = 'insufficient_privilege';
+      end if;
+      return null;
+    end if;
+  end if;
+
+  insert into public.event_participants (event_id, kid_id, workspace_id, status, history, waitlisted, position)
+  select v_id, p.kid_id, p.workspace_id, coalesce(p.status, 'suggested'), coalesce(p.history, '[]'::jsonb),
+    coalesce(p.waitlisted, false), coalesce(p.position, 0)
+  from jsonb_populate_recordset(null::public.event_participants, p_participants) p
+  on conflict (event_id, kid_id) do update
+  set workspace_id = excluded.workspace_id,
+      status = excluded.status,
+      history = excluded.history,
+      waitlisted = excluded.waitlisted,
+      position = excluded.position;
+
+  insert into public.suggest_notes (event_id, kid_id, workspace_id, note)
+  select v_id, n.kid_id, n.workspace_id, coalesce(n.note, '')
+  from jsonb_populate_recordset(null::public.suggest_notes, p_notes) n
+  on conflict (event_id, kid_id) do update
+  set workspace_id = excluded.workspace_id,
+      note = excluded.note;
+
+  delete from public.event_participants where event_id = v_id and kid_id = any (p_removed_participants);
+  delete from public.suggest_notes where event_id = v_id and kid_id = any (p_removed_notes);
+
+  return v_version;
+end;
+$$;
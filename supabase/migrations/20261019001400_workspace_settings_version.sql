@@ -0,0 +1,77 @@
+-- Workspace settings (status list, event templates, trash retention) get the same optimistic
+-- lock as kids and events: settings_version goes up on every save, and a save made against an
+-- older version is refused, so the app re-reads the settings and re-applies its change instead
+-- of overwriting what another admin saved meanwhile.
+
+alter table public.workspaces add column if not exists settings_version integer not null default 1;
+
+-- Status ids of a settings blob; the built-in list (DEFAULT_STATUSES in src/statuses.js)
+-- while the workspace has none of its own.
+create or replace function public.status_ids(p_settings jsonb)
+returns text[]
+language sql
+immutable
+as $$
+  select coalesce(
+    nullif(array(
+      select x ->> 'id'
+      from jsonb_array_elements(
+        case jsonb_typeof(p_settings -> 'statuses') when 'array' then p_settings -> 'statuses' else '[]'::jsonb end
+      ) as x
+      where coalesce(x ->> 'id', '') <> ''
+    ), '{}'),
+    array['suggested', 'informed', 'applied', 'accepted', 'rejected', 'attended', 'no-show']
+  );
+$$;
+
+-- Replaces a workspace's settings if they are still at p_expected_version. Returns the new
+-- version, or null when someone else saved first. Refuses (check_violation) to drop a status
+-- that participants or per-session overrides still use, judged by the rows on the server
+-- rather than by what the saving client happens to have loaded.
+-- Runs as the caller: only admins may update workspaces (row-level security).
+create or replace function public.save_workspace_settings(p_id text, p_settings jsonb, p_expected_version integer)
+returns integer
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_old jsonb;
+  v_used text;
+begin
+  select settings into v_old from public.workspaces where id = p_id and settings_version = p_expected_version;
+  if not found then
+    return null;
+  end if;
+
+  select u.status into v_used
+  from (
+    select p.status from public.event_participants p where p.workspace_id = p_id
+    union all
+    select s.value #>> '{}'
+    from public.events e
+    cross join lateral jsonb_each(e.exceptions) as x
+    cross join lateral jsonb_each(
+      case jsonb_typeof(x.value -> 'statuses') when 'object' then x.value -> 'statuses' else '{}'::jsonb end
+    ) as s
+    where e.workspace_id = p_id
+  ) as u (status)
+  where u.status = any (public.status_ids(v_old)) and not (u.status = any (public.status_ids(p_settings)))
+  limit 1;
+  if v_used is not null then
+    raise exception 'status "%" is still in use', v_used using errcode = 'check_violation';
+  end if;
+
+  update public.workspaces
+  set settings = p_settings, settings_version = p_expected_version + 1
+  where id = p_id and settings_version = p_expected_version;
+  if not found then
+    -- Row-level security skips the row for non-admins; a row still at the expected version
+    -- means the save was refused, not outdated.
+    if exists (select 1 from public.workspaces where id = p_id and settings_version = p_expected_version) then
+      raise exception 'permission denied for table workspaces' using errcode = 'insufficient_privilege';
+    end if;
+    return null;
+  end if;
+  return p_expected_version + 1;
+end;
+$$;
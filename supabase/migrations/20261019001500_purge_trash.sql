@@ -0,0 +1,38 @@
+-- Expired trash items are purged on the server every hour, whether or not an admin has the
+-- app open. Same rule as expiredTrash() in src/trash.js: an item expires once it has been in
+-- the trash longer than the workspace's settings.trashRetentionDays (default 30).
+-- The schedule needs the pg_cron extension (Supabase: Database → Extensions); without it the
+-- app still purges while an admin has the workspace open, and this migration can be re-run
+-- once the extension is enabled.
+
+-- security definer: runs without a signed-in user. Not callable by clients.
+create or replace function public.purge_expired_trash()
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  with purged as (
+    delete from public.trash t
+    using public.workspaces w
+    where w.id = t.workspace_id
+      and t.deleted_at < (extract(epoch from now()) * 1000)::bigint - (
+        case jsonb_typeof(w.settings -> 'trashRetentionDays')
+          when 'number' then (w.settings ->> 'trashRetentionDays')::numeric
+          else 30
+        end * 86400000
+      )::bigint
+    returning 1
+  )
+  select count(*)::integer from purged;
+$$;
+
+revoke execute on function public.purge_expired_trash() from public, anon, authenticated;
+
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule('purge-expired-trash', '17 * * * *', 'select public.purge_expired_trash()');
+  end if;
+end;
+$$;